@@ -1,4 +1,4 @@
-const { app, BrowserWindow, ipcMain, dialog } = require('electron');
+const { app, BrowserWindow, ipcMain, dialog, Tray, Menu } = require('electron');
 const path = require('path');
 const fs = require('fs');
 const os = require('os');
@@ -36,7 +36,6 @@ const {
 } = require('./src/utils/windowsAuth');
 const {
   getSqlCredentialsFromRegistry,
-  connectToSqlServer,
   testSqlConnection,
   executeQuery,
   getRegistryPathInfo,
@@ -72,6 +71,18 @@ const {
   minimizeApplication,
   getApplicationDetails,
 } = require('./src/utils/applicationControl');
+const { readQueryAudit } = require('./src/utils/queryAudit');
+const { EXPORT_FORMATS } = require('./src/utils/resultExport');
+const { closeAllPools } = require('./src/utils/connectionPools');
+const { closeOdbcWorkers } = require('./src/utils/odbcWorker');
+const { cancelOperation, listOperations } = require('./src/utils/operations');
+const {
+  startConnectionMonitor,
+  stopConnectionMonitor,
+  isBackgroundMonitoringEnabled,
+  getMonitorSettings,
+  updateMonitorSettings,
+} = require('./src/utils/connectionMonitor');
 const {
   addConnection,
   removeConnection,
@@ -80,7 +91,23 @@ const {
   testConnection,
   testAllConnections,
   listTables,
+  describeTable,
+  previewTable,
+  executeQuery: executeConnectionQuery,
+  exportResults,
+  captureSchemaSnapshot,
+  listSchemaSnapshots,
+  deleteSchemaSnapshot,
+  diffSchemas,
+  getPoolStats,
+  getConnectionHealthStats,
+  runConnectionDiagnostics,
+  listConnectionDiagnostics,
   getAllConnectionStatuses,
+  listConnectionBackups,
+  restoreConnectionBackup,
+  exportConnections,
+  importConnections,
   getSupportedDatabaseTypes,
   discoverAllDatabases,
   fetchCredentialsFromRegistry,
@@ -98,6 +125,12 @@ const {
   getDentrixPracticeInfo,
   getDentrixAppointments,
   getDentrixAppointmentIds,
+  isOpenDentalInstalled,
+  fetchOpenDentalCredentials,
+  addOpenDentalConnection,
+  getOpenDentalPracticeInfo,
+  getOpenDentalAppointments,
+  getOpenDentalAppointmentIds,
 } = require('./src/utils/databaseConnections');
 
 const isDev = process.env.NODE_ENV === 'development' || !app.isPackaged;
@@ -713,9 +746,9 @@ ipcMain.handle('db-connections:update', async (event, connectionId, updates) =>
   }
 });
 
-ipcMain.handle('db-connections:test', async (event, connectionId) => {
+ipcMain.handle('db-connections:test', async (event, connectionId, options = {}) => {
   try {
-    const result = await testConnection(connectionId);
+    const result = await testConnection(connectionId, { operationId: options.operationId });
     return result;
   } catch (error) {
     console.error('Error testing database connection:', error);
@@ -726,9 +759,13 @@ ipcMain.handle('db-connections:test', async (event, connectionId) => {
   }
 });
 
-ipcMain.handle('db-connections:test-all', async () => {
+ipcMain.handle('db-connections:test-all', async (event, options = {}) => {
   try {
-    const result = await testAllConnections();
+    const result = await testAllConnections(options, (progress) => {
+      if (!event.sender.isDestroyed()) {
+        event.sender.send('db-connections:test-progress', { testRunId: options.testRunId, ...progress });
+      }
+    });
     return result;
   } catch (error) {
     console.error('Error testing all database connections:', error);
@@ -739,9 +776,9 @@ ipcMain.handle('db-connections:test-all', async () => {
   }
 });
 
-ipcMain.handle('db-connections:list-tables', async (event, connectionId) => {
+ipcMain.handle('db-connections:list-tables', async (event, connectionId, options) => {
   try {
-    const result = await listTables(connectionId);
+    const result = await listTables(connectionId, options);
     return result;
   } catch (error) {
     console.error('Error listing database tables:', error);
@@ -753,6 +790,249 @@ ipcMain.handle('db-connections:list-tables', async (event, connectionId) => {
   }
 });
 
+ipcMain.handle('db-connections:describe-table', async (event, connectionId, table, options) => {
+  try {
+    return await describeTable(connectionId, table, options);
+  } catch (error) {
+    console.error('Error describing database table:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to describe database table',
+    };
+  }
+});
+
+ipcMain.handle('db-connections:preview-table', async (event, connectionId, table, options) => {
+  try {
+    return await previewTable(connectionId, table, options);
+  } catch (error) {
+    console.error('Error previewing database table:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to preview database table',
+    };
+  }
+});
+
+ipcMain.handle('db-connections:execute', async (event, connectionId, query, options) => {
+  try {
+    return await executeConnectionQuery(connectionId, query, options);
+  } catch (error) {
+    console.error('Error executing query on saved connection:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to execute query',
+    };
+  }
+});
+
+// Cancel any running operation (query, preview, table list or describe, connection test, practice data
+// query, export, diagnostics, Dentrix Service upload) by its operationId
+ipcMain.handle('db:cancel', async (event, operationId) => {
+  try {
+    return await cancelOperation(operationId);
+  } catch (error) {
+    console.error('Error cancelling operation:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to cancel operation',
+    };
+  }
+});
+
+ipcMain.handle('db-connections:list-operations', async () => {
+  try {
+    return { success: true, operations: listOperations() };
+  } catch (error) {
+    console.error('Error listing operations:', error);
+    return {
+      success: false,
+      operations: [],
+      error: error.message || 'Failed to list operations',
+    };
+  }
+});
+
+/**
+ * Suggested file name for an export: table name, "query-results" or
+ * "dentrix-appointments", plus today's date
+ */
+function getExportFileName(source, format) {
+  let baseName = 'query-results';
+  if (source && source.kind === 'table' && source.table && source.table.name) {
+    baseName = source.table.name;
+  } else if (source && source.kind === 'dentrix-appointments') {
+    baseName = 'dentrix-appointments';
+  }
+  const safeName = baseName.replace(/[\\/:*?"<>|]/g, '_');
+  return `${safeName}-${new Date().toISOString().slice(0, 10)}.${EXPORT_FORMATS[format].extensions[0]}`;
+}
+
+ipcMain.handle('db-connections:export-results', async (event, request = {}) => {
+  try {
+    const format = EXPORT_FORMATS[request.format];
+    if (!format) {
+      return { success: false, error: `Unsupported export format '${request.format}'` };
+    }
+
+    const { canceled, filePath } = await dialog.showSaveDialog(BrowserWindow.fromWebContents(event.sender), {
+      title: 'Export Results',
+      defaultPath: getExportFileName(request.source, request.format),
+      filters: [format, { name: 'All Files', extensions: ['*'] }],
+    });
+    if (canceled || !filePath) {
+      return { success: false, canceled: true };
+    }
+
+    return await exportResults(filePath, request, (progress) => {
+      if (!event.sender.isDestroyed()) {
+        event.sender.send('db-connections:export-progress', progress);
+      }
+    });
+  } catch (error) {
+    console.error('Error exporting results:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to export results',
+    };
+  }
+});
+
+ipcMain.handle('db-connections:capture-schema-snapshot', async (event, connectionId) => {
+  try {
+    return await captureSchemaSnapshot(connectionId);
+  } catch (error) {
+    console.error('Error capturing schema snapshot:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to capture schema snapshot',
+    };
+  }
+});
+
+ipcMain.handle('db-connections:list-schema-snapshots', async () => {
+  try {
+    return await listSchemaSnapshots();
+  } catch (error) {
+    console.error('Error listing schema snapshots:', error);
+    return {
+      success: false,
+      snapshots: [],
+      error: error.message || 'Failed to list schema snapshots',
+    };
+  }
+});
+
+ipcMain.handle('db-connections:delete-schema-snapshot', async (event, snapshotId) => {
+  try {
+    return await deleteSchemaSnapshot(snapshotId);
+  } catch (error) {
+    console.error('Error deleting schema snapshot:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to delete schema snapshot',
+    };
+  }
+});
+
+ipcMain.handle('db-connections:diff-schemas', async (event, base, target) => {
+  try {
+    return await diffSchemas(base, target);
+  } catch (error) {
+    console.error('Error diffing schemas:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to diff schemas',
+    };
+  }
+});
+
+ipcMain.handle('db-connections:get-pool-stats', async () => {
+  try {
+    return await getPoolStats();
+  } catch (error) {
+    console.error('Error getting pool stats:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to get pool stats',
+    };
+  }
+});
+
+ipcMain.handle('db-connections:get-health-stats', async (event, connectionIds) => {
+  try {
+    return await getConnectionHealthStats(connectionIds);
+  } catch (error) {
+    console.error('Error getting connection health stats:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to get connection health stats',
+    };
+  }
+});
+
+ipcMain.handle('db-connections:run-diagnostics', async (event, connectionId, options) => {
+  try {
+    return await runConnectionDiagnostics(connectionId, options);
+  } catch (error) {
+    console.error('Error running connection diagnostics:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to run connection diagnostics',
+    };
+  }
+});
+
+ipcMain.handle('db-connections:list-diagnostics', async (event, connectionId, options) => {
+  try {
+    return await listConnectionDiagnostics(connectionId, options);
+  } catch (error) {
+    console.error('Error listing connection diagnostics:', error);
+    return {
+      success: false,
+      reports: [],
+      error: error.message || 'Failed to list connection diagnostics',
+    };
+  }
+});
+
+ipcMain.handle('db-connections:get-monitor-settings', async () => {
+  try {
+    return await getMonitorSettings();
+  } catch (error) {
+    console.error('Error getting connection monitor settings:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to get connection monitor settings',
+    };
+  }
+});
+
+ipcMain.handle('db-connections:update-monitor-settings', async (event, updates) => {
+  try {
+    return await updateMonitorSettings(updates);
+  } catch (error) {
+    console.error('Error saving connection monitor settings:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to save connection monitor settings',
+    };
+  }
+});
+
+ipcMain.handle('db-connections:get-query-audit', async (event, options) => {
+  try {
+    return await readQueryAudit(options);
+  } catch (error) {
+    console.error('Error reading query audit log:', error);
+    return {
+      success: false,
+      entries: [],
+      error: error.message || 'Failed to read query audit log',
+    };
+  }
+});
+
 ipcMain.handle('db-connections:get-statuses', async () => {
   try {
     const result = await getAllConnectionStatuses();
@@ -766,6 +1046,93 @@ ipcMain.handle('db-connections:get-statuses', async () => {
   }
 });
 
+ipcMain.handle('db-connections:list-backups', async () => {
+  try {
+    const result = await listConnectionBackups();
+    return result;
+  } catch (error) {
+    console.error('Error listing connection backups:', error);
+    return {
+      success: false,
+      backups: [],
+      error: error.message || 'Failed to list connection backups',
+    };
+  }
+});
+
+ipcMain.handle('db-connections:restore-backup', async (event, backupId) => {
+  try {
+    const result = await restoreConnectionBackup(backupId);
+    return result;
+  } catch (error) {
+    console.error('Error restoring connection backup:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to restore connection backup',
+    };
+  }
+});
+
+const CONNECTION_BUNDLE_FILTERS = [
+  { name: 'Connection Bundle', extensions: ['json'] },
+  { name: 'All Files', extensions: ['*'] },
+];
+
+ipcMain.handle('db-connections:export', async (event, options = {}) => {
+  try {
+    const { canceled, filePath } = await dialog.showSaveDialog(BrowserWindow.fromWebContents(event.sender), {
+      title: 'Export Connections',
+      defaultPath: `connections-${new Date().toISOString().slice(0, 10)}.json`,
+      filters: CONNECTION_BUNDLE_FILTERS,
+    });
+    if (canceled || !filePath) {
+      return { success: false, canceled: true };
+    }
+
+    const result = await exportConnections(filePath, {
+      connectionIds: options.connectionIds,
+      passphrase: options.passphrase,
+    });
+    return result;
+  } catch (error) {
+    console.error('Error exporting connections:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to export connections',
+    };
+  }
+});
+
+ipcMain.handle('db-connections:import', async (event, options = {}) => {
+  try {
+    // filePath is passed back in when retrying the same file with a passphrase
+    let filePath = options.filePath;
+    if (!filePath) {
+      const { canceled, filePaths } = await dialog.showOpenDialog(BrowserWindow.fromWebContents(event.sender), {
+        title: 'Import Connections',
+        properties: ['openFile'],
+        filters: CONNECTION_BUNDLE_FILTERS,
+      });
+      if (canceled || !filePaths || filePaths.length === 0) {
+        return { success: false, canceled: true };
+      }
+      filePath = filePaths[0];
+    }
+
+    const result = await importConnections(filePath, {
+      passphrase: options.passphrase,
+      conflict: options.conflict,
+    });
+    return { ...result, filePath };
+  } catch (error) {
+    console.error('Error importing connections:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to import connections',
+    };
+  }
+});
+
 ipcMain.handle('db-connections:get-supported-types', async () => {
   try {
     const result = getSupportedDatabaseTypes();
@@ -896,9 +1263,9 @@ ipcMain.handle('db-connections:dentrix:test-initialization', async (event, userN
   }
 });
 
-ipcMain.handle('db-connections:dentrix:upload-documents', async (event, documents, dentrixServicePath) => {
+ipcMain.handle('db-connections:dentrix:upload-documents', async (event, documents, dentrixServicePath, options) => {
   try {
-    return await uploadDentrixDocuments(documents, dentrixServicePath);
+    return await uploadDentrixDocuments(documents, dentrixServicePath, options);
   } catch (error) {
     console.error('Error uploading Dentrix documents:', error);
     return { success: false, results: {}, error: error.message };
@@ -941,33 +1308,97 @@ ipcMain.handle('db-connections:dentrix:fetch-credentials-with-practice-info', as
   }
 });
 
-ipcMain.handle('db-connections:dentrix:get-practice-info', async (event, connectionString) => {
+ipcMain.handle('db-connections:dentrix:get-practice-info', async (event, connectionString, options) => {
   try {
-    return await getDentrixPracticeInfo(connectionString);
+    return await getDentrixPracticeInfo(connectionString, options);
   } catch (error) {
     console.error('Error getting Dentrix practice info:', error);
     return { success: false, error: error.message };
   }
 });
 
-ipcMain.handle('db-connections:dentrix:get-appointments', async (event, connectionString, startDate, endDate) => {
+ipcMain.handle('db-connections:dentrix:get-appointments', async (event, connectionString, startDate, endDate, options) => {
   try {
-    return await getDentrixAppointments(connectionString, startDate, endDate);
+    return await getDentrixAppointments(connectionString, startDate, endDate, options);
   } catch (error) {
     console.error('Error getting Dentrix appointments:', error);
     return { success: false, appointments: [], error: error.message };
   }
 });
 
-ipcMain.handle('db-connections:dentrix:get-appointment-ids', async (event, connectionString, startDate, endDate) => {
+ipcMain.handle('db-connections:dentrix:get-appointment-ids', async (event, connectionString, startDate, endDate, options) => {
   try {
-    return await getDentrixAppointmentIds(connectionString, startDate, endDate);
+    return await getDentrixAppointmentIds(connectionString, startDate, endDate, options);
   } catch (error) {
     console.error('Error getting Dentrix appointment IDs:', error);
     return { success: false, appointmentIds: [], error: error.message };
   }
 });
 
+// IPC Handlers for Open Dental-specific operations
+ipcMain.handle('db-connections:opendental:check-installed', async (event, openDentalPath) => {
+  try {
+    return await isOpenDentalInstalled(openDentalPath);
+  } catch (error) {
+    console.error('Error checking Open Dental installation:', error);
+    return {
+      installed: false,
+      error: error.message || 'Failed to check Open Dental installation',
+    };
+  }
+});
+
+ipcMain.handle('db-connections:opendental:fetch-credentials', async (event, openDentalPath) => {
+  try {
+    return await fetchOpenDentalCredentials(openDentalPath);
+  } catch (error) {
+    console.error('Error fetching Open Dental credentials:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to fetch Open Dental credentials',
+    };
+  }
+});
+
+ipcMain.handle('db-connections:opendental:add-connection', async (event, connectionName = 'Open Dental Database', openDentalPath) => {
+  try {
+    return await addOpenDentalConnection(connectionName, openDentalPath);
+  } catch (error) {
+    console.error('Error adding Open Dental connection:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to add Open Dental connection',
+    };
+  }
+});
+
+ipcMain.handle('db-connections:opendental:get-practice-info', async (event, connectionId, options) => {
+  try {
+    return await getOpenDentalPracticeInfo(connectionId, options);
+  } catch (error) {
+    console.error('Error getting Open Dental practice info:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('db-connections:opendental:get-appointments', async (event, connectionId, startDate, endDate, options) => {
+  try {
+    return await getOpenDentalAppointments(connectionId, startDate, endDate, options);
+  } catch (error) {
+    console.error('Error getting Open Dental appointments:', error);
+    return { success: false, appointments: [], error: error.message };
+  }
+});
+
+ipcMain.handle('db-connections:opendental:get-appointment-ids', async (event, connectionId, startDate, endDate, options) => {
+  try {
+    return await getOpenDentalAppointmentIds(connectionId, startDate, endDate, options);
+  } catch (error) {
+    console.error('Error getting Open Dental appointment IDs:', error);
+    return { success: false, appointmentIds: [], error: error.message };
+  }
+});
+
 // This method will be called when Electron has finished initialization
 app.whenReady().then(async () => {
   // Perform runtime validation before creating the window
@@ -980,6 +1411,18 @@ app.whenReady().then(async () => {
 
   createWindow();
 
+  // Scheduled connection checks run here, not in the renderer, so they continue
+  // while the window is closed or on the login screen
+  startConnectionMonitor({
+    onStatusChange: (change) => {
+      for (const window of BrowserWindow.getAllWindows()) {
+        if (!window.webContents.isDestroyed()) {
+          window.webContents.send('db-connections:status-changed', change);
+        }
+      }
+    },
+  });
+
   app.on('activate', () => {
     // On macOS it's common to re-create a window in the app when the
     // dock icon is clicked and there are no other windows open.
@@ -989,6 +1432,42 @@ app.whenReady().then(async () => {
 
 // Quit when all windows are closed, except on macOS
 app.on('window-all-closed', () => {
-  if (process.platform !== 'darwin') app.quit();
+  if (process.platform === 'darwin') return;
+  if (isBackgroundMonitoringEnabled()) {
+    showBackgroundTray();
+    return;
+  }
+  app.quit();
+});
+
+// Tray icon while the app runs without a window for background connection monitoring
+let backgroundTray = null;
+function showBackgroundTray() {
+  if (backgroundTray) return;
+  backgroundTray = new Tray(path.join(__dirname, 'build', 'icon.ico'));
+  const reopen = () => {
+    backgroundTray.destroy();
+    backgroundTray = null;
+    createWindow();
+  };
+  backgroundTray.setToolTip('ElectronPoC - monitoring database connections');
+  backgroundTray.setContextMenu(Menu.buildFromTemplate([
+    { label: 'Open', click: reopen },
+    { label: 'Quit', click: () => app.quit() },
+  ]));
+  backgroundTray.on('double-click', reopen);
+}
+
+// Close pooled database connections and ODBC bridge workers so servers see a clean logout
+let poolsClosed = false;
+app.on('before-quit', (event) => {
+  if (poolsClosed) return;
+  event.preventDefault();
+  poolsClosed = true;
+  stopConnectionMonitor();
+  // Do not let an unresponsive server hold up quitting
+  Promise.race([Promise.all([closeAllPools(), closeOdbcWorkers()]), new Promise(resolve => setTimeout(resolve, 3000))])
+    .catch(error => console.error('Error closing connection pools:', error))
+    .finally(() => app.quit());
 });
 
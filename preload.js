@@ -53,10 +53,52 @@ contextBridge.exposeInMainWorld('electronAPI', {
   addDatabaseConnection: (connectionData) => ipcRenderer.invoke('db-connections:add', connectionData),
   removeDatabaseConnection: (connectionId) => ipcRenderer.invoke('db-connections:remove', connectionId),
   updateDatabaseConnection: (connectionId, updates) => ipcRenderer.invoke('db-connections:update', connectionId, updates),
-  testDatabaseConnection: (connectionId) => ipcRenderer.invoke('db-connections:test', connectionId),
-  testAllDatabaseConnections: () => ipcRenderer.invoke('db-connections:test-all'),
-  listDatabaseTables: (connectionId) => ipcRenderer.invoke('db-connections:list-tables', connectionId),
+  testDatabaseConnection: (connectionId, options) => ipcRenderer.invoke('db-connections:test', connectionId, options),
+  // options: { testRunId, concurrency, timeoutMs }
+  testAllDatabaseConnections: (options) => ipcRenderer.invoke('db-connections:test-all', options),
+  // Subscribe to Test All progress ({ testRunId, connectionId, phase, result, completed, total }); returns an unsubscribe function
+  onDatabaseTestProgress: (callback) => {
+    const listener = (event, progress) => callback(progress);
+    ipcRenderer.on('db-connections:test-progress', listener);
+    return () => ipcRenderer.removeListener('db-connections:test-progress', listener);
+  },
+  listDatabaseTables: (connectionId, options) => ipcRenderer.invoke('db-connections:list-tables', connectionId, options),
+  describeDatabaseTable: (connectionId, table, options) => ipcRenderer.invoke('db-connections:describe-table', connectionId, table, options),
+  previewDatabaseTable: (connectionId, table, options) => ipcRenderer.invoke('db-connections:preview-table', connectionId, table, options),
+  executeDatabaseQuery: (connectionId, query, options) => ipcRenderer.invoke('db-connections:execute', connectionId, query, options),
+  cancelDatabaseOperation: (operationId) => ipcRenderer.invoke('db:cancel', operationId),
+  listDatabaseOperations: () => ipcRenderer.invoke('db-connections:list-operations'),
+  getQueryAuditLog: (options) => ipcRenderer.invoke('db-connections:get-query-audit', options),
+  exportDatabaseResults: (request) => ipcRenderer.invoke('db-connections:export-results', request),
+  // Subscribe to export progress ({ operationId, rowsWritten, maxRows }); returns an unsubscribe function
+  onDatabaseExportProgress: (callback) => {
+    const listener = (event, progress) => callback(progress);
+    ipcRenderer.on('db-connections:export-progress', listener);
+    return () => ipcRenderer.removeListener('db-connections:export-progress', listener);
+  },
+  captureSchemaSnapshot: (connectionId) => ipcRenderer.invoke('db-connections:capture-schema-snapshot', connectionId),
+  listSchemaSnapshots: () => ipcRenderer.invoke('db-connections:list-schema-snapshots'),
+  deleteSchemaSnapshot: (snapshotId) => ipcRenderer.invoke('db-connections:delete-schema-snapshot', snapshotId),
+  // base / target: { snapshotId } or { connectionId } (read live)
+  diffSchemas: (base, target) => ipcRenderer.invoke('db-connections:diff-schemas', base, target),
+  getDatabasePoolStats: () => ipcRenderer.invoke('db-connections:get-pool-stats'),
+  // Uptime, latency and failure streaks over 24h/7d/30d; connectionIds defaults to all saved connections
+  getDatabaseHealthStats: (connectionIds) => ipcRenderer.invoke('db-connections:get-health-stats', connectionIds),
+  runDatabaseDiagnostics: (connectionId, options) => ipcRenderer.invoke('db-connections:run-diagnostics', connectionId, options),
+  listDatabaseDiagnostics: (connectionId, options) => ipcRenderer.invoke('db-connections:list-diagnostics', connectionId, options),
+  getDatabaseMonitorSettings: () => ipcRenderer.invoke('db-connections:get-monitor-settings'),
+  updateDatabaseMonitorSettings: (updates) => ipcRenderer.invoke('db-connections:update-monitor-settings', updates),
+  // Subscribe to scheduled-check status changes ({ connectionId, name, previousSuccess, status }); returns an unsubscribe function
+  onDatabaseStatusChanged: (callback) => {
+    const listener = (event, change) => callback(change);
+    ipcRenderer.on('db-connections:status-changed', listener);
+    return () => ipcRenderer.removeListener('db-connections:status-changed', listener);
+  },
   getDatabaseConnectionStatuses: () => ipcRenderer.invoke('db-connections:get-statuses'),
+  listDatabaseConnectionBackups: () => ipcRenderer.invoke('db-connections:list-backups'),
+  restoreDatabaseConnectionBackup: (backupId) => ipcRenderer.invoke('db-connections:restore-backup', backupId),
+  exportDatabaseConnections: (options) => ipcRenderer.invoke('db-connections:export', options),
+  importDatabaseConnections: (options) => ipcRenderer.invoke('db-connections:import', options),
   getSupportedDatabaseTypes: () => ipcRenderer.invoke('db-connections:get-supported-types'),
   discoverAllDatabases: () => ipcRenderer.invoke('db-connections:discover-all'),
   fetchDatabaseCredentials: (dbType, instanceName) => ipcRenderer.invoke('db-connections:fetch-credentials', dbType, instanceName),
@@ -71,12 +113,20 @@ contextBridge.exposeInMainWorld('electronAPI', {
   checkDentrixInstallation: (dentrixServicePath) => ipcRenderer.invoke('db-connections:dentrix:check-installation', dentrixServicePath),
   checkDentrixAndGetConnectionString: (dentrixServicePath) => ipcRenderer.invoke('db-connections:dentrix:check-and-get-connection-string', dentrixServicePath),
   testDentrixInitialization: (userName, password, dentrixServicePath) => ipcRenderer.invoke('db-connections:dentrix:test-initialization', userName, password, dentrixServicePath),
-  uploadDentrixDocuments: (documents, dentrixServicePath) => ipcRenderer.invoke('db-connections:dentrix:upload-documents', documents, dentrixServicePath),
+  uploadDentrixDocuments: (documents, dentrixServicePath, options) => ipcRenderer.invoke('db-connections:dentrix:upload-documents', documents, dentrixServicePath, options),
   fetchDentrixCredentials: (dentrixServicePath) => ipcRenderer.invoke('db-connections:dentrix:fetch-credentials', dentrixServicePath),
   fetchDentrixCredentialsWithPracticeInfo: (dentrixServicePath) => ipcRenderer.invoke('db-connections:dentrix:fetch-credentials-with-practice-info', dentrixServicePath),
   addDentrixConnection: (connectionName, dentrixServicePath) => ipcRenderer.invoke('db-connections:dentrix:add-connection', connectionName, dentrixServicePath),
-  getDentrixPracticeInfo: (connectionString) => ipcRenderer.invoke('db-connections:dentrix:get-practice-info', connectionString),
-  getDentrixAppointments: (connectionString, startDate, endDate) => ipcRenderer.invoke('db-connections:dentrix:get-appointments', connectionString, startDate, endDate),
-  getDentrixAppointmentIds: (connectionString, startDate, endDate) => ipcRenderer.invoke('db-connections:dentrix:get-appointment-ids', connectionString, startDate, endDate),
+  getDentrixPracticeInfo: (connectionString, options) => ipcRenderer.invoke('db-connections:dentrix:get-practice-info', connectionString, options),
+  getDentrixAppointments: (connectionString, startDate, endDate, options) => ipcRenderer.invoke('db-connections:dentrix:get-appointments', connectionString, startDate, endDate, options),
+  getDentrixAppointmentIds: (connectionString, startDate, endDate, options) => ipcRenderer.invoke('db-connections:dentrix:get-appointment-ids', connectionString, startDate, endDate, options),
+
+  // Open Dental-specific Database Operations
+  isOpenDentalInstalled: (openDentalPath) => ipcRenderer.invoke('db-connections:opendental:check-installed', openDentalPath),
+  fetchOpenDentalCredentials: (openDentalPath) => ipcRenderer.invoke('db-connections:opendental:fetch-credentials', openDentalPath),
+  addOpenDentalConnection: (connectionName, openDentalPath) => ipcRenderer.invoke('db-connections:opendental:add-connection', connectionName, openDentalPath),
+  getOpenDentalPracticeInfo: (connectionId, options) => ipcRenderer.invoke('db-connections:opendental:get-practice-info', connectionId, options),
+  getOpenDentalAppointments: (connectionId, startDate, endDate, options) => ipcRenderer.invoke('db-connections:opendental:get-appointments', connectionId, startDate, endDate, options),
+  getOpenDentalAppointmentIds: (connectionId, startDate, endDate, options) => ipcRenderer.invoke('db-connections:opendental:get-appointment-ids', connectionId, startDate, endDate, options),
 });
 
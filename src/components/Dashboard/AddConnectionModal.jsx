@@ -1,5 +1,8 @@
 import React, { useEffect, useState } from 'react';
 
+// Discover options for live practice databases - created read-only by default
+const PRACTICE_DATABASE_INSTANCES = ['__dentrix__', '__eaglesoft__', '__opendental__'];
+
 function AddConnectionModal({ supportedDbTypes, onClose, onAdd }) {
   const [mode, setMode] = useState('discover');
   const [discoveredDatabases, setDiscoveredDatabases] = useState([]);
@@ -20,6 +23,8 @@ function AddConnectionModal({ supportedDbTypes, onClose, onAdd }) {
   const [dentrixSourceId, setDentrixSourceId] = useState(null);
   const [dentrixTestMessage, setDentrixTestMessage] = useState(null);
   const [dentrixTesting, setDentrixTesting] = useState(false);
+  const [openDentalError, setOpenDentalError] = useState(null);
+  const [openDentalPracticeName, setOpenDentalPracticeName] = useState(null);
   
   const [connectionName, setConnectionName] = useState('');
   const [dbType, setDbType] = useState('mssql');
@@ -32,6 +37,15 @@ function AddConnectionModal({ supportedDbTypes, onClose, onAdd }) {
   const [windowsAuth, setWindowsAuth] = useState(false);
   const [encrypt, setEncrypt] = useState(true);
   const [trustServerCertificate, setTrustServerCertificate] = useState(false);
+  const [ssl, setSsl] = useState(false);
+  const [sqliteFilePath, setSqliteFilePath] = useState('');
+  const [sqliteReadOnly, setSqliteReadOnly] = useState(true);
+  const [oracleAddressType, setOracleAddressType] = useState('serviceName');
+  const [oracleServiceOrSid, setOracleServiceOrSid] = useState('');
+  const [readOnly, setReadOnly] = useState(false);
+  const [retryAttempts, setRetryAttempts] = useState('');
+  const [connectTimeoutSeconds, setConnectTimeoutSeconds] = useState('');
+  const [queryTimeoutSeconds, setQueryTimeoutSeconds] = useState('');
 
   useEffect(() => {
     if (mode === 'discover') {
@@ -61,8 +75,11 @@ function AddConnectionModal({ supportedDbTypes, onClose, onAdd }) {
 
   const handleInstanceSelect = async (instanceId) => {
     setSelectedInstance(instanceId);
+    setReadOnly(PRACTICE_DATABASE_INSTANCES.includes(instanceId));
     setEaglesoftError(null);
     setDentrixError(null);
+    setOpenDentalError(null);
+    setOpenDentalPracticeName(null);
 
     if (!instanceId) {
       setConnectionName('');
@@ -170,6 +187,63 @@ function AddConnectionModal({ supportedDbTypes, onClose, onAdd }) {
       return;
     }
 
+    // Open Dental flow: credentials come from FreeDentalConfig.xml in the Open Dental folder
+    if (instanceId === '__opendental__') {
+      setConnectionName('Open Dental Database');
+      setDbType('mysql');
+      setServer('');
+      setHost('');
+      setPort('');
+      setDatabase('');
+      setUsername('');
+      setPassword('');
+      setWindowsAuth(false);
+      setCredentialsAutoFilled(false);
+      setCredentialsSource('');
+
+      if (window.electronAPI?.isOpenDentalInstalled && window.electronAPI?.fetchOpenDentalCredentials) {
+        setFetchingCredentials(true);
+        try {
+          const installCheck = await window.electronAPI.isOpenDentalInstalled();
+          if (!installCheck.installed) {
+            setOpenDentalError(installCheck.error || 'Open Dental is not installed');
+            return;
+          }
+
+          const result = await window.electronAPI.fetchOpenDentalCredentials();
+
+          if (result.success && result.config) {
+            setCredentialsAutoFilled(true);
+            setCredentialsSource(result.source || 'Open Dental local installation');
+
+            if (result.config.host) setHost(result.config.host);
+            if (result.config.port) setPort(result.config.port.toString());
+            if (result.config.database) setDatabase(result.config.database);
+            if (result.config.username) setUsername(result.config.username);
+            if (result.config.password) setPassword(result.config.password);
+
+            setOpenDentalPracticeName(result.siteId || null);
+            if (result.config.passwordEncrypted) {
+              setOpenDentalError('The MySQL password is stored encrypted by Open Dental - please enter it below');
+            } else if (result.practiceInfoError) {
+              setOpenDentalError(`Could not read practice info: ${result.practiceInfoError}`);
+            }
+          } else {
+            setOpenDentalError(result.error || 'Failed to fetch Open Dental credentials');
+          }
+        } catch (error) {
+          console.error('Error fetching Open Dental credentials:', error);
+          setCredentialsAutoFilled(false);
+          setCredentialsSource('');
+          setOpenDentalError(error.message || 'Failed to fetch Open Dental credentials');
+        } finally {
+          setFetchingCredentials(false);
+        }
+      }
+
+      return;
+    }
+
     // Special synthetic option for Eaglesoft detection/fetch
     if (instanceId === '__eaglesoft__') {
       // Reset basic fields
@@ -284,6 +358,9 @@ function AddConnectionModal({ supportedDbTypes, onClose, onAdd }) {
             if (result.config.password) setPassword(result.config.password);
             if (result.config.port) setPort(result.config.port.toString());
             if (result.config.host) setHost(result.config.host);
+            if (instance.type === 'postgres' && result.config.ssl !== undefined) {
+              setSsl(result.config.ssl === 'true' || result.config.ssl === true);
+            }
           }
         } else if (result.error) {
           console.log('No credentials found in registry:', result.error);
@@ -308,6 +385,7 @@ function AddConnectionModal({ supportedDbTypes, onClose, onAdd }) {
 
     const isEaglesoftInstance = selectedInstance === '__eaglesoft__';
     const isDentrixInstance = selectedInstance === '__dentrix__';
+    const isOpenDentalInstance = selectedInstance === '__opendental__';
 
     const connectionData = {
       name: connectionName.trim(),
@@ -380,6 +458,56 @@ function AddConnectionModal({ supportedDbTypes, onClose, onAdd }) {
         username: username.trim(),
         password: password,
       };
+      if (isOpenDentalInstance) {
+        connectionData.config.openDental = true;
+      }
+    } else if (dbType === 'postgres') {
+      connectionData.config = {
+        host: host.trim() || 'localhost',
+        port: port ? parseInt(port, 10) : 5432,
+        database: database.trim(),
+        username: username.trim(),
+        password: password,
+        ssl,
+        trustServerCertificate: ssl ? trustServerCertificate : undefined,
+      };
+    } else if (dbType === 'oracle') {
+      if (!oracleServiceOrSid.trim()) {
+        alert(`Please enter the ${oracleAddressType === 'sid' ? 'SID' : 'service name'}`);
+        return;
+      }
+      connectionData.config = {
+        host: host.trim() || 'localhost',
+        port: port ? parseInt(port, 10) : 1521,
+        oracleAddressType,
+        [oracleAddressType]: oracleServiceOrSid.trim(),
+        username: username.trim(),
+        password: password,
+      };
+    } else if (dbType === 'sqlite') {
+      if (!sqliteFilePath.trim()) {
+        alert('Please enter the database file path');
+        return;
+      }
+      connectionData.config = {
+        filePath: sqliteFilePath.trim(),
+        readOnly: sqliteReadOnly,
+      };
+    }
+
+    if (dbType !== 'sqlite') {
+      connectionData.config.readOnly = readOnly;
+    }
+    // Blank keeps the default retry policy
+    if (retryAttempts !== '') {
+      connectionData.config.retry = { maxAttempts: parseInt(retryAttempts, 10) };
+    }
+    // Timeouts are entered in seconds and stored in ms; blank keeps the defaults (15 s connect, 60 s query)
+    if (connectTimeoutSeconds !== '') {
+      connectionData.config.connectionTimeout = parseInt(connectTimeoutSeconds, 10) * 1000;
+    }
+    if (queryTimeoutSeconds !== '') {
+      connectionData.config.requestTimeout = parseInt(queryTimeoutSeconds, 10) * 1000;
     }
 
     onAdd(connectionData);
@@ -452,6 +580,7 @@ function AddConnectionModal({ supportedDbTypes, onClose, onAdd }) {
                   {/* Special option for Eaglesoft auto-detect */}
                   <option value="__eaglesoft__">Eaglesoft (local installation)</option>
                   <option value="__dentrix__">Dentrix (via Dentrix Service)</option>
+                  <option value="__opendental__">Open Dental (local installation)</option>
                   {discoveredDatabases.length === 0 && !discoveringDatabases && (
                     <option value="" disabled>No databases found on this machine</option>
                   )}
@@ -513,6 +642,24 @@ function AddConnectionModal({ supportedDbTypes, onClose, onAdd }) {
                     {dentrixError}
                   </div>
                 )}
+                {openDentalError && (
+                  <div style={{
+                    fontSize: '0.8rem',
+                    color: '#fbbf24',
+                    marginTop: '0.5rem',
+                    display: 'flex',
+                    alignItems: 'center',
+                    gap: '0.5rem',
+                  }}>
+                    <i className="fa-solid fa-triangle-exclamation" aria-hidden="true"></i>
+                    {openDentalError}
+                  </div>
+                )}
+                {selectedInstance === '__opendental__' && credentialsAutoFilled && openDentalPracticeName && (
+                  <div style={{ fontSize: '0.8rem', color: '#94a3b8', marginTop: '0.5rem' }}>
+                    Practice: {openDentalPracticeName}
+                  </div>
+                )}
                 {selectedInstance === '__dentrix__' && credentialsAutoFilled && (dentrixSiteId || dentrixSourceId) && (
                   <div style={{ fontSize: '0.8rem', color: '#94a3b8', marginTop: '0.5rem' }}>
                     Practice: {dentrixSiteId || '—'} | Source ID: {dentrixSourceId || '—'}
@@ -733,6 +880,31 @@ function AddConnectionModal({ supportedDbTypes, onClose, onAdd }) {
                 <label htmlFor="trustServerCertificate" style={{ marginBottom: 0 }}>Trust Server Certificate</label>
               </div>
             </>
+          ) : (mode === 'manual' || selectedInstance) && dbType === 'sqlite' ? (
+            <>
+              <div className="form-group">
+                <label htmlFor="sqliteFilePath">Database File *</label>
+                <input
+                  type="text"
+                  id="sqliteFilePath"
+                  value={sqliteFilePath}
+                  onChange={(e) => setSqliteFilePath(e.target.value)}
+                  placeholder="C:\ProgramData\Eligibility\cache.db"
+                  required
+                />
+              </div>
+
+              <div className="form-group" style={{ flexDirection: 'row', alignItems: 'center' }}>
+                <input
+                  type="checkbox"
+                  id="sqliteReadOnly"
+                  checked={sqliteReadOnly}
+                  onChange={(e) => setSqliteReadOnly(e.target.checked)}
+                  style={{ width: 'auto', marginRight: '0.5rem' }}
+                />
+                <label htmlFor="sqliteReadOnly" style={{ marginBottom: 0 }}>Open Read-Only</label>
+              </div>
+            </>
           ) : (mode === 'manual' || selectedInstance) ? (
             <>
               <div className="form-group">
@@ -758,16 +930,44 @@ function AddConnectionModal({ supportedDbTypes, onClose, onAdd }) {
                 />
               </div>
 
-              <div className="form-group">
-                <label htmlFor="database">Database</label>
-                <input
-                  type="text"
-                  id="database"
-                  value={database}
-                  onChange={(e) => setDatabase(e.target.value)}
-                  placeholder="my_database"
-                />
-              </div>
+              {dbType === 'oracle' ? (
+                <>
+                  <div className="form-group">
+                    <label htmlFor="oracleAddressType">Connect Using</label>
+                    <select
+                      id="oracleAddressType"
+                      value={oracleAddressType}
+                      onChange={(e) => setOracleAddressType(e.target.value)}
+                    >
+                      <option value="serviceName">Service Name</option>
+                      <option value="sid">SID</option>
+                    </select>
+                  </div>
+
+                  <div className="form-group">
+                    <label htmlFor="oracleServiceOrSid">{oracleAddressType === 'sid' ? 'SID *' : 'Service Name *'}</label>
+                    <input
+                      type="text"
+                      id="oracleServiceOrSid"
+                      value={oracleServiceOrSid}
+                      onChange={(e) => setOracleServiceOrSid(e.target.value)}
+                      placeholder={oracleAddressType === 'sid' ? 'ORCL' : 'ORCLPDB1'}
+                      required
+                    />
+                  </div>
+                </>
+              ) : (
+                <div className="form-group">
+                  <label htmlFor="database">Database</label>
+                  <input
+                    type="text"
+                    id="database"
+                    value={database}
+                    onChange={(e) => setDatabase(e.target.value)}
+                    placeholder="my_database"
+                  />
+                </div>
+              )}
 
               <div className="form-group">
                 <label htmlFor="username">Username</label>
@@ -776,7 +976,7 @@ function AddConnectionModal({ supportedDbTypes, onClose, onAdd }) {
                   id="username"
                   value={username}
                   onChange={(e) => setUsername(e.target.value)}
-                  placeholder="root"
+                  placeholder={dbType === 'postgres' ? 'postgres' : dbType === 'oracle' ? 'system' : 'root'}
                 />
               </div>
 
@@ -789,9 +989,94 @@ function AddConnectionModal({ supportedDbTypes, onClose, onAdd }) {
                   onChange={(e) => setPassword(e.target.value)}
                 />
               </div>
+
+              {dbType === 'postgres' && (
+                <>
+                  <div className="form-group" style={{ flexDirection: 'row', alignItems: 'center' }}>
+                    <input
+                      type="checkbox"
+                      id="ssl"
+                      checked={ssl}
+                      onChange={(e) => setSsl(e.target.checked)}
+                      style={{ width: 'auto', marginRight: '0.5rem' }}
+                    />
+                    <label htmlFor="ssl" style={{ marginBottom: 0 }}>Use SSL</label>
+                  </div>
+
+                  {ssl && (
+                    <div className="form-group" style={{ flexDirection: 'row', alignItems: 'center' }}>
+                      <input
+                        type="checkbox"
+                        id="trustServerCertificate"
+                        checked={trustServerCertificate}
+                        onChange={(e) => setTrustServerCertificate(e.target.checked)}
+                        style={{ width: 'auto', marginRight: '0.5rem' }}
+                      />
+                      <label htmlFor="trustServerCertificate" style={{ marginBottom: 0 }}>Trust Server Certificate</label>
+                    </div>
+                  )}
+                </>
+              )}
             </>
           ) : null}
 
+          {(mode === 'manual' || selectedInstance) && dbType !== 'sqlite' && (
+            <div className="form-group" style={{ flexDirection: 'row', alignItems: 'center' }}>
+              <input
+                type="checkbox"
+                id="readOnly"
+                checked={readOnly}
+                onChange={(e) => setReadOnly(e.target.checked)}
+                style={{ width: 'auto', marginRight: '0.5rem' }}
+              />
+              <label htmlFor="readOnly" style={{ marginBottom: 0 }}>Read-Only (block data-modifying queries)</label>
+            </div>
+          )}
+
+          {(mode === 'manual' || selectedInstance) && (
+            <div className="form-group">
+              <label htmlFor="retryAttempts">Attempts on transient errors</label>
+              <input
+                type="number"
+                id="retryAttempts"
+                min="1"
+                max="10"
+                value={retryAttempts}
+                onChange={(e) => setRetryAttempts(e.target.value)}
+                placeholder="3 (default); 1 turns retries off"
+              />
+            </div>
+          )}
+
+          {(mode === 'manual' || selectedInstance) && (
+            <div style={{ display: 'flex', gap: '0.5rem' }}>
+              <div className="form-group" style={{ flex: 1 }}>
+                <label htmlFor="connectTimeoutSeconds">Connect timeout (seconds)</label>
+                <input
+                  type="number"
+                  id="connectTimeoutSeconds"
+                  min="1"
+                  max="300"
+                  value={connectTimeoutSeconds}
+                  onChange={(e) => setConnectTimeoutSeconds(e.target.value)}
+                  placeholder="15 (default)"
+                />
+              </div>
+              <div className="form-group" style={{ flex: 1 }}>
+                <label htmlFor="queryTimeoutSeconds">Query timeout (seconds)</label>
+                <input
+                  type="number"
+                  id="queryTimeoutSeconds"
+                  min="1"
+                  max="3600"
+                  value={queryTimeoutSeconds}
+                  onChange={(e) => setQueryTimeoutSeconds(e.target.value)}
+                  placeholder="60 (default)"
+                />
+              </div>
+            </div>
+          )}
+
           <div className="modal-footer">
             <button type="button" className="modal-btn modal-btn--secondary" onClick={onClose}>
               Cancel
@@ -0,0 +1,65 @@
+import React, { useState } from 'react';
+import ResultExportControls from './ResultExportControls';
+
+function toDateInputValue(date) {
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return local.toISOString().slice(0, 10);
+}
+
+/**
+ * Export Dentrix appointments (getDentrixAppointments rows) for a date range
+ */
+function AppointmentsExportModal({ connection, onClose, onExport, onCancelOperation }) {
+  const [startDate, setStartDate] = useState(() => toDateInputValue(new Date(Date.now() - 30 * 24 * 60 * 60 * 1000)));
+  const [endDate, setEndDate] = useState(() => toDateInputValue(new Date()));
+
+  const validRange = startDate && endDate && startDate <= endDate;
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content" onClick={(e) => e.stopPropagation()} style={{ maxWidth: '36rem' }}>
+        <div className="modal-header">
+          <h2>Export Appointments — {connection.name}</h2>
+          <button className="modal-close" onClick={onClose}>
+            <i className="fa-solid fa-xmark" aria-hidden="true"></i>
+          </button>
+        </div>
+
+        <div className="modal-body">
+          <p style={{ fontSize: '0.8rem', color: '#94a3b8', margin: '0 0 1rem' }}>
+            Appointments modified in the date range, with patient and insurance details.
+            Long ranges are read a week at a time.
+          </p>
+          <div style={{ display: 'flex', gap: '1rem' }}>
+            <div className="form-group" style={{ flex: 1 }}>
+              <label htmlFor="appointmentsStartDate">From</label>
+              <input type="date" id="appointmentsStartDate" value={startDate} onChange={(e) => setStartDate(e.target.value)} />
+            </div>
+            <div className="form-group" style={{ flex: 1 }}>
+              <label htmlFor="appointmentsEndDate">To</label>
+              <input type="date" id="appointmentsEndDate" value={endDate} onChange={(e) => setEndDate(e.target.value)} />
+            </div>
+          </div>
+          {!validRange && (
+            <p style={{ color: '#ef4444', margin: '0 0 1rem' }}>The start date must be on or before the end date</p>
+          )}
+
+          <ResultExportControls
+            source={{ kind: 'dentrix-appointments', connectionId: connection.id, startDate, endDate }}
+            onExport={onExport}
+            onCancel={onCancelOperation}
+            disabled={!validRange}
+          />
+        </div>
+
+        <div className="modal-footer">
+          <button type="button" className="modal-btn modal-btn--secondary" onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default AppointmentsExportModal;
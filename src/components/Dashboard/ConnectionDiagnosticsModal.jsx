@@ -0,0 +1,226 @@
+import React, { useCallback, useEffect, useState } from 'react';
+
+const mutedStyle = { fontSize: '0.8rem', color: '#94a3b8' };
+
+function formatMs(ms) {
+  if (ms === null || ms === undefined) return '—';
+  if (ms >= 1000) return `${(ms / 1000).toFixed(2)} s`;
+  return `${ms < 10 ? ms.toFixed(1) : Math.round(ms)} ms`;
+}
+
+function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  if (bytes >= 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${bytes} B`;
+}
+
+function formatTable(table) {
+  return table.schema ? `${table.schema}.${table.name}` : table.name;
+}
+
+function DetailRow({ label, children, title }) {
+  return (
+    <div className="service-item__details" title={title}>
+      <span className="service-item__detail-label">{label}</span>
+      <span className="service-item__detail-value">{children}</span>
+    </div>
+  );
+}
+
+/**
+ * One diagnostic report: connect time, round-trip percentiles, throughput and,
+ * for ODBC connections, the PowerShell bridge overhead
+ */
+function DiagnosticReport({ report }) {
+  const { connect, roundTrip, throughput, bridge } = report;
+  return (
+    <div>
+      <p style={{ ...mutedStyle, margin: '0 0 0.5rem' }}>
+        {new Date(report.finishedAt).toLocaleString()}
+        {report.success ? '' : ' · failed'}
+      </p>
+      {report.error && (
+        <p style={{ color: '#ef4444', margin: '0 0 0.5rem' }}>{report.error}</p>
+      )}
+
+      <DetailRow label="Connect:">{connect ? formatMs(connect.ms) : '—'}</DetailRow>
+      {roundTrip && (
+        <DetailRow label="Round trip:" title={`Samples: ${roundTrip.samplesMs.join(', ')} ms`}>
+          p50 {formatMs(roundTrip.p50Ms)} · p95 {formatMs(roundTrip.p95Ms)}
+          <span style={{ color: '#94a3b8' }}>
+            {' '}(min {formatMs(roundTrip.minMs)}, max {formatMs(roundTrip.maxMs)}, mean {formatMs(roundTrip.meanMs)} over {roundTrip.iterations})
+          </span>
+        </DetailRow>
+      )}
+      {throughput && (
+        <DetailRow label="Throughput:" title={throughput.query}>
+          {throughput.rows.toLocaleString()} rows ({formatBytes(throughput.bytes)}) from {formatTable(throughput.table)} in {formatMs(throughput.ms)}
+          <span style={{ color: '#94a3b8' }}>
+            {' '}· {throughput.rowsPerSecond.toLocaleString()} rows/s, {formatBytes(throughput.bytesPerSecond)}/s
+          </span>
+        </DetailRow>
+      )}
+      {bridge && (
+        <>
+          <DetailRow label="PowerShell startup:">
+            {formatMs(bridge.startupMs)} ({bridge.powershell})
+          </DetailRow>
+          <DetailRow label="Bridge overhead:">
+            {formatMs(bridge.overheadMs)} of {formatMs(bridge.processMs)} for the diagnostic process
+          </DetailRow>
+          <p style={{ ...mutedStyle, margin: '0.5rem 0 0' }}>
+            ODBC queries run on long-lived bridge workers that keep their connections open, so only the first query after a worker starts pays the startup and connect times above.
+          </p>
+        </>
+      )}
+      {report.warnings.map(warning => (
+        <p key={warning} style={{ color: '#b45309', fontSize: '0.8rem', margin: '0.5rem 0 0' }}>{warning}</p>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * Run latency and throughput diagnostics for a saved connection and browse earlier reports
+ */
+function ConnectionDiagnosticsModal({ connection, onClose, onRun, onCancel, onList, onListTables }) {
+  const [iterations, setIterations] = useState('10');
+  const [sampleRows, setSampleRows] = useState('1000');
+  const [tables, setTables] = useState([]);
+  const [tableIndex, setTableIndex] = useState('');
+  const [running, setRunning] = useState(false);
+  const [operationId, setOperationId] = useState(null);
+  const [runError, setRunError] = useState(null);
+  const [reports, setReports] = useState([]);
+  const [selectedIndex, setSelectedIndex] = useState(0);
+
+  const loadReports = useCallback(async () => {
+    const result = await onList(connection.id);
+    if (result.success) {
+      setReports(result.reports);
+      setSelectedIndex(0);
+    }
+  }, [connection.id, onList]);
+
+  useEffect(() => {
+    loadReports();
+    if (connection.status?.success === true) {
+      onListTables(connection.id).then((result) => {
+        if (result && result.success) setTables(result.tables);
+      });
+    }
+  }, []);
+
+  const handleRun = async () => {
+    const runId = window.crypto.randomUUID();
+    setRunning(true);
+    setOperationId(runId);
+    setRunError(null);
+    try {
+      const result = await onRun(connection.id, {
+        operationId: runId,
+        iterations: parseInt(iterations, 10),
+        sampleRows: parseInt(sampleRows, 10),
+        ...(tableIndex !== '' && { table: tables[tableIndex] }),
+      });
+      if (!result.report && !result.cancelled) setRunError(result.error || 'Failed to run diagnostics');
+      await loadReports();
+    } finally {
+      setRunning(false);
+      setOperationId(null);
+    }
+  };
+
+  const selected = reports[selectedIndex];
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content" onClick={(e) => e.stopPropagation()} style={{ maxWidth: '44rem' }}>
+        <div className="modal-header">
+          <h2>Diagnostics: {connection.name}</h2>
+          <button className="modal-close" onClick={onClose}>
+            <i className="fa-solid fa-xmark" aria-hidden="true"></i>
+          </button>
+        </div>
+
+        <div className="modal-body">
+          <p style={{ ...mutedStyle, margin: '0 0 1rem' }}>
+            Opens a new connection, times SELECT 1 round trips and fetches a sample of table rows.
+            Reports are kept in the connection's health history.
+          </p>
+
+          <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap' }}>
+            <div className="form-group" style={{ flex: '1 1 8rem' }}>
+              <label htmlFor="diagnosticIterations">Round trips</label>
+              <input
+                type="number"
+                id="diagnosticIterations"
+                min="1"
+                max="100"
+                value={iterations}
+                onChange={(e) => setIterations(e.target.value)}
+              />
+            </div>
+            <div className="form-group" style={{ flex: '1 1 8rem' }}>
+              <label htmlFor="diagnosticSampleRows">Sample rows</label>
+              <input
+                type="number"
+                id="diagnosticSampleRows"
+                min="1"
+                max="10000"
+                value={sampleRows}
+                onChange={(e) => setSampleRows(e.target.value)}
+              />
+            </div>
+            <div className="form-group" style={{ flex: '2 1 14rem' }}>
+              <label htmlFor="diagnosticTable">Sample table</label>
+              <select id="diagnosticTable" value={tableIndex} onChange={(e) => setTableIndex(e.target.value)}>
+                <option value="">First table</option>
+                {tables.map((table, i) => (
+                  <option key={formatTable(table)} value={i}>{formatTable(table)}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          {runError && <p style={{ color: '#ef4444', margin: '0 0 1rem' }}>{runError}</p>}
+
+          {reports.length === 0 && !running && (
+            <p style={{ margin: 0 }}>No diagnostics have been run for this connection in the last 30 days.</p>
+          )}
+          {reports.length > 1 && (
+            <div className="form-group">
+              <label htmlFor="diagnosticReport">Report</label>
+              <select id="diagnosticReport" value={selectedIndex} onChange={(e) => setSelectedIndex(Number(e.target.value))}>
+                {reports.map((report, i) => (
+                  <option key={report.finishedAt} value={i}>
+                    {new Date(report.finishedAt).toLocaleString()}
+                    {report.roundTrip ? ` · p50 ${formatMs(report.roundTrip.p50Ms)}` : ' · failed'}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+          {selected && <DiagnosticReport report={selected} />}
+        </div>
+
+        <div className="modal-footer">
+          <button type="button" className="modal-btn modal-btn--secondary" onClick={onClose}>
+            Close
+          </button>
+          {running && onCancel && operationId && (
+            <button type="button" className="modal-btn modal-btn--secondary" onClick={() => onCancel(operationId)}>
+              Cancel Run
+            </button>
+          )}
+          <button type="button" className="modal-btn modal-btn--primary" onClick={handleRun} disabled={running}>
+            {running && <i className="fa-solid fa-spinner fa-spin" aria-hidden="true" style={{ marginRight: '0.35rem' }}></i>}
+            {running ? 'Running…' : 'Run Diagnostics'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ConnectionDiagnosticsModal;
@@ -0,0 +1,79 @@
+import React from 'react';
+
+const WIDTH = 120;
+const HEIGHT = 24;
+const SUCCESS_COLOR = '#22c55e';
+const FAILURE_COLOR = '#ef4444';
+
+function formatUptime(window) {
+  return window && window.uptimePercent !== null ? `${window.uptimePercent}%` : '—';
+}
+
+function formatStreak(streak) {
+  if (!streak) return null;
+  const from = new Date(streak.startedAt).toLocaleString();
+  const to = new Date(streak.endedAt).toLocaleString();
+  return `${streak.count} failed check${streak.count === 1 ? '' : 's'} (${from === to ? from : `${from} – ${to}`})`;
+}
+
+/**
+ * Latency of the most recent checks as a line; failed checks are red marks on the baseline
+ */
+function Sparkline({ checks }) {
+  const latencies = checks.map(check => (check.success ? check.latencyMs : null));
+  const maxLatency = Math.max(1, ...latencies.filter(Number.isFinite));
+  const step = checks.length > 1 ? WIDTH / (checks.length - 1) : 0;
+  const y = latency => HEIGHT - 2 - ((HEIGHT - 4) * latency) / maxLatency;
+
+  const points = checks
+    .map((check, i) => (Number.isFinite(latencies[i]) ? `${(i * step).toFixed(1)},${y(latencies[i]).toFixed(1)}` : null))
+    .filter(Boolean)
+    .join(' ');
+
+  return (
+    <svg width={WIDTH} height={HEIGHT} viewBox={`-2 0 ${WIDTH + 4} ${HEIGHT}`} aria-hidden="true" style={{ verticalAlign: 'middle' }}>
+      {points && <polyline points={points} fill="none" stroke={SUCCESS_COLOR} strokeWidth="1.5" />}
+      {checks.map((check, i) => (!check.success ? (
+        <rect key={check.at} x={i * step - 1.5} y={HEIGHT - 8} width="3" height="8" fill={FAILURE_COLOR}>
+          <title>{`${new Date(check.at).toLocaleString()}: failed${check.code ? ` (${check.code})` : ''}`}</title>
+        </rect>
+      ) : null))}
+    </svg>
+  );
+}
+
+/**
+ * Connection row health: recent checks sparkline plus uptime over 24h / 7d / 30d.
+ * The tooltip carries mean latency and the longest failure streak of each window.
+ */
+function ConnectionHealthSparkline({ stats }) {
+  if (!stats || stats.recent.length === 0) return null;
+  const { windows } = stats;
+  const tooltip = Object.entries(windows)
+    .map(([name, window]) => [
+      `${name}: ${formatUptime(window)} up over ${window.checks} checks`,
+      window.meanLatencyMs !== null ? `, mean latency ${window.meanLatencyMs} ms` : '',
+      window.longestFailureStreak ? `, longest outage ${formatStreak(window.longestFailureStreak)}` : '',
+    ].join(''))
+    .join('\n');
+
+  return (
+    <div className="service-item__details" title={tooltip}>
+      <span className="service-item__detail-label">Health:</span>
+      <span className="service-item__detail-value" style={{ display: 'inline-flex', alignItems: 'center', gap: '0.5rem' }}>
+        <Sparkline checks={stats.recent} />
+        <span>
+          24h {formatUptime(windows['24h'])} · 7d {formatUptime(windows['7d'])} · 30d {formatUptime(windows['30d'])}
+          {windows['24h'].meanLatencyMs !== null && ` · ${windows['24h'].meanLatencyMs} ms avg`}
+        </span>
+        {windows['24h'].currentFailureStreak && (
+          <span style={{ color: FAILURE_COLOR }}>
+            {windows['24h'].currentFailureStreak.count} failed in a row
+          </span>
+        )}
+      </span>
+    </div>
+  );
+}
+
+export default ConnectionHealthSparkline;
@@ -21,14 +21,36 @@ function Dashboard({ user, onLogout }) {
     dbConnectionsLoading,
     dbConnectionsError,
     testingConnections,
+    testAllProgress,
+    connectionHealthStats,
     listingTablesConnections,
+    queryHistory,
     loadDatabaseConnections,
-    loadDatabaseConnectionStatuses,
+    subscribeToConnectionStatusChanges,
     handleTestConnection,
     handleListTables,
+    handleDescribeTable,
+    handlePreviewTable,
     handleTestAllConnections,
     handleRemoveConnection,
     handleAddConnection,
+    handleListConnectionBackups,
+    handleRestoreConnectionBackup,
+    handleExportConnections,
+    handleImportConnections,
+    handleExecuteQuery,
+    handleCancelOperation,
+    handleExportResults,
+    handleCaptureSchemaSnapshot,
+    handleListSchemaSnapshots,
+    handleDeleteSchemaSnapshot,
+    handleDiffSchemas,
+    handleGetPoolStats,
+    handleRunDiagnostics,
+    handleListDiagnostics,
+    handleGetMonitorSettings,
+    handleUpdateMonitorSettings,
+    handleClearQueryHistory,
   } = useDatabaseConnections();
 
   const {
@@ -65,10 +87,8 @@ function Dashboard({ user, onLogout }) {
     loadServices();
     loadApplications();
     
-    // Check connection every 60 seconds
-    const dbInterval = setInterval(() => {
-      loadDatabaseConnectionStatuses();
-    }, 60000);
+    // Connections are checked on a schedule in the main process; follow its status changes
+    const unsubscribeDbStatus = subscribeToConnectionStatusChanges();
 
     // Refresh services every 30 seconds
     const servicesInterval = setInterval(() => {
@@ -81,7 +101,7 @@ function Dashboard({ user, onLogout }) {
     }, 30000);
 
     return () => {
-      clearInterval(dbInterval);
+      unsubscribeDbStatus();
       clearInterval(servicesInterval);
       clearInterval(appsInterval);
     };
@@ -146,14 +166,36 @@ function Dashboard({ user, onLogout }) {
             dbConnectionsLoading={dbConnectionsLoading}
             dbConnectionsError={dbConnectionsError}
             testingConnections={testingConnections}
+            testAllProgress={testAllProgress}
+            connectionHealthStats={connectionHealthStats}
             listingTablesConnections={listingTablesConnections}
             supportedDbTypes={supportedDbTypes}
             onRefresh={loadDatabaseConnections}
             onTestConnection={handleTestConnection}
             onListTables={handleListTables}
+            onDescribeTable={handleDescribeTable}
+            onPreviewTable={handlePreviewTable}
             onTestAllConnections={handleTestAllConnections}
             onRemoveConnection={handleRemoveConnection}
             onAddConnection={handleAddConnection}
+            onListBackups={handleListConnectionBackups}
+            onRestoreBackup={handleRestoreConnectionBackup}
+            onExportConnections={handleExportConnections}
+            onImportConnections={handleImportConnections}
+            queryHistory={queryHistory}
+            onExecuteQuery={handleExecuteQuery}
+            onCancelOperation={handleCancelOperation}
+            onExportResults={handleExportResults}
+            onCaptureSchemaSnapshot={handleCaptureSchemaSnapshot}
+            onListSchemaSnapshots={handleListSchemaSnapshots}
+            onDeleteSchemaSnapshot={handleDeleteSchemaSnapshot}
+            onDiffSchemas={handleDiffSchemas}
+            onGetPoolStats={handleGetPoolStats}
+            onRunDiagnostics={handleRunDiagnostics}
+            onListDiagnostics={handleListDiagnostics}
+            onGetMonitorSettings={handleGetMonitorSettings}
+            onUpdateMonitorSettings={handleUpdateMonitorSettings}
+            onClearQueryHistory={handleClearQueryHistory}
           />
         );
 
@@ -1,5 +1,16 @@
 import React, { useState } from 'react';
 import AddConnectionModal from './AddConnectionModal';
+import ExportConnectionsModal from './ExportConnectionsModal';
+import ImportConnectionsModal from './ImportConnectionsModal';
+import QueryConsole from './QueryConsole';
+import AppointmentsExportModal from './AppointmentsExportModal';
+import SchemaSnapshotsModal from './SchemaSnapshotsModal';
+import PoolStatsModal from './PoolStatsModal';
+import MonitorSettingsModal from './MonitorSettingsModal';
+import ConnectionDiagnosticsModal from './ConnectionDiagnosticsModal';
+import ConnectionHealthSparkline from './ConnectionHealthSparkline';
+import TableSchemaDetails from './TableSchemaDetails';
+import TablePreview from './TablePreview';
 import { getConnectionStatusColor, getConnectionStatusText } from '../../utils/statusHelpers';
 
 function DatabaseTab({ 
@@ -7,17 +18,50 @@ function DatabaseTab({
   dbConnectionsLoading,
   dbConnectionsError,
   testingConnections,
+  testAllProgress,
+  connectionHealthStats = {},
   listingTablesConnections,
   supportedDbTypes,
   onRefresh,
   onTestConnection,
   onListTables,
+  onDescribeTable,
+  onPreviewTable,
   onTestAllConnections,
   onRemoveConnection,
   onAddConnection,
+  onListBackups,
+  onRestoreBackup,
+  onExportConnections,
+  onImportConnections,
+  queryHistory,
+  onExecuteQuery,
+  onCancelOperation,
+  onExportResults,
+  onCaptureSchemaSnapshot,
+  onListSchemaSnapshots,
+  onDeleteSchemaSnapshot,
+  onDiffSchemas,
+  onGetPoolStats,
+  onRunDiagnostics,
+  onListDiagnostics,
+  onGetMonitorSettings,
+  onUpdateMonitorSettings,
+  onClearQueryHistory,
 }) {
   const [showAddConnectionModal, setShowAddConnectionModal] = useState(false);
-  const [tablesModal, setTablesModal] = useState(null); // { connectionName, result }
+  const [tablesModal, setTablesModal] = useState(null); // { connectionId, connectionName, result }
+  const [tableDetails, setTableDetails] = useState(null); // { table, view: 'data' | 'schema', loading, operationId, result }
+  const [backupsModal, setBackupsModal] = useState(null); // { result }
+  const [restoringBackupId, setRestoringBackupId] = useState(null);
+  const [showExportModal, setShowExportModal] = useState(false);
+  const [showImportModal, setShowImportModal] = useState(false);
+  const [queryConsoleConnectionId, setQueryConsoleConnectionId] = useState(null);
+  const [appointmentsExportConnection, setAppointmentsExportConnection] = useState(null);
+  const [showSchemaSnapshotsModal, setShowSchemaSnapshotsModal] = useState(false);
+  const [showPoolStatsModal, setShowPoolStatsModal] = useState(false);
+  const [showMonitorSettingsModal, setShowMonitorSettingsModal] = useState(false);
+  const [diagnosticsConnection, setDiagnosticsConnection] = useState(null);
 
   const connectedCount = dbConnections.filter(conn => conn.status?.success === true).length;
   const totalCount = dbConnections.length;
@@ -36,12 +80,61 @@ function DatabaseTab({
 
   const handleListTablesClick = async (connection) => {
     const result = await onListTables(connection.id);
+    if (result && result.cancelled) return;
+    setTableDetails(null);
     setTablesModal({
+      connectionId: connection.id,
       connectionName: connection.name,
       result: result || { success: false, tables: [], error: 'Unknown error' },
     });
   };
 
+  const handleTableClick = (table) => {
+    setTableDetails({ table, view: 'data', loading: false, result: null });
+  };
+
+  const handleShowTableSchema = async () => {
+    const { table, result: loaded } = tableDetails;
+    if (loaded) {
+      setTableDetails(prev => ({ ...prev, view: 'schema' }));
+      return;
+    }
+    const operationId = window.crypto.randomUUID();
+    setTableDetails(prev => ({ ...prev, view: 'schema', loading: true, operationId }));
+    const result = await onDescribeTable(tablesModal.connectionId, table, { operationId });
+    setTableDetails((prev) => {
+      // Ignore the result if the user went back or picked another table meanwhile
+      if (!prev || prev.table !== table) return prev;
+      // A cancelled describe goes back to the data; the Schema button starts it again
+      if (result && result.cancelled) return { ...prev, view: 'data', loading: false, operationId: null };
+      return { ...prev, loading: false, operationId: null, result: result || { success: false, error: 'Unknown error' } };
+    });
+  };
+
+  const closeTablesModal = () => {
+    setTablesModal(null);
+    setTableDetails(null);
+  };
+
+  const handleShowBackupsClick = async () => {
+    const result = await onListBackups();
+    setBackupsModal({
+      result: result || { success: false, backups: [], error: 'Unknown error' },
+    });
+  };
+
+  const handleRestoreBackupClick = async (backupId) => {
+    setRestoringBackupId(backupId);
+    try {
+      const restored = await onRestoreBackup(backupId);
+      if (restored) {
+        setBackupsModal(null);
+      }
+    } finally {
+      setRestoringBackupId(null);
+    }
+  };
+
   return (
     <div className="tab-content">
       <div className="services-section">
@@ -84,7 +177,7 @@ function DatabaseTab({
           {totalCount > 0 && (
             <button
               className="service-item__action service-item__action--restart"
-              onClick={onTestAllConnections}
+              onClick={() => onTestAllConnections()}
               disabled={dbConnectionsLoading}
               style={{ padding: '0.5rem 1rem', fontSize: '0.875rem' }}
             >
@@ -93,7 +186,71 @@ function DatabaseTab({
               ) : (
                 <i className="fa-solid fa-plug" aria-hidden="true"></i>
               )}
-              Test All Connections
+              {testAllProgress
+                ? `Testing ${testAllProgress.completed} / ${testAllProgress.total}`
+                : 'Test All Connections'}
+            </button>
+          )}
+          <button
+            className="service-item__action service-item__action--restart"
+            onClick={handleShowBackupsClick}
+            style={{ padding: '0.5rem 1rem', fontSize: '0.875rem' }}
+            title="View and restore backups of saved connections"
+          >
+            <i className="fa-solid fa-clock-rotate-left" aria-hidden="true"></i>
+            Backups
+          </button>
+          <button
+            className="service-item__action service-item__action--restart"
+            onClick={() => setShowImportModal(true)}
+            style={{ padding: '0.5rem 1rem', fontSize: '0.875rem' }}
+            title="Import connections from a bundle file"
+          >
+            <i className="fa-solid fa-file-import" aria-hidden="true"></i>
+            Import
+          </button>
+          {totalCount > 0 && (
+            <button
+              className="service-item__action service-item__action--restart"
+              onClick={() => setShowExportModal(true)}
+              style={{ padding: '0.5rem 1rem', fontSize: '0.875rem' }}
+              title="Export connections to a bundle file"
+            >
+              <i className="fa-solid fa-file-export" aria-hidden="true"></i>
+              Export
+            </button>
+          )}
+          {totalCount > 0 && (
+            <button
+              className="service-item__action service-item__action--restart"
+              onClick={() => setShowSchemaSnapshotsModal(true)}
+              style={{ padding: '0.5rem 1rem', fontSize: '0.875rem' }}
+              title="Capture and compare table and column snapshots"
+            >
+              <i className="fa-solid fa-code-compare" aria-hidden="true"></i>
+              Schema Snapshots
+            </button>
+          )}
+          {totalCount > 0 && (
+            <button
+              className="service-item__action service-item__action--restart"
+              onClick={() => setShowPoolStatsModal(true)}
+              style={{ padding: '0.5rem 1rem', fontSize: '0.875rem' }}
+              title="Show open SQL Server and MySQL connection pools"
+            >
+              <i className="fa-solid fa-network-wired" aria-hidden="true"></i>
+              Pools
+            </button>
+          )}
+          {totalCount > 0 && (
+            <button
+              className="service-item__action service-item__action--restart"
+              onClick={() => setShowMonitorSettingsModal(true)}
+              style={{ padding: '0.5rem 1rem', fontSize: '0.875rem' }}
+              title="Schedule background connection checks"
+            >
+              <i className="fa-solid fa-heart-pulse" aria-hidden="true"></i>
+              Monitoring
             </button>
           )}
         </div>
@@ -144,6 +301,7 @@ function DatabaseTab({
                         <span className="service-item__detail-label">Type:</span>
                         <span className="service-item__detail-value">{getDatabaseTypeDisplayName(connection.type)}</span>
                       </div>
+                      <ConnectionHealthSparkline stats={connectionHealthStats[connection.id]} />
                       {connection.config?.server && (
                         <div className="service-item__details">
                           <span className="service-item__detail-label">Server:</span>
@@ -158,12 +316,35 @@ function DatabaseTab({
                           </span>
                         </div>
                       )}
+                      {(connection.config?.serviceName || connection.config?.sid) && (
+                        <div className="service-item__details">
+                          <span className="service-item__detail-label">{connection.config.serviceName ? 'Service:' : 'SID:'}</span>
+                          <span className="service-item__detail-value">{connection.config.serviceName || connection.config.sid}</span>
+                        </div>
+                      )}
+                      {connection.config?.filePath && (
+                        <div className="service-item__details">
+                          <span className="service-item__detail-label">File:</span>
+                          <span className="service-item__detail-value">
+                            {connection.config.filePath}{connection.config.readOnly !== false ? ' (read-only)' : ''}
+                          </span>
+                        </div>
+                      )}
                       {connection.config?.database && (
                         <div className="service-item__details">
                           <span className="service-item__detail-label">Database:</span>
                           <span className="service-item__detail-value">{connection.config.database}</span>
                         </div>
                       )}
+                      {connection.type !== 'sqlite' && connection.config?.readOnly === true && (
+                        <div className="service-item__details">
+                          <span className="service-item__detail-label">Queries:</span>
+                          <span className="service-item__detail-value">
+                            <i className="fa-solid fa-lock" aria-hidden="true" style={{ marginRight: '0.25rem' }}></i>
+                            Read-only
+                          </span>
+                        </div>
+                      )}
                       {connection.status?.success && connection.status.serverInfo && (
                         <>
                           {connection.status.serverInfo.currentUser && (
@@ -172,6 +353,15 @@ function DatabaseTab({
                               <span className="service-item__detail-value">{connection.status.serverInfo.currentUser}</span>
                             </div>
                           )}
+                          {connection.status.serverInfo.pageCount != null && (
+                            <div className="service-item__details">
+                              <span className="service-item__detail-label">Pages:</span>
+                              <span className="service-item__detail-value">
+                                {connection.status.serverInfo.pageCount} × {connection.status.serverInfo.pageSize} bytes
+                                {connection.status.serverInfo.freelistCount ? ` (${connection.status.serverInfo.freelistCount} free)` : ''}
+                              </span>
+                            </div>
+                          )}
                           {connection.status.serverInfo.version && (
                             <div className="service-item__details">
                               <span className="service-item__detail-label">Version:</span>
@@ -208,6 +398,7 @@ function DatabaseTab({
                           <span className="service-item__detail-label">Last Tested:</span>
                           <span className="service-item__detail-value">
                             {new Date(connection.lastTested).toLocaleString()}
+                            {connection.status?.attempts > 1 && ` (after ${connection.status.attempts} attempts)`}
                           </span>
                         </div>
                       )}
@@ -226,6 +417,16 @@ function DatabaseTab({
                         )}
                         Test
                       </button>
+                      {typeof isTesting === 'string' && (
+                        <button
+                          className="service-item__action service-item__action--stop"
+                          onClick={() => onCancelOperation(isTesting)}
+                          title="Cancel the connection test"
+                        >
+                          <i className="fa-solid fa-stop" aria-hidden="true"></i>
+                          Cancel
+                        </button>
+                      )}
                       <button
                         className="service-item__action service-item__action--restart"
                         onClick={() => handleListTablesClick(connection)}
@@ -239,6 +440,43 @@ function DatabaseTab({
                         )}
                         List All Tables
                       </button>
+                      {typeof isListingTables === 'string' && (
+                        <button
+                          className="service-item__action service-item__action--stop"
+                          onClick={() => onCancelOperation(isListingTables)}
+                          title="Stop listing tables"
+                        >
+                          <i className="fa-solid fa-stop" aria-hidden="true"></i>
+                          Cancel
+                        </button>
+                      )}
+                      <button
+                        className="service-item__action service-item__action--restart"
+                        onClick={() => setQueryConsoleConnectionId(connection.id)}
+                        title="Run queries against this connection"
+                      >
+                        <i className="fa-solid fa-terminal" aria-hidden="true"></i>
+                        Query
+                      </button>
+                      <button
+                        className="service-item__action service-item__action--restart"
+                        onClick={() => setDiagnosticsConnection(connection)}
+                        title="Measure connect time, round-trip latency and throughput"
+                      >
+                        <i className="fa-solid fa-stopwatch" aria-hidden="true"></i>
+                        Diagnose
+                      </button>
+                      {/* Dentrix connections carry the practice's siteId and sourceId */}
+                      {connection.config?.useOdbc && connection.config?.siteId && connection.config?.sourceId && (
+                        <button
+                          className="service-item__action service-item__action--restart"
+                          onClick={() => setAppointmentsExportConnection(connection)}
+                          title="Export appointments for a date range"
+                        >
+                          <i className="fa-solid fa-calendar-days" aria-hidden="true"></i>
+                          Appointments
+                        </button>
+                      )}
                       <button
                         className="service-item__action service-item__action--stop"
                         onClick={() => onRemoveConnection(connection.id)}
@@ -256,6 +494,73 @@ function DatabaseTab({
         )}
       </div>
 
+      {/* Query Console */}
+      {queryConsoleConnectionId && dbConnections.some(conn => conn.id === queryConsoleConnectionId) && (
+        <QueryConsole
+          connections={dbConnections}
+          connectionId={queryConsoleConnectionId}
+          queryHistory={queryHistory}
+          onConnectionChange={setQueryConsoleConnectionId}
+          onExecute={onExecuteQuery}
+          onCancelOperation={onCancelOperation}
+          onExport={onExportResults}
+          onClearHistory={onClearQueryHistory}
+          onClose={() => setQueryConsoleConnectionId(null)}
+        />
+      )}
+
+      {/* Dentrix Appointments Export Modal */}
+      {appointmentsExportConnection && (
+        <AppointmentsExportModal
+          connection={appointmentsExportConnection}
+          onClose={() => setAppointmentsExportConnection(null)}
+          onExport={onExportResults}
+          onCancelOperation={onCancelOperation}
+        />
+      )}
+
+      {/* Schema Snapshots Modal */}
+      {showSchemaSnapshotsModal && (
+        <SchemaSnapshotsModal
+          connections={dbConnections}
+          onClose={() => setShowSchemaSnapshotsModal(false)}
+          onCapture={onCaptureSchemaSnapshot}
+          onList={onListSchemaSnapshots}
+          onDelete={onDeleteSchemaSnapshot}
+          onDiff={onDiffSchemas}
+        />
+      )}
+
+      {/* Connection Pools Modal */}
+      {showPoolStatsModal && (
+        <PoolStatsModal
+          onClose={() => setShowPoolStatsModal(false)}
+          onGetPoolStats={onGetPoolStats}
+        />
+      )}
+
+      {/* Connection Monitoring Modal */}
+      {showMonitorSettingsModal && (
+        <MonitorSettingsModal
+          connections={dbConnections}
+          onClose={() => setShowMonitorSettingsModal(false)}
+          onGetSettings={onGetMonitorSettings}
+          onUpdateSettings={onUpdateMonitorSettings}
+        />
+      )}
+
+      {/* Connection Diagnostics Modal */}
+      {diagnosticsConnection && (
+        <ConnectionDiagnosticsModal
+          connection={diagnosticsConnection}
+          onClose={() => setDiagnosticsConnection(null)}
+          onRun={onRunDiagnostics}
+          onCancel={onCancelOperation}
+          onList={onListDiagnostics}
+          onListTables={onListTables}
+        />
+      )}
+
       {/* Add Connection Modal */}
       {showAddConnectionModal && (
         <AddConnectionModal
@@ -265,27 +570,119 @@ function DatabaseTab({
         />
       )}
 
+      {/* Export Connections Modal */}
+      {showExportModal && (
+        <ExportConnectionsModal
+          connections={dbConnections}
+          onClose={() => setShowExportModal(false)}
+          onExport={onExportConnections}
+        />
+      )}
+
+      {/* Import Connections Modal */}
+      {showImportModal && (
+        <ImportConnectionsModal
+          onClose={() => setShowImportModal(false)}
+          onImport={onImportConnections}
+        />
+      )}
+
       {/* Tables List Modal */}
       {tablesModal && (
-        <div className="modal-overlay" onClick={() => setTablesModal(null)}>
-          <div className="modal-content" onClick={(e) => e.stopPropagation()} style={{ maxWidth: '32rem', maxHeight: '80vh' }}>
+        <div className="modal-overlay" onClick={closeTablesModal}>
+          <div className="modal-content" onClick={(e) => e.stopPropagation()} style={{ maxWidth: tableDetails ? '52rem' : '32rem', maxHeight: '80vh' }}>
             <div className="modal-header">
-              <h3 className="modal-title">User-Defined Tables — {tablesModal.connectionName}</h3>
-              <button className="modal-close" onClick={() => setTablesModal(null)}>
+              <h3 className="modal-title">
+                {tableDetails ? (
+                  <>
+                    <button
+                      type="button"
+                      className="modal-close"
+                      onClick={() => setTableDetails(null)}
+                      title="Back to tables"
+                      style={{ marginRight: '0.5rem' }}
+                    >
+                      <i className="fa-solid fa-arrow-left" aria-hidden="true"></i>
+                    </button>
+                    {tableDetails.table.schema ? `${tableDetails.table.schema}.${tableDetails.table.name}` : tableDetails.table.name}
+                  </>
+                ) : (
+                  <>User-Defined Tables — {tablesModal.connectionName}</>
+                )}
+              </h3>
+              <button className="modal-close" onClick={closeTablesModal}>
                 <i className="fa-solid fa-times" aria-hidden="true"></i>
               </button>
             </div>
-            <div className="modal-body" style={{ overflowY: 'auto', maxHeight: '50vh' }}>
-              {tablesModal.result.success ? (
+            <div className="modal-body" style={{ overflowY: 'auto', maxHeight: '60vh' }}>
+              {tableDetails && (
+                <div style={{ display: 'flex', gap: '0.5rem', marginBottom: '0.75rem' }}>
+                  <button
+                    type="button"
+                    className={`modal-btn ${tableDetails.view === 'data' ? 'modal-btn--primary' : 'modal-btn--secondary'}`}
+                    onClick={() => setTableDetails(prev => ({ ...prev, view: 'data' }))}
+                  >
+                    <i className="fa-solid fa-table" aria-hidden="true" style={{ marginRight: '0.35rem' }}></i>
+                    Data
+                  </button>
+                  <button
+                    type="button"
+                    className={`modal-btn ${tableDetails.view === 'schema' ? 'modal-btn--primary' : 'modal-btn--secondary'}`}
+                    onClick={handleShowTableSchema}
+                  >
+                    <i className="fa-solid fa-list" aria-hidden="true" style={{ marginRight: '0.35rem' }}></i>
+                    Schema
+                  </button>
+                </div>
+              )}
+              {tableDetails ? (
+                tableDetails.view === 'data' ? (
+                  <TablePreview
+                    connectionId={tablesModal.connectionId}
+                    table={tableDetails.table}
+                    onPreviewTable={onPreviewTable}
+                    onCancelOperation={onCancelOperation}
+                    onExport={onExportResults}
+                  />
+                ) : tableDetails.loading ? (
+                  <p style={{ color: '#94a3b8', margin: 0 }}>
+                    <i className="fa-solid fa-spinner fa-spin" aria-hidden="true" style={{ marginRight: '0.5rem' }}></i>
+                    Reading table schema...
+                    {tableDetails.operationId && (
+                      <button
+                        type="button"
+                        className="modal-btn modal-btn--secondary"
+                        onClick={() => onCancelOperation(tableDetails.operationId)}
+                        style={{ marginLeft: '0.5rem' }}
+                      >
+                        Cancel
+                      </button>
+                    )}
+                  </p>
+                ) : tableDetails.result.success ? (
+                  <TableSchemaDetails description={tableDetails.result} />
+                ) : (
+                  <p style={{ color: '#ef4444', margin: 0 }}>{tableDetails.result.error || 'Failed to describe table'}</p>
+                )
+              ) : tablesModal.result.success ? (
                 tablesModal.result.tables && tablesModal.result.tables.length > 0 ? (
                   <ul style={{ listStyle: 'none', padding: 0, margin: 0 }}>
                     {tablesModal.result.tables.map((t, i) => (
-                      <li key={i} style={{ padding: '0.35rem 0', borderBottom: '1px solid rgba(255,255,255,0.06)', fontFamily: 'monospace', fontSize: '0.9rem' }}>
+                      <li
+                        key={i}
+                        onClick={() => handleTableClick(t)}
+                        title="Preview rows, columns, keys and indexes"
+                        style={{ padding: '0.35rem 0', borderBottom: '1px solid rgba(255,255,255,0.06)', fontFamily: 'monospace', fontSize: '0.9rem', cursor: 'pointer' }}
+                      >
                         {t.schema ? (
                           <span><span style={{ color: '#94a3b8' }}>{t.schema}</span>.<span>{t.name}</span></span>
                         ) : (
                           <span>{t.name}</span>
                         )}
+                        {t.type === 'view' && (
+                          <span style={{ marginLeft: '0.5rem', color: '#94a3b8', fontSize: '0.75rem' }}>view</span>
+                        )}
+                        <i className="fa-solid fa-chevron-right" aria-hidden="true" style={{ float: 'right', color: '#94a3b8', fontSize: '0.75rem', marginTop: '0.25rem' }}></i>
                       </li>
                     ))}
                   </ul>
@@ -298,11 +695,82 @@ function DatabaseTab({
             </div>
             <div className="modal-footer">
               <span style={{ fontSize: '0.8rem', color: '#94a3b8', marginRight: 'auto' }}>
-                {tablesModal.result.success && tablesModal.result.tables
+                {!tableDetails && tablesModal.result.success && tablesModal.result.tables
                   ? `${tablesModal.result.tables.length} table(s)`
                   : ''}
               </span>
-              <button type="button" className="modal-btn modal-btn--secondary" onClick={() => setTablesModal(null)}>
+              <button type="button" className="modal-btn modal-btn--secondary" onClick={closeTablesModal}>
+                Close
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Connection Backups Modal */}
+      {backupsModal && (
+        <div className="modal-overlay" onClick={() => setBackupsModal(null)}>
+          <div className="modal-content" onClick={(e) => e.stopPropagation()} style={{ maxWidth: '36rem', maxHeight: '80vh' }}>
+            <div className="modal-header">
+              <h3 className="modal-title">Connection Backups</h3>
+              <button className="modal-close" onClick={() => setBackupsModal(null)}>
+                <i className="fa-solid fa-times" aria-hidden="true"></i>
+              </button>
+            </div>
+            <div className="modal-body" style={{ overflowY: 'auto', maxHeight: '50vh' }}>
+              {backupsModal.result.lastAutoRestore && (
+                <div style={{ marginBottom: '0.75rem', padding: '0.5rem 0.75rem', background: 'rgba(251, 191, 36, 0.1)', borderRadius: '0.375rem', border: '1px solid rgba(251, 191, 36, 0.3)', fontSize: '0.8rem', color: '#92400e' }}>
+                  <i className="fa-solid fa-triangle-exclamation" aria-hidden="true" style={{ marginRight: '0.25rem' }}></i>
+                  The saved connections file was corrupt and was restored from backup {backupsModal.result.lastAutoRestore.generationId}.
+                  The damaged file was kept at {backupsModal.result.lastAutoRestore.corruptFile}.
+                </div>
+              )}
+              {backupsModal.result.success ? (
+                backupsModal.result.backups && backupsModal.result.backups.length > 0 ? (
+                  <ul style={{ listStyle: 'none', padding: 0, margin: 0 }}>
+                    {backupsModal.result.backups.map((backup) => (
+                      <li key={backup.id} style={{ display: 'flex', alignItems: 'center', gap: '0.75rem', padding: '0.5rem 0', borderBottom: '1px solid rgba(255,255,255,0.06)', fontSize: '0.9rem' }}>
+                        <div style={{ flex: 1, minWidth: 0 }}>
+                          <div>{backup.createdAt ? new Date(backup.createdAt).toLocaleString() : backup.id}</div>
+                          {backup.valid ? (
+                            <div style={{ color: '#94a3b8', fontSize: '0.8rem' }} title={backup.connectionNames.join(', ')}>
+                              {backup.connectionCount} connection(s)
+                              {backup.connectionNames.length > 0 && ` — ${backup.connectionNames.join(', ')}`}
+                            </div>
+                          ) : (
+                            <div style={{ color: '#ef4444', fontSize: '0.8rem' }}>Unreadable: {backup.error}</div>
+                          )}
+                        </div>
+                        <button
+                          className="service-item__action service-item__action--restart"
+                          onClick={() => handleRestoreBackupClick(backup.id)}
+                          disabled={!backup.valid || restoringBackupId !== null}
+                          title="Restore saved connections from this backup"
+                        >
+                          {restoringBackupId === backup.id ? (
+                            <i className="fa-solid fa-spinner fa-spin" aria-hidden="true"></i>
+                          ) : (
+                            <i className="fa-solid fa-clock-rotate-left" aria-hidden="true"></i>
+                          )}
+                          Restore
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                ) : (
+                  <p style={{ color: '#94a3b8', margin: 0 }}>No backups yet. A backup is taken each time connections are changed.</p>
+                )
+              ) : (
+                <p style={{ color: '#ef4444', margin: 0 }}>{backupsModal.result.error || 'Failed to list backups'}</p>
+              )}
+            </div>
+            <div className="modal-footer">
+              <span style={{ fontSize: '0.8rem', color: '#94a3b8', marginRight: 'auto' }}>
+                {backupsModal.result.success && backupsModal.result.backups
+                  ? `${backupsModal.result.backups.length} backup(s)`
+                  : ''}
+              </span>
+              <button type="button" className="modal-btn modal-btn--secondary" onClick={() => setBackupsModal(null)}>
                 Close
               </button>
             </div>
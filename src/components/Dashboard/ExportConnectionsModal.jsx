@@ -0,0 +1,143 @@
+import React, { useState } from 'react';
+
+const MIN_PASSPHRASE_LENGTH = 8;
+
+function ExportConnectionsModal({ connections, onClose, onExport }) {
+  const [selectedIds, setSelectedIds] = useState(() => connections.map(conn => conn.id));
+  const [includePasswords, setIncludePasswords] = useState(false);
+  const [passphrase, setPassphrase] = useState('');
+  const [confirmPassphrase, setConfirmPassphrase] = useState('');
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const toggleConnection = (connectionId) => {
+    setSelectedIds(prev => (
+      prev.includes(connectionId) ? prev.filter(id => id !== connectionId) : [...prev, connectionId]
+    ));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+
+    if (selectedIds.length === 0) {
+      setError('Select at least one connection to export');
+      return;
+    }
+    if (includePasswords) {
+      if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+        setError(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+        return;
+      }
+      if (passphrase !== confirmPassphrase) {
+        setError('Passphrases do not match');
+        return;
+      }
+    }
+
+    setExporting(true);
+    try {
+      const result = await onExport({
+        connectionIds: selectedIds,
+        passphrase: includePasswords ? passphrase : undefined,
+      });
+      if (result.canceled) return;
+      if (result.success) {
+        alert(`Exported ${result.count} connection(s) to ${result.filePath}${result.passwordsIncluded ? '' : ' (passwords not included)'}`);
+        onClose();
+      } else {
+        setError(result.error || 'Failed to export connections');
+      }
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Export Connections</h2>
+          <button className="modal-close" onClick={onClose}>
+            <i className="fa-solid fa-xmark" aria-hidden="true"></i>
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="modal-body">
+          <div className="form-group">
+            <label>Connections ({selectedIds.length} of {connections.length} selected)</label>
+            <div style={{ maxHeight: '30vh', overflowY: 'auto', marginTop: '0.5rem' }}>
+              {connections.map((conn) => (
+                <div key={conn.id} className="form-group" style={{ flexDirection: 'row', alignItems: 'center', marginBottom: '0.25rem' }}>
+                  <input
+                    type="checkbox"
+                    id={`export-${conn.id}`}
+                    checked={selectedIds.includes(conn.id)}
+                    onChange={() => toggleConnection(conn.id)}
+                    style={{ width: 'auto', marginRight: '0.5rem' }}
+                  />
+                  <label htmlFor={`export-${conn.id}`} style={{ marginBottom: 0 }}>{conn.name}</label>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          <div className="form-group" style={{ flexDirection: 'row', alignItems: 'center' }}>
+            <input
+              type="checkbox"
+              id="includePasswords"
+              checked={includePasswords}
+              onChange={(e) => setIncludePasswords(e.target.checked)}
+              style={{ width: 'auto', marginRight: '0.5rem' }}
+            />
+            <label htmlFor="includePasswords" style={{ marginBottom: 0 }}>Include passwords (encrypted with a passphrase)</label>
+          </div>
+
+          {includePasswords ? (
+            <>
+              <div className="form-group">
+                <label htmlFor="exportPassphrase">Passphrase</label>
+                <input
+                  type="password"
+                  id="exportPassphrase"
+                  value={passphrase}
+                  onChange={(e) => setPassphrase(e.target.value)}
+                  autoComplete="new-password"
+                />
+              </div>
+              <div className="form-group">
+                <label htmlFor="exportPassphraseConfirm">Confirm Passphrase</label>
+                <input
+                  type="password"
+                  id="exportPassphraseConfirm"
+                  value={confirmPassphrase}
+                  onChange={(e) => setConfirmPassphrase(e.target.value)}
+                  autoComplete="new-password"
+                />
+              </div>
+            </>
+          ) : (
+            <p style={{ fontSize: '0.8rem', color: '#94a3b8', margin: '0 0 1rem' }}>
+              Passwords will be left out. Imported connections will ask for the password to be re-entered.
+            </p>
+          )}
+
+          {error && (
+            <p style={{ color: '#ef4444', margin: '0 0 1rem' }}>{error}</p>
+          )}
+
+          <div className="modal-footer">
+            <button type="button" className="modal-btn modal-btn--secondary" onClick={onClose}>
+              Cancel
+            </button>
+            <button type="submit" className="modal-btn modal-btn--primary" disabled={exporting}>
+              {exporting ? 'Exporting...' : 'Export...'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+export default ExportConnectionsModal;
@@ -0,0 +1,125 @@
+import React, { useState } from 'react';
+
+const CONFLICT_OPTIONS = [
+  { value: 'skip', label: 'Skip connections that already exist' },
+  { value: 'overwrite', label: 'Overwrite existing connections' },
+  { value: 'rename', label: 'Import as a copy with a new name' },
+];
+
+function ImportConnectionsModal({ onClose, onImport }) {
+  const [conflict, setConflict] = useState('skip');
+  const [passphrase, setPassphrase] = useState('');
+  // Set after a file was picked that needs a passphrase, so the retry reuses it
+  const [pendingFilePath, setPendingFilePath] = useState(null);
+  const [importing, setImporting] = useState(false);
+  const [error, setError] = useState(null);
+  const [summary, setSummary] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setImporting(true);
+    try {
+      const result = await onImport({
+        filePath: pendingFilePath || undefined,
+        passphrase: passphrase || undefined,
+        conflict,
+      });
+      if (result.canceled) return;
+      if (result.success) {
+        setPendingFilePath(null);
+        setSummary(result);
+      } else {
+        setPendingFilePath(result.needsPassphrase ? result.filePath : null);
+        setError(result.error || 'Failed to import connections');
+      }
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Import Connections</h2>
+          <button className="modal-close" onClick={onClose}>
+            <i className="fa-solid fa-xmark" aria-hidden="true"></i>
+          </button>
+        </div>
+
+        {summary ? (
+          <div className="modal-body">
+            <ul style={{ margin: '0 0 1rem', paddingLeft: '1.25rem', lineHeight: 1.6 }}>
+              <li>Imported: {summary.imported.length > 0 ? summary.imported.join(', ') : 'none'}</li>
+              {summary.overwritten.length > 0 && <li>Overwritten: {summary.overwritten.join(', ')}</li>}
+              {summary.renamed.length > 0 && (
+                <li>Renamed: {summary.renamed.map(r => `${r.from} → ${r.to}`).join(', ')}</li>
+              )}
+              {summary.skipped.length > 0 && <li>Skipped (already exist): {summary.skipped.join(', ')}</li>}
+              {summary.invalid.length > 0 && (
+                <li style={{ color: '#ef4444' }}>
+                  Invalid entries: {summary.invalid.map(i => `${i.name || '(unnamed)'} (${i.problems.join(', ')})`).join('; ')}
+                </li>
+              )}
+              {summary.passwordsMissing.length > 0 && (
+                <li style={{ color: '#b45309' }}>Password required before use: {summary.passwordsMissing.join(', ')}</li>
+              )}
+            </ul>
+            <div className="modal-footer">
+              <button type="button" className="modal-btn modal-btn--primary" onClick={onClose}>
+                Done
+              </button>
+            </div>
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit} className="modal-body">
+            <div className="form-group">
+              <label htmlFor="importConflict">When a connection with the same name exists</label>
+              <select
+                id="importConflict"
+                value={conflict}
+                onChange={(e) => setConflict(e.target.value)}
+              >
+                {CONFLICT_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="importPassphrase">Passphrase</label>
+              <input
+                type="password"
+                id="importPassphrase"
+                value={passphrase}
+                onChange={(e) => setPassphrase(e.target.value)}
+                placeholder="Only needed if passwords were exported"
+              />
+            </div>
+
+            {pendingFilePath && (
+              <p style={{ fontSize: '0.8rem', color: '#94a3b8', margin: '0 0 0.5rem' }}>
+                File: {pendingFilePath}
+              </p>
+            )}
+            {error && (
+              <p style={{ color: '#ef4444', margin: '0 0 1rem' }}>{error}</p>
+            )}
+
+            <div className="modal-footer">
+              <button type="button" className="modal-btn modal-btn--secondary" onClick={onClose}>
+                Cancel
+              </button>
+              <button type="submit" className="modal-btn modal-btn--primary" disabled={importing}>
+                {importing ? 'Importing...' : pendingFilePath ? 'Retry Import' : 'Choose File...'}
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default ImportConnectionsModal;
@@ -0,0 +1,219 @@
+import React, { useEffect, useState } from 'react';
+
+const cellStyle = { padding: '0.3rem 0.5rem', textAlign: 'left' };
+
+// Intervals are edited in minutes and stored in seconds
+const toMinutes = seconds => (seconds ? String(Math.round((seconds / 60) * 10) / 10) : '');
+const toSeconds = minutes => (minutes === '' ? null : Math.round(parseFloat(minutes) * 60));
+
+/**
+ * Schedule for the main-process connection monitor: global interval and backoff
+ * cap, background running, and per-connection on/off and interval overrides
+ */
+function MonitorSettingsModal({ connections, onClose, onGetSettings, onUpdateSettings }) {
+  const [loadError, setLoadError] = useState(null);
+  const [form, setForm] = useState(null);
+  const [schedule, setSchedule] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [saveError, setSaveError] = useState(null);
+
+  const applyResult = (result) => {
+    const { settings } = result;
+    setForm({
+      enabled: settings.enabled,
+      intervalMinutes: toMinutes(settings.intervalSeconds),
+      maxBackoffMinutes: toMinutes(settings.maxBackoffSeconds),
+      runInBackground: settings.runInBackground,
+      connections: Object.fromEntries(connections.map((conn) => {
+        const override = settings.connections[conn.id] || {};
+        return [conn.id, { enabled: override.enabled !== false, intervalMinutes: toMinutes(override.intervalSeconds) }];
+      })),
+    });
+    setSchedule(result.schedule || []);
+  };
+
+  useEffect(() => {
+    onGetSettings().then((result) => {
+      if (result.success) applyResult(result);
+      else setLoadError(result.error || 'Failed to load monitor settings');
+    });
+  }, []);
+
+  const updateConnection = (connectionId, changes) => {
+    setForm(prev => ({
+      ...prev,
+      connections: { ...prev.connections, [connectionId]: { ...prev.connections[connectionId], ...changes } },
+    }));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setSaveError(null);
+    try {
+      const result = await onUpdateSettings({
+        enabled: form.enabled,
+        intervalSeconds: toSeconds(form.intervalMinutes),
+        maxBackoffSeconds: toSeconds(form.maxBackoffMinutes),
+        runInBackground: form.runInBackground,
+        connections: Object.fromEntries(Object.entries(form.connections).map(([id, override]) => [id, {
+          enabled: override.enabled,
+          ...(override.intervalMinutes !== '' && { intervalSeconds: toSeconds(override.intervalMinutes) }),
+        }])),
+      });
+      if (!result.success) {
+        setSaveError(result.error || 'Failed to save monitor settings');
+        return;
+      }
+      onClose();
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content" onClick={(e) => e.stopPropagation()} style={{ maxWidth: '48rem' }}>
+        <div className="modal-header">
+          <h2>Connection Monitoring</h2>
+          <button className="modal-close" onClick={onClose}>
+            <i className="fa-solid fa-xmark" aria-hidden="true"></i>
+          </button>
+        </div>
+
+        <div className="modal-body">
+          <p style={{ fontSize: '0.8rem', color: '#94a3b8', margin: '0 0 1rem' }}>
+            Connections are tested on this schedule in the background, also while the dashboard is not open.
+            After a failed check the interval doubles with each further failure, up to the maximum below.
+          </p>
+          {loadError && <p style={{ color: '#ef4444', margin: 0 }}>{loadError}</p>}
+          {!form && !loadError && <p style={{ margin: 0 }}>Loading…</p>}
+
+          {form && (
+            <>
+              <div className="form-group" style={{ flexDirection: 'row', alignItems: 'center' }}>
+                <input
+                  type="checkbox"
+                  id="monitorEnabled"
+                  checked={form.enabled}
+                  onChange={(e) => setForm({ ...form, enabled: e.target.checked })}
+                  style={{ width: 'auto', marginRight: '0.5rem' }}
+                />
+                <label htmlFor="monitorEnabled" style={{ marginBottom: 0 }}>Monitor connections on a schedule</label>
+              </div>
+
+              <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap' }}>
+                <div className="form-group" style={{ flex: '1 1 12rem' }}>
+                  <label htmlFor="monitorInterval">Check every (minutes)</label>
+                  <input
+                    type="number"
+                    id="monitorInterval"
+                    min="0.5"
+                    step="0.5"
+                    value={form.intervalMinutes}
+                    onChange={(e) => setForm({ ...form, intervalMinutes: e.target.value })}
+                    disabled={!form.enabled}
+                  />
+                </div>
+                <div className="form-group" style={{ flex: '1 1 12rem' }}>
+                  <label htmlFor="monitorMaxBackoff">After failures, at most every (minutes)</label>
+                  <input
+                    type="number"
+                    id="monitorMaxBackoff"
+                    min="0.5"
+                    step="0.5"
+                    value={form.maxBackoffMinutes}
+                    onChange={(e) => setForm({ ...form, maxBackoffMinutes: e.target.value })}
+                    disabled={!form.enabled}
+                  />
+                </div>
+              </div>
+
+              <div className="form-group" style={{ flexDirection: 'row', alignItems: 'center' }}>
+                <input
+                  type="checkbox"
+                  id="monitorRunInBackground"
+                  checked={form.runInBackground}
+                  onChange={(e) => setForm({ ...form, runInBackground: e.target.checked })}
+                  disabled={!form.enabled}
+                  style={{ width: 'auto', marginRight: '0.5rem' }}
+                />
+                <label htmlFor="monitorRunInBackground" style={{ marginBottom: 0 }}>
+                  Keep monitoring in the system tray when the window is closed
+                </label>
+              </div>
+
+              {connections.length > 0 && (
+                <div style={{ overflow: 'auto', border: '1px solid rgba(148,163,184,0.3)', borderRadius: '0.375rem' }}>
+                  <table style={{ borderCollapse: 'collapse', fontSize: '0.8rem', width: '100%' }}>
+                    <thead>
+                      <tr>
+                        <th style={cellStyle}>Connection</th>
+                        <th style={cellStyle}>Monitored</th>
+                        <th style={cellStyle}>Interval (minutes)</th>
+                        <th style={cellStyle}>Next check</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {connections.map((conn) => {
+                        const override = form.connections[conn.id];
+                        const entry = schedule.find(item => item.connectionId === conn.id);
+                        return (
+                          <tr key={conn.id}>
+                            <td style={cellStyle}>{conn.name}</td>
+                            <td style={cellStyle}>
+                              <input
+                                type="checkbox"
+                                checked={override.enabled}
+                                onChange={(e) => updateConnection(conn.id, { enabled: e.target.checked })}
+                                disabled={!form.enabled}
+                                aria-label={`Monitor ${conn.name}`}
+                              />
+                            </td>
+                            <td style={cellStyle}>
+                              <input
+                                type="number"
+                                min="0.5"
+                                step="0.5"
+                                value={override.intervalMinutes}
+                                placeholder={form.intervalMinutes}
+                                onChange={(e) => updateConnection(conn.id, { intervalMinutes: e.target.value })}
+                                disabled={!form.enabled || !override.enabled}
+                                aria-label={`Interval for ${conn.name}`}
+                                style={{ width: '6rem' }}
+                              />
+                            </td>
+                            <td style={{ ...cellStyle, color: '#94a3b8' }}>
+                              {entry && entry.monitored ? new Date(entry.nextCheckAt).toLocaleTimeString() : '—'}
+                              {entry && entry.consecutiveFailures > 0 && (
+                                <span style={{ color: '#ef4444', marginLeft: '0.5rem' }}>
+                                  {entry.consecutiveFailures} failed, backing off
+                                </span>
+                              )}
+                            </td>
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+              {saveError && <p style={{ color: '#ef4444', margin: '0.5rem 0 0' }}>{saveError}</p>}
+            </>
+          )}
+        </div>
+
+        <div className="modal-footer">
+          <button type="button" className="modal-btn modal-btn--secondary" onClick={onClose}>
+            Cancel
+          </button>
+          <button type="button" className="modal-btn modal-btn--primary" onClick={handleSave} disabled={!form || saving}>
+            {saving && <i className="fa-solid fa-spinner fa-spin" aria-hidden="true" style={{ marginRight: '0.35rem' }}></i>}
+            Save
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default MonitorSettingsModal;
@@ -0,0 +1,115 @@
+import React, { useCallback, useEffect, useState } from 'react';
+
+const REFRESH_INTERVAL_MS = 5000;
+
+const cellStyle = { padding: '0.3rem 0.5rem', textAlign: 'left' };
+const mutedCellStyle = { ...cellStyle, color: '#94a3b8' };
+
+function formatCount(value) {
+  return value === null || value === undefined ? '—' : value.toLocaleString();
+}
+
+/**
+ * Open MSSQL/MySQL connection pools, refreshed every few seconds while open
+ */
+function PoolStatsModal({ onClose, onGetPoolStats }) {
+  const [result, setResult] = useState(null);
+
+  const loadStats = useCallback(async () => {
+    setResult(await onGetPoolStats());
+  }, [onGetPoolStats]);
+
+  useEffect(() => {
+    loadStats();
+    const timer = setInterval(loadStats, REFRESH_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [loadStats]);
+
+  const pools = result && result.success ? result.pools : [];
+  const limits = result && result.success ? result.limits : null;
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content" onClick={(e) => e.stopPropagation()} style={{ maxWidth: '56rem' }}>
+        <div className="modal-header">
+          <h2>Connection Pools</h2>
+          <button className="modal-close" onClick={onClose}>
+            <i className="fa-solid fa-xmark" aria-hidden="true"></i>
+          </button>
+        </div>
+
+        <div className="modal-body">
+          {limits && (
+            <p style={{ fontSize: '0.8rem', color: '#94a3b8', margin: '0 0 1rem' }}>
+              SQL Server and MySQL connections are pooled per saved connection: up to {limits.maxConnectionsPerPool} connections
+              each, {limits.maxPools} pools in total. Pools unused for {Math.round(limits.idleTimeoutMs / 60000)} minutes are closed.
+            </p>
+          )}
+
+          {!result && <p style={{ margin: 0 }}>Loading…</p>}
+          {result && !result.success && (
+            <p style={{ color: '#ef4444', margin: 0 }}>{result.error || 'Failed to load pool stats'}</p>
+          )}
+          {result && result.success && pools.length === 0 && (
+            <p style={{ margin: 0 }}>No pools are open. A pool opens when a SQL Server or MySQL connection is first used.</p>
+          )}
+
+          {pools.length > 0 && (
+            <div style={{ overflow: 'auto', border: '1px solid rgba(148,163,184,0.3)', borderRadius: '0.375rem' }}>
+              <table style={{ borderCollapse: 'collapse', fontSize: '0.8rem', width: '100%' }}>
+                <thead>
+                  <tr>
+                    <th style={cellStyle}>Connection</th>
+                    <th style={cellStyle}>Driver</th>
+                    <th style={cellStyle}>Health</th>
+                    <th style={cellStyle} title="Connections in use by the app">In use</th>
+                    <th style={cellStyle} title="Open connections">Open</th>
+                    <th style={cellStyle} title="Open connections waiting for work">Idle</th>
+                    <th style={cellStyle} title="Requests waiting for a connection">Waiting</th>
+                    <th style={cellStyle}>Uses</th>
+                    <th style={cellStyle}>Errors</th>
+                    <th style={cellStyle}>Last used</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {pools.map(pool => (
+                    <tr key={pool.key}>
+                      <td style={cellStyle} title={pool.target}>
+                        {pool.connectionName || pool.target}
+                      </td>
+                      <td style={mutedCellStyle}>{pool.driver === 'mssql' ? 'SQL Server' : 'MySQL'}</td>
+                      <td style={{ ...cellStyle, color: pool.healthy ? '#10b981' : '#ef4444' }} title={pool.lastError || undefined}>
+                        {pool.healthy ? 'Healthy' : 'Unhealthy'}
+                      </td>
+                      <td style={cellStyle}>{formatCount(pool.active)}</td>
+                      <td style={cellStyle}>{formatCount(pool.size)}</td>
+                      <td style={cellStyle}>{formatCount(pool.idle)}</td>
+                      <td style={cellStyle}>{formatCount(pool.pending)}</td>
+                      <td style={mutedCellStyle}>{formatCount(pool.acquireCount)}</td>
+                      <td style={{ ...cellStyle, color: pool.errorCount > 0 ? '#ef4444' : '#94a3b8' }} title={pool.lastError || undefined}>
+                        {formatCount(pool.errorCount)}
+                      </td>
+                      <td style={mutedCellStyle}>{new Date(pool.lastUsedAt).toLocaleTimeString()}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+
+        <div className="modal-footer">
+          <button type="button" className="modal-btn modal-btn--secondary" onClick={loadStats}>
+            <i className="fa-solid fa-rotate" aria-hidden="true" style={{ marginRight: '0.35rem' }}></i>
+            Refresh
+          </button>
+          <button type="button" className="modal-btn modal-btn--secondary" onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default PoolStatsModal;
@@ -0,0 +1,246 @@
+import React, { useState } from 'react';
+import { formatCellValue } from '../../utils/formatHelpers';
+import ResultExportControls from './ResultExportControls';
+
+const MAX_ROW_OPTIONS = [100, 1000, 10000];
+
+function QueryConsole({ connections, connectionId, queryHistory, onConnectionChange, onExecute, onCancelOperation, onExport, onClearHistory, onClose }) {
+  const [query, setQuery] = useState('');
+  const [maxRows, setMaxRows] = useState(1000);
+  const [runningOperationId, setRunningOperationId] = useState(null);
+  const [result, setResult] = useState(null);
+  const [resultQuery, setResultQuery] = useState('');
+  const [showHistory, setShowHistory] = useState(false);
+
+  const connection = connections.find(conn => conn.id === connectionId);
+  // Mirrors isReadOnlyConnection in databaseConnections.js
+  const isReadOnly = connection
+    && (connection.type === 'sqlite' && !connection.config?.useOdbc ? connection.config?.readOnly !== false : connection.config?.readOnly === true);
+  const connectionHistory = queryHistory.filter(entry => entry.connectionId === connectionId);
+
+  const handleRun = async () => {
+    if (!query.trim() || runningOperationId) return;
+    const operationId = window.crypto.randomUUID();
+    setRunningOperationId(operationId);
+    setResult(null);
+    setResultQuery(query);
+    try {
+      setResult(await onExecute(connectionId, query, { operationId, maxRows }));
+    } finally {
+      setRunningOperationId(null);
+    }
+  };
+
+  const handleCancel = async () => {
+    if (!runningOperationId) return;
+    const cancelResult = await onCancelOperation(runningOperationId);
+    if (!cancelResult.success) {
+      alert(`Failed to cancel query: ${cancelResult.error || 'Unknown error'}`);
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if ((e.ctrlKey || e.metaKey) && e.key === 'Enter') {
+      e.preventDefault();
+      handleRun();
+    }
+  };
+
+  const getResultSummary = () => {
+    if (!result || !result.success) return '';
+    const parts = [];
+    if (result.columns.length > 0) {
+      parts.push(result.truncated
+        ? `Showing first ${result.rows.length} of ${result.rowCount != null ? result.rowCount : 'more'} row(s)`
+        : `${result.rowCount} row(s)`);
+    }
+    if (result.rowsAffected != null && result.columns.length === 0) {
+      parts.push(`${result.rowsAffected} row(s) affected`);
+    }
+    parts.push(`${result.elapsedMs} ms`);
+    if (result.attempts > 1) {
+      parts.push(`succeeded on attempt ${result.attempts}`);
+    }
+    return parts.join(' — ');
+  };
+
+  return (
+    <div className="services-section">
+      <div className="services-section__header">
+        <h2 className="services-section__title">
+          Query Console
+          {isReadOnly && (
+            <span style={{ marginLeft: '0.75rem', fontSize: '0.8rem', fontWeight: 'normal', color: '#b45309' }} title="Data-modifying and DDL statements are blocked on this connection">
+              <i className="fa-solid fa-lock" aria-hidden="true" style={{ marginRight: '0.25rem' }}></i>
+              Read-only
+            </span>
+          )}
+        </h2>
+        <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center' }}>
+          <select
+            value={connectionId}
+            onChange={(e) => onConnectionChange(e.target.value)}
+            disabled={!!runningOperationId}
+            style={{ padding: '0.35rem 0.5rem', fontSize: '0.875rem' }}
+          >
+            {connections.map(conn => (
+              <option key={conn.id} value={conn.id}>{conn.name}</option>
+            ))}
+          </select>
+          <button
+            className="services-section__refresh"
+            onClick={onClose}
+            disabled={!!runningOperationId}
+            title="Close query console"
+          >
+            <i className="fa-solid fa-xmark" aria-hidden="true"></i>
+          </button>
+        </div>
+      </div>
+
+      <textarea
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+        onKeyDown={handleKeyDown}
+        placeholder={connection ? `SQL to run on ${connection.name} (Ctrl+Enter to run)` : 'Select a connection'}
+        spellCheck={false}
+        rows={6}
+        style={{ width: '100%', boxSizing: 'border-box', fontFamily: 'monospace', fontSize: '0.875rem', padding: '0.5rem', resize: 'vertical' }}
+      />
+
+      <div style={{ margin: '0.5rem 0 1rem', display: 'flex', gap: '0.5rem', alignItems: 'center', flexWrap: 'wrap' }}>
+        {runningOperationId ? (
+          <button
+            className="service-item__action service-item__action--stop"
+            onClick={handleCancel}
+            style={{ padding: '0.5rem 1rem', fontSize: '0.875rem' }}
+          >
+            <i className="fa-solid fa-spinner fa-spin" aria-hidden="true"></i>
+            Cancel
+          </button>
+        ) : (
+          <button
+            className="service-item__action service-item__action--start"
+            onClick={handleRun}
+            disabled={!connection || !query.trim()}
+            style={{ padding: '0.5rem 1rem', fontSize: '0.875rem' }}
+          >
+            <i className="fa-solid fa-play" aria-hidden="true"></i>
+            Run
+          </button>
+        )}
+        <button
+          className="service-item__action service-item__action--restart"
+          onClick={() => setShowHistory(prev => !prev)}
+          style={{ padding: '0.5rem 1rem', fontSize: '0.875rem' }}
+        >
+          <i className="fa-solid fa-clock-rotate-left" aria-hidden="true"></i>
+          History ({connectionHistory.length})
+        </button>
+        <label style={{ fontSize: '0.875rem', color: '#6b7280', marginLeft: 'auto' }}>
+          Max rows{' '}
+          <select value={maxRows} onChange={(e) => setMaxRows(Number(e.target.value))} disabled={!!runningOperationId}>
+            {MAX_ROW_OPTIONS.map(n => (
+              <option key={n} value={n}>{n}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {showHistory && (
+        <div style={{ marginBottom: '1rem', maxHeight: '12rem', overflowY: 'auto', border: '1px solid rgba(148,163,184,0.3)', borderRadius: '0.375rem' }}>
+          {connectionHistory.length === 0 ? (
+            <p style={{ color: '#94a3b8', margin: 0, padding: '0.5rem 0.75rem', fontSize: '0.875rem' }}>No queries run on this connection yet.</p>
+          ) : (
+            <ul style={{ listStyle: 'none', padding: 0, margin: 0 }}>
+              {connectionHistory.map((entry, i) => (
+                <li
+                  key={`${entry.executedAt}-${i}`}
+                  onClick={() => setQuery(entry.query)}
+                  title="Load into editor"
+                  style={{ padding: '0.35rem 0.75rem', borderBottom: '1px solid rgba(148,163,184,0.15)', cursor: 'pointer', fontSize: '0.8rem' }}
+                >
+                  <div style={{ fontFamily: 'monospace', whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis' }}>{entry.query}</div>
+                  <div style={{ color: entry.success ? '#94a3b8' : '#ef4444' }}>
+                    {new Date(entry.executedAt).toLocaleTimeString()}
+                    {entry.cancelled ? ' — cancelled' : entry.success ? ` — ${entry.rowCount != null ? `${entry.rowCount} row(s), ` : ''}${entry.elapsedMs} ms` : ' — failed'}
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+          {connectionHistory.length > 0 && (
+            <div style={{ padding: '0.35rem 0.75rem', textAlign: 'right' }}>
+              <button type="button" className="modal-btn modal-btn--secondary" onClick={onClearHistory}>
+                Clear History
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+
+      {result && !result.success && (
+        <div className="services-section__error">
+          <span>{result.cancelled ? 'Query cancelled' : result.error || 'Query failed'}</span>
+        </div>
+      )}
+
+      {result && result.success && (
+        <>
+          <div style={{ fontSize: '0.8rem', color: '#94a3b8', marginBottom: '0.5rem' }}>{getResultSummary()}</div>
+          {result.columns.length > 0 && onExport && (
+            <div style={{ marginBottom: '0.5rem' }}>
+              {/* Re-runs the query in the main process and streams every row to the file */}
+              <ResultExportControls
+                source={{ kind: 'query', connectionId, query: resultQuery }}
+                onExport={onExport}
+                onCancel={onCancelOperation}
+                disabled={!!runningOperationId}
+              />
+            </div>
+          )}
+          {result.columns.length > 0 && (
+            <div style={{ overflow: 'auto', maxHeight: '50vh', border: '1px solid rgba(148,163,184,0.3)', borderRadius: '0.375rem' }}>
+              <table style={{ borderCollapse: 'collapse', fontSize: '0.8rem', fontFamily: 'monospace', width: '100%' }}>
+                <thead>
+                  <tr>
+                    {result.columns.map((col, i) => (
+                      <th
+                        key={i}
+                        title={col.type || undefined}
+                        style={{ position: 'sticky', top: 0, background: '#1e293b', color: '#e2e8f0', textAlign: 'left', padding: '0.35rem 0.5rem', whiteSpace: 'nowrap' }}
+                      >
+                        {col.name}
+                        {col.type && <span style={{ marginLeft: '0.35rem', color: '#94a3b8', fontWeight: 'normal' }}>{col.type}</span>}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {result.rows.map((row, rowIndex) => (
+                    <tr key={rowIndex}>
+                      {row.map((value, colIndex) => {
+                        const text = formatCellValue(value);
+                        return (
+                          <td
+                            key={colIndex}
+                            style={{ padding: '0.25rem 0.5rem', borderTop: '1px solid rgba(148,163,184,0.15)', whiteSpace: 'nowrap', maxWidth: '24rem', overflow: 'hidden', textOverflow: 'ellipsis' }}
+                            title={text || undefined}
+                          >
+                            {text === null ? <span style={{ color: '#94a3b8', fontStyle: 'italic' }}>NULL</span> : text}
+                          </td>
+                        );
+                      })}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default QueryConsole;
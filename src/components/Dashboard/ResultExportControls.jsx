@@ -0,0 +1,108 @@
+import React, { useState } from 'react';
+
+const FORMAT_OPTIONS = [
+  { value: 'csv', label: 'CSV' },
+  { value: 'jsonl', label: 'JSON Lines' },
+  { value: 'xlsx', label: 'Excel (.xlsx)' },
+];
+const ROW_LIMIT_OPTIONS = [10000, 100000, 1000000];
+
+/**
+ * Format, row limit and PHI options for exporting a source to a file, with
+ * progress and cancel while the export runs
+ */
+function ResultExportControls({ source, onExport, onCancel, disabled }) {
+  const [format, setFormat] = useState('csv');
+  const [maxRows, setMaxRows] = useState(100000);
+  const [revealPhi, setRevealPhi] = useState(false);
+  const [operationId, setOperationId] = useState(null);
+  const [rowsWritten, setRowsWritten] = useState(0);
+  const [result, setResult] = useState(null);
+
+  const handleExport = async () => {
+    const id = window.crypto.randomUUID();
+    setOperationId(id);
+    setRowsWritten(0);
+    setResult(null);
+    try {
+      const exportResult = await onExport(
+        { format, source, maxRows, revealPhi, operationId: id },
+        progress => setRowsWritten(progress.rowsWritten)
+      );
+      if (!exportResult.canceled) setResult(exportResult);
+    } finally {
+      setOperationId(null);
+    }
+  };
+
+  const handleCancel = async () => {
+    if (!operationId) return;
+    const cancelResult = await onCancel(operationId);
+    if (!cancelResult.success) {
+      alert(`Failed to cancel export: ${cancelResult.error || 'Unknown error'}`);
+    }
+  };
+
+  const handleRevealPhiChange = (e) => {
+    if (e.target.checked && !window.confirm('Write unmasked patient data (PHI) to the export file? Only do this when the file will be stored securely.')) {
+      return;
+    }
+    setRevealPhi(e.target.checked);
+  };
+
+  const getResultMessage = () => {
+    if (!result.success) return result.cancelled ? 'Export cancelled' : result.error || 'Export failed';
+    const parts = [`Exported ${result.rowsWritten.toLocaleString()} row(s) to ${result.filePath}`];
+    if (result.truncated) parts.push(`stopped at the ${maxRows.toLocaleString()} row limit`);
+    if (result.maskedColumns && result.maskedColumns.length > 0) parts.push(`masked: ${result.maskedColumns.join(', ')}`);
+    return parts.join(' — ');
+  };
+
+  return (
+    <div style={{ fontSize: '0.8rem' }}>
+      <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center', flexWrap: 'wrap' }}>
+        <select value={format} onChange={(e) => setFormat(e.target.value)} disabled={!!operationId} title="Export format">
+          {FORMAT_OPTIONS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+        <label style={{ color: '#6b7280' }}>
+          Up to{' '}
+          <select value={maxRows} onChange={(e) => setMaxRows(Number(e.target.value))} disabled={!!operationId}>
+            {ROW_LIMIT_OPTIONS.map(n => (
+              <option key={n} value={n}>{n.toLocaleString()}</option>
+            ))}
+          </select>
+          {' '}rows
+        </label>
+        <label style={{ color: '#6b7280', display: 'flex', alignItems: 'center', gap: '0.25rem' }}>
+          <input type="checkbox" checked={revealPhi} onChange={handleRevealPhiChange} disabled={!!operationId} />
+          Include PHI
+        </label>
+        {operationId ? (
+          <>
+            <span style={{ color: '#94a3b8' }}>
+              <i className="fa-solid fa-spinner fa-spin" aria-hidden="true" style={{ marginRight: '0.35rem' }}></i>
+              {rowsWritten.toLocaleString()} row(s) written…
+            </span>
+            <button type="button" className="modal-btn modal-btn--secondary" onClick={handleCancel}>
+              Cancel
+            </button>
+          </>
+        ) : (
+          <button type="button" className="modal-btn modal-btn--secondary" onClick={handleExport} disabled={disabled}>
+            <i className="fa-solid fa-file-export" aria-hidden="true" style={{ marginRight: '0.35rem' }}></i>
+            Export…
+          </button>
+        )}
+      </div>
+      {result && (
+        <p style={{ color: result.success ? '#94a3b8' : '#ef4444', margin: '0.35rem 0 0', wordBreak: 'break-all' }}>
+          {getResultMessage()}
+        </p>
+      )}
+    </div>
+  );
+}
+
+export default ResultExportControls;
@@ -0,0 +1,341 @@
+import React, { useCallback, useEffect, useState } from 'react';
+
+const FLAG_COLOR = '#b45309';
+
+/**
+ * Diff sides are picked from one list: "snapshot:<id>" or "connection:<id>" (read live)
+ */
+function parseSide(value) {
+  const separator = value.indexOf(':');
+  const id = value.slice(separator + 1);
+  return value.slice(0, separator) === 'snapshot' ? { snapshotId: id } : { connectionId: id };
+}
+
+function formatTableName(table) {
+  return table.schema ? `${table.schema}.${table.name}` : table.name;
+}
+
+function formatSide(summary) {
+  const when = new Date(summary.capturedAt).toLocaleString();
+  return `${summary.connectionName || 'Unknown connection'} — ${summary.id ? when : `live, ${when}`}`;
+}
+
+function UsedBy({ queries }) {
+  if (!queries || queries.length === 0) return null;
+  return (
+    <span style={{ color: FLAG_COLOR, marginLeft: '0.5rem' }} title={`Used by ${queries.join(', ')}`}>
+      <i className="fa-solid fa-triangle-exclamation" aria-hidden="true" style={{ marginRight: '0.25rem' }}></i>
+      {queries.join(', ')}
+    </span>
+  );
+}
+
+function formatChange(change) {
+  if (change.field === 'nullable') {
+    return `${change.from ? 'NULL' : 'NOT NULL'} → ${change.to ? 'NULL' : 'NOT NULL'}`;
+  }
+  return `${change.from || '?'} → ${change.to || '?'}`;
+}
+
+/**
+ * Schema diff report: broken built-in query references first, then removed,
+ * changed and added tables. "Flagged only" hides changes no built-in query uses.
+ */
+function SchemaDiffReport({ diff }) {
+  const [flaggedOnly, setFlaggedOnly] = useState(false);
+  const isFlagged = item => item.usedBy && item.usedBy.length > 0;
+
+  const removedTables = flaggedOnly ? diff.removedTables.filter(isFlagged) : diff.removedTables;
+  const changedTables = diff.changedTables
+    .map(table => (flaggedOnly
+      ? {
+        ...table,
+        addedColumns: table.addedColumns.filter(isFlagged),
+        removedColumns: table.removedColumns.filter(isFlagged),
+        changedColumns: table.changedColumns.filter(isFlagged),
+      }
+      : table))
+    .filter(table => table.addedColumns.length + table.removedColumns.length + table.changedColumns.length > 0);
+  const { summary } = diff;
+  const unchanged = summary.addedTables + summary.removedTables + summary.changedTables === 0;
+
+  return (
+    <div style={{ fontSize: '0.8rem' }}>
+      <p style={{ color: '#94a3b8', margin: '0 0 0.5rem' }}>
+        {formatSide(diff.base)} <i className="fa-solid fa-arrow-right" aria-hidden="true" style={{ margin: '0 0.35rem' }}></i> {formatSide(diff.target)}
+      </p>
+      <div style={{ display: 'flex', gap: '1rem', alignItems: 'center', flexWrap: 'wrap', marginBottom: '0.75rem' }}>
+        <span>
+          Tables: +{summary.addedTables} / −{summary.removedTables} / {summary.changedTables} changed.
+          Columns: +{summary.addedColumns} / −{summary.removedColumns} / {summary.changedColumns} changed.
+        </span>
+        {summary.flaggedChanges > 0 && (
+          <span style={{ color: FLAG_COLOR }}>{summary.flaggedChanges} change(s) affect built-in queries</span>
+        )}
+        <label style={{ marginLeft: 'auto', color: '#6b7280', display: 'flex', alignItems: 'center', gap: '0.25rem' }}>
+          <input type="checkbox" checked={flaggedOnly} onChange={(e) => setFlaggedOnly(e.target.checked)} />
+          Flagged only
+        </label>
+      </div>
+
+      {diff.brokenReferences.length > 0 && (
+        <div style={{ marginBottom: '0.75rem', padding: '0.5rem 0.75rem', background: 'rgba(239, 68, 68, 0.1)', border: '1px solid rgba(239, 68, 68, 0.3)', borderRadius: '0.375rem' }}>
+          <strong style={{ color: '#ef4444' }}>
+            <i className="fa-solid fa-circle-exclamation" aria-hidden="true" style={{ marginRight: '0.35rem' }}></i>
+            Built-in queries that will fail on {diff.target.connectionName || 'the target'}
+          </strong>
+          <ul style={{ margin: '0.35rem 0 0', paddingLeft: '1.25rem' }}>
+            {diff.brokenReferences.map((ref, i) => (
+              <li key={i}>
+                {ref.query}: {ref.column === null ? `table ${formatTableName({ schema: ref.schema, name: ref.table })}` : `column ${ref.table}.${ref.column}`} missing
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {unchanged && <p style={{ color: '#94a3b8', margin: 0 }}>No differences.</p>}
+
+      {removedTables.length > 0 && (
+        <div style={{ marginBottom: '0.75rem' }}>
+          <strong>Removed tables</strong>
+          <ul style={{ margin: '0.25rem 0 0', paddingLeft: '1.25rem', fontFamily: 'monospace' }}>
+            {removedTables.map(table => (
+              <li key={formatTableName(table)} style={{ color: '#ef4444' }}>
+                − {formatTableName(table)} ({table.columnCount} columns)<UsedBy queries={table.usedBy} />
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {changedTables.length > 0 && (
+        <div style={{ marginBottom: '0.75rem' }}>
+          <strong>Changed tables</strong>
+          {changedTables.map(table => (
+            <div key={formatTableName(table)} style={{ margin: '0.35rem 0 0', fontFamily: 'monospace' }}>
+              <div>{formatTableName(table)}</div>
+              <ul style={{ margin: 0, paddingLeft: '1.25rem', listStyle: 'none' }}>
+                {table.removedColumns.map(col => (
+                  <li key={`-${col.name}`} style={{ color: '#ef4444' }}>
+                    − {col.name} {col.dataType}<UsedBy queries={col.usedBy} />
+                  </li>
+                ))}
+                {table.changedColumns.map(col => (
+                  <li key={`~${col.name}`} style={{ color: '#eab308' }}>
+                    ~ {col.name}: {col.changes.map(formatChange).join(', ')}<UsedBy queries={col.usedBy} />
+                  </li>
+                ))}
+                {table.addedColumns.map(col => (
+                  <li key={`+${col.name}`} style={{ color: '#22c55e' }}>
+                    + {col.name} {col.dataType}<UsedBy queries={col.usedBy} />
+                  </li>
+                ))}
+              </ul>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {!flaggedOnly && diff.addedTables.length > 0 && (
+        <div>
+          <strong>Added tables</strong>
+          <ul style={{ margin: '0.25rem 0 0', paddingLeft: '1.25rem', fontFamily: 'monospace' }}>
+            {diff.addedTables.map(table => (
+              <li key={formatTableName(table)} style={{ color: '#22c55e' }}>
+                + {formatTableName(table)} ({table.columnCount} columns)
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Capture schema snapshots of saved connections and diff them against a later
+ * snapshot, the live schema or another practice's connection
+ */
+function SchemaSnapshotsModal({ connections, onClose, onCapture, onList, onDelete, onDiff }) {
+  const [snapshots, setSnapshots] = useState([]);
+  const [listError, setListError] = useState(null);
+  const [captureConnectionId, setCaptureConnectionId] = useState(connections[0] ? connections[0].id : '');
+  const [capturing, setCapturing] = useState(false);
+  const [captureError, setCaptureError] = useState(null);
+  const [baseSide, setBaseSide] = useState('');
+  const [targetSide, setTargetSide] = useState('');
+  const [diffing, setDiffing] = useState(false);
+  const [diffResult, setDiffResult] = useState(null);
+
+  const loadSnapshots = useCallback(async () => {
+    const result = await onList();
+    setSnapshots(result.success ? result.snapshots : []);
+    setListError(result.success ? null : result.error || 'Failed to list snapshots');
+  }, [onList]);
+
+  useEffect(() => {
+    loadSnapshots();
+  }, [loadSnapshots]);
+
+  const handleCapture = async () => {
+    setCapturing(true);
+    setCaptureError(null);
+    try {
+      const result = await onCapture(captureConnectionId);
+      if (!result.success) {
+        setCaptureError(result.error || 'Failed to capture snapshot');
+        return;
+      }
+      // snapshots still holds the list from before this capture
+      const previous = snapshots.find(s => s.connectionId === captureConnectionId);
+      if (previous) setBaseSide(`snapshot:${previous.id}`);
+      setTargetSide(`snapshot:${result.snapshot.id}`);
+      await loadSnapshots();
+    } finally {
+      setCapturing(false);
+    }
+  };
+
+  const handleDelete = async (snapshot) => {
+    if (!window.confirm(`Delete the snapshot of ${snapshot.connectionName} from ${new Date(snapshot.capturedAt).toLocaleString()}?`)) {
+      return;
+    }
+    const result = await onDelete(snapshot.id);
+    if (!result.success) {
+      alert(`Failed to delete snapshot: ${result.error || 'Unknown error'}`);
+    }
+    if (baseSide === `snapshot:${snapshot.id}`) setBaseSide('');
+    if (targetSide === `snapshot:${snapshot.id}`) setTargetSide('');
+    await loadSnapshots();
+  };
+
+  const handleDiff = async () => {
+    setDiffing(true);
+    setDiffResult(null);
+    try {
+      setDiffResult(await onDiff(parseSide(baseSide), parseSide(targetSide)));
+    } finally {
+      setDiffing(false);
+    }
+  };
+
+  const renderSideOptions = () => (
+    <>
+      <option value="">Choose…</option>
+      {snapshots.length > 0 && (
+        <optgroup label="Snapshots">
+          {snapshots.map(snapshot => (
+            <option key={snapshot.id} value={`snapshot:${snapshot.id}`}>
+              {snapshot.connectionName} — {new Date(snapshot.capturedAt).toLocaleString()}
+            </option>
+          ))}
+        </optgroup>
+      )}
+      <optgroup label="Live connection">
+        {connections.map(conn => (
+          <option key={conn.id} value={`connection:${conn.id}`}>{conn.name} (current)</option>
+        ))}
+      </optgroup>
+    </>
+  );
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content" onClick={(e) => e.stopPropagation()} style={{ maxWidth: '56rem' }}>
+        <div className="modal-header">
+          <h2>Schema Snapshots</h2>
+          <button className="modal-close" onClick={onClose}>
+            <i className="fa-solid fa-xmark" aria-hidden="true"></i>
+          </button>
+        </div>
+
+        <div className="modal-body">
+          <p style={{ fontSize: '0.8rem', color: '#94a3b8', margin: '0 0 1rem' }}>
+            Capture a connection&apos;s tables and columns before an upgrade, then compare it with the schema
+            afterwards or with another practice. Changes to columns used by the built-in Dentrix and Open Dental
+            queries are flagged.
+          </p>
+
+          <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center', marginBottom: '0.5rem' }}>
+            <select value={captureConnectionId} onChange={(e) => setCaptureConnectionId(e.target.value)} disabled={capturing} style={{ flex: 1 }}>
+              {connections.map(conn => (
+                <option key={conn.id} value={conn.id}>{conn.name}</option>
+              ))}
+            </select>
+            <button type="button" className="modal-btn modal-btn--primary" onClick={handleCapture} disabled={capturing || !captureConnectionId}>
+              {capturing ? (
+                <i className="fa-solid fa-spinner fa-spin" aria-hidden="true" style={{ marginRight: '0.35rem' }}></i>
+              ) : (
+                <i className="fa-solid fa-camera" aria-hidden="true" style={{ marginRight: '0.35rem' }}></i>
+              )}
+              Capture Snapshot
+            </button>
+          </div>
+          {captureError && <p style={{ color: '#ef4444', margin: '0 0 0.5rem' }}>{captureError}</p>}
+          {listError && <p style={{ color: '#ef4444', margin: '0 0 0.5rem' }}>{listError}</p>}
+
+          {snapshots.length > 0 && (
+            <div style={{ maxHeight: '12rem', overflow: 'auto', marginBottom: '1rem', border: '1px solid rgba(148,163,184,0.3)', borderRadius: '0.375rem' }}>
+              <table style={{ borderCollapse: 'collapse', fontSize: '0.8rem', width: '100%' }}>
+                <tbody>
+                  {snapshots.map(snapshot => (
+                    <tr key={snapshot.id}>
+                      <td style={{ padding: '0.3rem 0.5rem' }}>{snapshot.connectionName}</td>
+                      <td style={{ padding: '0.3rem 0.5rem', color: '#94a3b8' }}>{new Date(snapshot.capturedAt).toLocaleString()}</td>
+                      <td style={{ padding: '0.3rem 0.5rem', color: '#94a3b8' }}>
+                        {snapshot.tableCount.toLocaleString()} tables, {snapshot.columnCount.toLocaleString()} columns
+                      </td>
+                      <td style={{ padding: '0.3rem 0.5rem', textAlign: 'right' }}>
+                        <button type="button" className="modal-btn modal-btn--secondary" onClick={() => handleDelete(snapshot)} title="Delete snapshot">
+                          <i className="fa-solid fa-trash" aria-hidden="true"></i>
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'flex-end', flexWrap: 'wrap', marginBottom: '1rem' }}>
+            <div className="form-group" style={{ flex: '1 1 14rem', margin: 0 }}>
+              <label htmlFor="schemaDiffBase">Compare</label>
+              <select id="schemaDiffBase" value={baseSide} onChange={(e) => setBaseSide(e.target.value)} disabled={diffing}>
+                {renderSideOptions()}
+              </select>
+            </div>
+            <div className="form-group" style={{ flex: '1 1 14rem', margin: 0 }}>
+              <label htmlFor="schemaDiffTarget">With</label>
+              <select id="schemaDiffTarget" value={targetSide} onChange={(e) => setTargetSide(e.target.value)} disabled={diffing}>
+                {renderSideOptions()}
+              </select>
+            </div>
+            <button
+              type="button"
+              className="modal-btn modal-btn--primary"
+              onClick={handleDiff}
+              disabled={diffing || !baseSide || !targetSide || baseSide === targetSide}
+            >
+              {diffing && <i className="fa-solid fa-spinner fa-spin" aria-hidden="true" style={{ marginRight: '0.35rem' }}></i>}
+              Compare
+            </button>
+          </div>
+
+          {diffResult && !diffResult.success && (
+            <p style={{ color: '#ef4444', margin: 0 }}>{diffResult.error || 'Failed to compare schemas'}</p>
+          )}
+          {diffResult && diffResult.success && <SchemaDiffReport diff={diffResult.diff} />}
+        </div>
+
+        <div className="modal-footer">
+          <button type="button" className="modal-btn modal-btn--secondary" onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default SchemaSnapshotsModal;
@@ -0,0 +1,249 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { formatCellValue } from '../../utils/formatHelpers';
+import ResultExportControls from './ResultExportControls';
+
+const PAGE_SIZE_OPTIONS = [25, 50, 100, 250];
+
+/**
+ * Paged table rows with server-side sorting and a "contains" filter.
+ * PHI columns come back masked unless the user reveals them. The export uses
+ * the current sort and filter.
+ */
+function TablePreview({ connectionId, table, onPreviewTable, onCancelOperation, onExport }) {
+  const [page, setPage] = useState(1);
+  const [pageSize, setPageSize] = useState(50);
+  const [sort, setSort] = useState(null); // { column, direction }
+  const [filterColumn, setFilterColumn] = useState('');
+  const [filterInput, setFilterInput] = useState('');
+  const [filter, setFilter] = useState(null); // { column, value } applied to the query
+  const [revealPhi, setRevealPhi] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [operationId, setOperationId] = useState(null);
+  const [result, setResult] = useState(null);
+  const [columns, setColumns] = useState([]);
+
+  const loadPage = useCallback(async () => {
+    const previewId = window.crypto.randomUUID();
+    setLoading(true);
+    setOperationId(previewId);
+    try {
+      const pageResult = await onPreviewTable(connectionId, table, {
+        operationId: previewId,
+        page,
+        pageSize,
+        sortColumn: sort ? sort.column : undefined,
+        sortDirection: sort ? sort.direction : undefined,
+        filterColumn: filter ? filter.column : undefined,
+        filterValue: filter ? filter.value : undefined,
+        revealPhi,
+      });
+      const safeResult = pageResult || { success: false, error: 'Unknown error' };
+      setResult(safeResult);
+      // Keep the last known columns so the filter and headers survive an empty page
+      if (safeResult.success && safeResult.columns.length > 0) setColumns(safeResult.columns);
+    } finally {
+      setLoading(false);
+      setOperationId(null);
+    }
+  }, [connectionId, table, onPreviewTable, page, pageSize, sort, filter, revealPhi]);
+
+  useEffect(() => {
+    loadPage();
+  }, [loadPage]);
+
+  const handleSort = (columnName) => {
+    setPage(1);
+    setSort(prev => {
+      if (!prev || prev.column !== columnName) return { column: columnName, direction: 'asc' };
+      if (prev.direction === 'asc') return { column: columnName, direction: 'desc' };
+      return null;
+    });
+  };
+
+  const handleApplyFilter = (e) => {
+    e.preventDefault();
+    setPage(1);
+    setFilter(filterColumn && filterInput.trim() ? { column: filterColumn, value: filterInput.trim() } : null);
+  };
+
+  const handleClearFilter = () => {
+    setFilterInput('');
+    setFilter(null);
+    setPage(1);
+  };
+
+  const handleRevealPhiChange = (e) => {
+    if (e.target.checked && !window.confirm('Show unmasked patient data (PHI) for this table? Only do this when you need to see the actual values.')) {
+      return;
+    }
+    setRevealPhi(e.target.checked);
+  };
+
+  const maskedColumns = result && result.success ? result.maskedColumns : [];
+  const firstRow = (page - 1) * pageSize + 1;
+
+  return (
+    <div style={{ fontSize: '0.85rem' }}>
+      <form onSubmit={handleApplyFilter} style={{ display: 'flex', gap: '0.5rem', alignItems: 'center', flexWrap: 'wrap', marginBottom: '0.75rem' }}>
+        <select value={filterColumn} onChange={(e) => setFilterColumn(e.target.value)} style={{ padding: '0.3rem 0.5rem' }}>
+          <option value="">Filter column…</option>
+          {columns.map(col => (
+            <option key={col.name} value={col.name}>{col.name}</option>
+          ))}
+        </select>
+        <input
+          type="text"
+          value={filterInput}
+          onChange={(e) => setFilterInput(e.target.value)}
+          placeholder="contains…"
+          style={{ padding: '0.3rem 0.5rem', flex: '1 1 8rem' }}
+        />
+        <button type="submit" className="modal-btn modal-btn--secondary" disabled={!filterColumn || loading}>
+          Apply
+        </button>
+        {filter && (
+          <button type="button" className="modal-btn modal-btn--secondary" onClick={handleClearFilter} disabled={loading}>
+            Clear
+          </button>
+        )}
+        <label style={{ marginLeft: 'auto', color: '#6b7280', display: 'flex', alignItems: 'center', gap: '0.25rem' }}>
+          <input type="checkbox" checked={revealPhi} onChange={handleRevealPhiChange} />
+          Show PHI
+        </label>
+      </form>
+
+      {maskedColumns.length > 0 && (
+        <p style={{ color: '#92400e', margin: '0 0 0.5rem', fontSize: '0.8rem' }}>
+          <i className="fa-solid fa-user-shield" aria-hidden="true" style={{ marginRight: '0.25rem' }}></i>
+          Masked as PHI: {maskedColumns.join(', ')}
+        </p>
+      )}
+
+      {result && !result.success && (
+        <p style={{ color: '#ef4444', margin: '0 0 0.5rem' }}>{result.error || 'Failed to preview table'}</p>
+      )}
+
+      {result && result.success && (
+        result.rows.length === 0 ? (
+          <p style={{ color: '#94a3b8', margin: 0 }}>{filter ? 'No rows match the filter.' : 'No rows.'}</p>
+        ) : (
+          <div style={{ overflow: 'auto', maxHeight: '45vh', border: '1px solid rgba(148,163,184,0.3)', borderRadius: '0.375rem', opacity: loading ? 0.6 : 1 }}>
+            <table style={{ borderCollapse: 'collapse', fontSize: '0.8rem', fontFamily: 'monospace', width: '100%' }}>
+              <thead>
+                <tr>
+                  {result.columns.map(col => (
+                    <th
+                      key={col.name}
+                      onClick={() => !loading && handleSort(col.name)}
+                      title="Sort by this column"
+                      style={{ position: 'sticky', top: 0, background: '#1e293b', color: '#e2e8f0', textAlign: 'left', padding: '0.35rem 0.5rem', whiteSpace: 'nowrap', cursor: 'pointer' }}
+                    >
+                      {col.name}
+                      {sort && sort.column === col.name && (
+                        <i className={`fa-solid fa-sort-${sort.direction === 'asc' ? 'up' : 'down'}`} aria-hidden="true" style={{ marginLeft: '0.35rem' }}></i>
+                      )}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {result.rows.map((row, rowIndex) => (
+                  <tr key={rowIndex}>
+                    {row.map((value, colIndex) => {
+                      const text = formatCellValue(value);
+                      return (
+                        <td
+                          key={colIndex}
+                          style={{ padding: '0.25rem 0.5rem', borderTop: '1px solid rgba(148,163,184,0.15)', whiteSpace: 'nowrap', maxWidth: '20rem', overflow: 'hidden', textOverflow: 'ellipsis' }}
+                          title={text || undefined}
+                        >
+                          {text === null ? <span style={{ color: '#94a3b8', fontStyle: 'italic' }}>NULL</span> : text}
+                        </td>
+                      );
+                    })}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )
+      )}
+
+      <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center', marginTop: '0.75rem' }}>
+        <button
+          type="button"
+          className="modal-btn modal-btn--secondary"
+          onClick={() => setPage(p => p - 1)}
+          disabled={loading || page === 1}
+        >
+          <i className="fa-solid fa-chevron-left" aria-hidden="true"></i>
+        </button>
+        <span style={{ color: '#94a3b8' }}>
+          {loading ? (
+            <>
+              <i className="fa-solid fa-spinner fa-spin" aria-hidden="true" style={{ marginRight: '0.35rem' }}></i>Loading…
+              {onCancelOperation && operationId && (
+                <button
+                  type="button"
+                  className="modal-btn modal-btn--secondary"
+                  onClick={() => onCancelOperation(operationId)}
+                  style={{ marginLeft: '0.5rem' }}
+                >
+                  Cancel
+                </button>
+              )}
+            </>
+          ) : result && result.success && result.rows.length > 0 ? (
+            `Rows ${firstRow.toLocaleString()}–${(firstRow + result.rows.length - 1).toLocaleString()} — ${result.elapsedMs} ms`
+          ) : (
+            `Page ${page}`
+          )}
+        </span>
+        <button
+          type="button"
+          className="modal-btn modal-btn--secondary"
+          onClick={() => setPage(p => p + 1)}
+          disabled={loading || !result || !result.success || !result.hasMore}
+        >
+          <i className="fa-solid fa-chevron-right" aria-hidden="true"></i>
+        </button>
+        <label style={{ marginLeft: 'auto', color: '#6b7280' }}>
+          Rows per page{' '}
+          <select
+            value={pageSize}
+            onChange={(e) => {
+              setPageSize(Number(e.target.value));
+              setPage(1);
+            }}
+            disabled={loading}
+          >
+            {PAGE_SIZE_OPTIONS.map(n => (
+              <option key={n} value={n}>{n}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {onExport && (
+        <div style={{ marginTop: '0.75rem', paddingTop: '0.75rem', borderTop: '1px solid rgba(148,163,184,0.15)' }}>
+          <ResultExportControls
+            source={{
+              kind: 'table',
+              connectionId,
+              table,
+              sortColumn: sort ? sort.column : undefined,
+              sortDirection: sort ? sort.direction : undefined,
+              filterColumn: filter ? filter.column : undefined,
+              filterValue: filter ? filter.value : undefined,
+            }}
+            onExport={onExport}
+            onCancel={onCancelOperation}
+            disabled={!result || !result.success}
+          />
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default TablePreview;
@@ -0,0 +1,123 @@
+import React from 'react';
+
+const cellStyle = { padding: '0.3rem 0.5rem', borderBottom: '1px solid rgba(148,163,184,0.15)', textAlign: 'left', verticalAlign: 'top' };
+const headerStyle = { ...cellStyle, color: '#94a3b8', fontWeight: 600, whiteSpace: 'nowrap' };
+const sectionTitleStyle = { margin: '1rem 0 0.5rem', fontSize: '0.9rem', fontWeight: 600 };
+const mutedStyle = { color: '#94a3b8', margin: 0, fontSize: '0.85rem' };
+
+function formatRowCount(table) {
+  if (table.rowCount == null) return 'Row count unavailable';
+  const count = table.rowCount.toLocaleString();
+  return table.rowCountExact ? `${count} row(s)` : `~${count} row(s) (estimate)`;
+}
+
+function formatTableName(schema, name) {
+  return schema ? `${schema}.${name}` : name;
+}
+
+/**
+ * Columns, keys and indexes of a table as returned by describeTable
+ */
+function TableSchemaDetails({ description }) {
+  const { table, columns, primaryKey, foreignKeys, indexes, warnings } = description;
+
+  return (
+    <div style={{ fontSize: '0.85rem' }}>
+      <p style={mutedStyle}>
+        {table.type === 'view' ? 'View' : 'Table'} — {columns.length} column(s) — {formatRowCount(table)}
+      </p>
+
+      {warnings && warnings.length > 0 && (
+        <div style={{ marginTop: '0.75rem', padding: '0.5rem 0.75rem', background: 'rgba(251, 191, 36, 0.1)', borderRadius: '0.375rem', border: '1px solid rgba(251, 191, 36, 0.3)', fontSize: '0.8rem', color: '#92400e' }}>
+          {warnings.map((warning, i) => (
+            <div key={i}>
+              <i className="fa-solid fa-triangle-exclamation" aria-hidden="true" style={{ marginRight: '0.25rem' }}></i>
+              {warning}
+            </div>
+          ))}
+        </div>
+      )}
+
+      <h4 style={sectionTitleStyle}>Columns</h4>
+      <div style={{ overflowX: 'auto' }}>
+        <table style={{ borderCollapse: 'collapse', width: '100%', fontFamily: 'monospace', fontSize: '0.8rem' }}>
+          <thead>
+            <tr>
+              <th style={headerStyle}>#</th>
+              <th style={headerStyle}>Name</th>
+              <th style={headerStyle}>Type</th>
+              <th style={headerStyle}>Null</th>
+              <th style={headerStyle}>Default</th>
+            </tr>
+          </thead>
+          <tbody>
+            {columns.map(col => (
+              <tr key={col.name}>
+                <td style={{ ...cellStyle, color: '#94a3b8' }}>{col.position}</td>
+                <td style={cellStyle}>
+                  {col.isPrimaryKey && (
+                    <i className="fa-solid fa-key" aria-hidden="true" title="Primary key" style={{ marginRight: '0.35rem', color: '#f59e0b' }}></i>
+                  )}
+                  {col.name}
+                </td>
+                <td style={cellStyle}>
+                  {col.dataType || '—'}
+                  {col.autoIncrement && <span style={{ marginLeft: '0.35rem', color: '#94a3b8' }}>auto</span>}
+                </td>
+                <td style={cellStyle}>{col.nullable ? 'YES' : 'NO'}</td>
+                <td style={{ ...cellStyle, color: col.defaultValue == null ? '#94a3b8' : undefined }}>
+                  {col.defaultValue == null ? '—' : col.defaultValue}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <h4 style={sectionTitleStyle}>Primary Key</h4>
+      {primaryKey ? (
+        <p style={{ margin: 0, fontFamily: 'monospace' }}>
+          ({primaryKey.columns.join(', ')})
+          {primaryKey.name && <span style={{ marginLeft: '0.5rem', color: '#94a3b8' }}>{primaryKey.name}</span>}
+        </p>
+      ) : (
+        <p style={mutedStyle}>No primary key</p>
+      )}
+
+      <h4 style={sectionTitleStyle}>Foreign Keys</h4>
+      {foreignKeys.length > 0 ? (
+        <ul style={{ listStyle: 'none', padding: 0, margin: 0, fontFamily: 'monospace' }}>
+          {foreignKeys.map((fk, i) => (
+            <li key={fk.name || i} style={{ padding: '0.2rem 0' }}>
+              ({fk.columns.join(', ')}) → {formatTableName(fk.referencedSchema, fk.referencedTable)}
+              {fk.referencedColumns.some(Boolean) && ` (${fk.referencedColumns.join(', ')})`}
+              {fk.name && <span style={{ marginLeft: '0.5rem', color: '#94a3b8' }}>{fk.name}</span>}
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p style={mutedStyle}>No foreign keys</p>
+      )}
+
+      <h4 style={sectionTitleStyle}>Indexes</h4>
+      {indexes.length > 0 ? (
+        <ul style={{ listStyle: 'none', padding: 0, margin: 0, fontFamily: 'monospace' }}>
+          {indexes.map(idx => (
+            <li key={idx.name} style={{ padding: '0.2rem 0' }}>
+              {idx.name} ({idx.columns.join(', ')})
+              {idx.primary ? (
+                <span style={{ marginLeft: '0.5rem', color: '#f59e0b' }}>primary</span>
+              ) : idx.unique && (
+                <span style={{ marginLeft: '0.5rem', color: '#94a3b8' }}>unique</span>
+              )}
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p style={mutedStyle}>No indexes</p>
+      )}
+    </div>
+  );
+}
+
+export default TableSchemaDetails;
@@ -1,11 +1,32 @@
 import { useState, useCallback } from 'react';
 
+// Most recent ad-hoc queries kept in the query console history
+const MAX_QUERY_HISTORY = 50;
+
 export const useDatabaseConnections = () => {
   const [dbConnections, setDbConnections] = useState([]);
   const [dbConnectionsLoading, setDbConnectionsLoading] = useState(false);
   const [dbConnectionsError, setDbConnectionsError] = useState(null);
   const [testingConnections, setTestingConnections] = useState({});
+  const [testAllProgress, setTestAllProgress] = useState(null); // { completed, total } while Test All runs
+  const [connectionHealthStats, setConnectionHealthStats] = useState({}); // connectionId -> health stats
   const [listingTablesConnections, setListingTablesConnections] = useState({});
+  const [queryHistory, setQueryHistory] = useState([]);
+
+  const loadConnectionHealthStats = useCallback(async () => {
+    try {
+      if (!window.electronAPI || !window.electronAPI.getDatabaseHealthStats) {
+        return;
+      }
+
+      const result = await window.electronAPI.getDatabaseHealthStats();
+      if (result.success) {
+        setConnectionHealthStats(result.stats || {});
+      }
+    } catch (error) {
+      console.error('Error loading connection health stats:', error);
+    }
+  }, []);
 
   const loadDatabaseConnections = useCallback(async () => {
     try {
@@ -22,6 +43,7 @@ export const useDatabaseConnections = () => {
       if (result.success) {
         setDbConnections(result.connections || []);
         await loadDatabaseConnectionStatuses();
+        await loadConnectionHealthStats();
       } else {
         setDbConnectionsError(result.error || 'Failed to load database connections');
       }
@@ -60,10 +82,14 @@ export const useDatabaseConnections = () => {
       return;
     }
 
-    setTestingConnections(prev => ({ ...prev, [connectionId]: true }));
+    // The operation ID marks the connection as testing and lets the tab cancel the test
+    const operationId = window.crypto.randomUUID();
+    setTestingConnections(prev => ({ ...prev, [connectionId]: operationId }));
 
     try {
-      const result = await window.electronAPI.testDatabaseConnection(connectionId);
+      const result = await window.electronAPI.testDatabaseConnection(connectionId, { operationId });
+      // A cancelled test leaves the last status as it was
+      if (result.cancelled) return;
 
       setDbConnections(prevConnections => 
         prevConnections.map(conn => 
@@ -81,8 +107,9 @@ export const useDatabaseConnections = () => {
       alert(`Failed to test connection: ${error.message || 'Unknown error'}`);
     } finally {
       setTestingConnections(prev => ({ ...prev, [connectionId]: false }));
+      loadConnectionHealthStats();
     }
-  }, []);
+  }, [loadConnectionHealthStats]);
 
   const handleListTables = useCallback(async (connectionId) => {
     if (!window.electronAPI || !window.electronAPI.listDatabaseTables) {
@@ -90,10 +117,11 @@ export const useDatabaseConnections = () => {
       return null;
     }
 
-    setListingTablesConnections(prev => ({ ...prev, [connectionId]: true }));
+    const operationId = window.crypto.randomUUID();
+    setListingTablesConnections(prev => ({ ...prev, [connectionId]: operationId }));
 
     try {
-      const result = await window.electronAPI.listDatabaseTables(connectionId);
+      const result = await window.electronAPI.listDatabaseTables(connectionId, { operationId });
       return result;
     } catch (error) {
       console.error('Error listing tables:', error);
@@ -107,7 +135,45 @@ export const useDatabaseConnections = () => {
     }
   }, []);
 
-  const handleTestAllConnections = useCallback(async () => {
+  const handleDescribeTable = useCallback(async (connectionId, table, options) => {
+    if (!window.electronAPI || !window.electronAPI.describeDatabaseTable) {
+      alert('Database tables API not available');
+      return null;
+    }
+
+    try {
+      return await window.electronAPI.describeDatabaseTable(connectionId, table, options);
+    } catch (error) {
+      console.error('Error describing table:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to describe table',
+      };
+    }
+  }, []);
+
+  const handlePreviewTable = useCallback(async (connectionId, table, options) => {
+    if (!window.electronAPI || !window.electronAPI.previewDatabaseTable) {
+      alert('Database tables API not available');
+      return null;
+    }
+
+    try {
+      return await window.electronAPI.previewDatabaseTable(connectionId, table, options);
+    } catch (error) {
+      console.error('Error previewing table:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to preview table',
+      };
+    }
+  }, []);
+
+  /**
+   * Test every connection in parallel. options: { concurrency, timeoutMs }. Each row
+   * shows its spinner while its own test runs and its status as soon as it finishes.
+   */
+  const handleTestAllConnections = useCallback(async (options = {}) => {
     if (!window.electronAPI || !window.electronAPI.testAllDatabaseConnections) {
       alert('Database connections API not available');
       return;
@@ -115,8 +181,29 @@ export const useDatabaseConnections = () => {
 
     setDbConnectionsLoading(true);
 
+    const testRunId = window.crypto.randomUUID();
+    const running = new Set();
+    const unsubscribe = window.electronAPI.onDatabaseTestProgress
+      ? window.electronAPI.onDatabaseTestProgress((progress) => {
+        if (progress.testRunId !== testRunId) return;
+        setTestAllProgress({ completed: progress.completed, total: progress.total });
+        if (progress.phase === 'started') running.add(progress.connectionId);
+        else running.delete(progress.connectionId);
+        setTestingConnections(prev => ({ ...prev, [progress.connectionId]: progress.phase === 'started' }));
+        if (progress.phase === 'finished') {
+          setDbConnections(prevConnections =>
+            prevConnections.map(conn =>
+              conn.id === progress.connectionId
+                ? { ...conn, status: progress.result }
+                : conn
+            )
+          );
+        }
+      })
+      : null;
+
     try {
-      const result = await window.electronAPI.testAllDatabaseConnections();
+      const result = await window.electronAPI.testAllDatabaseConnections({ ...options, testRunId });
 
       if (result.success) {
         await loadDatabaseConnectionStatuses();
@@ -127,9 +214,14 @@ export const useDatabaseConnections = () => {
       console.error('Error testing all connections:', error);
       alert(`Failed to test connections: ${error.message || 'Unknown error'}`);
     } finally {
+      if (unsubscribe) unsubscribe();
+      // Clear spinners of tests whose result never arrived
+      setTestingConnections(prev => ({ ...prev, ...Object.fromEntries([...running].map(id => [id, false])) }));
+      setTestAllProgress(null);
       setDbConnectionsLoading(false);
+      loadConnectionHealthStats();
     }
-  }, [loadDatabaseConnectionStatuses]);
+  }, [loadDatabaseConnectionStatuses, loadConnectionHealthStats]);
 
   const handleRemoveConnection = useCallback(async (connectionId) => {
     if (!window.electronAPI || !window.electronAPI.removeDatabaseConnection) {
@@ -178,6 +270,300 @@ export const useDatabaseConnections = () => {
     }
   }, [loadDatabaseConnections]);
 
+  const handleListConnectionBackups = useCallback(async () => {
+    if (!window.electronAPI || !window.electronAPI.listDatabaseConnectionBackups) {
+      return { success: false, backups: [], error: 'Connection backups API not available' };
+    }
+
+    try {
+      return await window.electronAPI.listDatabaseConnectionBackups();
+    } catch (error) {
+      console.error('Error listing connection backups:', error);
+      return { success: false, backups: [], error: error.message || 'Failed to list connection backups' };
+    }
+  }, []);
+
+  const handleRestoreConnectionBackup = useCallback(async (backupId) => {
+    if (!window.electronAPI || !window.electronAPI.restoreDatabaseConnectionBackup) {
+      alert('Connection backups API not available');
+      return false;
+    }
+
+    if (!confirm('Restore saved connections from this backup? Current connections will be backed up first.')) {
+      return false;
+    }
+
+    try {
+      const result = await window.electronAPI.restoreDatabaseConnectionBackup(backupId);
+
+      if (result.success) {
+        await loadDatabaseConnections();
+        return true;
+      } else {
+        alert(`Failed to restore backup: ${result.error || 'Unknown error'}`);
+        return false;
+      }
+    } catch (error) {
+      console.error('Error restoring connection backup:', error);
+      alert(`Failed to restore backup: ${error.message || 'Unknown error'}`);
+      return false;
+    }
+  }, [loadDatabaseConnections]);
+
+  const handleExportConnections = useCallback(async (options) => {
+    if (!window.electronAPI || !window.electronAPI.exportDatabaseConnections) {
+      return { success: false, error: 'Connection export API not available' };
+    }
+
+    try {
+      return await window.electronAPI.exportDatabaseConnections(options);
+    } catch (error) {
+      console.error('Error exporting connections:', error);
+      return { success: false, error: error.message || 'Failed to export connections' };
+    }
+  }, []);
+
+  const handleImportConnections = useCallback(async (options) => {
+    if (!window.electronAPI || !window.electronAPI.importDatabaseConnections) {
+      return { success: false, error: 'Connection import API not available' };
+    }
+
+    try {
+      const result = await window.electronAPI.importDatabaseConnections(options);
+      if (result.success) {
+        await loadDatabaseConnections();
+      }
+      return result;
+    } catch (error) {
+      console.error('Error importing connections:', error);
+      return { success: false, error: error.message || 'Failed to import connections' };
+    }
+  }, [loadDatabaseConnections]);
+
+  const handleExecuteQuery = useCallback(async (connectionId, query, options) => {
+    if (!window.electronAPI || !window.electronAPI.executeDatabaseQuery) {
+      return { success: false, error: 'Query API not available' };
+    }
+
+    let result;
+    try {
+      result = await window.electronAPI.executeDatabaseQuery(connectionId, query, options);
+    } catch (error) {
+      console.error('Error executing query:', error);
+      result = { success: false, error: error.message || 'Failed to execute query' };
+    }
+
+    setQueryHistory(prev => [
+      {
+        connectionId,
+        query,
+        executedAt: new Date().toISOString(),
+        success: result.success,
+        cancelled: result.cancelled === true,
+        rowCount: result.rowCount,
+        elapsedMs: result.elapsedMs,
+      },
+      ...prev,
+    ].slice(0, MAX_QUERY_HISTORY));
+
+    return result;
+  }, []);
+
+  /**
+   * Cancel any running operation (query, preview, table list or describe,
+   * connection test, export, diagnostics) by the operationId it was started with
+   */
+  const handleCancelOperation = useCallback(async (operationId) => {
+    if (!window.electronAPI || !window.electronAPI.cancelDatabaseOperation) {
+      return { success: false, error: 'Cancel API not available' };
+    }
+
+    try {
+      return await window.electronAPI.cancelDatabaseOperation(operationId);
+    } catch (error) {
+      console.error('Error cancelling operation:', error);
+      return { success: false, error: error.message || 'Failed to cancel operation' };
+    }
+  }, []);
+
+  /**
+   * Export rows to a file the user picks. onProgress receives { rowsWritten, maxRows }
+   * for this export while it runs; request.operationId cancels it (handleCancelOperation).
+   */
+  const handleExportResults = useCallback(async (request, onProgress) => {
+    if (!window.electronAPI || !window.electronAPI.exportDatabaseResults) {
+      return { success: false, error: 'Export API not available' };
+    }
+
+    const operationId = request.operationId || window.crypto.randomUUID();
+    const unsubscribe = onProgress && window.electronAPI.onDatabaseExportProgress
+      ? window.electronAPI.onDatabaseExportProgress((progress) => {
+        if (progress.operationId === operationId) onProgress(progress);
+      })
+      : null;
+    try {
+      return await window.electronAPI.exportDatabaseResults({ ...request, operationId });
+    } catch (error) {
+      console.error('Error exporting results:', error);
+      return { success: false, error: error.message || 'Failed to export results' };
+    } finally {
+      if (unsubscribe) unsubscribe();
+    }
+  }, []);
+
+  const handleCaptureSchemaSnapshot = useCallback(async (connectionId) => {
+    if (!window.electronAPI || !window.electronAPI.captureSchemaSnapshot) {
+      return { success: false, error: 'Schema snapshot API not available' };
+    }
+
+    try {
+      return await window.electronAPI.captureSchemaSnapshot(connectionId);
+    } catch (error) {
+      console.error('Error capturing schema snapshot:', error);
+      return { success: false, error: error.message || 'Failed to capture schema snapshot' };
+    }
+  }, []);
+
+  const handleListSchemaSnapshots = useCallback(async () => {
+    if (!window.electronAPI || !window.electronAPI.listSchemaSnapshots) {
+      return { success: false, snapshots: [], error: 'Schema snapshot API not available' };
+    }
+
+    try {
+      return await window.electronAPI.listSchemaSnapshots();
+    } catch (error) {
+      console.error('Error listing schema snapshots:', error);
+      return { success: false, snapshots: [], error: error.message || 'Failed to list schema snapshots' };
+    }
+  }, []);
+
+  const handleDeleteSchemaSnapshot = useCallback(async (snapshotId) => {
+    if (!window.electronAPI || !window.electronAPI.deleteSchemaSnapshot) {
+      return { success: false, error: 'Schema snapshot API not available' };
+    }
+
+    try {
+      return await window.electronAPI.deleteSchemaSnapshot(snapshotId);
+    } catch (error) {
+      console.error('Error deleting schema snapshot:', error);
+      return { success: false, error: error.message || 'Failed to delete schema snapshot' };
+    }
+  }, []);
+
+  /**
+   * Diff two schemas; base and target are { snapshotId } or { connectionId } (read live)
+   */
+  const handleDiffSchemas = useCallback(async (base, target) => {
+    if (!window.electronAPI || !window.electronAPI.diffSchemas) {
+      return { success: false, error: 'Schema snapshot API not available' };
+    }
+
+    try {
+      return await window.electronAPI.diffSchemas(base, target);
+    } catch (error) {
+      console.error('Error diffing schemas:', error);
+      return { success: false, error: error.message || 'Failed to diff schemas' };
+    }
+  }, []);
+
+  /**
+   * Get MSSQL/MySQL connection pool statistics
+   */
+  const handleGetPoolStats = useCallback(async () => {
+    if (!window.electronAPI || !window.electronAPI.getDatabasePoolStats) {
+      return { success: false, error: 'Pool stats API not available' };
+    }
+
+    try {
+      return await window.electronAPI.getDatabasePoolStats();
+    } catch (error) {
+      console.error('Error getting pool stats:', error);
+      return { success: false, error: error.message || 'Failed to get pool stats' };
+    }
+  }, []);
+
+  /**
+   * Run a latency and throughput diagnostic; the report also lands in the health history
+   */
+  const handleRunDiagnostics = useCallback(async (connectionId, options) => {
+    if (!window.electronAPI || !window.electronAPI.runDatabaseDiagnostics) {
+      return { success: false, error: 'Connection diagnostics API not available' };
+    }
+
+    try {
+      return await window.electronAPI.runDatabaseDiagnostics(connectionId, options);
+    } catch (error) {
+      console.error('Error running connection diagnostics:', error);
+      return { success: false, error: error.message || 'Failed to run connection diagnostics' };
+    } finally {
+      loadConnectionHealthStats();
+    }
+  }, [loadConnectionHealthStats]);
+
+  const handleListDiagnostics = useCallback(async (connectionId, options) => {
+    if (!window.electronAPI || !window.electronAPI.listDatabaseDiagnostics) {
+      return { success: false, reports: [], error: 'Connection diagnostics API not available' };
+    }
+
+    try {
+      return await window.electronAPI.listDatabaseDiagnostics(connectionId, options);
+    } catch (error) {
+      console.error('Error listing connection diagnostics:', error);
+      return { success: false, reports: [], error: error.message || 'Failed to list connection diagnostics' };
+    }
+  }, []);
+
+  /**
+   * Follow status changes found by the main-process connection monitor.
+   * Returns an unsubscribe function.
+   */
+  const subscribeToConnectionStatusChanges = useCallback(() => {
+    if (!window.electronAPI || !window.electronAPI.onDatabaseStatusChanged) {
+      return () => {};
+    }
+
+    return window.electronAPI.onDatabaseStatusChanged((change) => {
+      setDbConnections(prevConnections =>
+        prevConnections.map(conn =>
+          conn.id === change.connectionId
+            ? { ...conn, status: change.status }
+            : conn
+        )
+      );
+      loadConnectionHealthStats();
+    });
+  }, [loadConnectionHealthStats]);
+
+  const handleGetMonitorSettings = useCallback(async () => {
+    if (!window.electronAPI || !window.electronAPI.getDatabaseMonitorSettings) {
+      return { success: false, error: 'Connection monitor API not available' };
+    }
+
+    try {
+      return await window.electronAPI.getDatabaseMonitorSettings();
+    } catch (error) {
+      console.error('Error getting connection monitor settings:', error);
+      return { success: false, error: error.message || 'Failed to get connection monitor settings' };
+    }
+  }, []);
+
+  const handleUpdateMonitorSettings = useCallback(async (updates) => {
+    if (!window.electronAPI || !window.electronAPI.updateDatabaseMonitorSettings) {
+      return { success: false, error: 'Connection monitor API not available' };
+    }
+
+    try {
+      return await window.electronAPI.updateDatabaseMonitorSettings(updates);
+    } catch (error) {
+      console.error('Error saving connection monitor settings:', error);
+      return { success: false, error: error.message || 'Failed to save connection monitor settings' };
+    }
+  }, []);
+
+  const handleClearQueryHistory = useCallback(() => {
+    setQueryHistory([]);
+  }, []);
+
   // Eaglesoft-specific functions
   const checkEaglesoftInstalled = useCallback(async () => {
     try {
@@ -248,14 +634,38 @@ export const useDatabaseConnections = () => {
     dbConnectionsLoading,
     dbConnectionsError,
     testingConnections,
+    testAllProgress,
+    connectionHealthStats,
     listingTablesConnections,
+    queryHistory,
     loadDatabaseConnections,
     loadDatabaseConnectionStatuses,
+    loadConnectionHealthStats,
+    subscribeToConnectionStatusChanges,
     handleTestConnection,
     handleListTables,
+    handleDescribeTable,
+    handlePreviewTable,
     handleTestAllConnections,
     handleRemoveConnection,
     handleAddConnection,
+    handleListConnectionBackups,
+    handleRestoreConnectionBackup,
+    handleExportConnections,
+    handleImportConnections,
+    handleExecuteQuery,
+    handleCancelOperation,
+    handleExportResults,
+    handleCaptureSchemaSnapshot,
+    handleListSchemaSnapshots,
+    handleDeleteSchemaSnapshot,
+    handleDiffSchemas,
+    handleGetPoolStats,
+    handleRunDiagnostics,
+    handleListDiagnostics,
+    handleGetMonitorSettings,
+    handleUpdateMonitorSettings,
+    handleClearQueryHistory,
     // Eaglesoft-specific functions
     checkEaglesoftInstalled,
     handleAddEaglesoftConnection,
@@ -0,0 +1,14 @@
+const path = require('path');
+
+/**
+ * Get the application data directory (db-connections.json, secret vault, logs)
+ */
+function getAppDataDirectory() {
+  const userDataPath = process.env.APPDATA || 
+    (process.platform === 'darwin' ? process.env.HOME + '/Library/Application Support' : '/var/local');
+  return path.join(userDataPath, 'ElectronPoC');
+}
+
+module.exports = {
+  getAppDataDirectory,
+};
@@ -0,0 +1,175 @@
+/**
+ * Connection Bundle
+ *
+ * Portable file format for copying saved connections between PCs:
+ *   {
+ *     format: 'electronpoc-connections',
+ *     version: 1,
+ *     exportedAt,
+ *     secrets: { mode: 'excluded' } |
+ *              { mode: 'encrypted', kdf: { name: 'scrypt', salt, N, r, p }, iv, tag, data },
+ *     connections: [{ name, type, config }]
+ *   }
+ *
+ * Connection IDs, timestamps and statuses are machine-specific and not exported.
+ * Secret config fields (passwords, ODBC connection strings) are either left out -
+ * the imported connection is then flagged passwordMissing - or encrypted together
+ * with AES-256-GCM under a key derived from a user passphrase.
+ */
+
+const crypto = require('crypto');
+const { validateConnection } = require('./connectionsSchema');
+
+const BUNDLE_FORMAT = 'electronpoc-connections';
+const BUNDLE_VERSION = 1;
+const ALGORITHM = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const SALT_LENGTH = 16;
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const MIN_PASSPHRASE_LENGTH = 8;
+
+/**
+ * Derive the bundle encryption key from a passphrase
+ */
+function deriveKey(passphrase, salt, { N, r, p }) {
+  return crypto.scryptSync(String(passphrase), salt, KEY_LENGTH, { N, r, p, maxmem: 64 * 1024 * 1024 });
+}
+
+/**
+ * Build an export bundle from saved connections.
+ *
+ * @param {Object[]} connections - Saved connections (with real secrets)
+ * @param {Object} options
+ * @param {string[]} options.secretFields - Config fields that hold secrets
+ * @param {string} [options.passphrase] - Encrypt secrets under this passphrase; omit to exclude them
+ * @returns {Object} Bundle document
+ */
+function createConnectionBundle(connections, { secretFields, passphrase }) {
+  if (passphrase != null && String(passphrase).length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+  }
+
+  const secretsByIndex = [];
+  const exported = connections.map((conn, index) => {
+    const config = { ...conn.config };
+    const secrets = {};
+    for (const field of secretFields) {
+      if (config[field] == null || config[field] === '') continue;
+      secrets[field] = String(config[field]);
+      delete config[field];
+    }
+    if (Object.keys(secrets).length > 0) {
+      secretsByIndex[index] = secrets;
+      if (passphrase == null) config.passwordMissing = true;
+    }
+    return { name: conn.name, type: conn.type, config };
+  });
+
+  let secrets = { mode: 'excluded' };
+  if (passphrase != null) {
+    const salt = crypto.randomBytes(SALT_LENGTH);
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(ALGORITHM, deriveKey(passphrase, salt, SCRYPT_PARAMS), iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(secretsByIndex), 'utf8'), cipher.final()]);
+    secrets = {
+      mode: 'encrypted',
+      algorithm: ALGORITHM,
+      kdf: { name: 'scrypt', salt: salt.toString('base64'), ...SCRYPT_PARAMS },
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64'),
+    };
+  }
+
+  return {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    secrets,
+    connections: exported,
+  };
+}
+
+/**
+ * Decrypt the secrets section of a bundle
+ *
+ * @throws {Error} code PASSPHRASE_REQUIRED or BAD_PASSPHRASE
+ */
+function decryptBundleSecrets(secrets, passphrase) {
+  if (passphrase == null || passphrase === '') {
+    const error = new Error('This bundle contains encrypted passwords. Enter the passphrase used to export it.');
+    error.code = 'PASSPHRASE_REQUIRED';
+    throw error;
+  }
+
+  const { kdf } = secrets;
+  if (!kdf || kdf.name !== 'scrypt') {
+    throw new Error(`Unsupported key derivation '${kdf && kdf.name}'`);
+  }
+
+  try {
+    const key = deriveKey(passphrase, Buffer.from(kdf.salt, 'base64'), kdf);
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(secrets.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(secrets.tag, 'base64'));
+    const plaintext = Buffer.concat([
+      decipher.update(Buffer.from(secrets.data, 'base64')),
+      decipher.final(),
+    ]).toString('utf8');
+    return JSON.parse(plaintext);
+  } catch (_) {
+    const error = new Error('Incorrect passphrase, or the bundle has been modified');
+    error.code = 'BAD_PASSPHRASE';
+    throw error;
+  }
+}
+
+/**
+ * Parse and validate an import bundle.
+ *
+ * @param {*} raw - Parsed JSON from the bundle file
+ * @param {Object} options
+ * @param {string[]} options.knownTypes - Supported database type identifiers
+ * @param {string} [options.passphrase] - Passphrase for encrypted secrets
+ * @returns {Object} { connections: [{ name, type, config }], invalid: [{ name, problems }], secretsMode }
+ * @throws {Error} If the file is not a bundle, or the passphrase is missing/wrong
+ */
+function readConnectionBundle(raw, { knownTypes, passphrase }) {
+  if (!raw || typeof raw !== 'object' || raw.format !== BUNDLE_FORMAT) {
+    throw new Error('File is not a connection export bundle');
+  }
+  if (!Number.isInteger(raw.version) || raw.version > BUNDLE_VERSION) {
+    throw new Error(`Bundle version ${raw.version} is not supported by this application`);
+  }
+  if (!Array.isArray(raw.connections)) {
+    throw new Error('Bundle is missing the connections array');
+  }
+
+  const secretsMode = raw.secrets && raw.secrets.mode === 'encrypted' ? 'encrypted' : 'excluded';
+  const secretsByIndex = secretsMode === 'encrypted' ? decryptBundleSecrets(raw.secrets, passphrase) : [];
+
+  const connections = [];
+  const invalid = [];
+  raw.connections.forEach((entry, index) => {
+    // IDs are assigned on import; validate the rest of the entry as a saved connection
+    const problems = validateConnection({ ...entry, id: 'import' }, knownTypes);
+    if (problems.length > 0) {
+      invalid.push({ name: entry && entry.name, problems });
+      return;
+    }
+    const secrets = secretsByIndex[index] || {};
+    const config = { ...entry.config, ...secrets };
+    if (Object.keys(secrets).length > 0) delete config.passwordMissing;
+    connections.push({ name: entry.name.trim(), type: entry.type, config });
+  });
+
+  return { connections, invalid, secretsMode };
+}
+
+module.exports = {
+  BUNDLE_FORMAT,
+  BUNDLE_VERSION,
+  MIN_PASSPHRASE_LENGTH,
+  createConnectionBundle,
+  readConnectionBundle,
+};
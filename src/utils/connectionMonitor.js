@@ -0,0 +1,260 @@
+/**
+ * Connection Monitor
+ *
+ * Tests saved connections on a schedule from the main process, so connectivity
+ * is monitored whether or not a window (or the dashboard) is open. Every check
+ * goes through databaseConnections.testConnection and so lands in the health
+ * history like a manual test.
+ *
+ * - Each connection is checked every intervalSeconds (global, or a per-connection
+ *   override). After a failure the interval doubles per consecutive failure, up
+ *   to maxBackoffSeconds, and returns to normal after the next success.
+ * - A status change (up -> down, down -> up, first result) is reported through
+ *   the onStatusChange callback passed to startConnectionMonitor.
+ * - With runInBackground the app keeps running (in the tray) after its window is
+ *   closed, so monitoring continues; see isBackgroundMonitoringEnabled.
+ * - Settings are saved to connection-monitor.json in the app data directory:
+ *
+ *   { enabled, intervalSeconds, maxBackoffSeconds, runInBackground,
+ *     connections: { [id]: { enabled, intervalSeconds } } }
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const fileStore = require('./fileStore');
+const { getAppDataDirectory } = require('./appPaths');
+const databaseConnections = require('./databaseConnections');
+
+const SETTINGS_FILE_NAME = 'connection-monitor.json';
+const MIN_INTERVAL_SECONDS = 30;
+const MAX_INTERVAL_SECONDS = 24 * 60 * 60;
+const DEFAULT_SETTINGS = {
+  enabled: true,
+  intervalSeconds: 300,
+  maxBackoffSeconds: 3600,
+  runInBackground: false,
+  connections: {},
+};
+/** How often the scheduler looks for due checks */
+const TICK_MS = 5000;
+/** First checks after start are spread over this window so they do not all run at once */
+const STARTUP_SPREAD_MS = 30000;
+/** Checks run at once */
+const MAX_CONCURRENT_CHECKS = 2;
+
+let settings = null;
+let tickTimer = null;
+let onStatusChange = () => {};
+// connectionId -> { nextCheckAt, consecutiveFailures, running }
+const schedule = new Map();
+
+function getSettingsPath() {
+  return path.join(getAppDataDirectory(), SETTINGS_FILE_NAME);
+}
+
+function clampInterval(value, fallback) {
+  const seconds = parseInt(value, 10);
+  if (!Number.isFinite(seconds)) return fallback;
+  return Math.min(Math.max(seconds, MIN_INTERVAL_SECONDS), MAX_INTERVAL_SECONDS);
+}
+
+/**
+ * Fill defaults and clamp values; unknown fields are dropped
+ */
+function normalizeSettings(input = {}) {
+  const connections = {};
+  for (const [id, override] of Object.entries(input.connections || {})) {
+    if (!override || typeof override !== 'object') continue;
+    connections[id] = {
+      enabled: override.enabled !== false,
+      ...(override.intervalSeconds != null && {
+        intervalSeconds: clampInterval(override.intervalSeconds, DEFAULT_SETTINGS.intervalSeconds),
+      }),
+    };
+  }
+  const intervalSeconds = clampInterval(input.intervalSeconds, DEFAULT_SETTINGS.intervalSeconds);
+  return {
+    enabled: input.enabled !== false,
+    intervalSeconds,
+    maxBackoffSeconds: Math.max(clampInterval(input.maxBackoffSeconds, DEFAULT_SETTINGS.maxBackoffSeconds), intervalSeconds),
+    runInBackground: input.runInBackground === true,
+    connections,
+  };
+}
+
+async function loadSettings() {
+  if (settings) return settings;
+  try {
+    settings = normalizeSettings(JSON.parse(await fs.readFile(getSettingsPath(), 'utf-8')));
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.error('Error reading connection monitor settings, using defaults:', error.message);
+    settings = normalizeSettings(DEFAULT_SETTINGS);
+  }
+  return settings;
+}
+
+function getConnectionInterval(connectionId) {
+  const override = settings.connections[connectionId];
+  return override && override.intervalSeconds ? override.intervalSeconds : settings.intervalSeconds;
+}
+
+function isMonitored(connectionId) {
+  const override = settings.connections[connectionId];
+  return settings.enabled && (!override || override.enabled !== false);
+}
+
+/**
+ * Seconds until the next check: the interval, doubled per consecutive failure up to the backoff cap
+ */
+function getNextDelaySeconds(connectionId, consecutiveFailures) {
+  const interval = getConnectionInterval(connectionId);
+  if (consecutiveFailures === 0) return interval;
+  const maxBackoff = Math.max(settings.maxBackoffSeconds, interval);
+  return Math.min(interval * 2 ** Math.min(consecutiveFailures, 20), maxBackoff);
+}
+
+async function runCheck(connection, entry) {
+  entry.running = true;
+  try {
+    const previous = databaseConnections.getConnectionStatus(connection.id);
+    const result = await databaseConnections.testConnection(connection.id, { source: 'monitor' });
+    entry.consecutiveFailures = result.success ? 0 : entry.consecutiveFailures + 1;
+
+    if (previous.success !== result.success) {
+      try {
+        onStatusChange({
+          connectionId: connection.id,
+          name: connection.name,
+          previousSuccess: previous.success,
+          status: databaseConnections.getConnectionStatus(connection.id),
+        });
+      } catch (error) {
+        console.error('Error reporting connection status change:', error);
+      }
+    }
+  } catch (error) {
+    entry.consecutiveFailures += 1;
+    console.error(`Error monitoring connection '${connection.name}':`, error);
+  } finally {
+    entry.running = false;
+    entry.nextCheckAt = Date.now() + getNextDelaySeconds(connection.id, entry.consecutiveFailures) * 1000;
+  }
+}
+
+async function tick() {
+  await loadSettings();
+  const now = Date.now();
+  // The in-memory list: re-reading the file here could race with a save
+  const knownConnections = await databaseConnections.getLoadedConnections();
+
+  const ids = new Set(knownConnections.map(conn => conn.id));
+  for (const id of schedule.keys()) {
+    if (!ids.has(id)) schedule.delete(id);
+  }
+
+  let running = [...schedule.values()].filter(entry => entry.running).length;
+  knownConnections.forEach((connection, index) => {
+    if (!schedule.has(connection.id)) {
+      const spread = Math.round((STARTUP_SPREAD_MS * index) / Math.max(knownConnections.length, 1));
+      schedule.set(connection.id, { nextCheckAt: now + spread, consecutiveFailures: 0, running: false });
+    }
+    const entry = schedule.get(connection.id);
+    if (!isMonitored(connection.id) || entry.running || entry.nextCheckAt > now || running >= MAX_CONCURRENT_CHECKS) return;
+    running += 1;
+    runCheck(connection, entry);
+  });
+}
+
+/**
+ * Start the scheduler (idempotent)
+ *
+ * @param {Object} [options]
+ * @param {Function} [options.onStatusChange] - Called with { connectionId, name, previousSuccess, status }
+ *   when a check's result differs from the connection's previous status
+ */
+function startConnectionMonitor({ onStatusChange: statusListener } = {}) {
+  if (statusListener) onStatusChange = statusListener;
+  if (tickTimer) return;
+  // Load now so isBackgroundMonitoringEnabled is accurate before the first tick
+  loadSettings().catch(() => {});
+  tickTimer = setInterval(() => {
+    tick().catch(error => console.error('Error in connection monitor:', error));
+  }, TICK_MS);
+  if (typeof tickTimer.unref === 'function') tickTimer.unref();
+  console.log('[Monitor] Connection monitor started');
+}
+
+/**
+ * Whether the app should keep running when its last window closes (settings loaded by start)
+ */
+function isBackgroundMonitoringEnabled() {
+  return Boolean(tickTimer && settings && settings.enabled && settings.runInBackground);
+}
+
+function stopConnectionMonitor() {
+  if (!tickTimer) return;
+  clearInterval(tickTimer);
+  tickTimer = null;
+}
+
+/**
+ * Get monitor settings and the current schedule
+ *
+ * @returns {Promise<Object>} { success, settings, schedule: [{ connectionId, monitored, intervalSeconds,
+ *   nextCheckAt, consecutiveFailures, running }], error }
+ */
+async function getMonitorSettings() {
+  try {
+    await loadSettings();
+    return {
+      success: true,
+      settings,
+      schedule: [...schedule.entries()].map(([connectionId, entry]) => ({
+        connectionId,
+        monitored: isMonitored(connectionId),
+        intervalSeconds: getConnectionInterval(connectionId),
+        nextCheckAt: new Date(entry.nextCheckAt).toISOString(),
+        consecutiveFailures: entry.consecutiveFailures,
+        running: entry.running,
+      })),
+    };
+  } catch (error) {
+    console.error('Error getting connection monitor settings:', error);
+    return { success: false, error: error.message || 'Failed to get connection monitor settings' };
+  }
+}
+
+/**
+ * Save monitor settings. Intervals are clamped to 30 seconds - 24 hours. Checks
+ * already scheduled are moved earlier if the new interval makes them due sooner.
+ *
+ * @param {Object} updates - { enabled, intervalSeconds, maxBackoffSeconds, runInBackground, connections }
+ * @returns {Promise<Object>} { success, settings, schedule, error } - see getMonitorSettings
+ */
+async function updateMonitorSettings(updates = {}) {
+  try {
+    await loadSettings();
+    const next = normalizeSettings({ ...settings, ...updates });
+    await fs.mkdir(getAppDataDirectory(), { recursive: true });
+    await fileStore.writeFileAtomic(getSettingsPath(), JSON.stringify(next, null, 2));
+    settings = next;
+
+    const now = Date.now();
+    for (const [connectionId, entry] of schedule) {
+      const latest = now + getNextDelaySeconds(connectionId, entry.consecutiveFailures) * 1000;
+      if (entry.nextCheckAt > latest) entry.nextCheckAt = latest;
+    }
+    return await getMonitorSettings();
+  } catch (error) {
+    console.error('Error saving connection monitor settings:', error);
+    return { success: false, error: error.message || 'Failed to save connection monitor settings' };
+  }
+}
+
+module.exports = {
+  startConnectionMonitor,
+  stopConnectionMonitor,
+  isBackgroundMonitoringEnabled,
+  getMonitorSettings,
+  updateMonitorSettings,
+};
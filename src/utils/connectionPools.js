@@ -0,0 +1,401 @@
+/**
+ * Connection Pools
+ *
+ * One isolated pool per saved connection for MSSQL (mssql ConnectionPool) and
+ * MySQL (mysql2 pool), so repeated tests, table listings and queries reuse open
+ * connections and concurrent work on different servers never shares a pool
+ * (the global sql.connect() pool is process-wide and is not used).
+ *
+ * - Pools are keyed by connection ID; callers without one (registry configs,
+ *   connections being added) get a key derived from the server and login.
+ * - A pool whose options change (connection edited) is retired: it finishes its
+ *   current work and closes, and the next acquire opens a new one.
+ * - Each pool holds at most POOL_MAX_CONNECTIONS connections; at most MAX_POOLS
+ *   pools are kept, the least recently used idle pool is closed to make room.
+ * - Pools unused for POOL_IDLE_TIMEOUT_MS are closed by a background sweep.
+ * - A pool idle for longer than HEALTH_CHECK_INTERVAL_MS is checked on acquire
+ *   (SELECT 1 / ping) and replaced if the check fails.
+ */
+
+const crypto = require('crypto');
+const sql = require('mssql');
+
+const POOL_MAX_CONNECTIONS = 5;
+const MAX_POOLS = 20;
+const POOL_IDLE_TIMEOUT_MS = 5 * 60 * 1000;
+const HEALTH_CHECK_INTERVAL_MS = 30 * 1000;
+const IDLE_SWEEP_INTERVAL_MS = 30 * 1000;
+
+// key -> pool entry (see createEntry)
+const pools = new Map();
+let sweepTimer = null;
+
+/**
+ * Stable fingerprint of pool options; includes the password so a changed login reopens the pool
+ */
+function getOptionsFingerprint(options) {
+  const normalize = value => (value && typeof value === 'object' && !Array.isArray(value)
+    ? Object.keys(value).sort().reduce((acc, key) => ({ ...acc, [key]: normalize(value[key]) }), {})
+    : value);
+  return crypto.createHash('sha256').update(JSON.stringify(normalize(options))).digest('hex');
+}
+
+/**
+ * Pool key for options without a saved connection ID
+ */
+function getDefaultPoolKey(driver, options) {
+  return `${driver}:${getOptionsFingerprint(options).slice(0, 16)}`;
+}
+
+function describeTarget(driver, options) {
+  if (driver === 'mssql') {
+    return `${options.server}${options.port ? `:${options.port}` : ''}${options.database ? `/${options.database}` : ''}`;
+  }
+  return `${options.host}:${options.port}${options.database ? `/${options.database}` : ''}`;
+}
+
+function ensureSweepTimer() {
+  if (sweepTimer) return;
+  sweepTimer = setInterval(() => {
+    evictIdlePools().catch(err => console.error('Error evicting idle pools:', err));
+  }, IDLE_SWEEP_INTERVAL_MS);
+  // Never keep the process alive just to sweep pools
+  if (typeof sweepTimer.unref === 'function') sweepTimer.unref();
+}
+
+async function closeEntry(entry, reason) {
+  if (entry.closed) return;
+  entry.closed = true;
+  if (pools.get(entry.key) === entry) pools.delete(entry.key);
+  try {
+    const pool = await entry.ready;
+    if (entry.driver === 'mssql') {
+      await pool.close();
+    } else {
+      await new Promise(resolve => pool.end(() => resolve()));
+    }
+  } catch (err) {
+    // A pool that never connected has nothing to close
+    if (entry.resolvedPool) console.error(`Error closing ${entry.driver} pool ${entry.key}:`, err.message);
+  }
+  if (reason) console.log(`[Pools] Closed ${entry.driver} pool ${entry.key} (${reason})`);
+  if (pools.size === 0 && sweepTimer) {
+    clearInterval(sweepTimer);
+    sweepTimer = null;
+  }
+}
+
+/**
+ * Close pools nobody is using that have been idle too long
+ */
+async function evictIdlePools(now = Date.now()) {
+  const idle = [...pools.values()].filter(entry => entry.active === 0 && now - entry.lastUsedAt >= POOL_IDLE_TIMEOUT_MS);
+  await Promise.all(idle.map(entry => closeEntry(entry, 'idle')));
+}
+
+/**
+ * Make room for a new pool by closing the least recently used idle one
+ */
+function enforcePoolLimit() {
+  if (pools.size < MAX_POOLS) return;
+  const idle = [...pools.values()].filter(entry => entry.active === 0).sort((a, b) => a.lastUsedAt - b.lastUsedAt);
+  if (idle.length > 0) {
+    closeEntry(idle[0], 'pool limit').catch(() => {});
+  } else {
+    console.warn(`[Pools] ${pools.size} pools are busy; opening one more than the limit of ${MAX_POOLS}`);
+  }
+}
+
+function createMssqlPool(entry, options) {
+  const pool = new sql.ConnectionPool({
+    ...options,
+    pool: { max: POOL_MAX_CONNECTIONS, min: 0, idleTimeoutMillis: POOL_IDLE_TIMEOUT_MS },
+  });
+  pool.on('error', (err) => {
+    entry.healthy = false;
+    entry.errorCount += 1;
+    entry.lastError = err.message;
+  });
+  return pool.connect();
+}
+
+function createMysqlPool(entry, options) {
+  const mysql = require('mysql2');
+  const pool = mysql.createPool({
+    ...options,
+    connectionLimit: POOL_MAX_CONNECTIONS,
+    maxIdle: POOL_MAX_CONNECTIONS,
+    idleTimeout: POOL_IDLE_TIMEOUT_MS,
+    waitForConnections: true,
+  });
+  pool.on('connection', (connection) => {
+    connection.on('error', (err) => {
+      entry.errorCount += 1;
+      entry.lastError = err.message;
+    });
+  });
+  return Promise.resolve(pool);
+}
+
+/**
+ * Get the live entry for a key, opening (or reopening) the pool as needed
+ */
+async function getEntry(driver, key, options) {
+  const fingerprint = getOptionsFingerprint(options);
+  const existing = pools.get(key);
+  if (existing && existing.driver === driver && existing.fingerprint === fingerprint && existing.healthy) {
+    return existing;
+  }
+  if (existing) {
+    // Options changed or the pool failed: stop handing it out; it closes once its leases end
+    pools.delete(key);
+    existing.retired = true;
+    if (existing.active === 0) closeEntry(existing, existing.healthy ? 'options changed' : 'unhealthy').catch(() => {});
+  }
+
+  // Nothing is awaited until the new entry is registered, so concurrent callers share it
+  enforcePoolLimit();
+  const entry = {
+    key,
+    driver,
+    fingerprint,
+    target: describeTarget(driver, options),
+    createdAt: Date.now(),
+    lastUsedAt: Date.now(),
+    lastHealthCheckAt: Date.now(),
+    active: 0,
+    acquireCount: 0,
+    errorCount: 0,
+    lastError: null,
+    healthy: true,
+    retired: false,
+    closed: false,
+    ready: null,
+    resolvedPool: null,
+  };
+  entry.ready = driver === 'mssql' ? createMssqlPool(entry, options) : createMysqlPool(entry, options);
+  pools.set(key, entry);
+  ensureSweepTimer();
+
+  try {
+    entry.resolvedPool = await entry.ready;
+  } catch (err) {
+    // Failed to connect: forget the pool so the next call retries
+    entry.healthy = false;
+    entry.lastError = err.message;
+    entry.closed = true;
+    if (pools.get(key) === entry) pools.delete(key);
+    throw err;
+  }
+  return entry;
+}
+
+function releaseEntry(entry) {
+  entry.active = Math.max(0, entry.active - 1);
+  entry.lastUsedAt = Date.now();
+  if (entry.active === 0 && (entry.retired || !entry.healthy)) {
+    closeEntry(entry, entry.retired ? 'retired' : 'unhealthy').catch(() => {});
+  }
+}
+
+/**
+ * Borrow the MSSQL pool for a connection. Call release() when done; requests on
+ * the pool are independent, so callers may run several at once.
+ *
+ * @param {string|null} key - Connection ID (null: derived from the options)
+ * @param {Object} options - mssql connection options (see getMssqlConnectionConfig)
+ * @returns {Promise<Object>} { pool: sql.ConnectionPool, release() }
+ */
+async function acquireMssqlPool(key, options) {
+  const poolKey = key || getDefaultPoolKey('mssql', options);
+  let entry = await getEntry('mssql', poolKey, options);
+
+  if (Date.now() - entry.lastUsedAt >= HEALTH_CHECK_INTERVAL_MS && entry.active === 0) {
+    try {
+      const pool = await entry.ready;
+      await pool.request().query('SELECT 1');
+      entry.lastHealthCheckAt = Date.now();
+    } catch (err) {
+      console.warn(`[Pools] Health check failed for ${poolKey}: ${err.message}`);
+      entry.healthy = false;
+      entry.lastError = err.message;
+      entry = await getEntry('mssql', poolKey, options);
+    }
+  }
+
+  entry.active += 1;
+  entry.acquireCount += 1;
+  entry.lastUsedAt = Date.now();
+  let released = false;
+  return {
+    pool: await entry.ready,
+    release: () => {
+      if (released) return;
+      released = true;
+      releaseEntry(entry);
+    },
+  };
+}
+
+/**
+ * Get a connection from the MySQL pool for a connection. The caller must call
+ * release() when done, or destroy() to drop the connection (e.g. after cancelling
+ * a statement mid-stream); either may be called more than once.
+ *
+ * @param {string|null} key - Connection ID (null: derived from the options)
+ * @param {Object} options - mysql2 connection options (see getMysqlConnectionConfig)
+ * @returns {Promise<Object>} { connection: mysql2 promise PoolConnection, release(), destroy() }
+ */
+async function acquireMysqlConnection(key, options) {
+  const poolKey = key || getDefaultPoolKey('mysql', options);
+
+  for (let attempt = 0; ; attempt++) {
+    const entry = await getEntry('mysql', poolKey, options);
+    const pool = await entry.ready;
+    entry.active += 1;
+    entry.acquireCount += 1;
+    entry.lastUsedAt = Date.now();
+
+    let connection;
+    try {
+      connection = await new Promise((resolve, reject) => {
+        pool.getConnection((err, conn) => (err ? reject(err) : resolve(conn)));
+      });
+      // Pooled sockets can be dropped by the server (wait_timeout) while idle
+      if (Date.now() - connection.lastActiveTime >= HEALTH_CHECK_INTERVAL_MS) {
+        await connection.promise().ping();
+        entry.lastHealthCheckAt = Date.now();
+      }
+    } catch (err) {
+      entry.errorCount += 1;
+      entry.lastError = err.message;
+      if (connection) connection.destroy();
+      releaseEntry(entry);
+      // Retry once on a stale pooled socket; connect and login errors fail straight away
+      if (!connection || attempt > 0) throw err;
+      continue;
+    }
+
+    let done = false;
+    return {
+      connection: connection.promise(),
+      release: () => {
+        if (done) return;
+        done = true;
+        connection.release();
+        releaseEntry(entry);
+      },
+      destroy: () => {
+        if (done) return;
+        done = true;
+        connection.destroy();
+        releaseEntry(entry);
+      },
+    };
+  }
+}
+
+/**
+ * Run fn with a borrowed MSSQL pool
+ */
+async function withMssqlPool(key, options, fn) {
+  const lease = await acquireMssqlPool(key, options);
+  try {
+    return await fn(lease.pool);
+  } finally {
+    lease.release();
+  }
+}
+
+/**
+ * Run fn with a pooled MySQL connection (mysql2 promise API)
+ */
+async function withMysqlConnection(key, options, fn) {
+  const lease = await acquireMysqlConnection(key, options);
+  try {
+    return await fn(lease.connection);
+  } finally {
+    lease.release();
+  }
+}
+
+/**
+ * Close the pool for a connection (removed or edited connection)
+ *
+ * @param {string} key - Connection ID
+ */
+async function closePool(key) {
+  const entry = pools.get(key);
+  if (!entry) return;
+  pools.delete(key);
+  entry.retired = true;
+  if (entry.active === 0) await closeEntry(entry, 'closed');
+}
+
+/**
+ * Close every pool (app shutdown)
+ */
+async function closeAllPools() {
+  await Promise.all([...pools.values()].map(entry => closeEntry(entry, null)));
+}
+
+/**
+ * Pool statistics for monitoring
+ *
+ * @returns {Object} { limits: { maxPools, maxConnectionsPerPool, idleTimeoutMs, healthCheckIntervalMs },
+ *   pools: [{ key, driver, target, healthy, active, size, idle, pending, acquireCount, errorCount,
+ *   lastError, createdAt, lastUsedAt, lastHealthCheckAt }] }
+ */
+function getPoolStats() {
+  const stats = [];
+  for (const entry of pools.values()) {
+    let size = null;
+    let idle = null;
+    let pending = null;
+    const pool = entry.resolvedPool;
+    if (pool && entry.driver === 'mssql') {
+      ({ size, available: idle, pending } = pool);
+    } else if (pool) {
+      // mysql2 exposes no public counters
+      size = pool._allConnections ? pool._allConnections.length : null;
+      idle = pool._freeConnections ? pool._freeConnections.length : null;
+      pending = pool._connectionQueue ? pool._connectionQueue.length : null;
+    }
+    stats.push({
+      key: entry.key,
+      driver: entry.driver,
+      target: entry.target,
+      healthy: entry.healthy,
+      active: entry.active,
+      size,
+      idle,
+      pending,
+      acquireCount: entry.acquireCount,
+      errorCount: entry.errorCount,
+      lastError: entry.lastError,
+      createdAt: new Date(entry.createdAt).toISOString(),
+      lastUsedAt: new Date(entry.lastUsedAt).toISOString(),
+      lastHealthCheckAt: new Date(entry.lastHealthCheckAt).toISOString(),
+    });
+  }
+  return {
+    limits: {
+      maxPools: MAX_POOLS,
+      maxConnectionsPerPool: POOL_MAX_CONNECTIONS,
+      idleTimeoutMs: POOL_IDLE_TIMEOUT_MS,
+      healthCheckIntervalMs: HEALTH_CHECK_INTERVAL_MS,
+    },
+    pools: stats,
+  };
+}
+
+module.exports = {
+  acquireMssqlPool,
+  acquireMysqlConnection,
+  withMssqlPool,
+  withMysqlConnection,
+  closePool,
+  closeAllPools,
+  evictIdlePools,
+  getPoolStats,
+};
@@ -0,0 +1,178 @@
+/**
+ * Connections File Schema
+ *
+ * db-connections.json is stored as a versioned envelope:
+ *   { schemaVersion: <number>, connections: [ ... ] }
+ *
+ * Older layouts are upgraded on load by running the migration chain from the
+ * file's version up to CURRENT_SCHEMA_VERSION. Each connection is then validated;
+ * malformed entries are returned separately so the caller can quarantine them
+ * instead of discarding the whole file.
+ *
+ * Version history:
+ * 1 - bare array of connections (original format, no envelope)
+ * 2 - envelope; '***SAVED***' password placeholders removed and flagged
+ * 3 - readOnly query policy; existing Dentrix/Eaglesoft (ODBC) and Open Dental
+ *     connections default to read-only
+ */
+
+const CURRENT_SCHEMA_VERSION = 3;
+
+/** Placeholder that older builds wrote instead of the real password */
+const LEGACY_PASSWORD_PLACEHOLDER = '***SAVED***';
+
+/**
+ * Migrations keyed by the version they upgrade FROM.
+ * Each receives the document at that version and returns it at version + 1.
+ */
+const MIGRATIONS = {
+  1: (doc) => ({
+    schemaVersion: 2,
+    connections: (doc.connections || []).map((conn) => {
+      if (!conn || typeof conn !== 'object' || !conn.config) return conn;
+      if (conn.config.password !== LEGACY_PASSWORD_PLACEHOLDER) return conn;
+      // The real password was never saved - drop the placeholder and flag the
+      // connection so tests fail with a clear "re-enter password" message.
+      const { password, ...config } = conn.config;
+      return { ...conn, config: { ...config, passwordMissing: true } };
+    }),
+  }),
+  2: (doc) => ({
+    schemaVersion: 3,
+    connections: (doc.connections || []).map((conn) => {
+      if (!conn || typeof conn !== 'object' || !conn.config || typeof conn.config !== 'object') return conn;
+      if (conn.config.readOnly !== undefined) return conn;
+      // Live practice databases created before the policy existed
+      if (!conn.config.useOdbc && !conn.config.openDental) return conn;
+      return { ...conn, config: { ...conn.config, readOnly: true } };
+    }),
+  }),
+};
+
+/**
+ * Detect the schema version of a parsed connections file
+ *
+ * @param {*} raw - Parsed JSON
+ * @returns {number} Schema version
+ */
+function detectSchemaVersion(raw) {
+  if (Array.isArray(raw)) return 1;
+  if (raw && typeof raw === 'object' && Number.isInteger(raw.schemaVersion)) {
+    return raw.schemaVersion;
+  }
+  throw new Error('Unrecognized connections file layout');
+}
+
+/**
+ * Validate a single connection entry
+ *
+ * @param {*} conn - Connection entry
+ * @param {string[]} knownTypes - Supported database type identifiers
+ * @returns {string[]} Problems found (empty when valid)
+ */
+function validateConnection(conn, knownTypes) {
+  if (!conn || typeof conn !== 'object' || Array.isArray(conn)) {
+    return ['entry is not an object'];
+  }
+
+  const problems = [];
+  if (typeof conn.id !== 'string' || !conn.id.trim()) problems.push('missing id');
+  if (typeof conn.name !== 'string' || !conn.name.trim()) problems.push('missing name');
+  if (typeof conn.type !== 'string' || !knownTypes.includes(conn.type)) {
+    problems.push(`unsupported type '${conn.type}'`);
+  }
+  if (!conn.config || typeof conn.config !== 'object' || Array.isArray(conn.config)) {
+    problems.push('missing config');
+  }
+  if (conn.createdAt != null && Number.isNaN(Date.parse(conn.createdAt))) {
+    problems.push('invalid createdAt');
+  }
+  if (conn.lastTested != null && Number.isNaN(Date.parse(conn.lastTested))) {
+    problems.push('invalid lastTested');
+  }
+  return problems;
+}
+
+/**
+ * Upgrade a parsed connections file to the current schema and validate entries.
+ *
+ * @param {*} raw - Parsed JSON from db-connections.json
+ * @param {Object} options
+ * @param {string[]} options.knownTypes - Supported database type identifiers
+ * @returns {Object} { connections, quarantined: [{ entry, problems }], fromVersion, migrated }
+ * @throws {Error} If the layout is unknown, or newer than this build supports (code SCHEMA_TOO_NEW)
+ */
+function upgradeConnectionsDocument(raw, { knownTypes }) {
+  const fromVersion = detectSchemaVersion(raw);
+
+  if (fromVersion > CURRENT_SCHEMA_VERSION) {
+    const error = new Error(
+      `Connections file schema version ${fromVersion} is newer than this application supports (${CURRENT_SCHEMA_VERSION})`
+    );
+    error.code = 'SCHEMA_TOO_NEW';
+    throw error;
+  }
+
+  let doc = Array.isArray(raw) ? { schemaVersion: 1, connections: raw } : raw;
+  if (!Array.isArray(doc.connections)) {
+    throw new Error('Connections file is missing the connections array');
+  }
+
+  for (let version = fromVersion; version < CURRENT_SCHEMA_VERSION; version++) {
+    const migrate = MIGRATIONS[version];
+    if (!migrate) {
+      throw new Error(`No migration from connections schema version ${version}`);
+    }
+    doc = migrate(doc);
+  }
+
+  const connections = [];
+  const quarantined = [];
+  const seenIds = new Set();
+
+  for (const entry of doc.connections) {
+    const problems = validateConnection(entry, knownTypes);
+    if (problems.length === 0 && seenIds.has(entry.id)) {
+      problems.push(`duplicate id '${entry.id}'`);
+    }
+
+    if (problems.length > 0) {
+      quarantined.push({ entry, problems });
+      continue;
+    }
+
+    seenIds.add(entry.id);
+    connections.push({
+      ...entry,
+      createdAt: entry.createdAt || null,
+      lastTested: entry.lastTested || null,
+    });
+  }
+
+  return {
+    connections,
+    quarantined,
+    fromVersion,
+    migrated: fromVersion !== CURRENT_SCHEMA_VERSION,
+  };
+}
+
+/**
+ * Wrap connections in the current schema envelope for writing
+ */
+function createConnectionsDocument(connections) {
+  return {
+    schemaVersion: CURRENT_SCHEMA_VERSION,
+    connections,
+  };
+}
+
+module.exports = {
+  CURRENT_SCHEMA_VERSION,
+  LEGACY_PASSWORD_PLACEHOLDER,
+  MIGRATIONS,
+  detectSchemaVersion,
+  validateConnection,
+  upgradeConnectionsDocument,
+  createConnectionsDocument,
+};
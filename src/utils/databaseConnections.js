@@ -1,24 +1,60 @@
 const sql = require('mssql');
 const fs = require('fs').promises;
+const { constants: fsConstants } = require('fs');
 const path = require('path');
 const { exec } = require('child_process');
 const { promisify } = require('util');
+const net = require('net');
+const { performance } = require('perf_hooks');
 const Registry = require('winreg');
 const eaglesoftCredentials = require('./eaglesoftCredentials');
 const dentrixCoreCredentials = require('./dentrixCoreCredentials');
 const dentrixCoreDataService = require('./dentrixCoreDataService');
+const openDentalCredentials = require('./openDentalCredentials');
+const openDentalDataService = require('./openDentalDataService');
+const secretStore = require('./secretStore');
+const connectionsSchema = require('./connectionsSchema');
+const fileStore = require('./fileStore');
+const connectionBundle = require('./connectionBundle');
+const sqlClassifier = require('./sqlClassifier');
+const queryAudit = require('./queryAudit');
+const phiMasking = require('./phiMasking');
+const resultExport = require('./resultExport');
+const schemaSnapshots = require('./schemaSnapshots');
+const connectionPools = require('./connectionPools');
+const healthHistory = require('./healthHistory');
+const retryPolicy = require('./retryPolicy');
+const operations = require('./operations');
+const { getAppDataDirectory } = require('./appPaths');
 
 const execPromise = promisify(exec);
 
 // In-memory store for database connections
 let savedConnections = [];
+// Whether savedConnections has been read from disk yet
+let connectionsLoaded = false;
 let connectionStatuses = new Map();
+// Set when db-connections.json exists but could not be read, so we never overwrite it
+let connectionsLoadError = null;
+// Details of the last automatic restore of a corrupt connections file (shown in the backups list)
+let lastAutoRestore = null;
 const PASSWORD_PLACEHOLDER = '***SAVED***';
 
+/**
+ * Config fields that hold secrets. On disk these are replaced by { secretRef }
+ * placeholders and the values live encrypted in the secret store (see secretStore.js).
+ */
+const SECRET_CONFIG_FIELDS = ['password', 'odbcConnectionString'];
+
+/**
+ * Number of backup generations of the connections file (+ secret vault) to keep
+ */
+const MAX_BACKUP_GENERATIONS = 10;
+
 /**
  * Mask sensitive fields before sending to renderer/UI.
- * Important: we keep real passwords in memory + on disk so tests can work.
- * If you need stronger security, store secrets in OS credential vault.
+ * Important: we keep real passwords in memory so tests can work; on disk they are
+ * encrypted in the secret store.
  */
 function sanitizeConnectionsForRenderer(connections) {
   return (connections || []).map(conn => ({
@@ -36,6 +72,7 @@ function sanitizeConnectionsForRenderer(connections) {
 const DB_TYPES = {
   MSSQL: 'mssql',
   MYSQL: 'mysql',
+  POSTGRES: 'postgres',
   ORACLE: 'oracle',
   SQLITE: 'sqlite',
 };
@@ -209,19 +246,124 @@ async function discoverMySqlInstances() {
   }
 }
 
+/**
+ * Check whether something accepts TCP connections on host:port
+ */
+function probeTcpPort(host, port, timeoutMs = 1000) {
+  return new Promise((resolve) => {
+    const socket = net.connect({ host, port });
+    const finish = (open) => {
+      socket.destroy();
+      resolve(open);
+    };
+    socket.setTimeout(timeoutMs, () => finish(false));
+    socket.once('connect', () => finish(true));
+    socket.once('error', () => finish(false));
+  });
+}
+
+/**
+ * Discover PostgreSQL servers on the machine.
+ * On Windows, installer-created services and registry entries are read; on every
+ * platform the default port on localhost is probed so a local server is found too.
+ */
+async function discoverPostgresInstances() {
+  try {
+    const instances = [];
+
+    if (process.platform === 'win32') {
+      // Check Windows services for PostgreSQL
+      try {
+        const { stdout } = await execPromise('sc query type= service state= all | findstr /i "postgres"', { timeout: 5000 });
+        for (const line of stdout.split('\n')) {
+          if (!line.includes('SERVICE_NAME:')) continue;
+          const serviceName = line.split(':')[1].trim();
+          instances.push({
+            name: serviceName,
+            serverName: 'localhost',
+            displayName: `PostgreSQL (${serviceName})`,
+            type: DB_TYPES.POSTGRES,
+            port: 5432,
+            source: 'service',
+          });
+        }
+      } catch (err) {
+        console.log('PostgreSQL service discovery not available');
+      }
+
+      // The EnterpriseDB installer records each service with its port under HKLM\SOFTWARE\PostgreSQL\Services
+      try {
+        const regKey = new Registry({ hive: Registry.HKLM, key: '\\SOFTWARE\\PostgreSQL\\Services' });
+        const items = await new Promise((resolve) => {
+          regKey.keys((err, keys) => {
+            if (err) resolve([]);
+            else resolve(keys);
+          });
+        });
+
+        for (const key of items) {
+          const serviceName = key.key.split('\\').pop();
+          const config = normalizePostgresRegistryConfig(await readRegistryConfig(Registry.HKLM, key.key) || {});
+          const existing = instances.find(i => i.name === serviceName);
+          if (existing) {
+            existing.port = config.port || existing.port;
+            continue;
+          }
+          instances.push({
+            name: serviceName,
+            serverName: 'localhost',
+            displayName: `PostgreSQL (${config.displayName || serviceName})`,
+            type: DB_TYPES.POSTGRES,
+            port: config.port || 5432,
+            source: 'registry',
+          });
+        }
+      } catch (err) {
+        console.log('PostgreSQL registry path not found');
+      }
+    }
+
+    if (!instances.some(i => i.port === 5432) && await probeTcpPort('127.0.0.1', 5432)) {
+      instances.push({
+        name: 'localhost:5432',
+        serverName: 'localhost',
+        displayName: 'PostgreSQL (localhost:5432)',
+        type: DB_TYPES.POSTGRES,
+        port: 5432,
+        source: 'port',
+      });
+    }
+
+    return {
+      success: true,
+      instances,
+      count: instances.length,
+    };
+  } catch (error) {
+    console.error('Error discovering PostgreSQL instances:', error);
+    return {
+      success: false,
+      error: error.message,
+      instances: [],
+    };
+  }
+}
+
 /**
  * Discover all database instances on the machine
  */
 async function discoverAllDatabases() {
   try {
-    const [sqlServer, mysql] = await Promise.all([
+    const [sqlServer, mysql, postgres] = await Promise.all([
       discoverSqlServerInstances(),
       discoverMySqlInstances(),
+      discoverPostgresInstances(),
     ]);
 
     const allInstances = [
       ...(sqlServer.instances || []),
       ...(mysql.instances || []),
+      ...(postgres.instances || []),
     ];
 
     return {
@@ -231,6 +373,7 @@ async function discoverAllDatabases() {
       byType: {
         mssql: sqlServer.instances || [],
         mysql: mysql.instances || [],
+        postgres: postgres.instances || [],
       },
     };
   } catch (error) {
@@ -271,6 +414,13 @@ async function discoverRegistryPaths(dbType, instanceName) {
         `\\SOFTWARE\\MySQL`,
       ];
       break;
+    case DB_TYPES.POSTGRES:
+      basePaths = [
+        `\\SOFTWARE\\YourApp\\PostgreSQLConnection\\${instanceName}`,
+        `\\SOFTWARE\\YourApp\\PostgreSQLConnection`,
+        `\\SOFTWARE\\PostgreSQL\\Services\\${instanceName}`,
+      ];
+      break;
   }
 
   // Check each combination of hive and base path
@@ -340,6 +490,26 @@ async function readRegistryConfig(hive, path) {
   }
 }
 
+/**
+ * Map the values the PostgreSQL installer writes under HKLM\SOFTWARE\PostgreSQL\Services\<service>
+ * ('Port' as a DWORD, 'Database Superuser', 'Display Name') onto connection config keys.
+ * Keys already in connection-config form (e.g. from a YourApp key) pass through.
+ */
+function normalizePostgresRegistryConfig(config) {
+  const normalized = { ...config };
+  if (config.Port != null && normalized.port == null) {
+    const port = Number(config.Port);
+    if (Number.isInteger(port) && port > 0) normalized.port = port;
+  }
+  if (config['Database Superuser'] && !normalized.username) {
+    normalized.username = config['Database Superuser'];
+  }
+  if (config['Display Name'] && !normalized.displayName) {
+    normalized.displayName = config['Display Name'];
+  }
+  return normalized;
+}
+
 /**
  * Fetch connection credentials from registry for a specific database instance
  * Dynamically discovers registry paths on the local machine
@@ -369,7 +539,10 @@ async function fetchCredentialsFromRegistry(dbType, instanceName) {
     // Try each discovered registry path
     for (const regPath of registryPaths) {
       try {
-        const config = await readRegistryConfig(regPath.hive, regPath.path);
+        let config = await readRegistryConfig(regPath.hive, regPath.path);
+        if (config && dbType === DB_TYPES.POSTGRES) {
+          config = normalizePostgresRegistryConfig(config);
+        }
 
         if (config && Object.keys(config).length > 0) {
           console.log(`Successfully loaded configuration from: ${regPath.fullPath}`);
@@ -405,10 +578,7 @@ async function fetchCredentialsFromRegistry(dbType, instanceName) {
  * Get the path to the connections config file
  */
 function getConnectionsFilePath() {
-  const userDataPath = process.env.APPDATA || 
-    (process.platform === 'darwin' ? process.env.HOME + '/Library/Application Support' : '/var/local');
-  const appDir = path.join(userDataPath, 'ElectronPoC');
-  return path.join(appDir, 'db-connections.json');
+  return path.join(getAppDataDirectory(), 'db-connections.json');
 }
 
 /**
@@ -424,6 +594,206 @@ async function ensureAppDirectory() {
   }
 }
 
+// Vault entries that could not be decrypted on load, written back unchanged on save
+let unreadableSecrets = new Map();
+
+/**
+ * Replace secret config fields with secret references.
+ * Returns the connections as they should be written to disk plus the secrets to encrypt.
+ * Fields still holding a reference (a secret that could not be read) keep it.
+ */
+function sealConnectionSecrets(connections) {
+  const secrets = new Map();
+  const sealed = connections.map((conn) => {
+    const config = { ...conn.config };
+    for (const field of SECRET_CONFIG_FIELDS) {
+      if (config[field] == null || config[field] === '' || secretStore.isSecretRef(config[field])) continue;
+      const ref = secretStore.createSecretRef(conn.id, field);
+      secrets.set(ref, String(config[field]));
+      config[field] = { secretRef: ref };
+    }
+    return { ...conn, config };
+  });
+  return { connections: sealed, secrets };
+}
+
+/**
+ * Resolve secret references in connections read from disk.
+ * `hasPlaintextSecrets` is true when the file predates the secret store and still
+ * carries raw passwords, so the caller can migrate it. A reference that cannot be
+ * resolved stays in place and the connection is flagged passwordMissing, so the
+ * user is asked for the credential and the vault entry is never dropped.
+ */
+function revealConnectionSecrets(connections, secrets) {
+  let hasPlaintextSecrets = false;
+  const revealed = connections.map((conn) => {
+    const config = { ...conn.config };
+    for (const field of SECRET_CONFIG_FIELDS) {
+      const value = config[field];
+      if (secretStore.isSecretRef(value)) {
+        if (secrets.has(value.secretRef)) {
+          config[field] = secrets.get(value.secretRef);
+        } else {
+          console.warn(`Secret '${value.secretRef}' for connection '${conn.name}' could not be read from the secret store`);
+          config.passwordMissing = true;
+        }
+      } else if (value != null && value !== '') {
+        hasPlaintextSecrets = true;
+      }
+    }
+    return { ...conn, config };
+  });
+  return { connections: revealed, hasPlaintextSecrets };
+}
+
+/**
+ * Whether a parsed connections file (any schema version, including quarantined
+ * entries) still holds a secret field in plaintext
+ */
+function containsPlaintextSecret(value) {
+  if (Array.isArray(value)) return value.some(containsPlaintextSecret);
+  if (!value || typeof value !== 'object') return false;
+  return Object.entries(value).some(([key, child]) => (
+    SECRET_CONFIG_FIELDS.includes(key) && typeof child === 'string' && child !== '' && child !== PASSWORD_PLACEHOLDER
+  ) || containsPlaintextSecret(child));
+}
+
+// Backups are checked for plaintext secrets once per run (see purgePlaintextBackups)
+let plaintextBackupsPurged = false;
+
+/**
+ * Delete backup generations whose connections file still holds plaintext
+ * passwords - copies taken before the secret store sealed them. Restoring one
+ * would bring the plaintext back, so they cannot be kept.
+ */
+async function purgePlaintextBackups() {
+  const backupDir = getBackupsDirectory();
+  const fileName = path.basename(getConnectionsFilePath());
+  for (const id of await fileStore.listBackupGenerationIds(backupDir)) {
+    let raw;
+    try {
+      raw = JSON.parse(await fs.readFile(path.join(backupDir, id, fileName), 'utf-8'));
+    } catch (err) {
+      continue;
+    }
+    if (containsPlaintextSecret(raw)) {
+      await fs.rm(path.join(backupDir, id), { recursive: true, force: true });
+      console.warn(`Removed backup ${id}: it held plaintext passwords from before the secret store`);
+    }
+  }
+}
+
+/**
+ * Get the path to the file that collects connection entries rejected on load
+ */
+function getQuarantineFilePath() {
+  return path.join(path.dirname(getConnectionsFilePath()), 'db-connections.quarantine.json');
+}
+
+/**
+ * Append malformed connection entries to the quarantine file so they can be
+ * inspected or repaired by hand. Plaintext secret fields are redacted.
+ */
+async function quarantineConnections(quarantined, fromVersion) {
+  const filePath = getQuarantineFilePath();
+  let existing = [];
+  try {
+    existing = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+    if (!Array.isArray(existing)) existing = [];
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Error reading connections quarantine file:', error);
+    }
+  }
+
+  const quarantinedAt = new Date().toISOString();
+  for (const { entry, problems } of quarantined) {
+    let redacted = entry;
+    if (entry && typeof entry === 'object' && entry.config && typeof entry.config === 'object') {
+      const config = { ...entry.config };
+      for (const field of SECRET_CONFIG_FIELDS) {
+        if (typeof config[field] === 'string' && config[field]) config[field] = '[redacted]';
+      }
+      redacted = { ...entry, config };
+    }
+    console.warn(`Quarantining saved connection '${entry?.name || entry?.id || 'unknown'}':`, problems.join(', '));
+    existing.push({ quarantinedAt, schemaVersion: fromVersion, problems, entry: redacted });
+  }
+
+  await fileStore.writeFileAtomic(filePath, JSON.stringify(existing, null, 2));
+}
+
+/**
+ * Get the directory holding backup generations of the connections file
+ */
+function getBackupsDirectory() {
+  return path.join(path.dirname(getConnectionsFilePath()), 'backups');
+}
+
+/**
+ * Files that make up the connection store and are backed up/restored together
+ */
+function getConnectionStoreFiles() {
+  const filePath = getConnectionsFilePath();
+  return [filePath, path.join(path.dirname(filePath), secretStore.VAULT_FILE_NAME)];
+}
+
+/**
+ * Parse and upgrade connections file contents
+ */
+function parseConnectionsFile(data) {
+  return connectionsSchema.upgradeConnectionsDocument(JSON.parse(data), {
+    knownTypes: Object.values(DB_TYPES),
+  });
+}
+
+/**
+ * Restore the newest readable backup generation after the primary connections
+ * file turned out to be corrupt. The corrupt file is kept next to it for inspection.
+ *
+ * @param {Error} corruptError - Error raised while reading the primary file
+ * @returns {Promise<Object>} Parsed contents of the restored file
+ * @throws {Error} corruptError when no usable backup exists
+ */
+async function restoreCorruptConnectionsFile(corruptError) {
+  const filePath = getConnectionsFilePath();
+  const backupDir = getBackupsDirectory();
+  console.error('Saved connections file is corrupt:', corruptError.message);
+
+  for (const generationId of await fileStore.listBackupGenerationIds(backupDir)) {
+    let contents;
+    let parsed;
+    try {
+      contents = await fileStore.readBackupGeneration(backupDir, generationId, getConnectionStoreFiles());
+      if (!contents.has(filePath)) continue;
+      parsed = parseConnectionsFile(contents.get(filePath).toString('utf-8'));
+    } catch (err) {
+      console.warn(`Backup ${generationId} is not usable:`, err.message);
+      continue;
+    }
+
+    const corruptPath = path.join(
+      path.dirname(filePath),
+      `db-connections.corrupt-${new Date().toISOString().replace(/[:.]/g, '-')}.json`
+    );
+    await fs.rename(filePath, corruptPath);
+    for (const [targetPath, data] of contents) {
+      await fileStore.writeFileAtomic(targetPath, data, { encoding: null });
+    }
+
+    lastAutoRestore = {
+      generationId,
+      corruptFile: corruptPath,
+      error: corruptError.message,
+      restoredAt: new Date().toISOString(),
+    };
+    console.warn(`Restored saved connections from backup ${generationId}; corrupt file kept at ${corruptPath}`);
+    return parsed;
+  }
+
+  throw corruptError;
+}
+
 /**
  * Load saved connections from file
  */
@@ -432,15 +802,52 @@ async function loadSavedConnections() {
     await ensureAppDirectory();
     const filePath = getConnectionsFilePath();
     try {
-      const data = await fs.readFile(filePath, 'utf-8');
-      savedConnections = JSON.parse(data);
+      let parsed;
+      try {
+        parsed = parseConnectionsFile(await fs.readFile(filePath, 'utf-8'));
+      } catch (error) {
+        // A newer schema is not corruption - leave that file alone.
+        if (error.code === 'ENOENT' || error.code === 'SCHEMA_TOO_NEW') throw error;
+        parsed = await restoreCorruptConnectionsFile(error);
+      }
+      const { connections: valid, quarantined, fromVersion, migrated } = parsed;
+
+      if (quarantined.length > 0) {
+        await quarantineConnections(quarantined, fromVersion);
+      }
+
+      const { secrets, unreadable } = await secretStore.loadSecrets(path.dirname(filePath));
+      const { connections, hasPlaintextSecrets } = revealConnectionSecrets(valid, secrets);
+      savedConnections = connections;
+      unreadableSecrets = unreadable;
+      connectionsLoaded = true;
+      connectionsLoadError = null;
+
+      // Rewrite the file once when it was upgraded, had entries quarantined, or
+      // predates the secret store and still holds plaintext passwords. A file with
+      // plaintext passwords is not copied into a backup generation first.
+      if (migrated || quarantined.length > 0 || hasPlaintextSecrets) {
+        console.log(`Upgrading connections file (schema v${fromVersion} -> v${connectionsSchema.CURRENT_SCHEMA_VERSION})`);
+        await saveSavedConnections({ backup: !hasPlaintextSecrets });
+      }
+      if (!plaintextBackupsPurged) {
+        plaintextBackupsPurged = true;
+        try {
+          await purgePlaintextBackups();
+        } catch (err) {
+          console.error('Error removing plaintext connection backups:', err);
+        }
+      }
       return savedConnections;
     } catch (error) {
       if (error.code === 'ENOENT') {
         // File doesn't exist yet, return empty array
         savedConnections = [];
+        connectionsLoaded = true;
+        connectionsLoadError = null;
         return savedConnections;
       }
+      connectionsLoadError = error;
       throw error;
     }
   } catch (error) {
@@ -451,15 +858,44 @@ async function loadSavedConnections() {
 
 /**
  * Save connections to file
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.backup=true] - Snapshot the current files into a backup
+ *   generation first. Status-only updates (e.g. lastTested) skip this so they do
+ *   not rotate meaningful backups out.
  */
-async function saveSavedConnections() {
+async function saveSavedConnections({ backup = true } = {}) {
   try {
+    if (connectionsLoadError) {
+      throw new Error(
+        `Saved connections could not be loaded (${connectionsLoadError.message}); refusing to overwrite the connections file`
+      );
+    }
     await ensureAppDirectory();
     const filePath = getConnectionsFilePath();
-    // Persist full connection config so background tests can work.
-    // NOTE: this stores passwords in plaintext in the user's AppData.
-    // If you need better security, integrate keytar/Windows Credential Manager.
-    await fs.writeFile(filePath, JSON.stringify(savedConnections, null, 2), 'utf-8');
+
+    if (backup) {
+      try {
+        await fileStore.createBackupGeneration(getBackupsDirectory(), getConnectionStoreFiles(), MAX_BACKUP_GENERATIONS);
+      } catch (err) {
+        // A failed backup (e.g. disk full) must not block the save itself.
+        console.error('Error backing up connections before save:', err);
+      }
+    }
+
+    // Persist full connection config so background tests can work. Secrets are
+    // written to the encrypted secret store first so the file never references
+    // a secret that does not exist yet. Both writes are atomic (temp + rename).
+    const { connections, secrets } = sealConnectionSecrets(savedConnections);
+    // Unreadable entries are kept while a connection still references them
+    const referenced = new Set(connections.flatMap(conn => SECRET_CONFIG_FIELDS
+      .map(field => conn.config[field])
+      .filter(secretStore.isSecretRef)
+      .map(value => value.secretRef)));
+    const unreadable = new Map([...unreadableSecrets].filter(([ref]) => referenced.has(ref)));
+    await secretStore.saveSecrets(path.dirname(filePath), secrets, { unreadable });
+    const document = connectionsSchema.createConnectionsDocument(connections);
+    await fileStore.writeFileAtomic(filePath, JSON.stringify(document, null, 2));
   } catch (error) {
     console.error('Error saving connections:', error);
     throw error;
@@ -467,139 +903,422 @@ async function saveSavedConnections() {
 }
 
 /**
- * Generate unique ID for connection
- */
-function generateConnectionId() {
-  return `conn_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-}
-
-/**
- * Add a new database connection
+ * List backup generations of the connections file, newest first
+ *
+ * @returns {Promise<Object>} { success, backups: [{ id, createdAt, connectionCount, connectionNames, valid, error }], lastAutoRestore }
  */
-async function addConnection(connectionData) {
+async function listConnectionBackups() {
   try {
-    const newConnection = {
-      id: generateConnectionId(),
-      name: connectionData.name,
-      type: connectionData.type,
-      config: connectionData.config,
-      createdAt: new Date().toISOString(),
-      lastTested: null,
-    };
+    const backupDir = getBackupsDirectory();
+    const filePath = getConnectionsFilePath();
+    const backups = [];
 
-    savedConnections.push(newConnection);
-    await saveSavedConnections();
+    for (const id of await fileStore.listBackupGenerationIds(backupDir)) {
+      const backupFile = path.join(backupDir, id, path.basename(filePath));
+      try {
+        const stats = await fs.stat(backupFile);
+        const { connections } = parseConnectionsFile(await fs.readFile(backupFile, 'utf-8'));
+        backups.push({
+          id,
+          createdAt: stats.mtime.toISOString(),
+          size: stats.size,
+          connectionCount: connections.length,
+          connectionNames: connections.map(conn => conn.name),
+          valid: true,
+        });
+      } catch (err) {
+        backups.push({ id, createdAt: null, connectionCount: 0, connectionNames: [], valid: false, error: err.message });
+      }
+    }
 
-    return {
-      success: true,
-      connection: newConnection,
-    };
+    return { success: true, backups, lastAutoRestore };
   } catch (error) {
-    console.error('Error adding connection:', error);
+    console.error('Error listing connection backups:', error);
     return {
       success: false,
-      error: error.message || 'Failed to add connection',
+      backups: [],
+      error: error.message || 'Failed to list connection backups',
     };
   }
 }
 
 /**
- * Remove a database connection
+ * Roll the saved connections back to a backup generation.
+ * The current state is backed up first so the rollback itself can be undone.
+ *
+ * @param {string} generationId - Backup generation ID from listConnectionBackups
+ * @returns {Promise<Object>} { success, restoredFrom, connections, error }
  */
-async function removeConnection(connectionId) {
+async function restoreConnectionBackup(generationId) {
   try {
-    const index = savedConnections.findIndex(conn => conn.id === connectionId);
-    if (index === -1) {
-      return {
-        success: false,
-        error: 'Connection not found',
-      };
+    const filePath = getConnectionsFilePath();
+    const contents = await fileStore.readBackupGeneration(getBackupsDirectory(), generationId, getConnectionStoreFiles());
+    if (!contents.has(filePath)) {
+      return { success: false, error: `Backup ${generationId} does not contain a connections file` };
     }
+    // Refuse to restore a backup we could not load anyway
+    parseConnectionsFile(contents.get(filePath).toString('utf-8'));
 
-    savedConnections.splice(index, 1);
-    connectionStatuses.delete(connectionId);
-    await saveSavedConnections();
+    await fileStore.createBackupGeneration(getBackupsDirectory(), getConnectionStoreFiles(), MAX_BACKUP_GENERATIONS);
+    for (const [targetPath, data] of contents) {
+      await fileStore.writeFileAtomic(targetPath, data, { encoding: null });
+    }
+
+    connectionsLoadError = null;
+    connectionStatuses.clear();
+    await loadSavedConnections();
+    if (connectionsLoadError) {
+      return { success: false, error: connectionsLoadError.message };
+    }
 
     return {
       success: true,
+      restoredFrom: generationId,
+      connections: sanitizeConnectionsForRenderer(savedConnections),
     };
   } catch (error) {
-    console.error('Error removing connection:', error);
+    console.error('Error restoring connection backup:', error);
     return {
       success: false,
-      error: error.message || 'Failed to remove connection',
+      error: error.message || 'Failed to restore connection backup',
     };
   }
 }
 
 /**
- * Update a database connection
+ * Conflict handling when an imported connection has the same name as a saved one
  */
-async function updateConnection(connectionId, updates) {
+const IMPORT_CONFLICT_MODES = ['skip', 'overwrite', 'rename'];
+
+/**
+ * Export saved connections to a portable bundle file
+ *
+ * @param {string} filePath - Destination file
+ * @param {Object} options
+ * @param {string[]} [options.connectionIds] - Connections to export (all when omitted)
+ * @param {string} [options.passphrase] - Encrypt passwords under this passphrase; omit to exclude passwords
+ * @returns {Promise<Object>} { success, filePath, count, passwordsIncluded, error }
+ */
+async function exportConnections(filePath, { connectionIds, passphrase } = {}) {
   try {
-    const connection = savedConnections.find(conn => conn.id === connectionId);
-    if (!connection) {
-      return {
-        success: false,
-        error: 'Connection not found',
-      };
+    await loadSavedConnections();
+    if (connectionsLoadError) {
+      return { success: false, error: `Failed to read saved connections: ${connectionsLoadError.message}` };
     }
 
-    Object.assign(connection, {
-      ...updates,
-      id: connectionId, // Ensure ID doesn't change
-      createdAt: connection.createdAt, // Preserve creation date
-    });
+    const selected = Array.isArray(connectionIds)
+      ? savedConnections.filter(conn => connectionIds.includes(conn.id))
+      : savedConnections;
+    if (selected.length === 0) {
+      return { success: false, error: 'No connections selected for export' };
+    }
 
-    await saveSavedConnections();
+    const bundle = connectionBundle.createConnectionBundle(selected, {
+      secretFields: SECRET_CONFIG_FIELDS,
+      passphrase: passphrase || undefined,
+    });
+    await fileStore.writeFileAtomic(filePath, JSON.stringify(bundle, null, 2), { mode: 0o600 });
 
     return {
       success: true,
-      connection,
+      filePath,
+      count: selected.length,
+      passwordsIncluded: bundle.secrets.mode === 'encrypted',
     };
   } catch (error) {
-    console.error('Error updating connection:', error);
+    console.error('Error exporting connections:', error);
     return {
       success: false,
-      error: error.message || 'Failed to update connection',
+      error: error.message || 'Failed to export connections',
     };
   }
 }
 
 /**
- * Get all saved connections
+ * Pick a connection name that is not taken yet: "Name (2)", "Name (3)", ...
  */
-async function getAllConnections() {
-  try {
-    await loadSavedConnections();
-    return {
-      success: true,
-      // Never send raw passwords to the renderer
-      connections: sanitizeConnectionsForRenderer(savedConnections),
-    };
-  } catch (error) {
-    console.error('Error getting connections:', error);
-    return {
-      success: false,
-      error: error.message || 'Failed to get connections',
-      connections: [],
-    };
+function getUniqueConnectionName(name, takenNames) {
+  let candidate = name;
+  for (let i = 2; takenNames.has(candidate.toLowerCase()); i++) {
+    candidate = `${name} (${i})`;
   }
+  return candidate;
 }
 
 /**
- * Test a generic ODBC connection using a connection string.
- * Primarily used for Eaglesoft DSN-style connections.
- * 
- * For Eaglesoft (which uses 32-bit ODBC), this will automatically use
- * the 32-bit Node.js bridge to avoid architecture mismatch errors.
+ * Import connections from a bundle file written by exportConnections.
+ * Connections are matched to saved ones by name (case-insensitive).
+ *
+ * @param {string} filePath - Bundle file
+ * @param {Object} options
+ * @param {string} [options.passphrase] - Passphrase for bundles with encrypted passwords
+ * @param {string} [options.conflict='skip'] - 'skip', 'overwrite' or 'rename'
+ * @returns {Promise<Object>} { success, imported, overwritten, renamed, skipped, invalid, passwordsMissing, needsPassphrase, error }
+ */
+async function importConnections(filePath, { passphrase, conflict = 'skip' } = {}) {
+  try {
+    if (!IMPORT_CONFLICT_MODES.includes(conflict)) {
+      return { success: false, error: `Unknown conflict mode '${conflict}'` };
+    }
+
+    await loadSavedConnections();
+    if (connectionsLoadError) {
+      return { success: false, error: `Failed to read saved connections: ${connectionsLoadError.message}` };
+    }
+
+    let bundle;
+    try {
+      bundle = connectionBundle.readConnectionBundle(JSON.parse(await fs.readFile(filePath, 'utf-8')), {
+        knownTypes: Object.values(DB_TYPES),
+        passphrase,
+      });
+    } catch (err) {
+      return {
+        success: false,
+        needsPassphrase: err.code === 'PASSPHRASE_REQUIRED' || err.code === 'BAD_PASSPHRASE',
+        error: err instanceof SyntaxError ? 'File is not valid JSON' : err.message,
+      };
+    }
+
+    const result = { imported: [], overwritten: [], renamed: [], skipped: [], passwordsMissing: [] };
+    const takenNames = new Set(savedConnections.map(conn => conn.name.toLowerCase()));
+    const now = new Date().toISOString();
+
+    for (const entry of bundle.connections) {
+      const existing = savedConnections.find(conn => conn.name.toLowerCase() === entry.name.toLowerCase());
+      let name = entry.name;
+
+      if (existing && conflict === 'skip') {
+        result.skipped.push(entry.name);
+        continue;
+      }
+      if (existing && conflict === 'overwrite') {
+        let config = entry.config;
+        // A bundle exported without passwords should not wipe the ones already saved here
+        if (config.passwordMissing && existing.type === entry.type) {
+          const { passwordMissing, ...rest } = config;
+          config = rest;
+          for (const field of SECRET_CONFIG_FIELDS) {
+            if (existing.config[field] != null && existing.config[field] !== '') config[field] = existing.config[field];
+          }
+          if (!SECRET_CONFIG_FIELDS.some(field => config[field] != null && config[field] !== '')) {
+            config.passwordMissing = true;
+          }
+        }
+        existing.type = entry.type;
+        existing.config = config;
+        existing.lastTested = null;
+        connectionStatuses.delete(existing.id);
+        await connectionPools.closePool(existing.id);
+        name = existing.name;
+        result.overwritten.push(name);
+      } else {
+        if (existing) {
+          name = getUniqueConnectionName(entry.name, takenNames);
+          result.renamed.push({ from: entry.name, to: name });
+        }
+        savedConnections.push({
+          id: generateConnectionId(),
+          name,
+          type: entry.type,
+          config: entry.config,
+          createdAt: now,
+          lastTested: null,
+        });
+        takenNames.add(name.toLowerCase());
+        result.imported.push(name);
+      }
+
+      const saved = savedConnections.find(conn => conn.name === name);
+      if (saved.config.passwordMissing) result.passwordsMissing.push(name);
+    }
+
+    if (result.imported.length > 0 || result.overwritten.length > 0) {
+      await saveSavedConnections();
+    }
+
+    return {
+      success: true,
+      ...result,
+      invalid: bundle.invalid,
+    };
+  } catch (error) {
+    console.error('Error importing connections:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to import connections',
+    };
+  }
+}
+
+/**
+ * Generate unique ID for connection
+ */
+function generateConnectionId() {
+  return `conn_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+/**
+ * Add a new database connection
+ */
+async function addConnection(connectionData) {
+  try {
+    const newConnection = {
+      id: generateConnectionId(),
+      name: connectionData.name,
+      type: connectionData.type,
+      config: connectionData.config,
+      createdAt: new Date().toISOString(),
+      lastTested: null,
+    };
+
+    savedConnections.push(newConnection);
+    await saveSavedConnections();
+
+    return {
+      success: true,
+      connection: newConnection,
+    };
+  } catch (error) {
+    console.error('Error adding connection:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to add connection',
+    };
+  }
+}
+
+/**
+ * Remove a database connection
+ */
+async function removeConnection(connectionId) {
+  try {
+    const index = savedConnections.findIndex(conn => conn.id === connectionId);
+    if (index === -1) {
+      return {
+        success: false,
+        error: 'Connection not found',
+      };
+    }
+
+    savedConnections.splice(index, 1);
+    connectionStatuses.delete(connectionId);
+    await saveSavedConnections();
+    await connectionPools.closePool(connectionId);
+
+    return {
+      success: true,
+    };
+  } catch (error) {
+    console.error('Error removing connection:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to remove connection',
+    };
+  }
+}
+
+/**
+ * Update a database connection
+ */
+async function updateConnection(connectionId, updates) {
+  try {
+    const connection = savedConnections.find(conn => conn.id === connectionId);
+    if (!connection) {
+      return {
+        success: false,
+        error: 'Connection not found',
+      };
+    }
+
+    // A freshly entered password replaces one lost by an older build
+    if (updates.config && updates.config.password && updates.config.password !== PASSWORD_PLACEHOLDER) {
+      const { passwordMissing, ...config } = updates.config;
+      updates = { ...updates, config };
+    }
+
+    Object.assign(connection, {
+      ...updates,
+      id: connectionId, // Ensure ID doesn't change
+      createdAt: connection.createdAt, // Preserve creation date
+    });
+
+    await saveSavedConnections();
+    // Open connections still use the old server and login
+    await connectionPools.closePool(connectionId);
+
+    return {
+      success: true,
+      connection,
+    };
+  } catch (error) {
+    console.error('Error updating connection:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to update connection',
+    };
+  }
+}
+
+/**
+ * Get all saved connections
+ */
+async function getAllConnections() {
+  try {
+    await loadSavedConnections();
+    if (connectionsLoadError) {
+      return {
+        success: false,
+        error: `Failed to read saved connections: ${connectionsLoadError.message}`,
+        connections: [],
+      };
+    }
+    return {
+      success: true,
+      // Never send raw passwords to the renderer
+      connections: sanitizeConnectionsForRenderer(savedConnections),
+    };
+  } catch (error) {
+    console.error('Error getting connections:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to get connections',
+      connections: [],
+    };
+  }
+}
+
+/**
+ * Saved connections as held in memory, read from disk only the first time.
+ * For background callers such as the connection monitor: reloading the file
+ * replaces the in-memory list and could race with an add or update being saved.
+ *
+ * @returns {Promise<Object[]>} Connections with passwords masked
+ */
+async function getLoadedConnections() {
+  if (!connectionsLoaded) {
+    await loadSavedConnections();
+  }
+  return sanitizeConnectionsForRenderer(savedConnections);
+}
+
+/**
+ * Test a generic ODBC connection using a connection string.
+ * Primarily used for Eaglesoft DSN-style connections.
+ * 
+ * For Eaglesoft (which uses 32-bit ODBC), this will automatically use
+ * the 32-bit Node.js bridge to avoid architecture mismatch errors.
+ *
+ * @param {Object} config - Connection config
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Stops the 32-bit bridge test
  */
-async function testOdbcConnection(config) {
+async function testOdbcConnection(config, { signal } = {}) {
   // Check if this is an Eaglesoft connection (has useOdbc flag)
   // If so, use the 32-bit bridge
   if (config.useOdbc) {
     const { testOdbcConnection32Bit } = require('./eaglesoftOdbcBridge');
-    return await testOdbcConnection32Bit(config);
+    return await testOdbcConnection32Bit(config, { signal });
   }
 
   // Otherwise, try direct ODBC connection (for 64-bit ODBC drivers)
@@ -730,37 +1449,122 @@ async function testOdbcConnection(config) {
   }
 }
 
+// Statement timeout for connections that do not set requestTimeout
+const DEFAULT_QUERY_TIMEOUT_MS = 60000;
+
 /**
- * Test MSSQL connection
+ * How long a query or table preview on a connection may take, from the
+ * connection's requestTimeout (ms). The same value is the driver's own statement
+ * timeout where it has one (mssql requestTimeout, the ODBC bridge's per-request timeout).
  */
-async function testMssqlConnection(config) {
-  let pool = null;
-  try {
-    const connectionConfig = {
-      server: config.server || 'localhost',
-      database: config.database || '',
-      port: config.port || 1433,
-      options: {
-        encrypt: config.encrypt !== false,
-        trustServerCertificate: config.trustServerCertificate === true,
-        enableArithAbort: true,
-      },
-      connectionTimeout: config.connectionTimeout || 15000,
-      requestTimeout: config.requestTimeout || 15000,
-    };
+function getQueryTimeoutMs(config) {
+  const timeoutMs = parseInt(config.requestTimeout, 10);
+  return timeoutMs > 0 ? timeoutMs : DEFAULT_QUERY_TIMEOUT_MS;
+}
 
-    // Add authentication
-    if (config.windowsAuth) {
-      connectionConfig.authentication = {
-        type: 'default', // Windows Authentication
-      };
-    } else {
-      connectionConfig.user = config.username || config.user;
-      connectionConfig.password = config.password;
-    }
+/**
+ * Result for an operation stopped by its timeout
+ */
+function getTimedOutResult(operation, what) {
+  return {
+    success: false,
+    timedOut: true,
+    error: `${what} timed out after ${operation.timeoutMs / 1000} seconds`,
+  };
+}
+
+/**
+ * Run a call as a cancellable operation with a timeout. run gets the operation
+ * and should pass operation.signal on to drivers that can stop early; a call
+ * that cannot is left to finish in the background and its result is discarded.
+ *
+ * @param {string} [operationId] - Caller-chosen ID for cancelOperation()
+ * @param {Object} options
+ * @param {string} options.kind - Operation kind (see operations)
+ * @param {string} [options.connectionId]
+ * @param {number} [options.timeoutMs] - Cancel after this long (none when not positive)
+ * @param {string} options.what - Subject of the cancelled/timed out message, e.g. 'Table list'
+ * @param {Object} [options.failure] - Extra fields for the failure result, e.g. { tables: [] }
+ * @param {Function} run - async (operation) => result
+ */
+async function runAsOperation(operationId, { kind, connectionId = null, timeoutMs, what, failure = {} }, run) {
+  const operation = operations.beginOperation(operationId, { kind, connectionId });
+  if (!operation) {
+    return { success: false, ...failure, error: `${what} ${operationId} is already running` };
+  }
+  operation.setTimeout(timeoutMs);
+  const stopped = new Promise(resolve => operation.signal.addEventListener('abort', resolve, { once: true }));
+
+  try {
+    const result = await Promise.race([run(operation), stopped]);
+    if (!operation.cancelled) return result;
+  } catch (error) {
+    if (!operation.cancelled) throw error;
+  } finally {
+    operations.endOperation(operation);
+  }
+
+  return operation.timedOut
+    ? { ...failure, ...getTimedOutResult(operation, what) }
+    : { success: false, ...failure, cancelled: true, error: `${what} cancelled` };
+}
+
+/**
+ * Build mssql ConnectionPool options from a saved connection config. Every MSSQL
+ * path uses these options so they share the connection's pool.
+ */
+function getMssqlConnectionConfig(config) {
+  const connectionConfig = {
+    server: config.server || 'localhost',
+    database: config.database || '',
+    port: config.port || 1433,
+    options: {
+      encrypt: config.encrypt !== false,
+      trustServerCertificate: config.trustServerCertificate === true,
+      enableArithAbort: true,
+    },
+    connectionTimeout: config.connectionTimeout || 15000,
+    requestTimeout: getQueryTimeoutMs(config),
+  };
+
+  if (config.windowsAuth) {
+    connectionConfig.authentication = { type: 'default' };
+  } else {
+    connectionConfig.user = config.username || config.user;
+    connectionConfig.password = config.password;
+  }
+  return connectionConfig;
+}
+
+/**
+ * Build mysql2 connection options from a saved connection config. Every MySQL
+ * path uses these options so they share the connection's pool.
+ */
+function getMysqlConnectionConfig(config) {
+  const host = (config.host || 'localhost').trim().toLowerCase();
+  const isLocal = host === 'localhost' || host === '127.0.0.1';
+  return {
+    host: host === 'localhost' ? '127.0.0.1' : host,
+    port: parseInt(config.port, 10) || 3306,
+    user: (config.username || config.user || 'root').trim(),
+    password: config.password != null ? String(config.password) : '',
+    database: (config.database || '').trim() || undefined,
+    connectTimeout: config.connectionTimeout || 15000,
+    // For local connections, disable SSL to avoid handshake/auth issues with MySQL 8
+    ...(isLocal && { ssl: false }),
+  };
+}
 
-    pool = await sql.connect(connectionConfig);
-    const result = await pool.request().query('SELECT @@VERSION AS Version, SYSTEM_USER AS CurrentUser, DB_NAME() AS CurrentDatabase');
+/**
+ * Test MSSQL connection
+ * @param {Object} config - Connection config
+ * @param {string} [poolKey] - Saved connection ID whose pool to use
+ */
+async function testMssqlConnection(config, poolKey = null) {
+  try {
+    const result = await connectionPools.withMssqlPool(poolKey, getMssqlConnectionConfig(config), pool => pool.request().query(
+      'SELECT @@VERSION AS Version, SYSTEM_USER AS CurrentUser, DB_NAME() AS CurrentDatabase'
+    ));
 
     return {
       success: true,
@@ -777,15 +1581,8 @@ async function testMssqlConnection(config) {
       success: false,
       error: error.message || 'Connection failed',
       code: error.code,
+      number: error.number || (error.originalError && error.originalError.number),
     };
-  } finally {
-    if (pool) {
-      try {
-        await pool.close();
-      } catch (err) {
-        console.error('Error closing pool:', err);
-      }
-    }
   }
 }
 
@@ -809,12 +1606,13 @@ function getMysqlAccessDeniedHint(errorMessage, triedHosts) {
 
 /**
  * Test MySQL connection (requires mysql2 package)
+ * @param {Object} config - Connection config
+ * @param {string} [poolKey] - Saved connection ID whose pool to use
  */
-async function testMysqlConnection(config) {
-  let mysql;
+async function testMysqlConnection(config, poolKey = null) {
   try {
     try {
-      mysql = require('mysql2/promise');
+      require.resolve('mysql2');
     } catch (err) {
       return {
         success: false,
@@ -823,13 +1621,11 @@ async function testMysqlConnection(config) {
     }
 
     const host = (config.host || 'localhost').trim().toLowerCase();
-    const port = parseInt(config.port, 10) || 3306;
-    const user = (config.username || config.user || 'root').trim();
     // Trim to avoid hidden whitespace issues from copy/paste.
     const password = config.password != null ? String(config.password).trim() : '';
 
     // If password came from older saved file where we masked it, fail fast with a clear message.
-    if (password === PASSWORD_PLACEHOLDER) {
+    if (password === PASSWORD_PLACEHOLDER || config.passwordMissing) {
       return {
         success: false,
         error: 'Saved password is masked (***SAVED***). Remove this connection and add it again with the real password.',
@@ -840,27 +1636,16 @@ async function testMysqlConnection(config) {
         ],
       };
     }
-    const database = (config.database || '').trim() || undefined;
-    const isLocal = host === 'localhost' || host === '127.0.0.1';
-
-    const baseConfig = {
-      port,
-      user,
-      password,
-      database,
-      connectTimeout: config.connectionTimeout || 15000,
-      // For local connections, disable SSL to avoid handshake/auth issues with MySQL 8
-      ...(isLocal && { ssl: false }),
-    };
+    const baseConfig = { ...getMysqlConnectionConfig(config), password };
 
     const hostsToTry = host === 'localhost' ? ['127.0.0.1', 'localhost'] : host === '127.0.0.1' ? ['127.0.0.1', 'localhost'] : [host];
 
-    let connection;
+    let lease;
     let connectedHost;
     let lastError;
     for (const tryHost of hostsToTry) {
       try {
-        connection = await mysql.createConnection({ ...baseConfig, host: tryHost });
+        lease = await connectionPools.acquireMysqlConnection(poolKey, { ...baseConfig, host: tryHost });
         connectedHost = tryHost;
         lastError = null;
         break;
@@ -873,7 +1658,7 @@ async function testMysqlConnection(config) {
       }
     }
 
-    if (!connection) {
+    if (!lease) {
       const hint = getMysqlAccessDeniedHint(lastError?.message, hostsToTry);
       return {
         success: false,
@@ -885,8 +1670,12 @@ async function testMysqlConnection(config) {
     }
 
     // "database" can be a reserved keyword in some MySQL versions/modes as an alias.
-    const [rows] = await connection.execute('SELECT VERSION() AS version, USER() AS user, DATABASE() AS currentDatabase');
-    await connection.end();
+    let rows;
+    try {
+      [rows] = await lease.connection.execute('SELECT VERSION() AS version, USER() AS user, DATABASE() AS currentDatabase');
+    } finally {
+      lease.release();
+    }
 
     return {
       success: true,
@@ -912,51 +1701,532 @@ async function testMysqlConnection(config) {
 }
 
 /**
- * Test a database connection
+ * Build node-postgres client options from a saved connection config
  */
-async function testConnection(connectionId) {
-  try {
-    const connection = savedConnections.find(conn => conn.id === connectionId);
-    if (!connection) {
-      return {
-        success: false,
-        error: 'Connection not found',
-      };
-    }
+function getPostgresClientConfig(config) {
+  return {
+    host: (config.host || 'localhost').trim(),
+    port: parseInt(config.port, 10) || 5432,
+    user: (config.username || config.user || 'postgres').trim(),
+    password: config.password != null ? String(config.password) : '',
+    database: (config.database || '').trim() || 'postgres',
+    connectionTimeoutMillis: config.connectionTimeout || 15000,
+    ssl: config.ssl ? { rejectUnauthorized: !config.trustServerCertificate } : false,
+    application_name: 'ElectronPoC',
+  };
+}
 
-    let result;
+/**
+ * Hints for common PostgreSQL connection failures (SQLSTATE or socket error codes)
+ */
+function getPostgresErrorHint(error, clientConfig) {
+  switch (error && error.code) {
+    case '28P01':
+      return [
+        `Password authentication failed for user "${clientConfig.user}".`,
+        'Check the username and password, then click Test again.',
+      ];
+    case '28000':
+      return [
+        'The server rejected this client in pg_hba.conf.',
+        `Add a host entry for user "${clientConfig.user}" and this machine's address, then reload PostgreSQL.`,
+      ];
+    case '3D000':
+      return [`Database "${clientConfig.database}" does not exist. Leave Database empty to connect to "postgres".`];
+    case 'ECONNREFUSED':
+      return [
+        `Nothing is listening on ${clientConfig.host}:${clientConfig.port}.`,
+        'Check that the PostgreSQL service is running and listen_addresses/port in postgresql.conf.',
+      ];
+    default:
+      return undefined;
+  }
+}
 
-    // Special handling: Eaglesoft connections use an ODBC DSN-style connection string.
-    // When useOdbc + odbcConnectionString are present, prefer testing via ODBC
-    // instead of trying to treat the DSN as a TCP hostname (which causes ENOTFOUND).
-    if (connection.config && connection.config.useOdbc && connection.config.odbcConnectionString) {
-      result = await testOdbcConnection(connection.config);
-    } else {
-      switch (connection.type) {
-        case DB_TYPES.MSSQL:
-          result = await testMssqlConnection(connection.config);
-          break;
-        case DB_TYPES.MYSQL:
-          result = await testMysqlConnection(connection.config);
-          break;
-        default:
-          result = {
-            success: false,
-            error: `Database type '${connection.type}' is not supported yet`,
-          };
+/**
+ * Test PostgreSQL connection
+ */
+async function testPostgresConnection(config) {
+  let pg;
+  try {
+    pg = require('pg');
+  } catch (err) {
+    return {
+      success: false,
+      error: 'PostgreSQL driver not installed. Please install pg package.',
+    };
+  }
+
+  if (config.password === PASSWORD_PLACEHOLDER || config.passwordMissing) {
+    return {
+      success: false,
+      error: 'Saved password is missing. Remove this connection and add it again with the real password.',
+      code: 'PASSWORD_MASKED',
+    };
+  }
+
+  const clientConfig = getPostgresClientConfig(config);
+  const client = new pg.Client(clientConfig);
+  try {
+    await client.connect();
+    const { rows } = await client.query(
+      'SELECT version() AS version, current_user AS current_user, current_database() AS current_database'
+    );
+
+    return {
+      success: true,
+      message: 'Connection successful',
+      serverInfo: {
+        version: rows[0]?.version || 'Unknown',
+        currentUser: rows[0]?.current_user || 'Unknown',
+        currentDatabase: rows[0]?.current_database || 'Unknown',
+        serverName: clientConfig.host,
+      },
+    };
+  } catch (error) {
+    const hint = getPostgresErrorHint(error, clientConfig);
+    return {
+      success: false,
+      error: error.message || 'Connection failed',
+      code: error.code,
+      ...(hint && { hint }),
+    };
+  } finally {
+    try {
+      await client.end();
+    } catch (err) {
+      console.error('Error closing PostgreSQL connection:', err);
+    }
+  }
+}
+
+/**
+ * Build the Oracle connect string for a saved config.
+ * Service names use Easy Connect (host:port/service); SIDs cannot be expressed in
+ * Easy Connect, so a full connect descriptor is used for them.
+ */
+function getOracleConnectString(config) {
+  if (config.connectString) return String(config.connectString).trim();
+
+  const host = (config.host || 'localhost').trim();
+  const port = parseInt(config.port, 10) || 1521;
+  const sid = (config.sid || '').trim();
+  const serviceName = (config.serviceName || '').trim();
+
+  if (config.oracleAddressType === 'sid' || (!serviceName && sid)) {
+    if (!sid) throw new Error('No Oracle SID configured');
+    if (/[()=\s]/.test(host + sid)) throw new Error('Oracle host and SID must not contain spaces, parentheses or "="');
+    return `(DESCRIPTION=(ADDRESS=(PROTOCOL=TCP)(HOST=${host})(PORT=${port}))(CONNECT_DATA=(SID=${sid})))`;
+  }
+  if (!serviceName) throw new Error('No Oracle service name configured');
+  return `${host}:${port}/${serviceName}`;
+}
+
+/**
+ * Hints for common Oracle connection failures
+ */
+function getOracleErrorHint(error, config) {
+  const code = error && error.code;
+  if (code === 'ORA-01017') {
+    return ['Invalid username or password. Oracle passwords are case-sensitive.'];
+  }
+  if (code === 'ORA-12514' || code === 'NJS-518') {
+    return [
+      `The listener does not know service "${config.serviceName || ''}".`,
+      'Check the service name with "lsnrctl services", or switch to SID if this is an older database.',
+    ];
+  }
+  if (code === 'ORA-12505' || code === 'NJS-519') {
+    return [
+      `The listener does not know SID "${config.sid || ''}".`,
+      'Check the SID, or switch to Service Name (required for pluggable databases).',
+    ];
+  }
+  if (code === 'NJS-503' || code === 'NJS-511' || code === 'NJS-510') {
+    return [`Could not reach the Oracle listener at ${config.host || 'localhost'}:${config.port || 1521}. Check host, port and firewall.`];
+  }
+  if (code === 'NJS-116' || code === 'NJS-138') {
+    return ['This server requires features not available in thin mode (e.g. native network encryption or a pre-12.1 database).'];
+  }
+  return undefined;
+}
+
+/**
+ * Open an Oracle connection in thin mode (pure JavaScript, no Instant Client needed)
+ */
+async function getOracleConnection(config) {
+  const oracledb = require('oracledb');
+  return oracledb.getConnection({
+    user: (config.username || config.user || '').trim(),
+    password: config.password != null ? String(config.password) : '',
+    connectString: getOracleConnectString(config),
+    connectTimeout: Math.ceil((config.connectionTimeout || 15000) / 1000),
+  });
+}
+
+/**
+ * Test Oracle connection
+ */
+async function testOracleConnection(config) {
+  try {
+    require.resolve('oracledb');
+  } catch (err) {
+    return {
+      success: false,
+      error: 'Oracle driver not installed. Please install oracledb package.',
+    };
+  }
+
+  if (config.password === PASSWORD_PLACEHOLDER || config.passwordMissing) {
+    return {
+      success: false,
+      error: 'Saved password is missing. Remove this connection and add it again with the real password.',
+      code: 'PASSWORD_MASKED',
+    };
+  }
+
+  let connection;
+  try {
+    const oracledb = require('oracledb');
+    connection = await getOracleConnection(config);
+    const result = await connection.execute(
+      `SELECT USER AS CURRENT_USER,
+        SYS_CONTEXT('USERENV', 'DB_NAME') AS DB_NAME,
+        SYS_CONTEXT('USERENV', 'SERVICE_NAME') AS SERVICE_NAME
+       FROM DUAL`,
+      [],
+      { outFormat: oracledb.OUT_FORMAT_OBJECT }
+    );
+    const row = result.rows?.[0] || {};
+
+    return {
+      success: true,
+      message: 'Connection successful',
+      serverInfo: {
+        version: connection.oracleServerVersionString ? `Oracle ${connection.oracleServerVersionString}` : 'Unknown',
+        currentUser: row.CURRENT_USER || 'Unknown',
+        currentDatabase: row.DB_NAME || 'Unknown',
+        serviceName: row.SERVICE_NAME,
+        serverName: config.host || 'localhost',
+      },
+    };
+  } catch (error) {
+    const hint = getOracleErrorHint(error, config);
+    return {
+      success: false,
+      error: error.message || 'Connection failed',
+      code: error.code,
+      ...(hint && { hint }),
+    };
+  } finally {
+    if (connection) {
+      try {
+        await connection.close();
+      } catch (err) {
+        console.error('Error closing Oracle connection:', err);
       }
     }
+  }
+}
 
-    // Update last tested timestamp
-    connection.lastTested = new Date().toISOString();
-    await saveSavedConnections();
+/** First 16 bytes of every SQLite 3 database file */
+const SQLITE_HEADER = Buffer.from('SQLite format 3\0', 'latin1');
 
-    // Store connection status
-    connectionStatuses.set(connectionId, {
-      ...result,
-      testedAt: connection.lastTested,
+/**
+ * Validate the database file of a SQLite connection without opening it.
+ * SQLite connections never create files - the path must point at an existing database.
+ *
+ * @param {Object} config - { filePath, readOnly }
+ * @returns {Promise<Object>} { valid, filePath, size, error }
+ */
+async function validateSqliteFile(config) {
+  const filePath = typeof config.filePath === 'string' ? config.filePath.trim() : '';
+  if (!filePath) {
+    return { valid: false, error: 'No database file path configured' };
+  }
+  if (!path.isAbsolute(filePath)) {
+    return { valid: false, error: `Database file path must be absolute: ${filePath}` };
+  }
+
+  try {
+    const stats = await fs.stat(filePath);
+    if (!stats.isFile()) {
+      return { valid: false, error: `Not a file: ${filePath}` };
+    }
+
+    const readOnly = config.readOnly !== false;
+    await fs.access(filePath, readOnly ? fsConstants.R_OK : fsConstants.R_OK | fsConstants.W_OK);
+
+    // An empty file is a valid (new) database; anything else must carry the SQLite header.
+    if (stats.size > 0) {
+      const handle = await fs.open(filePath, 'r');
+      try {
+        const header = Buffer.alloc(SQLITE_HEADER.length);
+        await handle.read(header, 0, header.length, 0);
+        if (!header.equals(SQLITE_HEADER)) {
+          return { valid: false, error: `Not a SQLite 3 database: ${filePath}` };
+        }
+      } finally {
+        await handle.close();
+      }
+    }
+
+    return { valid: true, filePath, size: stats.size };
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return { valid: false, error: `Database file not found: ${filePath}` };
+    }
+    if (error.code === 'EACCES' || error.code === 'EPERM') {
+      return { valid: false, error: `No ${config.readOnly !== false ? 'read' : 'read/write'} access to ${filePath}` };
+    }
+    return { valid: false, error: error.message };
+  }
+}
+
+/**
+ * Open a SQLite database read-only (default) or read-write. Never creates the file.
+ *
+ * @returns {Promise<Object>} { db, all(sql, params), close() }
+ */
+function openSqliteDatabase(config) {
+  const sqlite3 = require('sqlite3');
+  const mode = config.readOnly !== false ? sqlite3.OPEN_READONLY : sqlite3.OPEN_READWRITE;
+
+  return new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(config.filePath.trim(), mode, (err) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      db.configure('busyTimeout', config.busyTimeout || 5000);
+      resolve({
+        db,
+        all: (query, params = []) => new Promise((res, rej) => {
+          db.all(query, params, (queryErr, rows) => (queryErr ? rej(queryErr) : res(rows)));
+        }),
+        close: () => new Promise((res) => {
+          db.close((closeErr) => {
+            if (closeErr) console.error('Error closing SQLite database:', closeErr);
+            res();
+          });
+        }),
+      });
+    });
+  });
+}
+
+/**
+ * Test SQLite connection - validates the file, opens it and reports version and page stats
+ */
+async function testSqliteConnection(config) {
+  try {
+    require.resolve('sqlite3');
+  } catch (err) {
+    return {
+      success: false,
+      error: 'SQLite driver not installed. Please install sqlite3 package.',
+    };
+  }
+
+  const validation = await validateSqliteFile(config);
+  if (!validation.valid) {
+    return { success: false, error: validation.error, code: 'INVALID_SQLITE_FILE' };
+  }
+
+  let database;
+  try {
+    database = await openSqliteDatabase(config);
+    const [info] = await database.all(
+      `SELECT sqlite_version() AS version,
+        (SELECT page_size FROM pragma_page_size) AS pageSize,
+        (SELECT page_count FROM pragma_page_count) AS pageCount,
+        (SELECT freelist_count FROM pragma_freelist_count) AS freelistCount,
+        (SELECT journal_mode FROM pragma_journal_mode) AS journalMode,
+        (SELECT encoding FROM pragma_encoding) AS encoding`
+    );
+    // Forces the schema to be read, so a corrupt or encrypted file fails the test here
+    await database.all('SELECT COUNT(*) AS count FROM sqlite_master');
+
+    return {
+      success: true,
+      message: 'Connection successful',
+      serverInfo: {
+        version: `SQLite ${info.version}`,
+        currentDatabase: path.basename(validation.filePath),
+        serverName: validation.filePath,
+        readOnly: config.readOnly !== false,
+        fileSize: validation.size,
+        pageSize: info.pageSize,
+        pageCount: info.pageCount,
+        freelistCount: info.freelistCount,
+        journalMode: info.journalMode,
+        encoding: info.encoding,
+      },
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message || 'Connection failed',
+      code: error.code,
+    };
+  } finally {
+    if (database) await database.close();
+  }
+}
+
+/** Connections tested at once by testAllConnections unless the caller asks otherwise */
+const TEST_ALL_DEFAULT_CONCURRENCY = 4;
+const TEST_ALL_MAX_CONCURRENCY = 16;
+/** A test still running after this long is reported as timed out */
+const CONNECTION_TEST_TIMEOUT_MS = 60000;
+
+/**
+ * Driver name a connection's errors are classified under (see retryPolicy)
+ */
+function getRetryDriver(connection) {
+  const config = connection.config || {};
+  return config.useOdbc && config.odbcConnectionString ? 'odbc' : connection.type;
+}
+
+/**
+ * Run the driver test for a saved connection
+ */
+async function runConnectionTest(connection, { signal } = {}) {
+  let result;
+
+  // Special handling: Eaglesoft connections use an ODBC DSN-style connection string.
+  // When useOdbc + odbcConnectionString are present, prefer testing via ODBC
+  // instead of trying to treat the DSN as a TCP hostname (which causes ENOTFOUND).
+  if (connection.config && connection.config.useOdbc && connection.config.odbcConnectionString) {
+    result = await testOdbcConnection(connection.config, { signal });
+  } else {
+    switch (connection.type) {
+      case DB_TYPES.MSSQL:
+        result = await testMssqlConnection(connection.config, connection.id);
+        break;
+      case DB_TYPES.MYSQL:
+        result = await testMysqlConnection(connection.config, connection.id);
+        break;
+      case DB_TYPES.POSTGRES:
+        result = await testPostgresConnection(connection.config);
+        break;
+      case DB_TYPES.ORACLE:
+        result = await testOracleConnection(connection.config);
+        break;
+      case DB_TYPES.SQLITE:
+        result = await testSqliteConnection(connection.config);
+        break;
+      default:
+        result = {
+          success: false,
+          error: `Database type '${connection.type}' is not supported yet`,
+        };
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Test a saved connection, cache its status and record it in the health history.
+ * A test still running after timeoutMs is reported as timed out, and one stopped
+ * through signal as cancelled; the driver call is left to finish (or fail) in the
+ * background and its result is discarded. A cancelled test is not recorded.
+ *
+ * @param {Object} connection - Saved connection
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs]
+ * @param {string} [options.source] - What ran the test, recorded in the health history
+ * @param {AbortSignal} [options.signal] - Cancels the test
+ */
+async function testSavedConnection(connection, { timeoutMs = CONNECTION_TEST_TIMEOUT_MS, source = 'manual', signal } = {}) {
+  const startedAt = Date.now();
+  let timer;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(() => resolve({
+      success: false,
+      error: `Connection test timed out after ${Math.round(timeoutMs / 1000)} seconds`,
+      code: 'ETIMEOUT',
+    }), timeoutMs);
+  });
+  const cancelledResult = { success: false, cancelled: true, error: 'Connection test cancelled' };
+  const cancelled = new Promise((resolve) => {
+    if (signal) signal.addEventListener('abort', () => resolve(cancelledResult), { once: true });
+  });
+
+  let result;
+  try {
+    // Transient failures (dropped socket, timeout, deadlock) are retried; attempts is added to the result
+    const test = retryPolicy.withRetry(() => runConnectionTest(connection, { signal }), {
+      driver: getRetryDriver(connection),
+      policy: connection.config && connection.config.retry,
+      shouldStop: () => !!(signal && signal.aborted),
     });
+    result = await Promise.race([test, timeout, cancelled]);
+  } catch (error) {
+    result = {
+      success: false,
+      error: error.message || 'Failed to test connection',
+    };
+  } finally {
+    clearTimeout(timer);
+  }
+  if (signal && signal.aborted) {
+    return { ...cancelledResult, latencyMs: Date.now() - startedAt };
+  }
+  result = { ...result, latencyMs: Date.now() - startedAt };
+
+  // Update last tested timestamp
+  connection.lastTested = new Date().toISOString();
+  await healthHistory.recordHealthCheck({
+    connectionId: connection.id,
+    success: result.success,
+    latencyMs: result.latencyMs,
+    code: result.code,
+    error: result.success ? null : result.error,
+    source,
+    at: connection.lastTested,
+  });
+
+  // Store connection status
+  connectionStatuses.set(connection.id, {
+    ...result,
+    testedAt: connection.lastTested,
+  });
+
+  return result;
+}
+
+/**
+ * Test a database connection
+ * @param {string} connectionId - Connection ID
+ * @param {Object} [options]
+ * @param {string} [options.source='manual'] - What ran the test, recorded in the health history
+ * @param {string} [options.operationId] - Caller-chosen ID, used to cancel the test with cancelOperation()
+ */
+async function testConnection(connectionId, { source = 'manual', operationId } = {}) {
+  try {
+    const connection = savedConnections.find(conn => conn.id === connectionId);
+    if (!connection) {
+      return {
+        success: false,
+        error: 'Connection not found',
+      };
+    }
 
+    const operation = operations.beginOperation(operationId, { kind: 'test', connectionId });
+    if (!operation) {
+      return { success: false, error: `Connection test ${operationId} is already running` };
+    }
+    let result;
+    try {
+      result = await testSavedConnection(connection, { source, signal: operation.signal });
+    } finally {
+      operations.endOperation(operation);
+    }
+    if (!result.cancelled) {
+      await saveSavedConnections({ backup: false });
+    }
     return result;
   } catch (error) {
     console.error('Error testing connection:', error);
@@ -968,22 +2238,48 @@ async function testConnection(connectionId) {
 }
 
 /**
- * Test all saved connections
+ * Test all saved connections, several at a time. Results are reported through
+ * onProgress as each test starts and finishes; the connections file is saved
+ * once at the end.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.concurrency=4] - Tests run at once (1-16)
+ * @param {number} [options.timeoutMs=60000] - Per-connection test timeout
+ * @param {Function} [onProgress] - Called with { connectionId, name, type, phase: 'started' | 'finished',
+ *   result (finished only), completed, total }
+ * @returns {Promise<Object>} { success, results: [{ connectionId, name, type, ...testResult }], error }
  */
-async function testAllConnections() {
+async function testAllConnections(options = {}, onProgress = () => {}) {
   try {
     await loadSavedConnections();
-    const results = [];
-
-    for (const connection of savedConnections) {
-      const result = await testConnection(connection.id);
-      results.push({
-        connectionId: connection.id,
-        name: connection.name,
-        type: connection.type,
-        ...result,
-      });
-    }
+    const concurrency = Math.min(
+      Math.max(parseInt(options.concurrency, 10) || TEST_ALL_DEFAULT_CONCURRENCY, 1),
+      TEST_ALL_MAX_CONCURRENCY
+    );
+    const timeoutMs = parseInt(options.timeoutMs, 10) > 0 ? parseInt(options.timeoutMs, 10) : CONNECTION_TEST_TIMEOUT_MS;
+
+    // Copy so connections added or removed mid-run do not shift the queue
+    const connections = [...savedConnections];
+    const results = new Array(connections.length);
+    let next = 0;
+    let completed = 0;
+
+    const worker = async () => {
+      while (next < connections.length) {
+        const index = next++;
+        const connection = connections[index];
+        const info = { connectionId: connection.id, name: connection.name, type: connection.type };
+        onProgress({ ...info, phase: 'started', completed, total: connections.length });
+
+        const result = await testSavedConnection(connection, { timeoutMs, source: 'test-all' });
+        results[index] = { ...info, ...result };
+        completed += 1;
+        onProgress({ ...info, phase: 'finished', result, completed, total: connections.length });
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(concurrency, connections.length) }, worker));
+
+    await saveSavedConnections({ backup: false });
 
     return {
       success: true,
@@ -1000,37 +2296,17 @@ async function testAllConnections() {
 
 /**
  * List user-defined tables for MSSQL connection
+ * @param {Object} config - Connection config
+ * @param {string} [poolKey] - Saved connection ID whose pool to use
  */
-async function listMssqlTables(config) {
-  let pool = null;
-  try {
-    const connectionConfig = {
-      server: config.server || 'localhost',
-      database: config.database || '',
-      port: config.port || 1433,
-      options: {
-        encrypt: config.encrypt !== false,
-        trustServerCertificate: config.trustServerCertificate === true,
-        enableArithAbort: true,
-      },
-      connectionTimeout: config.connectionTimeout || 15000,
-      requestTimeout: config.requestTimeout || 30000,
-    };
-
-    if (config.windowsAuth) {
-      connectionConfig.authentication = { type: 'default' };
-    } else {
-      connectionConfig.user = config.username || config.user;
-      connectionConfig.password = config.password;
-    }
-
-    pool = await sql.connect(connectionConfig);
-    const result = await pool.request().query(
+async function listMssqlTables(config, poolKey = null) {
+  try {
+    const result = await connectionPools.withMssqlPool(poolKey, getMssqlConnectionConfig(config), pool => pool.request().query(
       `SELECT TABLE_SCHEMA AS [schema], TABLE_NAME AS tableName
        FROM INFORMATION_SCHEMA.TABLES
        WHERE TABLE_TYPE = 'BASE TABLE'
        ORDER BY TABLE_SCHEMA, TABLE_NAME`
-    );
+    ));
 
     const tables = (result.recordset || []).map(r => ({
       schema: r.schema || r.TABLE_SCHEMA || r.table_schema,
@@ -1044,31 +2320,18 @@ async function listMssqlTables(config) {
       tables: [],
       error: error.message || 'Failed to list tables',
     };
-  } finally {
-    if (pool) {
-      try {
-        await pool.close();
-      } catch (err) {
-        console.error('Error closing pool:', err);
-      }
-    }
   }
 }
 
 /**
  * List user-defined tables for MySQL connection
+ * @param {Object} config - Connection config
+ * @param {string} [poolKey] - Saved connection ID whose pool to use
  */
-async function listMysqlTables(config) {
-  let connection;
+async function listMysqlTables(config, poolKey = null) {
   try {
-    const mysql = require('mysql2/promise');
-    const host = (config.host || 'localhost').trim().toLowerCase();
-    const port = parseInt(config.port, 10) || 3306;
-    const user = (config.username || config.user || 'root').trim();
     const password = config.password != null ? String(config.password).trim() : '';
-    const database = (config.database || '').trim() || undefined;
-
-    if (password === PASSWORD_PLACEHOLDER) {
+    if (password === PASSWORD_PLACEHOLDER || config.passwordMissing) {
       return {
         success: false,
         tables: [],
@@ -1076,23 +2339,13 @@ async function listMysqlTables(config) {
       };
     }
 
-    const baseConfig = {
-      host: host === 'localhost' ? '127.0.0.1' : host,
-      port,
-      user,
-      password,
-      database,
-    };
-
-    connection = await mysql.createConnection(baseConfig);
-
-    const [rows] = await connection.execute(
+    const [rows] = await connectionPools.withMysqlConnection(poolKey, { ...getMysqlConnectionConfig(config), password }, connection => connection.execute(
       `SELECT TABLE_SCHEMA AS schemaName, TABLE_NAME AS tableName
        FROM INFORMATION_SCHEMA.TABLES
        WHERE TABLE_SCHEMA NOT IN ('mysql', 'information_schema', 'performance_schema', 'sys')
        AND TABLE_TYPE = 'BASE TABLE'
        ORDER BY TABLE_SCHEMA, TABLE_NAME`
-    );
+    ));
 
     const tables = (rows || []).map(r => ({
       schema: r.schemaName || r.TABLE_SCHEMA || r.table_schema,
@@ -1106,189 +2359,3224 @@ async function listMysqlTables(config) {
       tables: [],
       error: error.message || 'Failed to list tables',
     };
-  } finally {
-    if (connection) {
-      try {
-        await connection.end();
-      } catch (err) {
-        console.error('Error closing MySQL connection:', err);
-      }
+  }
+}
+
+/**
+ * List user-defined tables for PostgreSQL connection.
+ * Reads pg_catalog directly so partitioned tables are included and
+ * information_schema privilege filtering does not hide tables.
+ */
+async function listPostgresTables(config) {
+  if (config.password === PASSWORD_PLACEHOLDER || config.passwordMissing) {
+    return {
+      success: false,
+      tables: [],
+      error: 'Saved password is masked. Remove and re-add the connection to list tables.',
+    };
+  }
+
+  let client;
+  try {
+    const pg = require('pg');
+    client = new pg.Client(getPostgresClientConfig(config));
+    await client.connect();
+
+    const { rows } = await client.query(
+      `SELECT n.nspname AS schema_name, c.relname AS table_name
+       FROM pg_catalog.pg_class c
+       JOIN pg_catalog.pg_namespace n ON n.oid = c.relnamespace
+       WHERE c.relkind IN ('r', 'p')
+       AND NOT c.relispartition
+       AND n.nspname NOT IN ('pg_catalog', 'information_schema')
+       AND n.nspname NOT LIKE 'pg\\_toast%'
+       AND n.nspname NOT LIKE 'pg\\_temp\\_%'
+       ORDER BY n.nspname, c.relname`
+    );
+
+    const tables = (rows || []).map(r => ({
+      schema: r.schema_name,
+      name: r.table_name,
+    }));
+
+    return { success: true, tables };
+  } catch (error) {
+    return {
+      success: false,
+      tables: [],
+      error: error.message || 'Failed to list tables',
+    };
+  } finally {
+    if (client) {
+      try {
+        await client.end();
+      } catch (err) {
+        console.error('Error closing PostgreSQL connection:', err);
+      }
+    }
+  }
+}
+
+/**
+ * Oracle-supplied schemas hidden from table listings on databases older than 12c,
+ * which lack ALL_USERS.ORACLE_MAINTAINED
+ */
+const ORACLE_SYSTEM_SCHEMAS = [
+  'SYS', 'SYSTEM', 'OUTLN', 'DBSNMP', 'APPQOSSYS', 'XDB', 'CTXSYS', 'MDSYS', 'ORDSYS',
+  'ORDDATA', 'OLAPSYS', 'WMSYS', 'EXFSYS', 'DVSYS', 'LBACSYS', 'GSMADMIN_INTERNAL',
+  'AUDSYS', 'OJVMSYS', 'APEX_PUBLIC_USER', 'FLOWS_FILES', 'MDDATA', 'SI_INFORMTN_SCHEMA',
+];
+
+/**
+ * List user-defined tables for Oracle connection (tables visible to the user,
+ * excluding Oracle-maintained schemas)
+ */
+async function listOracleTables(config) {
+  if (config.password === PASSWORD_PLACEHOLDER || config.passwordMissing) {
+    return {
+      success: false,
+      tables: [],
+      error: 'Saved password is masked. Remove and re-add the connection to list tables.',
+    };
+  }
+
+  let connection;
+  try {
+    const oracledb = require('oracledb');
+    connection = await getOracleConnection(config);
+    const options = { outFormat: oracledb.OUT_FORMAT_OBJECT };
+    const baseQuery = `SELECT t.OWNER, t.TABLE_NAME
+       FROM ALL_TABLES t
+       WHERE t.NESTED = 'NO' AND t.SECONDARY = 'N' AND t.DROPPED = 'NO'
+       AND (t.IOT_TYPE IS NULL OR t.IOT_TYPE = 'IOT')`;
+
+    let result;
+    try {
+      result = await connection.execute(
+        `${baseQuery}
+         AND t.OWNER IN (SELECT USERNAME FROM ALL_USERS WHERE ORACLE_MAINTAINED = 'N')
+         ORDER BY t.OWNER, t.TABLE_NAME`,
+        [],
+        options
+      );
+    } catch (err) {
+      // ORA-00904: ORACLE_MAINTAINED does not exist before 12c
+      if (err.code !== 'ORA-00904') throw err;
+      result = await connection.execute(
+        `${baseQuery}
+         AND t.OWNER NOT IN (${ORACLE_SYSTEM_SCHEMAS.map((_, i) => `:s${i}`).join(', ')})
+         ORDER BY t.OWNER, t.TABLE_NAME`,
+        Object.fromEntries(ORACLE_SYSTEM_SCHEMAS.map((schema, i) => [`s${i}`, schema])),
+        options
+      );
+    }
+
+    const tables = (result.rows || []).map(r => ({
+      schema: r.OWNER,
+      name: r.TABLE_NAME,
+    }));
+
+    return { success: true, tables };
+  } catch (error) {
+    return {
+      success: false,
+      tables: [],
+      error: error.message || 'Failed to list tables',
+    };
+  } finally {
+    if (connection) {
+      try {
+        await connection.close();
+      } catch (err) {
+        console.error('Error closing Oracle connection:', err);
+      }
+    }
+  }
+}
+
+/**
+ * List tables and views for SQLite connection (internal sqlite_* tables excluded)
+ */
+async function listSqliteTables(config) {
+  const validation = await validateSqliteFile(config);
+  if (!validation.valid) {
+    return { success: false, tables: [], error: validation.error };
+  }
+
+  let database;
+  try {
+    database = await openSqliteDatabase(config);
+    const rows = await database.all(
+      `SELECT name, type FROM sqlite_master
+       WHERE type IN ('table', 'view')
+       AND name NOT LIKE 'sqlite\\_%' ESCAPE '\\'
+       ORDER BY type, name`
+    );
+
+    const tables = (rows || []).map(r => ({
+      name: r.name,
+      type: r.type,
+    }));
+
+    return { success: true, tables };
+  } catch (error) {
+    return {
+      success: false,
+      tables: [],
+      error: error.message || 'Failed to list tables',
+    };
+  } finally {
+    if (database) await database.close();
+  }
+}
+
+/**
+ * Dentrix (FairCom c-tree) specific query - INFORMATION_SCHEMA.TABLES does not exist.
+ * Uses admin.systabauth to list tables the current user has select permission on.
+ */
+const DENTRIX_LIST_TABLES_QUERY = `
+  SELECT DISTINCT tbl
+  FROM admin.systabauth
+  WHERE sel IN ('g','y')
+  AND grantee=(SELECT SUSER_NAME() FROM admin.syscalctable)
+  ORDER BY tbl
+`.trim();
+
+/**
+ * Eaglesoft (SAP SQL Anywhere) specific query - lists ALL tables from SYS.SYSTAB.
+ * No creator filter; Eaglesoft tables may use various creator IDs.
+ */
+const EAGLESOFT_SQL_ANYWHERE_LIST_TABLES_QUERY = `
+  SELECT table_name
+  FROM SYS.SYSTAB
+  ORDER BY table_name
+`.trim();
+
+/**
+ * ODBC errors meaning INFORMATION_SCHEMA is missing because the database is
+ * Dentrix (FairCom c-tree) or Eaglesoft (SAP SQL Anywhere)
+ */
+function isDentrixCatalogError(error) {
+  return !!error && /tables not found|Table\/View\/Synonym|FairCom|ctreeSQL|22506/i.test(error);
+}
+
+function isSqlAnywhereCatalogError(error) {
+  return !!error && /SAP|SQL Anywhere|42S02|sqlite_master not found/i.test(error);
+}
+
+/**
+ * ODBC connection string for a saved config: the stored string, or one built from DSN/DBN/UID/PWD
+ */
+function getOdbcConnectionString(config) {
+  return (
+    config.odbcConnectionString ||
+    [
+      config.DBN ? `DBN=${config.DBN}` : null,
+      config.DSN ? `DSN=${config.DSN}` : null,
+      config.username ? `UID=${config.username}` : null,
+      config.password ? `PWD=${config.password}` : null,
+    ]
+      .filter(Boolean)
+      .join(';')
+  );
+}
+
+/**
+ * List user-defined tables for ODBC connection (Eaglesoft, Dentrix, etc.)
+ * Eaglesoft uses SAP SQL Anywhere; Dentrix uses FairCom c-tree.
+ *
+ * @param {Object} config - Connection config
+ * @param {Object} [odbcOptions] - { signal, timeoutMs } for the ODBC bridge
+ */
+async function listOdbcTables(config, odbcOptions = {}) {
+  try {
+    const dentrixOdbcBridge = require('./dentrixOdbcBridge');
+    const connectionString = getOdbcConnectionString(config);
+
+    if (!connectionString) {
+      return {
+        success: false,
+        tables: [],
+        error: 'Missing ODBC connection string',
+      };
+    }
+
+    if (config.password === PASSWORD_PLACEHOLDER || config.passwordMissing) {
+      return {
+        success: false,
+        tables: [],
+        error: 'Saved password is masked. Remove and re-add the connection to list tables.',
+      };
+    }
+
+    // Try standard INFORMATION_SCHEMA first (works for SQL Server, MySQL, Sybase ODBC)
+    const standardQuery =
+      `SELECT TABLE_SCHEMA, TABLE_NAME
+       FROM INFORMATION_SCHEMA.TABLES
+       WHERE TABLE_TYPE = 'BASE TABLE'
+       ORDER BY TABLE_SCHEMA, TABLE_NAME`;
+
+    let result = await dentrixOdbcBridge.executeOdbcQuery(connectionString, standardQuery, [], odbcOptions);
+
+    // Dentrix uses FairCom c-tree - INFORMATION_SCHEMA.TABLES does not exist.
+    if (!result.success && isDentrixCatalogError(result.error)) {
+      result = await dentrixOdbcBridge.executeOdbcQuery(connectionString, DENTRIX_LIST_TABLES_QUERY, [], odbcOptions);
+      if (!result.success) {
+        return {
+          success: false,
+          tables: [],
+          error: result.error || 'Failed to list tables',
+        };
+      }
+      const tables = (result.rows || []).map(r => ({
+        schema: 'admin',
+        name: r.tbl || r.TBL || r.Table || '',
+      })).filter(t => t.name);
+      return { success: true, tables };
+    }
+
+    // Eaglesoft uses SAP SQL Anywhere - fallback when INFORMATION_SCHEMA fails (e.g. 42S02).
+    if (!result.success && isSqlAnywhereCatalogError(result.error)) {
+      result = await dentrixOdbcBridge.executeOdbcQuery(connectionString, EAGLESOFT_SQL_ANYWHERE_LIST_TABLES_QUERY, [], odbcOptions);
+      if (!result.success) {
+        return {
+          success: false,
+          tables: [],
+          error: result.error || 'Failed to list tables',
+        };
+      }
+      const tables = (result.rows || []).map(r => ({
+        schema: '',
+        name: r.table_name || r.TABLE_NAME || '',
+      })).filter(t => t.name);
+      return { success: true, tables };
+    }
+
+    if (!result.success) {
+      return {
+        success: false,
+        tables: [],
+        error: result.error || 'Failed to list tables',
+      };
+    }
+
+    const tables = (result.rows || []).map(r => ({
+      schema: r.TABLE_SCHEMA || r.table_schema,
+      name: r.TABLE_NAME || r.table_name,
+    }));
+
+    return { success: true, tables };
+  } catch (error) {
+    return {
+      success: false,
+      tables: [],
+      error: error.message || 'Failed to list tables',
+    };
+  }
+}
+
+/**
+ * List all user-defined table names for a database connection. Runs as a
+ * cancellable operation limited by the connection's requestTimeout.
+ *
+ * @param {string} connectionId - Connection ID
+ * @param {Object} [options]
+ * @param {string} [options.operationId] - Caller-chosen ID, used to cancel the listing with cancelOperation()
+ * @returns {Promise<Object>} { success, tables: [{ schema, name }], cancelled, timedOut, error }
+ */
+async function listTables(connectionId, { operationId } = {}) {
+  try {
+    await loadSavedConnections();
+    const connection = savedConnections.find(conn => conn.id === connectionId);
+
+    if (!connection) {
+      return {
+        success: false,
+        tables: [],
+        error: 'Connection not found',
+      };
+    }
+
+    const config = connection.config || {};
+    const timeoutMs = getQueryTimeoutMs(config);
+    return await runAsOperation(operationId, {
+      kind: 'list-tables',
+      connectionId,
+      timeoutMs,
+      what: 'Table list',
+      failure: { tables: [] },
+    }, ({ signal }) => {
+      if (config.useOdbc && config.odbcConnectionString) {
+        return listOdbcTables(config, { signal, timeoutMs });
+      }
+
+      switch (connection.type) {
+        case DB_TYPES.MSSQL:
+          return listMssqlTables(config, connection.id);
+        case DB_TYPES.MYSQL:
+          return listMysqlTables(config, connection.id);
+        case DB_TYPES.POSTGRES:
+          return listPostgresTables(config);
+        case DB_TYPES.ORACLE:
+          return listOracleTables(config);
+        case DB_TYPES.SQLITE:
+          return listSqliteTables(config);
+        default:
+          return {
+            success: false,
+            tables: [],
+            error: `Listing tables for database type '${connection.type}' is not supported yet`,
+          };
+      }
+    });
+  } catch (error) {
+    console.error('Error listing tables:', error);
+    return {
+      success: false,
+      tables: [],
+      error: error.message || 'Failed to list tables',
+    };
+  }
+}
+
+/**
+ * Format a catalog data type with its length or precision, e.g. varchar(50), decimal(10,2)
+ */
+function formatColumnType(dataType, { length, precision, scale } = {}) {
+  const type = String(dataType || '').trim().toLowerCase();
+  if (!type) return null;
+  if (/char|binary/.test(type) && length != null && Number(length) !== 0) {
+    return `${type}(${Number(length) === -1 ? 'max' : length})`;
+  }
+  if (/^(decimal|numeric|number)$/.test(type) && precision != null) {
+    return scale != null && Number(scale) !== 0 ? `${type}(${precision},${scale})` : `${type}(${precision})`;
+  }
+  return type;
+}
+
+/**
+ * Group ordered catalog rows (one row per key or index column) by constraint/index name
+ */
+function groupRowsByName(rows, getName) {
+  const groups = new Map();
+  for (const row of rows || []) {
+    const name = getName(row);
+    if (!groups.has(name)) groups.set(name, []);
+    groups.get(name).push(row);
+  }
+  return [...groups.entries()];
+}
+
+/**
+ * Build the common describeTable result shape; columns in the primary key are flagged
+ */
+function buildTableDescription({
+  schema,
+  name,
+  type = 'table',
+  rowCount = null,
+  rowCountExact = false,
+  columns,
+  primaryKey = null,
+  foreignKeys = [],
+  indexes = [],
+  warnings = [],
+}) {
+  const primaryKeyColumns = new Set(primaryKey ? primaryKey.columns : []);
+  const count = rowCount != null && rowCount !== '' ? Number(rowCount) : null;
+  return {
+    success: true,
+    table: {
+      schema: schema || '',
+      name,
+      type,
+      rowCount: Number.isFinite(count) && count >= 0 ? count : null,
+      rowCountExact,
+    },
+    columns: columns.map(col => ({ ...col, isPrimaryKey: primaryKeyColumns.has(col.name) })),
+    primaryKey,
+    foreignKeys,
+    indexes: [...indexes].sort((a, b) => Number(b.primary) - Number(a.primary)),
+    ...(warnings.length > 0 && { warnings }),
+  };
+}
+
+/**
+ * Describe an MSSQL table from sys.* and INFORMATION_SCHEMA.
+ * Row count is the sum of heap/clustered index partition rows (no table scan).
+ */
+async function describeMssqlTable(config, table, poolKey = null) {
+  const schema = table.schema || 'dbo';
+  const { pool, release } = await connectionPools.acquireMssqlPool(poolKey, getMssqlConnectionConfig(config));
+  try {
+    const request = () => pool.request()
+      .input('schema', sql.NVarChar, schema)
+      .input('table', sql.NVarChar, table.name);
+
+    const tableResult = await request().query(
+      `SELECT t.object_id, SUM(p.rows) AS row_count
+       FROM sys.tables t
+       JOIN sys.schemas s ON s.schema_id = t.schema_id
+       LEFT JOIN sys.partitions p ON p.object_id = t.object_id AND p.index_id IN (0, 1)
+       WHERE s.name = @schema AND t.name = @table
+       GROUP BY t.object_id`
+    );
+    const tableRow = tableResult.recordset[0];
+    if (!tableRow) {
+      return { success: false, error: `Table '${schema}.${table.name}' not found` };
+    }
+    const byObject = () => request().input('objectId', sql.Int, tableRow.object_id);
+
+    const columnsResult = await byObject().query(
+      `SELECT c.COLUMN_NAME AS name, c.ORDINAL_POSITION AS position, c.DATA_TYPE AS data_type,
+         c.CHARACTER_MAXIMUM_LENGTH AS char_length, c.NUMERIC_PRECISION AS numeric_precision,
+         c.NUMERIC_SCALE AS numeric_scale, c.IS_NULLABLE AS is_nullable, c.COLUMN_DEFAULT AS default_value,
+         COLUMNPROPERTY(@objectId, c.COLUMN_NAME, 'IsIdentity') AS is_identity
+       FROM INFORMATION_SCHEMA.COLUMNS c
+       WHERE c.TABLE_SCHEMA = @schema AND c.TABLE_NAME = @table
+       ORDER BY c.ORDINAL_POSITION`
+    );
+    const indexResult = await byObject().query(
+      `SELECT i.name AS index_name, i.is_unique, i.is_primary_key, c.name AS column_name
+       FROM sys.indexes i
+       JOIN sys.index_columns ic ON ic.object_id = i.object_id AND ic.index_id = i.index_id
+       JOIN sys.columns c ON c.object_id = ic.object_id AND c.column_id = ic.column_id
+       WHERE i.object_id = @objectId AND i.type > 0 AND ic.is_included_column = 0
+       ORDER BY i.is_primary_key DESC, i.name, ic.key_ordinal`
+    );
+    const foreignKeyResult = await byObject().query(
+      `SELECT fk.name AS constraint_name, pc.name AS column_name, rs.name AS referenced_schema,
+         rt.name AS referenced_table, rc.name AS referenced_column
+       FROM sys.foreign_keys fk
+       JOIN sys.foreign_key_columns fkc ON fkc.constraint_object_id = fk.object_id
+       JOIN sys.columns pc ON pc.object_id = fkc.parent_object_id AND pc.column_id = fkc.parent_column_id
+       JOIN sys.tables rt ON rt.object_id = fkc.referenced_object_id
+       JOIN sys.schemas rs ON rs.schema_id = rt.schema_id
+       JOIN sys.columns rc ON rc.object_id = fkc.referenced_object_id AND rc.column_id = fkc.referenced_column_id
+       WHERE fk.parent_object_id = @objectId
+       ORDER BY fk.name, fkc.constraint_column_id`
+    );
+
+    const indexes = groupRowsByName(indexResult.recordset, r => r.index_name).map(([name, rows]) => ({
+      name,
+      columns: rows.map(r => r.column_name),
+      unique: rows[0].is_unique === true,
+      primary: rows[0].is_primary_key === true,
+    }));
+    const primaryIndex = indexes.find(idx => idx.primary);
+
+    return buildTableDescription({
+      schema,
+      name: table.name,
+      rowCount: tableRow.row_count,
+      columns: columnsResult.recordset.map(r => ({
+        name: r.name,
+        position: r.position,
+        dataType: formatColumnType(r.data_type, {
+          length: r.char_length,
+          precision: r.numeric_precision,
+          scale: r.numeric_scale,
+        }),
+        nullable: r.is_nullable === 'YES',
+        defaultValue: r.default_value,
+        autoIncrement: r.is_identity === 1,
+      })),
+      primaryKey: primaryIndex ? { name: primaryIndex.name, columns: primaryIndex.columns } : null,
+      foreignKeys: groupRowsByName(foreignKeyResult.recordset, r => r.constraint_name).map(([name, rows]) => ({
+        name,
+        columns: rows.map(r => r.column_name),
+        referencedSchema: rows[0].referenced_schema,
+        referencedTable: rows[0].referenced_table,
+        referencedColumns: rows.map(r => r.referenced_column),
+      })),
+      indexes,
+    });
+  } finally {
+    release();
+  }
+}
+
+/**
+ * Describe a MySQL table from information_schema.
+ * TABLE_ROWS is an InnoDB statistics estimate.
+ */
+async function describeMysqlTable(config, table, poolKey = null) {
+  const schema = table.schema || (config.database || '').trim();
+  if (!schema) {
+    return { success: false, error: 'Table schema is required when the connection has no default database' };
+  }
+
+  const lease = await connectionPools.acquireMysqlConnection(poolKey, getMysqlConnectionConfig(config));
+  const { connection } = lease;
+
+  try {
+    const params = [schema, table.name];
+    const [tableRows] = await connection.execute(
+      `SELECT TABLE_TYPE AS table_type, TABLE_ROWS AS row_count
+       FROM information_schema.TABLES
+       WHERE TABLE_SCHEMA = ? AND TABLE_NAME = ?`,
+      params
+    );
+    if (tableRows.length === 0) {
+      return { success: false, error: `Table '${schema}.${table.name}' not found` };
+    }
+
+    const [columnRows] = await connection.execute(
+      `SELECT COLUMN_NAME AS name, ORDINAL_POSITION AS position, COLUMN_TYPE AS data_type,
+         IS_NULLABLE AS is_nullable, COLUMN_DEFAULT AS default_value, EXTRA AS extra
+       FROM information_schema.COLUMNS
+       WHERE TABLE_SCHEMA = ? AND TABLE_NAME = ?
+       ORDER BY ORDINAL_POSITION`,
+      params
+    );
+    const [indexRows] = await connection.execute(
+      `SELECT INDEX_NAME AS index_name, NON_UNIQUE AS non_unique, COLUMN_NAME AS column_name
+       FROM information_schema.STATISTICS
+       WHERE TABLE_SCHEMA = ? AND TABLE_NAME = ?
+       ORDER BY INDEX_NAME = 'PRIMARY' DESC, INDEX_NAME, SEQ_IN_INDEX`,
+      params
+    );
+    const [foreignKeyRows] = await connection.execute(
+      `SELECT CONSTRAINT_NAME AS constraint_name, COLUMN_NAME AS column_name,
+         REFERENCED_TABLE_SCHEMA AS referenced_schema, REFERENCED_TABLE_NAME AS referenced_table,
+         REFERENCED_COLUMN_NAME AS referenced_column
+       FROM information_schema.KEY_COLUMN_USAGE
+       WHERE TABLE_SCHEMA = ? AND TABLE_NAME = ? AND REFERENCED_TABLE_NAME IS NOT NULL
+       ORDER BY CONSTRAINT_NAME, ORDINAL_POSITION`,
+      params
+    );
+
+    const indexes = groupRowsByName(indexRows, r => r.index_name).map(([name, rows]) => ({
+      name,
+      // Functional index parts (MySQL 8.0.13+) have no column name
+      columns: rows.map(r => r.column_name || '(expression)'),
+      unique: Number(rows[0].non_unique) === 0,
+      primary: name === 'PRIMARY',
+    }));
+    const primaryIndex = indexes.find(idx => idx.primary);
+
+    return buildTableDescription({
+      schema,
+      name: table.name,
+      type: tableRows[0].table_type === 'VIEW' ? 'view' : 'table',
+      rowCount: tableRows[0].row_count,
+      columns: columnRows.map(r => ({
+        name: r.name,
+        position: r.position,
+        dataType: r.data_type,
+        nullable: r.is_nullable === 'YES',
+        defaultValue: r.default_value,
+        autoIncrement: /auto_increment/i.test(r.extra || ''),
+      })),
+      primaryKey: primaryIndex ? { name: primaryIndex.name, columns: primaryIndex.columns } : null,
+      foreignKeys: groupRowsByName(foreignKeyRows, r => r.constraint_name).map(([name, rows]) => ({
+        name,
+        columns: rows.map(r => r.column_name),
+        referencedSchema: rows[0].referenced_schema,
+        referencedTable: rows[0].referenced_table,
+        referencedColumns: rows.map(r => r.referenced_column),
+      })),
+      indexes,
+    });
+  } finally {
+    lease.release();
+  }
+}
+
+/**
+ * Describe a PostgreSQL table from pg_catalog.
+ * Row count is pg_class.reltuples (planner estimate; unknown until the table is analyzed).
+ */
+async function describePostgresTable(config, table) {
+  const pg = require('pg');
+  const schema = table.schema || 'public';
+  const client = new pg.Client(getPostgresClientConfig(config));
+  await client.connect();
+
+  try {
+    const tableResult = await client.query(
+      `SELECT c.oid, c.relkind, c.reltuples::bigint AS row_estimate
+       FROM pg_catalog.pg_class c
+       JOIN pg_catalog.pg_namespace n ON n.oid = c.relnamespace
+       WHERE n.nspname = $1 AND c.relname = $2 AND c.relkind IN ('r', 'p', 'v', 'm')`,
+      [schema, table.name]
+    );
+    const tableRow = tableResult.rows[0];
+    if (!tableRow) {
+      return { success: false, error: `Table '${schema}.${table.name}' not found` };
+    }
+
+    const columnsResult = await client.query(
+      `SELECT a.attname AS name, a.attnum AS position,
+         pg_catalog.format_type(a.atttypid, a.atttypmod) AS data_type,
+         NOT a.attnotnull AS nullable, pg_catalog.pg_get_expr(d.adbin, d.adrelid) AS default_value,
+         a.attidentity <> '' AS is_identity
+       FROM pg_catalog.pg_attribute a
+       LEFT JOIN pg_catalog.pg_attrdef d ON d.adrelid = a.attrelid AND d.adnum = a.attnum
+       WHERE a.attrelid = $1 AND a.attnum > 0 AND NOT a.attisdropped
+       ORDER BY a.attnum`,
+      [tableRow.oid]
+    );
+    const indexResult = await client.query(
+      `SELECT i.relname AS index_name, ix.indisunique AS is_unique, ix.indisprimary AS is_primary,
+         a.attname AS column_name
+       FROM pg_catalog.pg_index ix
+       JOIN pg_catalog.pg_class i ON i.oid = ix.indexrelid
+       CROSS JOIN LATERAL unnest(ix.indkey::int2[]) WITH ORDINALITY AS k(attnum, ord)
+       LEFT JOIN pg_catalog.pg_attribute a ON a.attrelid = ix.indrelid AND a.attnum = k.attnum
+       WHERE ix.indrelid = $1
+       ORDER BY ix.indisprimary DESC, i.relname, k.ord`,
+      [tableRow.oid]
+    );
+    const foreignKeyResult = await client.query(
+      `SELECT con.conname AS constraint_name, a.attname AS column_name, rn.nspname AS referenced_schema,
+         rc.relname AS referenced_table, ra.attname AS referenced_column
+       FROM pg_catalog.pg_constraint con
+       CROSS JOIN LATERAL unnest(con.conkey, con.confkey) WITH ORDINALITY AS k(attnum, refattnum, ord)
+       JOIN pg_catalog.pg_attribute a ON a.attrelid = con.conrelid AND a.attnum = k.attnum
+       JOIN pg_catalog.pg_class rc ON rc.oid = con.confrelid
+       JOIN pg_catalog.pg_namespace rn ON rn.oid = rc.relnamespace
+       JOIN pg_catalog.pg_attribute ra ON ra.attrelid = con.confrelid AND ra.attnum = k.refattnum
+       WHERE con.conrelid = $1 AND con.contype = 'f'
+       ORDER BY con.conname, k.ord`,
+      [tableRow.oid]
+    );
+
+    const indexes = groupRowsByName(indexResult.rows, r => r.index_name).map(([name, rows]) => ({
+      name,
+      // Expression index parts have attnum 0
+      columns: rows.map(r => r.column_name || '(expression)'),
+      unique: rows[0].is_unique,
+      primary: rows[0].is_primary,
+    }));
+    const primaryIndex = indexes.find(idx => idx.primary);
+
+    return buildTableDescription({
+      schema,
+      name: table.name,
+      type: tableRow.relkind === 'v' || tableRow.relkind === 'm' ? 'view' : 'table',
+      // reltuples is -1 (PostgreSQL 14+) or 0 before the first ANALYZE
+      rowCount: Number(tableRow.row_estimate) >= 0 ? tableRow.row_estimate : null,
+      columns: columnsResult.rows.map(r => ({
+        name: r.name,
+        position: r.position,
+        dataType: r.data_type,
+        nullable: r.nullable,
+        defaultValue: r.default_value,
+        autoIncrement: r.is_identity || /^nextval\(/i.test(r.default_value || ''),
+      })),
+      primaryKey: primaryIndex ? { name: primaryIndex.name, columns: primaryIndex.columns } : null,
+      foreignKeys: groupRowsByName(foreignKeyResult.rows, r => r.constraint_name).map(([name, rows]) => ({
+        name,
+        columns: rows.map(r => r.column_name),
+        referencedSchema: rows[0].referenced_schema,
+        referencedTable: rows[0].referenced_table,
+        referencedColumns: rows.map(r => r.referenced_column),
+      })),
+      indexes,
+    });
+  } finally {
+    try {
+      await client.end();
+    } catch (err) {
+      console.error('Error closing PostgreSQL connection:', err);
+    }
+  }
+}
+
+/**
+ * Describe an Oracle table from the ALL_* dictionary views.
+ * Row count is ALL_TABLES.NUM_ROWS (optimizer statistics; null if never gathered).
+ */
+async function describeOracleTable(config, table) {
+  const oracledb = require('oracledb');
+  const connection = await getOracleConnection(config);
+  const owner = table.schema || (config.username || config.user || '').trim().toUpperCase();
+  const binds = { owner, tableName: table.name };
+  const options = { outFormat: oracledb.OUT_FORMAT_OBJECT };
+
+  try {
+    const tableResult = await connection.execute(
+      `SELECT NUM_ROWS FROM ALL_TABLES WHERE OWNER = :owner AND TABLE_NAME = :tableName`,
+      binds,
+      options
+    );
+    if (tableResult.rows.length === 0) {
+      return { success: false, error: `Table '${owner}.${table.name}' not found` };
+    }
+
+    const columnsResult = await connection.execute(
+      `SELECT COLUMN_NAME, COLUMN_ID, DATA_TYPE, CHAR_LENGTH, DATA_PRECISION, DATA_SCALE, NULLABLE,
+         DATA_DEFAULT, IDENTITY_COLUMN
+       FROM ALL_TAB_COLUMNS
+       WHERE OWNER = :owner AND TABLE_NAME = :tableName
+       ORDER BY COLUMN_ID`,
+      binds,
+      options
+    ).catch((err) => {
+      // ORA-00904: IDENTITY_COLUMN does not exist before 12c
+      if (err.code !== 'ORA-00904') throw err;
+      return connection.execute(
+        `SELECT COLUMN_NAME, COLUMN_ID, DATA_TYPE, CHAR_LENGTH, DATA_PRECISION, DATA_SCALE, NULLABLE, DATA_DEFAULT
+         FROM ALL_TAB_COLUMNS
+         WHERE OWNER = :owner AND TABLE_NAME = :tableName
+         ORDER BY COLUMN_ID`,
+        binds,
+        options
+      );
+    });
+    const primaryKeyResult = await connection.execute(
+      `SELECT c.CONSTRAINT_NAME, c.INDEX_NAME, cc.COLUMN_NAME
+       FROM ALL_CONSTRAINTS c
+       JOIN ALL_CONS_COLUMNS cc ON cc.OWNER = c.OWNER AND cc.CONSTRAINT_NAME = c.CONSTRAINT_NAME
+       WHERE c.OWNER = :owner AND c.TABLE_NAME = :tableName AND c.CONSTRAINT_TYPE = 'P'
+       ORDER BY cc.POSITION`,
+      binds,
+      options
+    );
+    const foreignKeyResult = await connection.execute(
+      `SELECT c.CONSTRAINT_NAME, cc.COLUMN_NAME, rc.OWNER AS REFERENCED_OWNER,
+         rc.TABLE_NAME AS REFERENCED_TABLE, rcc.COLUMN_NAME AS REFERENCED_COLUMN
+       FROM ALL_CONSTRAINTS c
+       JOIN ALL_CONS_COLUMNS cc ON cc.OWNER = c.OWNER AND cc.CONSTRAINT_NAME = c.CONSTRAINT_NAME
+       JOIN ALL_CONSTRAINTS rc ON rc.OWNER = c.R_OWNER AND rc.CONSTRAINT_NAME = c.R_CONSTRAINT_NAME
+       JOIN ALL_CONS_COLUMNS rcc ON rcc.OWNER = rc.OWNER AND rcc.CONSTRAINT_NAME = rc.CONSTRAINT_NAME
+         AND rcc.POSITION = cc.POSITION
+       WHERE c.OWNER = :owner AND c.TABLE_NAME = :tableName AND c.CONSTRAINT_TYPE = 'R'
+       ORDER BY c.CONSTRAINT_NAME, cc.POSITION`,
+      binds,
+      options
+    );
+    const indexResult = await connection.execute(
+      `SELECT i.INDEX_NAME, i.UNIQUENESS, ic.COLUMN_NAME
+       FROM ALL_INDEXES i
+       JOIN ALL_IND_COLUMNS ic ON ic.INDEX_OWNER = i.OWNER AND ic.INDEX_NAME = i.INDEX_NAME
+       WHERE i.TABLE_OWNER = :owner AND i.TABLE_NAME = :tableName
+       ORDER BY i.INDEX_NAME, ic.COLUMN_POSITION`,
+      binds,
+      options
+    );
+
+    const primaryKeyRows = primaryKeyResult.rows;
+    const primaryIndexName = primaryKeyRows.length > 0 ? primaryKeyRows[0].INDEX_NAME : null;
+
+    return buildTableDescription({
+      schema: owner,
+      name: table.name,
+      rowCount: tableResult.rows[0].NUM_ROWS,
+      columns: columnsResult.rows.map(r => ({
+        name: r.COLUMN_NAME,
+        position: r.COLUMN_ID,
+        dataType: formatColumnType(r.DATA_TYPE, {
+          length: r.CHAR_LENGTH,
+          precision: r.DATA_PRECISION,
+          scale: r.DATA_SCALE,
+        }),
+        nullable: r.NULLABLE === 'Y',
+        defaultValue: r.DATA_DEFAULT != null ? String(r.DATA_DEFAULT).trim() : null,
+        autoIncrement: r.IDENTITY_COLUMN === 'YES',
+      })),
+      primaryKey: primaryKeyRows.length > 0
+        ? { name: primaryKeyRows[0].CONSTRAINT_NAME, columns: primaryKeyRows.map(r => r.COLUMN_NAME) }
+        : null,
+      foreignKeys: groupRowsByName(foreignKeyResult.rows, r => r.CONSTRAINT_NAME).map(([name, rows]) => ({
+        name,
+        columns: rows.map(r => r.COLUMN_NAME),
+        referencedSchema: rows[0].REFERENCED_OWNER,
+        referencedTable: rows[0].REFERENCED_TABLE,
+        referencedColumns: rows.map(r => r.REFERENCED_COLUMN),
+      })),
+      indexes: groupRowsByName(indexResult.rows, r => r.INDEX_NAME).map(([name, rows]) => ({
+        name,
+        columns: rows.map(r => r.COLUMN_NAME),
+        unique: rows[0].UNIQUENESS === 'UNIQUE',
+        primary: name === primaryIndexName,
+      })),
+    });
+  } finally {
+    try {
+      await connection.close();
+    } catch (err) {
+      console.error('Error closing Oracle connection:', err);
+    }
+  }
+}
+
+/**
+ * Quote an identifier with double quotes (SQLite, SQL Anywhere, c-treeSQL)
+ */
+function quoteIdentifier(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+/**
+ * Describe a SQLite table or view using the table-valued PRAGMA functions.
+ * SQLite keeps no row statistics, so the row count is an exact COUNT(*).
+ */
+async function describeSqliteTable(config, table) {
+  const validation = await validateSqliteFile(config);
+  if (!validation.valid) {
+    return { success: false, error: validation.error };
+  }
+
+  const sqlite = await openSqliteDatabase(config);
+  try {
+    const [master] = await sqlite.all(
+      `SELECT type FROM sqlite_master WHERE name = ? AND type IN ('table', 'view')`,
+      [table.name]
+    );
+    if (!master) {
+      return { success: false, error: `Table '${table.name}' not found` };
+    }
+
+    const columnRows = await sqlite.all('SELECT * FROM pragma_table_info(?) ORDER BY cid', [table.name]);
+    const indexList = await sqlite.all('SELECT * FROM pragma_index_list(?)', [table.name]);
+    const foreignKeyRows = await sqlite.all('SELECT * FROM pragma_foreign_key_list(?) ORDER BY id, seq', [table.name]);
+    const [countRow] = await sqlite.all(`SELECT COUNT(*) AS row_count FROM ${quoteIdentifier(table.name)}`);
+
+    const indexes = [];
+    for (const idx of indexList) {
+      const indexColumns = await sqlite.all('SELECT name FROM pragma_index_info(?) ORDER BY seqno', [idx.name]);
+      indexes.push({
+        name: idx.name,
+        columns: indexColumns.map(c => c.name || '(expression)'),
+        unique: idx.unique === 1,
+        primary: idx.origin === 'pk',
+      });
+    }
+
+    // pk is the 1-based position within the primary key, 0 for other columns
+    const primaryKeyColumns = columnRows.filter(r => r.pk > 0).sort((a, b) => a.pk - b.pk);
+    // A lone INTEGER PRIMARY KEY is an alias for the rowid and is assigned automatically
+    const rowidAlias = primaryKeyColumns.length === 1 && /^integer$/i.test(primaryKeyColumns[0].type)
+      ? primaryKeyColumns[0].name
+      : null;
+
+    return buildTableDescription({
+      name: table.name,
+      type: master.type,
+      rowCount: countRow ? countRow.row_count : null,
+      rowCountExact: true,
+      columns: columnRows.map(r => ({
+        name: r.name,
+        position: r.cid + 1,
+        dataType: r.type ? r.type.toLowerCase() : null,
+        // Only the rowid alias is implicitly NOT NULL; other primary key columns accept NULL in SQLite
+        nullable: r.notnull === 0 && r.name !== rowidAlias,
+        defaultValue: r.dflt_value,
+        autoIncrement: r.name === rowidAlias,
+      })),
+      primaryKey: primaryKeyColumns.length > 0
+        ? { name: null, columns: primaryKeyColumns.map(r => r.name) }
+        : null,
+      foreignKeys: groupRowsByName(foreignKeyRows, r => r.id).map(([, rows]) => ({
+        name: null,
+        columns: rows.map(r => r.from),
+        referencedSchema: '',
+        referencedTable: rows[0].table,
+        // "to" is null when the reference targets the parent's primary key implicitly
+        referencedColumns: rows.map(r => r.to),
+      })),
+      indexes,
+    });
+  } finally {
+    await sqlite.close();
+  }
+}
+
+/**
+ * Read a column from an ODBC bridge row regardless of the case the driver returned it in
+ */
+function getOdbcRowValue(row, key) {
+  if (key in row) return row[key];
+  const match = Object.keys(row).find(k => k.toLowerCase() === key.toLowerCase());
+  return match !== undefined ? row[match] : undefined;
+}
+
+/**
+ * Run a catalog query through the ODBC bridge; throws on failure. The error
+ * carries cancelled/timedOut when odbcOptions.signal or timeoutMs stopped it.
+ */
+async function runOdbcCatalogQuery(connectionString, query, params = [], odbcOptions = {}) {
+  const dentrixOdbcBridge = require('./dentrixOdbcBridge');
+  const result = await dentrixOdbcBridge.executeOdbcQuery(connectionString, query, params, odbcOptions);
+  if (!result.success) {
+    const error = new Error(result.error || 'ODBC catalog query failed');
+    error.cancelled = !!result.cancelled;
+    error.timedOut = !!result.timedOut;
+    throw error;
+  }
+  return (result.rows || []).map(row => (key) => getOdbcRowValue(row, key));
+}
+
+/**
+ * Run an optional ODBC catalog query (keys, indexes). Older drivers may not expose
+ * the catalog table, so a failure becomes a warning instead of failing the describe.
+ */
+async function runOptionalOdbcCatalogQuery(connectionString, query, params, warnings, what, odbcOptions = {}) {
+  try {
+    return await runOdbcCatalogQuery(connectionString, query, params, odbcOptions);
+  } catch (error) {
+    // A cancelled or timed-out describe stops here rather than carrying on without this part
+    if (error.cancelled || error.timedOut) throw error;
+    warnings.push(`${what} unavailable: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Describe a Dentrix (FairCom c-treeSQL) table from the admin.* system catalog.
+ * Dentrix declares few constraints; keys come from admin.sys_tbl_constrs when present.
+ */
+async function describeDentrixTable(connectionString, table, odbcOptions = {}) {
+  const owner = table.schema || 'admin';
+  const warnings = [];
+
+  const columnRows = await runOdbcCatalogQuery(
+    connectionString,
+    `SELECT col, id, coltype, width, scale, nullflag, dflt_value
+     FROM admin.syscolumns
+     WHERE tbl = ? AND owner = ?
+     ORDER BY id`,
+    [table.name, owner],
+    odbcOptions
+  );
+  if (columnRows.length === 0) {
+    return { success: false, error: `Table '${owner}.${table.name}' not found` };
+  }
+
+  const indexRows = await runOptionalOdbcCatalogQuery(
+    connectionString,
+    `SELECT idxname, colname, idxtype
+     FROM admin.sysindexes
+     WHERE tbl = ? AND idxowner = ?
+     ORDER BY idxname, idxseq`,
+    [table.name, owner],
+    warnings,
+    'Indexes',
+    odbcOptions
+  );
+  const keyRows = await runOptionalOdbcCatalogQuery(
+    connectionString,
+    `SELECT c.cnstrname, c.cnstrtype, k.colname
+     FROM admin.sys_tbl_constrs c
+     JOIN admin.sys_keycol_usage k ON k.owner = c.owner AND k.cnstrname = c.cnstrname
+     WHERE c.tblname = ? AND c.owner = ? AND c.cnstrtype = 'P'
+     ORDER BY k.colposition`,
+    [table.name, owner],
+    warnings,
+    'Primary key',
+    odbcOptions
+  );
+  const foreignKeyRows = await runOptionalOdbcCatalogQuery(
+    connectionString,
+    `SELECT r.cnstrname, r.refowner, r.reftblname, fk.colname, pk.colname AS refcolname
+     FROM admin.sys_ref_constrs r
+     JOIN admin.sys_keycol_usage fk ON fk.owner = r.owner AND fk.cnstrname = r.cnstrname
+     JOIN admin.sys_keycol_usage pk ON pk.owner = r.refowner AND pk.cnstrname = r.refcnstrname
+       AND pk.colposition = fk.colposition
+     WHERE r.tblname = ? AND r.owner = ?
+     ORDER BY r.cnstrname, fk.colposition`,
+    [table.name, owner],
+    warnings,
+    'Foreign keys',
+    odbcOptions
+  );
+  const countRows = await runOptionalOdbcCatalogQuery(
+    connectionString,
+    `SELECT COUNT(*) AS row_count FROM ${quoteIdentifier(owner)}.${quoteIdentifier(table.name)}`,
+    [],
+    warnings,
+    'Row count',
+    odbcOptions
+  );
+
+  return buildTableDescription({
+    schema: owner,
+    name: table.name,
+    rowCount: countRows.length > 0 ? countRows[0]('row_count') : null,
+    rowCountExact: true,
+    columns: columnRows.map(r => ({
+      name: r('col'),
+      position: Number(r('id')),
+      dataType: formatColumnType(r('coltype'), { length: r('width'), precision: r('width'), scale: r('scale') }),
+      nullable: r('nullflag') !== 'N',
+      defaultValue: r('dflt_value'),
+      autoIncrement: /identity/i.test(r('dflt_value') || ''),
+    })),
+    primaryKey: keyRows.length > 0
+      ? { name: keyRows[0]('cnstrname'), columns: keyRows.map(r => r('colname')) }
+      : null,
+    foreignKeys: groupRowsByName(foreignKeyRows, r => r('cnstrname')).map(([name, rows]) => ({
+      name,
+      columns: rows.map(r => r('colname')),
+      referencedSchema: rows[0]('refowner'),
+      referencedTable: rows[0]('reftblname'),
+      referencedColumns: rows.map(r => r('refcolname')),
+    })),
+    // idxtype: U = unique, D = duplicates allowed
+    indexes: groupRowsByName(indexRows, r => r('idxname')).map(([name, rows]) => ({
+      name,
+      columns: rows.map(r => r('colname')),
+      unique: rows[0]('idxtype') === 'U',
+      primary: false,
+    })),
+    warnings,
+  });
+}
+
+/**
+ * Describe an Eaglesoft (SAP SQL Anywhere) table from SYS.SYSTAB / SYSTABCOL / SYSIDX.
+ * Row count is SYSTAB.count, maintained at each checkpoint.
+ */
+async function describeSqlAnywhereTable(connectionString, table, odbcOptions = {}) {
+  const warnings = [];
+
+  const tableRows = await runOdbcCatalogQuery(
+    connectionString,
+    `SELECT t.table_id, u.user_name, t."count" AS row_count
+     FROM SYS.SYSTAB t
+     JOIN SYS.SYSUSER u ON u.user_id = t.creator
+     WHERE t.table_name = ?`,
+    [table.name],
+    odbcOptions
+  );
+  // Eaglesoft tables are listed without an owner; prefer the requested one if several match
+  const tableRow = tableRows.find(r => table.schema && r('user_name') === table.schema) || tableRows[0];
+  if (!tableRow) {
+    return { success: false, error: `Table '${table.name}' not found` };
+  }
+  const tableId = tableRow('table_id');
+
+  const columnRows = await runOdbcCatalogQuery(
+    connectionString,
+    `SELECT c.column_name, c.column_id, d.domain_name, c.width, c.scale, c.nulls, c."default" AS default_value
+     FROM SYS.SYSTABCOL c
+     JOIN SYS.SYSDOMAIN d ON d.domain_id = c.domain_id
+     WHERE c.table_id = ?
+     ORDER BY c.column_id`,
+    [tableId],
+    odbcOptions
+  );
+  // index_category: 1 = primary key, 2 = foreign key, 3 = secondary index
+  const indexRows = await runOptionalOdbcCatalogQuery(
+    connectionString,
+    `SELECT i.index_name, i.index_category, i."unique" AS is_unique, c.column_name
+     FROM SYS.SYSIDX i
+     JOIN SYS.SYSIDXCOL ic ON ic.table_id = i.table_id AND ic.index_id = i.index_id
+     JOIN SYS.SYSTABCOL c ON c.table_id = ic.table_id AND c.column_id = ic.column_id
+     WHERE i.table_id = ? AND i.index_category IN (1, 3)
+     ORDER BY i.index_category, i.index_name, ic.sequence`,
+    [tableId],
+    warnings,
+    'Indexes',
+    odbcOptions
+  );
+  const foreignKeyRows = await runOptionalOdbcCatalogQuery(
+    connectionString,
+    `SELECT i.index_name, fc.column_name, pu.user_name AS referenced_schema,
+       pt.table_name AS referenced_table, pc.column_name AS referenced_column
+     FROM SYS.SYSFKEY fk
+     JOIN SYS.SYSIDX i ON i.table_id = fk.foreign_table_id AND i.index_id = fk.foreign_index_id
+     JOIN SYS.SYSIDXCOL ic ON ic.table_id = i.table_id AND ic.index_id = i.index_id
+     JOIN SYS.SYSTABCOL fc ON fc.table_id = ic.table_id AND fc.column_id = ic.column_id
+     JOIN SYS.SYSTAB pt ON pt.table_id = fk.primary_table_id
+     JOIN SYS.SYSUSER pu ON pu.user_id = pt.creator
+     JOIN SYS.SYSTABCOL pc ON pc.table_id = fk.primary_table_id AND pc.column_id = ic.primary_column_id
+     WHERE fk.foreign_table_id = ?
+     ORDER BY i.index_name, ic.sequence`,
+    [tableId],
+    warnings,
+    'Foreign keys',
+    odbcOptions
+  );
+
+  const indexes = groupRowsByName(indexRows, r => r('index_name')).map(([name, rows]) => ({
+    name,
+    columns: rows.map(r => r('column_name')),
+    // unique: 1 = unique index, 2 = unique constraint, 4 = non-unique
+    unique: Number(rows[0]('index_category')) === 1 || [1, 2].includes(Number(rows[0]('is_unique'))),
+    primary: Number(rows[0]('index_category')) === 1,
+  }));
+  const primaryIndex = indexes.find(idx => idx.primary);
+
+  return buildTableDescription({
+    schema: tableRow('user_name'),
+    name: table.name,
+    rowCount: tableRow('row_count'),
+    columns: columnRows.map(r => ({
+      name: r('column_name'),
+      position: Number(r('column_id')),
+      dataType: formatColumnType(r('domain_name'), { length: r('width'), precision: r('width'), scale: r('scale') }),
+      nullable: r('nulls') === 'Y',
+      defaultValue: r('default_value'),
+      autoIncrement: /autoincrement/i.test(r('default_value') || ''),
+    })),
+    primaryKey: primaryIndex ? { name: primaryIndex.name, columns: primaryIndex.columns } : null,
+    foreignKeys: groupRowsByName(foreignKeyRows, r => r('index_name')).map(([name, rows]) => ({
+      name,
+      columns: rows.map(r => r('column_name')),
+      referencedSchema: rows[0]('referenced_schema'),
+      referencedTable: rows[0]('referenced_table'),
+      referencedColumns: rows.map(r => r('referenced_column')),
+    })),
+    indexes,
+    warnings,
+  });
+}
+
+/**
+ * System catalog (and SQL dialect) behind an ODBC connection
+ */
+const ODBC_CATALOGS = {
+  STANDARD: 'standard', // INFORMATION_SCHEMA (SQL Server, Sybase, ...)
+  DENTRIX: 'dentrix', // FairCom c-treeSQL admin.* tables
+  SQL_ANYWHERE: 'sqlanywhere', // Eaglesoft, SYS.* tables
+};
+
+// ODBC connection string -> ODBC_CATALOGS value, so each connection is probed once
+const odbcCatalogCache = new Map();
+
+/**
+ * Detect the ODBC catalog the same way listOdbcTables does: INFORMATION_SCHEMA
+ * first, then the Dentrix or SQL Anywhere error it fails with
+ */
+async function getOdbcCatalog(connectionString, odbcOptions = {}) {
+  if (odbcCatalogCache.has(connectionString)) {
+    return odbcCatalogCache.get(connectionString);
+  }
+
+  const dentrixOdbcBridge = require('./dentrixOdbcBridge');
+  const result = await dentrixOdbcBridge.executeOdbcQuery(
+    connectionString,
+    'SELECT TABLE_NAME FROM INFORMATION_SCHEMA.TABLES WHERE 1 = 0',
+    [],
+    odbcOptions
+  );
+
+  let catalog;
+  if (result.success) catalog = ODBC_CATALOGS.STANDARD;
+  else if (isDentrixCatalogError(result.error)) catalog = ODBC_CATALOGS.DENTRIX;
+  else if (isSqlAnywhereCatalogError(result.error)) catalog = ODBC_CATALOGS.SQL_ANYWHERE;
+  else throw new Error(result.error || 'Failed to read ODBC catalog');
+
+  odbcCatalogCache.set(connectionString, catalog);
+  return catalog;
+}
+
+/**
+ * Describe a table over ODBC. Dentrix (FairCom) and Eaglesoft (SQL Anywhere) use
+ * their own system catalogs; through plain INFORMATION_SCHEMA only columns and the
+ * primary key are available.
+ */
+async function describeOdbcTable(config, table, odbcOptions = {}) {
+  const connectionString = getOdbcConnectionString(config);
+  if (!connectionString) {
+    return { success: false, error: 'Missing ODBC connection string' };
+  }
+
+  const catalog = await getOdbcCatalog(connectionString, odbcOptions);
+  if (catalog === ODBC_CATALOGS.DENTRIX) {
+    return describeDentrixTable(connectionString, table, odbcOptions);
+  }
+  if (catalog === ODBC_CATALOGS.SQL_ANYWHERE) {
+    return describeSqlAnywhereTable(connectionString, table, odbcOptions);
+  }
+
+  const schemaFilter = table.schema ? 'TABLE_SCHEMA = ? AND ' : '';
+  const params = table.schema ? [table.schema, table.name] : [table.name];
+  const columnRows = await runOdbcCatalogQuery(
+    connectionString,
+    `SELECT COLUMN_NAME, ORDINAL_POSITION, DATA_TYPE, CHARACTER_MAXIMUM_LENGTH, NUMERIC_PRECISION,
+       NUMERIC_SCALE, IS_NULLABLE, COLUMN_DEFAULT
+     FROM INFORMATION_SCHEMA.COLUMNS
+     WHERE ${schemaFilter}TABLE_NAME = ?
+     ORDER BY ORDINAL_POSITION`,
+    params,
+    odbcOptions
+  );
+  if (columnRows.length === 0) {
+    return { success: false, error: `Table '${table.schema ? `${table.schema}.` : ''}${table.name}' not found` };
+  }
+
+  const warnings = ['Foreign keys, indexes and row counts are not available through this ODBC driver'];
+  const keyRows = await runOptionalOdbcCatalogQuery(
+    connectionString,
+    `SELECT tc.CONSTRAINT_NAME, k.COLUMN_NAME
+     FROM INFORMATION_SCHEMA.TABLE_CONSTRAINTS tc
+     JOIN INFORMATION_SCHEMA.KEY_COLUMN_USAGE k
+       ON k.CONSTRAINT_SCHEMA = tc.CONSTRAINT_SCHEMA AND k.CONSTRAINT_NAME = tc.CONSTRAINT_NAME
+     WHERE ${schemaFilter.replace('TABLE_SCHEMA', 'tc.TABLE_SCHEMA')}tc.TABLE_NAME = ?
+     AND tc.CONSTRAINT_TYPE = 'PRIMARY KEY'
+     ORDER BY k.ORDINAL_POSITION`,
+    params,
+    warnings,
+    'Primary key',
+    odbcOptions
+  );
+
+  return buildTableDescription({
+    schema: table.schema,
+    name: table.name,
+    columns: columnRows.map(r => ({
+      name: r('COLUMN_NAME'),
+      position: Number(r('ORDINAL_POSITION')),
+      dataType: formatColumnType(r('DATA_TYPE'), {
+        length: r('CHARACTER_MAXIMUM_LENGTH'),
+        precision: r('NUMERIC_PRECISION'),
+        scale: r('NUMERIC_SCALE'),
+      }),
+      nullable: r('IS_NULLABLE') === 'YES',
+      defaultValue: r('COLUMN_DEFAULT'),
+      autoIncrement: false,
+    })),
+    primaryKey: keyRows.length > 0
+      ? { name: keyRows[0]('CONSTRAINT_NAME'), columns: keyRows.map(r => r('COLUMN_NAME')) }
+      : null,
+    warnings,
+  });
+}
+
+/**
+ * Describe a table: columns, primary and foreign keys, indexes and an approximate row count
+ *
+ * @param {string} connectionId - Connection ID
+ * @param {Object} table - Table as returned by listTables: { schema, name }
+ * @param {Object} [options]
+ * @param {string} [options.operationId] - Caller-chosen ID, used to cancel the describe with cancelOperation()
+ * @returns {Promise<Object>} { success, table: { schema, name, type, rowCount, rowCountExact },
+ *   columns: [{ name, position, dataType, nullable, defaultValue, autoIncrement, isPrimaryKey }],
+ *   primaryKey: { name, columns } | null,
+ *   foreignKeys: [{ name, columns, referencedSchema, referencedTable, referencedColumns }],
+ *   indexes: [{ name, columns, unique, primary }], warnings, error }
+ */
+async function describeTable(connectionId, table, { operationId } = {}) {
+  if (!table || typeof table.name !== 'string' || !table.name.trim()) {
+    return { success: false, error: 'Table name is required' };
+  }
+  const target = { schema: table.schema || '', name: table.name };
+
+  try {
+    await loadSavedConnections();
+    const connection = savedConnections.find(conn => conn.id === connectionId);
+    if (!connection) {
+      return { success: false, error: 'Connection not found' };
+    }
+
+    const config = connection.config || {};
+    if (config.password === PASSWORD_PLACEHOLDER || config.passwordMissing) {
+      return { success: false, error: 'Saved password is masked. Remove and re-add the connection to describe tables.' };
+    }
+
+    const timeoutMs = getQueryTimeoutMs(config);
+    return await runAsOperation(operationId, {
+      kind: 'describe-table',
+      connectionId,
+      timeoutMs,
+      what: 'Table description',
+    }, ({ signal }) => {
+      if (config.useOdbc && config.odbcConnectionString) {
+        return describeOdbcTable(config, target, { signal, timeoutMs });
+      }
+
+      switch (connection.type) {
+        case DB_TYPES.MSSQL:
+          return describeMssqlTable(config, target, connection.id);
+        case DB_TYPES.MYSQL:
+          return describeMysqlTable(config, target, connection.id);
+        case DB_TYPES.POSTGRES:
+          return describePostgresTable(config, target);
+        case DB_TYPES.ORACLE:
+          return describeOracleTable(config, target);
+        case DB_TYPES.SQLITE:
+          return describeSqliteTable(config, target);
+        default:
+          return {
+            success: false,
+            error: `Describing tables for database type '${connection.type}' is not supported yet`,
+          };
+      }
+    });
+  } catch (error) {
+    console.error('Error describing table:', error.message);
+    return {
+      success: false,
+      error: error.message || 'Failed to describe table',
+    };
+  }
+}
+
+/**
+ * Rows returned to the renderer per ad-hoc query when no maxRows is given.
+ * The full row count is still reported; only the returned rows are capped.
+ */
+const DEFAULT_QUERY_MAX_ROWS = 1000;
+const MAX_QUERY_MAX_ROWS = 50000;
+
+/**
+ * Whether queries on a connection are restricted to reads. SQLite connections
+ * are read-only unless readOnly is explicitly false (the file is opened read-only);
+ * other types only when readOnly is true, which is the default for connections
+ * created from Dentrix, Eaglesoft and Open Dental.
+ */
+function isReadOnlyConnection(connection) {
+  const config = connection.config || {};
+  if (connection.type === DB_TYPES.SQLITE && !config.useOdbc) return config.readOnly !== false;
+  return config.readOnly === true;
+}
+
+/**
+ * Apply a connection's read-only policy to a query. Blocked queries are written
+ * to the query audit log.
+ *
+ * @param {Object} connection - Saved connection
+ * @param {string} query - SQL text
+ * @param {string} source - Query path, recorded in the audit log
+ * @returns {Promise<Object|null>} Failure result when blocked, null when allowed
+ */
+async function checkReadOnlyPolicy(connection, query, source) {
+  if (!isReadOnlyConnection(connection)) return null;
+
+  const dialect = sqlClassifier.getConnectionDialect(connection);
+  const classification = sqlClassifier.classifySql(query, { dialect });
+  if (classification.readOnly) return null;
+
+  await queryAudit.recordBlockedQuery({
+    source,
+    connectionId: connection.id,
+    connectionName: connection.name,
+    dialect,
+    blocked: classification.blocked,
+    query,
+  });
+  return sqlClassifier.getReadOnlyViolation(classification);
+}
+
+/**
+ * Cap rows at maxRows and build the common query result shape
+ */
+function buildQueryResult(columns, rows, maxRows, extra = {}) {
+  const allRows = rows || [];
+  return {
+    success: true,
+    columns,
+    rows: allRows.length > maxRows ? allRows.slice(0, maxRows) : allRows,
+    rowCount: allRows.length,
+    truncated: allRows.length > maxRows,
+    ...extra,
+  };
+}
+
+/**
+ * Run an ad-hoc query on MSSQL on the connection's own pool (not the global
+ * sql.connect pool), so a long query cannot be swapped onto another connection's server.
+ */
+async function executeMssqlQuery(config, query, { maxRows, onCancel, params = [], poolKey = null }) {
+  const { pool, release } = await connectionPools.acquireMssqlPool(poolKey, getMssqlConnectionConfig(config));
+  try {
+    const request = pool.request();
+    params.forEach((value, i) => request.input(`p${i}`, value));
+    // Rows as arrays keep column order and duplicate column names
+    request.arrayRowMode = true;
+    onCancel(() => request.cancel());
+
+    const result = await request.query(query);
+    const columns = ((result.columns && result.columns[0]) || []).map(col => ({
+      name: col.name,
+      type: col.type && col.type.declaration ? col.type.declaration : null,
+    }));
+    return buildQueryResult(columns, result.recordset, maxRows, {
+      rowsAffected: (result.rowsAffected || []).reduce((sum, n) => sum + n, 0),
+    });
+  } finally {
+    release();
+  }
+}
+
+/**
+ * Cancel the statement running on a pooled MySQL connection with KILL QUERY from a
+ * second connection, which leaves the connection itself usable. If the kill cannot
+ * be sent, the connection is destroyed instead, which aborts the statement client-side.
+ *
+ * @param {Object} config - Saved connection config
+ * @param {Object} lease - Lease from connectionPools.acquireMysqlConnection
+ */
+async function killMysqlQuery(config, lease) {
+  const mysql = require('mysql2/promise');
+  const threadId = Number(lease.connection.threadId);
+  let killer = null;
+  try {
+    if (!Number.isInteger(threadId)) throw new Error('Connection has no thread ID');
+    killer = await mysql.createConnection(getMysqlConnectionConfig(config));
+    await killer.query(`KILL QUERY ${threadId}`);
+  } catch (error) {
+    console.error('KILL QUERY failed, closing the connection instead:', error.message);
+    lease.destroy();
+  } finally {
+    if (killer) killer.end().catch(() => {});
+  }
+}
+
+/**
+ * Run an ad-hoc query on MySQL
+ */
+async function executeMysqlQuery(config, query, { maxRows, onCancel, params = [], poolKey = null }) {
+  const { Types } = require('mysql2');
+
+  const lease = await connectionPools.acquireMysqlConnection(poolKey, getMysqlConnectionConfig(config));
+  const { connection } = lease;
+  onCancel(() => killMysqlQuery(config, lease));
+
+  try {
+    const [rows, fields] = await connection.query({
+      sql: query,
+      ...(params.length > 0 && { values: params }),
+      rowsAsArray: true,
+    });
+    if (!Array.isArray(rows)) {
+      // INSERT/UPDATE/DDL: ResultSetHeader
+      return buildQueryResult([], [], maxRows, { rowsAffected: rows.affectedRows || 0 });
+    }
+    const columns = (fields || []).map(field => ({
+      name: field.name,
+      type: Types[field.columnType] ? Types[field.columnType].toLowerCase() : null,
+    }));
+    return buildQueryResult(columns, rows, maxRows);
+  } finally {
+    // No-op when cancel already destroyed the connection
+    lease.release();
+  }
+}
+
+/**
+ * Lower-case PostgreSQL type names by OID, for result column types
+ */
+function getPostgresTypeNames() {
+  const pg = require('pg');
+  return Object.fromEntries(
+    Object.entries(pg.types.builtins).map(([name, oid]) => [oid, name.toLowerCase()])
+  );
+}
+
+/**
+ * Ask the server to stop a backend's current statement (pg_cancel_backend) over a
+ * second short-lived connection
+ */
+async function cancelPostgresBackend(clientConfig, processID) {
+  const pg = require('pg');
+  const canceller = new pg.Client(clientConfig);
+  try {
+    await canceller.connect();
+    await canceller.query('SELECT pg_cancel_backend($1)', [processID]);
+  } finally {
+    await canceller.end().catch(() => {});
+  }
+}
+
+/**
+ * Run an ad-hoc query on PostgreSQL. Cancel asks the server to stop the backend
+ * running the query (pg_cancel_backend) over a second short-lived connection.
+ */
+async function executePostgresQuery(config, query, { maxRows, onCancel, params = [] }) {
+  const pg = require('pg');
+  const typeNames = getPostgresTypeNames();
+  const clientConfig = getPostgresClientConfig(config);
+  const client = new pg.Client(clientConfig);
+  await client.connect();
+  onCancel(() => cancelPostgresBackend(clientConfig, client.processID));
+
+  try {
+    const result = await client.query({ text: query, values: params, rowMode: 'array' });
+    // Multi-statement text returns one result per statement; show the last one like psql
+    const last = Array.isArray(result) ? result[result.length - 1] : result;
+    const columns = (last.fields || []).map(field => ({
+      name: field.name,
+      type: typeNames[field.dataTypeID] || null,
+    }));
+    const isRowQuery = columns.length > 0;
+    return buildQueryResult(columns, isRowQuery ? last.rows : [], maxRows, {
+      ...(!isRowQuery && { rowsAffected: last.rowCount || 0 }),
+    });
+  } finally {
+    try {
+      await client.end();
+    } catch (err) {
+      console.error('Error closing PostgreSQL connection:', err);
+    }
+  }
+}
+
+/**
+ * Run an ad-hoc query on Oracle. Cancel sends a break to the session.
+ */
+async function executeOracleQuery(config, query, { maxRows, onCancel, params = [] }) {
+  const oracledb = require('oracledb');
+  const connection = await getOracleConnection(config);
+  onCancel(() => connection.break());
+
+  try {
+    // Fetch one extra row so truncation can be reported without reading the whole result
+    const result = await connection.execute(query.trim().replace(/;\s*$/, ''), params, {
+      outFormat: oracledb.OUT_FORMAT_ARRAY,
+      maxRows: maxRows + 1,
+    });
+    if (!result.metaData) {
+      return buildQueryResult([], [], maxRows, { rowsAffected: result.rowsAffected || 0 });
+    }
+    const columns = result.metaData.map(meta => ({
+      name: meta.name,
+      type: meta.dbTypeName ? meta.dbTypeName.toLowerCase() : null,
+    }));
+    const queryResult = buildQueryResult(columns, result.rows, maxRows);
+    if (queryResult.truncated) queryResult.rowCount = null; // unknown beyond maxRows
+    return queryResult;
+  } finally {
+    try {
+      await connection.close();
+    } catch (err) {
+      console.error('Error closing Oracle connection:', err);
+    }
+  }
+}
+
+/**
+ * Run an ad-hoc query on SQLite. The database is opened with the connection's
+ * readOnly setting (read-only unless explicitly disabled). Cancel interrupts the statement.
+ */
+async function executeSqliteQuery(config, query, { maxRows, onCancel, params = [] }) {
+  const validation = await validateSqliteFile(config);
+  if (!validation.valid) {
+    throw new Error(validation.error);
+  }
+
+  const sqlite = await openSqliteDatabase(config);
+  onCancel(() => sqlite.db.interrupt());
+  try {
+    const rows = await sqlite.all(query, params);
+    // node-sqlite3 returns rows as objects without column metadata
+    const names = rows.length > 0 ? Object.keys(rows[0]) : [];
+    const columns = names.map(name => ({ name, type: null }));
+    return buildQueryResult(columns, rows.map(row => names.map(name => row[name])), maxRows);
+  } finally {
+    await sqlite.close();
+  }
+}
+
+/**
+ * Query result columns from ODBC bridge column metadata
+ */
+function getOdbcResultColumns(columns) {
+  return columns.map(col => ({ name: col.name, type: col.sqlType ? col.sqlType.toLowerCase() : null }));
+}
+
+/**
+ * Run an ad-hoc query through the ODBC bridge (Dentrix, Eaglesoft).
+ * Rows come back typed with column metadata; cancel retires the bridge worker running the query.
+ */
+async function executeOdbcConnectionQuery(config, query, { maxRows, onCancel, allowWrites, params = [] }) {
+  const dentrixOdbcBridge = require('./dentrixOdbcBridge');
+  const connectionString = getOdbcConnectionString(config);
+  if (!connectionString) {
+    throw new Error('Missing ODBC connection string');
+  }
+
+  const controller = new AbortController();
+  onCancel(() => controller.abort());
+
+  const result = await dentrixOdbcBridge.executeOdbcQuery(connectionString, query, params, {
+    signal: controller.signal,
+    timeoutMs: getQueryTimeoutMs(config),
+    allowWrites,
+    // runConnectionQuery retries the whole query
+    retry: { maxAttempts: 1 },
+    rowMode: 'array',
+  });
+  if (result.blocked) {
+    return result;
+  }
+  if (!result.success) {
+    const error = new Error(result.error || 'ODBC query failed');
+    if (result.cancelled) error.cancelled = true;
+    throw error;
+  }
+
+  const columns = getOdbcResultColumns(result.columns);
+  return buildQueryResult(columns, result.rows, maxRows);
+}
+
+/**
+ * Run a query with the driver for a saved connection, once
+ */
+async function runConnectionQueryOnce(connection, query, driverOptions) {
+  const config = connection.config || {};
+  if (config.useOdbc && config.odbcConnectionString) {
+    return executeOdbcConnectionQuery(config, query, driverOptions);
+  }
+
+  switch (connection.type) {
+    case DB_TYPES.MSSQL:
+      return executeMssqlQuery(config, query, { ...driverOptions, poolKey: connection.id });
+    case DB_TYPES.MYSQL:
+      return executeMysqlQuery(config, query, { ...driverOptions, poolKey: connection.id });
+    case DB_TYPES.POSTGRES:
+      return executePostgresQuery(config, query, driverOptions);
+    case DB_TYPES.ORACLE:
+      return executeOracleQuery(config, query, driverOptions);
+    case DB_TYPES.SQLITE:
+      return executeSqliteQuery(config, query, driverOptions);
+    default:
+      return {
+        success: false,
+        error: `Running queries on database type '${connection.type}' is not supported yet`,
+      };
+  }
+}
+
+/**
+ * Run a query with the driver for a saved connection. Transient errors are
+ * retried with the connection's retry policy; statements that may modify data
+ * are not retried after a network error or timeout, and a cancelled query is
+ * never retried.
+ *
+ * @param {Object} connection - Saved connection
+ * @param {string} query - SQL text
+ * @param {Object} driverOptions - { maxRows, onCancel, allowWrites, params }
+ * @returns {Promise<Object>} Query result (see buildQueryResult) with attempts; a thrown error carries attempts too
+ */
+async function runConnectionQuery(connection, query, driverOptions) {
+  let cancelled = false;
+  const onCancel = cancel => driverOptions.onCancel(() => {
+    cancelled = true;
+    return cancel();
+  });
+  const dialect = sqlClassifier.getConnectionDialect(connection);
+
+  return retryPolicy.withRetry(() => runConnectionQueryOnce(connection, query, { ...driverOptions, onCancel }), {
+    driver: getRetryDriver(connection),
+    policy: connection.config && connection.config.retry,
+    idempotent: sqlClassifier.classifySql(query, { dialect }).readOnly,
+    shouldStop: () => cancelled,
+  });
+}
+
+/**
+ * Execute an ad-hoc query against a saved connection
+ *
+ * @param {string} connectionId - Connection ID
+ * @param {string} query - SQL text
+ * @param {Object} [options]
+ * @param {string} [options.operationId] - Caller-chosen ID, used to cancel the query with cancelOperation()
+ * @param {number} [options.maxRows] - Rows to return (default 1000); rowCount still reports the total
+ * @returns {Promise<Object>} { success, columns: [{ name, type }], rows: any[][], rowCount,
+ *   rowsAffected, truncated, elapsedMs, attempts, cancelled, timedOut, error }
+ */
+async function executeQuery(connectionId, query, options = {}) {
+  const startedAt = Date.now();
+  const { operationId } = options;
+  const maxRows = Math.min(
+    Number.isInteger(options.maxRows) && options.maxRows > 0 ? options.maxRows : DEFAULT_QUERY_MAX_ROWS,
+    MAX_QUERY_MAX_ROWS
+  );
+
+  if (typeof query !== 'string' || !query.trim()) {
+    return { success: false, error: 'Query is empty' };
+  }
+  const operation = operations.beginOperation(operationId, { kind: 'query', connectionId });
+  if (!operation) {
+    return { success: false, error: `Query ${operationId} is already running` };
+  }
+
+  try {
+    await loadSavedConnections();
+    const connection = savedConnections.find(conn => conn.id === connectionId);
+    if (!connection) {
+      return { success: false, error: 'Connection not found' };
+    }
+
+    const config = connection.config || {};
+    if (config.password === PASSWORD_PLACEHOLDER || config.passwordMissing) {
+      return { success: false, error: 'Saved password is masked. Remove and re-add the connection to run queries.' };
+    }
+    operation.setTimeout(getQueryTimeoutMs(config));
+
+    const policyViolation = await checkReadOnlyPolicy(connection, query, 'db-connections:execute');
+    if (policyViolation) {
+      return { ...policyViolation, elapsedMs: Date.now() - startedAt };
+    }
+
+    const driverOptions = {
+      maxRows,
+      // The ODBC bridge rejects writes by default; lift that only for connections without the policy
+      allowWrites: !isReadOnlyConnection(connection),
+      onCancel: operation.onCancel,
+    };
+
+    const result = await runConnectionQuery(connection, query, driverOptions);
+    return { ...result, elapsedMs: Date.now() - startedAt };
+  } catch (error) {
+    if (operation.timedOut) {
+      return { ...getTimedOutResult(operation, 'Query'), elapsedMs: Date.now() - startedAt };
+    }
+    if (operation.cancelled || error.cancelled) {
+      return { success: false, cancelled: true, error: 'Query cancelled', elapsedMs: Date.now() - startedAt };
+    }
+    console.error('Error executing query:', error.message);
+    return {
+      success: false,
+      error: error.message || 'Failed to execute query',
+      code: error.code,
+      attempts: error.attempts,
+      elapsedMs: Date.now() - startedAt,
+    };
+  } finally {
+    operations.endOperation(operation);
+  }
+}
+
+const DEFAULT_PREVIEW_PAGE_SIZE = 50;
+const MAX_PREVIEW_PAGE_SIZE = 500;
+
+/**
+ * Identifier quoting, bind placeholders and paging syntax for table previews.
+ * paging:
+ *   top-offset   - SQL Server: TOP (n) for the first page, OFFSET ... FETCH NEXT after
+ *   limit        - LIMIT n OFFSET m
+ *   offset-fetch - OFFSET m ROWS FETCH NEXT n ROWS ONLY (Oracle 12c+)
+ *   top-start-at - SQL Anywhere: TOP n START AT m + 1
+ *   top-skip     - FairCom c-treeSQL: TOP n SKIP m
+ */
+const PREVIEW_DIALECTS = {
+  mssql: {
+    quote: name => `[${name.replace(/]/g, ']]')}]`,
+    placeholder: i => `@p${i}`,
+    asText: column => `CAST(${column} AS NVARCHAR(MAX))`,
+    paging: 'top-offset',
+  },
+  mysql: {
+    quote: name => `\`${name.replace(/`/g, '``')}\``,
+    placeholder: () => '?',
+    asText: column => `CAST(${column} AS CHAR)`,
+    paging: 'limit',
+  },
+  postgres: {
+    quote: quoteIdentifier,
+    placeholder: i => `$${i + 1}`,
+    asText: column => `${column}::text`,
+    like: 'ILIKE',
+    paging: 'limit',
+  },
+  oracle: {
+    quote: quoteIdentifier,
+    placeholder: i => `:${i + 1}`,
+    asText: column => `TO_CHAR(${column})`,
+    paging: 'offset-fetch',
+  },
+  sqlite: {
+    quote: quoteIdentifier,
+    placeholder: () => '?',
+    asText: column => `CAST(${column} AS TEXT)`,
+    paging: 'limit',
+  },
+  [ODBC_CATALOGS.STANDARD]: {
+    quote: quoteIdentifier,
+    placeholder: () => '?',
+    asText: column => `CAST(${column} AS VARCHAR(255))`,
+    paging: 'top-offset',
+  },
+  [ODBC_CATALOGS.SQL_ANYWHERE]: {
+    quote: quoteIdentifier,
+    placeholder: () => '?',
+    asText: column => `CAST(${column} AS LONG VARCHAR)`,
+    paging: 'top-start-at',
+  },
+  [ODBC_CATALOGS.DENTRIX]: {
+    quote: quoteIdentifier,
+    placeholder: () => '?',
+    asText: column => `CAST(${column} AS VARCHAR(255))`,
+    paging: 'top-skip',
+  },
+};
+
+/**
+ * Build a paged SELECT * for a table. Identifiers are quoted for the dialect and the
+ * filter value is bound, so table, column and filter text cannot inject SQL.
+ * One row more than the page size is requested to tell whether another page exists.
+ * Without a limit the query is not paged (used by table exports).
+ *
+ * @returns {Object} { query, params }
+ */
+function buildPreviewQuery(dialect, table, { offset, limit, sortColumn, sortDirection, filterColumn, filterValue }) {
+  const { quote, placeholder, asText, like = 'LIKE', paging } = PREVIEW_DIALECTS[dialect];
+  const from = table.schema ? `${quote(table.schema)}.${quote(table.name)}` : quote(table.name);
+  const params = [];
+
+  let where = '';
+  if (filterColumn && filterValue) {
+    params.push(`%${filterValue}%`);
+    where = ` WHERE ${asText(quote(filterColumn))} ${like} ${placeholder(0)}`;
+  }
+
+  let orderBy = sortColumn ? ` ORDER BY ${quote(sortColumn)} ${sortDirection === 'desc' ? 'DESC' : 'ASC'}` : '';
+  if (limit == null) {
+    return { query: `SELECT * FROM ${from}${where}${orderBy}`, params };
+  }
+  switch (paging) {
+    case 'top-offset':
+      if (offset === 0) {
+        return { query: `SELECT TOP (${limit}) * FROM ${from}${where}${orderBy}`, params };
+      }
+      // OFFSET requires ORDER BY; (SELECT NULL) keeps the server's natural order
+      orderBy = orderBy || ' ORDER BY (SELECT NULL)';
+      return { query: `SELECT * FROM ${from}${where}${orderBy} OFFSET ${offset} ROWS FETCH NEXT ${limit} ROWS ONLY`, params };
+    case 'offset-fetch':
+      return { query: `SELECT * FROM ${from}${where}${orderBy} OFFSET ${offset} ROWS FETCH NEXT ${limit} ROWS ONLY`, params };
+    case 'top-start-at':
+      return { query: `SELECT TOP ${limit} START AT ${offset + 1} * FROM ${from}${where}${orderBy}`, params };
+    case 'top-skip':
+      return { query: `SELECT TOP ${limit} SKIP ${offset} * FROM ${from}${where}${orderBy}`, params };
+    default:
+      return { query: `SELECT * FROM ${from}${where}${orderBy} LIMIT ${limit} OFFSET ${offset}`, params };
+  }
+}
+
+/**
+ * Preview dialect for a saved connection; ODBC connections are probed for their catalog
+ */
+async function getPreviewDialect(connection) {
+  const config = connection.config || {};
+  if (config.useOdbc && config.odbcConnectionString) {
+    return getOdbcCatalog(getOdbcConnectionString(config));
+  }
+  return PREVIEW_DIALECTS[connection.type] ? connection.type : null;
+}
+
+/**
+ * Preview a page of table rows with optional sorting and a "contains" filter.
+ * Columns that look like PHI (see phiMasking) are masked unless revealPhi is true.
+ *
+ * @param {string} connectionId - Connection ID
+ * @param {Object} table - Table as returned by listTables: { schema, name }
+ * @param {Object} [options]
+ * @param {number} [options.page=1] - 1-based page number
+ * @param {number} [options.pageSize=50] - Rows per page (max 500)
+ * @param {string} [options.sortColumn] - Column to sort by
+ * @param {string} [options.sortDirection='asc'] - 'asc' or 'desc'
+ * @param {string} [options.filterColumn] - Column to filter on
+ * @param {string} [options.filterValue] - Text the column must contain (% and _ are wildcards)
+ * @param {boolean} [options.revealPhi=false] - Return PHI columns unmasked
+ * @param {string} [options.operationId] - Caller-chosen ID, used to cancel the preview with cancelOperation()
+ * @returns {Promise<Object>} { success, columns, rows, page, pageSize, hasMore, maskedColumns, elapsedMs,
+ *   cancelled, timedOut, error }
+ */
+async function previewTable(connectionId, table, options = {}) {
+  const startedAt = Date.now();
+  if (!table || typeof table.name !== 'string' || !table.name.trim()) {
+    return { success: false, error: 'Table name is required' };
+  }
+  const page = Number.isInteger(options.page) && options.page > 0 ? options.page : 1;
+  const pageSize = Math.min(
+    Number.isInteger(options.pageSize) && options.pageSize > 0 ? options.pageSize : DEFAULT_PREVIEW_PAGE_SIZE,
+    MAX_PREVIEW_PAGE_SIZE
+  );
+  const filterValue = typeof options.filterValue === 'string' ? options.filterValue.trim() : '';
+
+  const operation = operations.beginOperation(options.operationId, { kind: 'preview', connectionId });
+  if (!operation) {
+    return { success: false, error: `Preview ${options.operationId} is already running` };
+  }
+
+  try {
+    await loadSavedConnections();
+    const connection = savedConnections.find(conn => conn.id === connectionId);
+    if (!connection) {
+      return { success: false, error: 'Connection not found' };
+    }
+
+    const config = connection.config || {};
+    if (config.password === PASSWORD_PLACEHOLDER || config.passwordMissing) {
+      return { success: false, error: 'Saved password is masked. Remove and re-add the connection to preview tables.' };
+    }
+    operation.setTimeout(getQueryTimeoutMs(config));
+
+    if (filterValue && options.revealPhi !== true && phiMasking.isPhiColumn(options.filterColumn)) {
+      // Matching rows would reveal the masked values
+      return { success: false, error: `Reveal PHI to filter on column '${options.filterColumn}'` };
+    }
+
+    const dialect = await getPreviewDialect(connection);
+    if (!dialect) {
+      return {
+        success: false,
+        error: `Previewing tables for database type '${connection.type}' is not supported yet`,
+      };
+    }
+
+    const { query, params } = buildPreviewQuery(dialect, { schema: table.schema || '', name: table.name }, {
+      offset: (page - 1) * pageSize,
+      limit: pageSize + 1,
+      sortColumn: typeof options.sortColumn === 'string' ? options.sortColumn : null,
+      sortDirection: options.sortDirection,
+      filterColumn: typeof options.filterColumn === 'string' ? options.filterColumn : null,
+      filterValue,
+    });
+
+    const result = await runConnectionQuery(connection, query, {
+      maxRows: pageSize,
+      params,
+      // Previews are generated SELECTs; never lift the ODBC bridge's write guard for them
+      allowWrites: false,
+      onCancel: operation.onCancel,
+    });
+    if (!result.success) {
+      return { ...result, elapsedMs: Date.now() - startedAt };
+    }
+
+    let { rows } = result;
+    let maskedColumns = [];
+    if (options.revealPhi === true) {
+      console.warn(`[PHI] Unmasked preview of ${table.name} on '${connection.name}'`);
+    } else {
+      ({ rows, maskedColumns } = phiMasking.maskPhiRows(result.columns, rows));
+    }
+
+    return {
+      success: true,
+      columns: result.columns,
+      rows,
+      page,
+      pageSize,
+      hasMore: result.truncated,
+      maskedColumns,
+      elapsedMs: Date.now() - startedAt,
+    };
+  } catch (error) {
+    if (operation.timedOut) {
+      return { ...getTimedOutResult(operation, 'Preview'), elapsedMs: Date.now() - startedAt };
+    }
+    if (operation.cancelled || error.cancelled) {
+      return { success: false, cancelled: true, error: 'Preview cancelled', elapsedMs: Date.now() - startedAt };
+    }
+    console.error('Error previewing table:', error.message);
+    return {
+      success: false,
+      error: error.message || 'Failed to preview table',
+      elapsedMs: Date.now() - startedAt,
+    };
+  } finally {
+    operations.endOperation(operation);
+  }
+}
+
+/** Rows read from the driver and written to the file at a time during exports */
+const EXPORT_BATCH_SIZE = 1000;
+const DEFAULT_EXPORT_MAX_ROWS = 100000;
+const MAX_EXPORT_MAX_ROWS = 1000000;
+
+/**
+ * Collect rows from an event-based driver stream into batches. The stream is
+ * paused while a full batch waits to be written and resumed once it is taken.
+ * batches() always yields at least one (possibly empty) batch.
+ */
+function createRowBatchQueue({ batchSize, pause, resume }) {
+  const ready = [];
+  let current = [];
+  let paused = false;
+  let finished = false;
+  let failure = null;
+  let wake = null;
+
+  const notify = () => {
+    if (wake) {
+      const resolve = wake;
+      wake = null;
+      resolve();
+    }
+  };
+
+  return {
+    push(row) {
+      current.push(row);
+      if (current.length < batchSize) return;
+      ready.push(current);
+      current = [];
+      if (!paused) {
+        paused = true;
+        pause();
+      }
+      notify();
+    },
+    end() {
+      finished = true;
+      notify();
+    },
+    fail(error) {
+      failure = failure || error;
+      notify();
+    },
+    async* batches() {
+      let yielded = false;
+      while (true) {
+        if (failure) throw failure;
+        if (ready.length > 0) {
+          yielded = true;
+          yield ready.shift();
+          if (paused && ready.length === 0 && !finished) {
+            paused = false;
+            resume();
+          }
+        } else if (finished) {
+          if (current.length > 0 || !yielded) yield current;
+          return;
+        } else {
+          await new Promise((resolve) => {
+            wake = resolve;
+          });
+        }
+      }
+    },
+  };
+}
+
+/**
+ * Stream a query's first result set from MSSQL
+ */
+async function* streamMssqlQuery(config, query, { onCancel, params = [], poolKey = null }) {
+  const { pool, release } = await connectionPools.acquireMssqlPool(poolKey, getMssqlConnectionConfig(config));
+  let finished = false;
+  try {
+    const request = pool.request();
+    params.forEach((value, i) => request.input(`p${i}`, value));
+    request.arrayRowMode = true;
+    request.stream = true;
+    onCancel(() => request.cancel());
+
+    const queue = createRowBatchQueue({
+      batchSize: EXPORT_BATCH_SIZE,
+      pause: () => request.pause(),
+      resume: () => request.resume(),
+    });
+    let columns = [];
+    let recordsets = 0;
+    request.on('recordset', (recordsetColumns) => {
+      recordsets += 1;
+      if (recordsets === 1) {
+        columns = recordsetColumns.map(col => ({
+          name: col.name,
+          type: col.type && col.type.declaration ? col.type.declaration : null,
+        }));
+      }
+    });
+    request.on('row', (row) => {
+      if (recordsets === 1) queue.push(row);
+    });
+    request.on('error', err => queue.fail(err));
+    request.on('done', () => {
+      finished = true;
+      queue.end();
+    });
+    // Results and errors arrive as events in stream mode
+    request.query(query, () => {});
+
+    try {
+      for await (const rows of queue.batches()) {
+        yield { columns, rows };
+      }
+    } finally {
+      // Stopped early (row limit or failure): end the statement before releasing the pool
+      if (!finished) request.cancel();
+    }
+  } finally {
+    release();
+  }
+}
+
+/**
+ * Stream a query's first result set from MySQL
+ */
+async function* streamMysqlQuery(config, query, { onCancel, params = [], poolKey = null }) {
+  const { Types } = require('mysql2');
+  const lease = await connectionPools.acquireMysqlConnection(poolKey, getMysqlConnectionConfig(config));
+  // Streaming needs the callback connection (pause/resume) under the promise wrapper
+  const { connection } = lease.connection;
+  onCancel(() => killMysqlQuery(config, lease));
+  let finished = false;
+
+  try {
+    const queue = createRowBatchQueue({
+      batchSize: EXPORT_BATCH_SIZE,
+      pause: () => connection.pause(),
+      resume: () => connection.resume(),
+    });
+    let columns = [];
+    connection.query({ sql: query, ...(params.length > 0 && { values: params }), rowsAsArray: true })
+      .on('fields', (fields, index) => {
+        if (!index) {
+          columns = (fields || []).map(field => ({
+            name: field.name,
+            type: Types[field.columnType] ? Types[field.columnType].toLowerCase() : null,
+          }));
+        }
+      })
+      .on('result', (row, index) => {
+        // Statements without rows emit a ResultSetHeader object instead of a row
+        if (!index && Array.isArray(row)) queue.push(row);
+      })
+      .on('error', err => queue.fail(err))
+      .on('end', () => {
+        finished = true;
+        queue.end();
+      });
+
+    for await (const rows of queue.batches()) {
+      yield { columns, rows };
+    }
+  } finally {
+    // A half-read result set leaves the socket unusable, so it is not returned to the pool
+    if (finished) {
+      lease.release();
+    } else {
+      lease.destroy();
+    }
+  }
+}
+
+/**
+ * Stream a query from PostgreSQL through a server-side cursor inside a read-only
+ * transaction, fetching one batch at a time
+ */
+async function* streamPostgresQuery(config, query, { onCancel, params = [] }) {
+  const pg = require('pg');
+  const typeNames = getPostgresTypeNames();
+  const clientConfig = getPostgresClientConfig(config);
+  const client = new pg.Client(clientConfig);
+  await client.connect();
+  onCancel(() => cancelPostgresBackend(clientConfig, client.processID));
+
+  try {
+    await client.query('BEGIN READ ONLY');
+    await client.query({
+      text: `DECLARE export_cursor NO SCROLL CURSOR FOR ${query.trim().replace(/;\s*$/, '')}`,
+      values: params,
+    });
+
+    let columns = null;
+    while (true) {
+      const result = await client.query({ text: `FETCH ${EXPORT_BATCH_SIZE} FROM export_cursor`, rowMode: 'array' });
+      const firstBatch = columns === null;
+      if (firstBatch) {
+        columns = (result.fields || []).map(field => ({
+          name: field.name,
+          type: typeNames[field.dataTypeID] || null,
+        }));
+      }
+      if (result.rows.length > 0 || firstBatch) yield { columns, rows: result.rows };
+      if (result.rows.length < EXPORT_BATCH_SIZE) return;
+    }
+  } finally {
+    try {
+      await client.query('ROLLBACK');
+    } catch (err) {
+      // Connection already failed or was cancelled
+    }
+    try {
+      await client.end();
+    } catch (err) {
+      console.error('Error closing PostgreSQL connection:', err);
+    }
+  }
+}
+
+/**
+ * Stream a query from Oracle with queryStream
+ */
+async function* streamOracleQuery(config, query, { onCancel, params = [] }) {
+  const oracledb = require('oracledb');
+  const connection = await getOracleConnection(config);
+  onCancel(() => connection.break());
+
+  const stream = connection.queryStream(query.trim().replace(/;\s*$/, ''), params, {
+    outFormat: oracledb.OUT_FORMAT_ARRAY,
+    fetchArraySize: EXPORT_BATCH_SIZE,
+  });
+  const closed = new Promise(resolve => stream.once('close', resolve));
+
+  try {
+    const queue = createRowBatchQueue({
+      batchSize: EXPORT_BATCH_SIZE,
+      pause: () => stream.pause(),
+      resume: () => stream.resume(),
+    });
+    let columns = [];
+    stream.on('metadata', (metaData) => {
+      columns = metaData.map(meta => ({
+        name: meta.name,
+        type: meta.dbTypeName ? meta.dbTypeName.toLowerCase() : null,
+      }));
+    });
+    stream.on('data', row => queue.push(row));
+    stream.on('error', err => queue.fail(err));
+    stream.on('end', () => queue.end());
+
+    for await (const rows of queue.batches()) {
+      yield { columns, rows };
+    }
+  } finally {
+    stream.destroy();
+    await closed;
+    try {
+      await connection.close();
+    } catch (err) {
+      console.error('Error closing Oracle connection:', err);
+    }
+  }
+}
+
+/**
+ * Stream a query from SQLite one row at a time with a prepared statement
+ */
+async function* streamSqliteQuery(config, query, { onCancel, params = [] }) {
+  const validation = await validateSqliteFile(config);
+  if (!validation.valid) {
+    throw new Error(validation.error);
+  }
+
+  const sqlite = await openSqliteDatabase(config);
+  onCancel(() => sqlite.db.interrupt());
+  let statement = null;
+  try {
+    statement = await new Promise((resolve, reject) => {
+      const prepared = sqlite.db.prepare(query, params, err => (err ? reject(err) : resolve(prepared)));
+    });
+    const nextRow = () => new Promise((resolve, reject) => {
+      statement.get((err, row) => (err ? reject(err) : resolve(row)));
+    });
+
+    // node-sqlite3 returns rows as objects without column metadata
+    let names = null;
+    let columns = [];
+    let rows = [];
+    let yielded = false;
+    for (let row = await nextRow(); row; row = await nextRow()) {
+      if (!names) {
+        names = Object.keys(row);
+        columns = names.map(name => ({ name, type: null }));
+      }
+      rows.push(names.map(name => row[name]));
+      if (rows.length >= EXPORT_BATCH_SIZE) {
+        yield { columns, rows };
+        rows = [];
+        yielded = true;
+      }
+    }
+    if (rows.length > 0 || !yielded) yield { columns, rows };
+  } finally {
+    if (statement) await new Promise(resolve => statement.finalize(() => resolve()));
+    await sqlite.close();
+  }
+}
+
+/**
+ * Query through the ODBC bridge and yield the rows in batches, read from a bridge
+ * cursor one batch at a time
+ */
+async function* streamOdbcQuery(config, query, { onCancel, params = [] }) {
+  const dentrixOdbcBridge = require('./dentrixOdbcBridge');
+  const connectionString = getOdbcConnectionString(config);
+  if (!connectionString) {
+    throw new Error('Missing ODBC connection string');
+  }
+
+  const controller = new AbortController();
+  onCancel(() => controller.abort());
+
+  let columns = null;
+  for await (const batch of dentrixOdbcBridge.streamOdbcQuery(connectionString, query, params, {
+    signal: controller.signal,
+    batchSize: EXPORT_BATCH_SIZE,
+    rowMode: 'array',
+    retry: config.retry,
+  })) {
+    if (!columns) {
+      columns = getOdbcResultColumns(batch.columns);
+    }
+    yield { columns, rows: batch.rows };
+  }
+}
+
+/**
+ * Stream a query's rows in batches with the driver for a saved connection
+ *
+ * @param {Object} connection - Saved connection
+ * @param {string} query - SQL text
+ * @param {Object} driverOptions - { onCancel, params }
+ * @returns {AsyncIterable<Object>} { columns: [{ name, type }], rows: any[][] } batches
+ */
+function streamConnectionQuery(connection, query, driverOptions) {
+  const config = connection.config || {};
+  if (config.useOdbc && config.odbcConnectionString) {
+    return streamOdbcQuery(config, query, driverOptions);
+  }
+
+  switch (connection.type) {
+    case DB_TYPES.MSSQL:
+      return streamMssqlQuery(config, query, { ...driverOptions, poolKey: connection.id });
+    case DB_TYPES.MYSQL:
+      return streamMysqlQuery(config, query, { ...driverOptions, poolKey: connection.id });
+    case DB_TYPES.POSTGRES:
+      return streamPostgresQuery(config, query, driverOptions);
+    case DB_TYPES.ORACLE:
+      return streamOracleQuery(config, query, driverOptions);
+    case DB_TYPES.SQLITE:
+      return streamSqliteQuery(config, query, driverOptions);
+    default:
+      throw new Error(`Exporting from database type '${connection.type}' is not supported yet`);
+  }
+}
+
+/**
+ * Page through a table over ODBC with the preview paging syntax, one batch per query
+ */
+async function* streamOdbcTablePages(connection, dialect, table, queryOptions, { onCancel }) {
+  for (let offset = 0; ; offset += EXPORT_BATCH_SIZE) {
+    const { query, params } = buildPreviewQuery(dialect, table, { ...queryOptions, offset, limit: EXPORT_BATCH_SIZE });
+    const result = await runConnectionQuery(connection, query, {
+      maxRows: EXPORT_BATCH_SIZE,
+      params,
+      allowWrites: false,
+      onCancel,
+    });
+    if (!result.success) {
+      throw new Error(result.error || 'Failed to read table');
+    }
+    yield { columns: result.columns, rows: result.rows };
+    if (result.rows.length < EXPORT_BATCH_SIZE) return;
+  }
+}
+
+/**
+ * Stream Dentrix appointments for an export through a bridge cursor, so a long
+ * date range is never held in memory at once
+ */
+async function* streamDentrixAppointments(connectionString, startDate, endDate, { onCancel }) {
+  // Date-only strings from <input type="date"> are local dates, not UTC midnight
+  const toDate = value => (/^\d{4}-\d{2}-\d{2}$/.test(value)
+    ? new Date(Number(value.slice(0, 4)), Number(value.slice(5, 7)) - 1, Number(value.slice(8, 10)))
+    : new Date(value));
+  const start = toDate(startDate);
+  const end = toDate(endDate);
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+    throw new Error('Start and end dates are required');
+  }
+  if (start > end) {
+    throw new Error('Start date must be before end date');
+  }
+
+  const controller = new AbortController();
+  onCancel(() => controller.abort());
+
+  let columns = null;
+  const batches = dentrixCoreDataService.streamDentrixAppointments(connectionString, start, end, {
+    signal: controller.signal,
+    batchSize: EXPORT_BATCH_SIZE,
+  });
+  for await (const batch of batches) {
+    if (!columns) columns = getOdbcResultColumns(batch.columns);
+    yield { columns, rows: batch.appointments.map(appointment => columns.map(col => appointment[col.name])) };
+  }
+}
+
+/**
+ * Mask PHI columns in each batch, collecting the names of masked columns
+ */
+async function* maskPhiBatches(batches, maskedColumns) {
+  for await (const batch of batches) {
+    const masked = phiMasking.maskPhiRows(batch.columns, batch.rows);
+    masked.maskedColumns.forEach(name => maskedColumns.add(name));
+    yield { columns: batch.columns, rows: masked.rows };
+  }
+}
+
+/**
+ * Batches to export for a source, after checking it is allowed on the connection
+ *
+ * @returns {Promise<Object>} { batches, description } or a failure result
+ */
+async function getExportBatches(connection, source, { revealPhi, onCancel }) {
+  const config = connection.config || {};
+
+  if (source.kind === 'query') {
+    const query = typeof source.query === 'string' ? source.query : '';
+    if (!query.trim()) {
+      return { success: false, error: 'Query is empty' };
+    }
+    const policyViolation = await checkReadOnlyPolicy(connection, query, 'db-connections:export-results');
+    if (policyViolation) return policyViolation;
+    // Exports stream rows; statements that change data are never run through them
+    const classification = sqlClassifier.classifySql(query, { dialect: sqlClassifier.getConnectionDialect(connection) });
+    if (!classification.readOnly) {
+      return { success: false, error: 'Only queries that read data can be exported' };
+    }
+    return { batches: streamConnectionQuery(connection, query, { onCancel }), description: 'query results' };
+  }
+
+  if (source.kind === 'table') {
+    const { table } = source;
+    if (!table || typeof table.name !== 'string' || !table.name.trim()) {
+      return { success: false, error: 'Table name is required' };
+    }
+    const filterValue = typeof source.filterValue === 'string' ? source.filterValue.trim() : '';
+    if (filterValue && !revealPhi && phiMasking.isPhiColumn(source.filterColumn)) {
+      return { success: false, error: `Reveal PHI to filter on column '${source.filterColumn}'` };
+    }
+    const dialect = await getPreviewDialect(connection);
+    if (!dialect) {
+      return { success: false, error: `Exporting tables for database type '${connection.type}' is not supported yet` };
+    }
+
+    const queryOptions = {
+      sortColumn: typeof source.sortColumn === 'string' ? source.sortColumn : null,
+      sortDirection: source.sortDirection,
+      filterColumn: typeof source.filterColumn === 'string' ? source.filterColumn : null,
+      filterValue,
+    };
+    const tableRef = { schema: table.schema || '', name: table.name };
+    if (config.useOdbc && config.odbcConnectionString) {
+      return { batches: streamOdbcTablePages(connection, dialect, tableRef, queryOptions, { onCancel }), description: table.name };
+    }
+    const { query, params } = buildPreviewQuery(dialect, tableRef, queryOptions);
+    return { batches: streamConnectionQuery(connection, query, { onCancel, params }), description: table.name };
+  }
+
+  if (source.kind === 'dentrix-appointments') {
+    const connectionString = getOdbcConnectionString(config);
+    if (!config.useOdbc || !connectionString || await getOdbcCatalog(connectionString) !== ODBC_CATALOGS.DENTRIX) {
+      return { success: false, error: 'Appointment exports need a Dentrix connection' };
+    }
+    return {
+      batches: streamDentrixAppointments(connectionString, source.startDate, source.endDate, { onCancel }),
+      description: 'Dentrix appointments',
+    };
+  }
+
+  return { success: false, error: `Unknown export source '${source.kind}'` };
+}
+
+/**
+ * Export rows from a saved connection to a file. Rows are read and written in
+ * batches, so memory use does not grow with the export size. Columns that look
+ * like PHI are masked unless revealPhi is true. A failed or cancelled export
+ * leaves no file behind.
+ *
+ * @param {string} filePath - Destination file
+ * @param {Object} request
+ * @param {string} request.format - csv, jsonl or xlsx
+ * @param {Object} request.source - What to export, one of:
+ *   { kind: 'query', connectionId, query } - a read-only ad-hoc query
+ *   { kind: 'table', connectionId, table: { schema, name }, sortColumn, sortDirection, filterColumn, filterValue }
+ *   { kind: 'dentrix-appointments', connectionId, startDate, endDate } - getDentrixAppointments rows
+ * @param {number} [request.maxRows=100000] - Rows to write at most (max 1,000,000)
+ * @param {boolean} [request.revealPhi=false] - Write PHI columns unmasked
+ * @param {string} [request.operationId] - Caller-chosen ID, used to cancel with cancelOperation()
+ * @param {Function} [onProgress] - Called with { operationId, rowsWritten, maxRows } while writing
+ * @returns {Promise<Object>} { success, filePath, rowsWritten, truncated, maskedColumns, cancelled, elapsedMs, error }
+ */
+async function exportResults(filePath, request = {}, onProgress = () => {}) {
+  const startedAt = Date.now();
+  const { format, source } = request;
+  const { operationId } = request;
+  const revealPhi = request.revealPhi === true;
+  const maxRows = Math.min(
+    Number.isInteger(request.maxRows) && request.maxRows > 0 ? request.maxRows : DEFAULT_EXPORT_MAX_ROWS,
+    MAX_EXPORT_MAX_ROWS
+  );
+
+  if (!resultExport.EXPORT_FORMATS[format]) {
+    return { success: false, error: `Unsupported export format '${format}'` };
+  }
+  if (!source || typeof source !== 'object') {
+    return { success: false, error: 'Export source is required' };
+  }
+  // Exports have no timeout: a large one runs as long as it keeps reading rows
+  const operation = operations.beginOperation(operationId, { kind: 'export', connectionId: source.connectionId });
+  if (!operation) {
+    return { success: false, error: `Export ${operationId} is already running` };
+  }
+
+  try {
+    await loadSavedConnections();
+    const connection = savedConnections.find(conn => conn.id === source.connectionId);
+    if (!connection) {
+      return { success: false, error: 'Connection not found' };
+    }
+
+    const config = connection.config || {};
+    if (config.password === PASSWORD_PLACEHOLDER || config.passwordMissing) {
+      return { success: false, error: 'Saved password is masked. Remove and re-add the connection to export data.' };
+    }
+
+    const exportSource = await getExportBatches(connection, source, {
+      revealPhi,
+      onCancel: operation.onCancel,
+    });
+    if (!exportSource.batches) {
+      return { ...exportSource, elapsedMs: Date.now() - startedAt };
+    }
+
+    const maskedColumns = new Set();
+    let { batches } = exportSource;
+    if (revealPhi) {
+      console.warn(`[PHI] Unmasked export of ${exportSource.description} from '${connection.name}' to ${filePath}`);
+    } else {
+      batches = maskPhiBatches(batches, maskedColumns);
+    }
+
+    const result = await resultExport.writeExport({
+      filePath,
+      format,
+      batches,
+      maxRows,
+      isCancelled: () => operation.cancelled,
+      onProgress: ({ rowsWritten }) => onProgress({ operationId, rowsWritten, maxRows }),
+    });
+    return { ...result, maskedColumns: [...maskedColumns], elapsedMs: Date.now() - startedAt };
+  } catch (error) {
+    console.error('Error exporting results:', error.message);
+    return {
+      success: false,
+      error: error.message || 'Failed to export results',
+      elapsedMs: Date.now() - startedAt,
+    };
+  } finally {
+    operations.endOperation(operation);
+  }
+}
+
+/**
+ * One query per dialect listing every column of every user table and view, with
+ * the same column aliases: schema_name, table_name, table_type, column_name,
+ * position, data_type, char_length, numeric_precision, numeric_scale, is_nullable.
+ */
+const INFORMATION_SCHEMA_SNAPSHOT_QUERY = `
+  SELECT c.TABLE_SCHEMA AS schema_name, c.TABLE_NAME AS table_name, t.TABLE_TYPE AS table_type,
+    c.COLUMN_NAME AS column_name, c.ORDINAL_POSITION AS position, c.DATA_TYPE AS data_type,
+    c.CHARACTER_MAXIMUM_LENGTH AS char_length, c.NUMERIC_PRECISION AS numeric_precision,
+    c.NUMERIC_SCALE AS numeric_scale, c.IS_NULLABLE AS is_nullable
+  FROM INFORMATION_SCHEMA.COLUMNS c
+  JOIN INFORMATION_SCHEMA.TABLES t ON t.TABLE_SCHEMA = c.TABLE_SCHEMA AND t.TABLE_NAME = c.TABLE_NAME
+  WHERE c.TABLE_SCHEMA NOT IN ('INFORMATION_SCHEMA', 'sys')
+  ORDER BY c.TABLE_SCHEMA, c.TABLE_NAME, c.ORDINAL_POSITION
+`.trim();
+
+const SCHEMA_SNAPSHOT_QUERIES = {
+  mssql: INFORMATION_SCHEMA_SNAPSHOT_QUERY,
+  [ODBC_CATALOGS.STANDARD]: INFORMATION_SCHEMA_SNAPSHOT_QUERY,
+  mysql: `
+    SELECT c.TABLE_SCHEMA AS schema_name, c.TABLE_NAME AS table_name, t.TABLE_TYPE AS table_type,
+      c.COLUMN_NAME AS column_name, c.ORDINAL_POSITION AS position, c.DATA_TYPE AS data_type,
+      c.CHARACTER_MAXIMUM_LENGTH AS char_length, c.NUMERIC_PRECISION AS numeric_precision,
+      c.NUMERIC_SCALE AS numeric_scale, c.IS_NULLABLE AS is_nullable
+    FROM information_schema.COLUMNS c
+    JOIN information_schema.TABLES t ON t.TABLE_SCHEMA = c.TABLE_SCHEMA AND t.TABLE_NAME = c.TABLE_NAME
+    WHERE c.TABLE_SCHEMA = DATABASE()
+    ORDER BY c.TABLE_NAME, c.ORDINAL_POSITION
+  `.trim(),
+  postgres: `
+    SELECT c.table_schema AS schema_name, c.table_name, t.table_type, c.column_name,
+      c.ordinal_position AS position, c.data_type, c.character_maximum_length AS char_length,
+      c.numeric_precision, c.numeric_scale, c.is_nullable
+    FROM information_schema.columns c
+    JOIN information_schema.tables t ON t.table_schema = c.table_schema AND t.table_name = c.table_name
+    WHERE c.table_schema NOT IN ('pg_catalog', 'information_schema') AND c.table_schema NOT LIKE 'pg\\_toast%'
+    ORDER BY c.table_schema, c.table_name, c.ordinal_position
+  `.trim(),
+  oracle: `
+    SELECT c.OWNER AS schema_name, c.TABLE_NAME AS table_name, o.OBJECT_TYPE AS table_type,
+      c.COLUMN_NAME AS column_name, c.COLUMN_ID AS position, c.DATA_TYPE AS data_type,
+      c.CHAR_LENGTH AS char_length, c.DATA_PRECISION AS numeric_precision,
+      c.DATA_SCALE AS numeric_scale, c.NULLABLE AS is_nullable
+    FROM ALL_TAB_COLUMNS c
+    JOIN ALL_OBJECTS o ON o.OWNER = c.OWNER AND o.OBJECT_NAME = c.TABLE_NAME AND o.OBJECT_TYPE IN ('TABLE', 'VIEW')
+    WHERE c.OWNER NOT IN (${ORACLE_SYSTEM_SCHEMAS.map(name => `'${name}'`).join(', ')})
+    ORDER BY c.OWNER, c.TABLE_NAME, c.COLUMN_ID
+  `.trim(),
+  sqlite: `
+    SELECT '' AS schema_name, m.name AS table_name, m.type AS table_type, p.name AS column_name,
+      p.cid + 1 AS position, p.type AS data_type, NULL AS char_length, NULL AS numeric_precision,
+      NULL AS numeric_scale, CASE WHEN p."notnull" = 1 THEN 'NO' ELSE 'YES' END AS is_nullable
+    FROM sqlite_master m
+    JOIN pragma_table_info(m.name) p
+    WHERE m.type IN ('table', 'view') AND m.name NOT LIKE 'sqlite\\_%' ESCAPE '\\'
+    ORDER BY m.name, p.cid
+  `.trim(),
+  // Same permission filter as DENTRIX_LIST_TABLES_QUERY
+  [ODBC_CATALOGS.DENTRIX]: `
+    SELECT c.owner AS schema_name, c.tbl AS table_name, c.col AS column_name, c.id AS position,
+      c.coltype AS data_type, c.width AS char_length, c.width AS numeric_precision,
+      c.scale AS numeric_scale, c.nullflag AS is_nullable
+    FROM admin.syscolumns c
+    WHERE c.tbl IN (
+      SELECT tbl FROM admin.systabauth
+      WHERE sel IN ('g','y') AND grantee=(SELECT SUSER_NAME() FROM admin.syscalctable)
+    )
+    ORDER BY c.owner, c.tbl, c.id
+  `.trim(),
+  // table_type: 2 = materialized view, 21 = view
+  [ODBC_CATALOGS.SQL_ANYWHERE]: `
+    SELECT u.user_name AS schema_name, t.table_name,
+      CASE WHEN t.table_type IN (2, 21) THEN 'VIEW' ELSE 'BASE TABLE' END AS table_type,
+      c.column_name, c.column_id AS position, d.domain_name AS data_type, c.width AS char_length,
+      c.width AS numeric_precision, c.scale AS numeric_scale, c.nulls AS is_nullable
+    FROM SYS.SYSTAB t
+    JOIN SYS.SYSUSER u ON u.user_id = t.creator
+    JOIN SYS.SYSTABCOL c ON c.table_id = t.table_id
+    JOIN SYS.SYSDOMAIN d ON d.domain_id = c.domain_id
+    WHERE u.user_name NOT IN ('SYS', 'dbo', 'rs_systabgroup')
+    ORDER BY u.user_name, t.table_name, c.column_id
+  `.trim(),
+};
+
+/**
+ * Group snapshot catalog rows into tables. Catalogs report nullability as
+ * YES/NO or Y/N and table types as BASE TABLE, TABLE, VIEW, view...
+ */
+function buildSnapshotTables(result) {
+  const indexes = new Map(result.columns.map((col, i) => [col.name.toLowerCase(), i]));
+  const get = (row, name) => (indexes.has(name) ? row[indexes.get(name)] : null);
+
+  const tables = new Map();
+  for (const row of result.rows) {
+    const schema = get(row, 'schema_name') != null ? String(get(row, 'schema_name')).trim() : '';
+    const name = String(get(row, 'table_name')).trim();
+    const key = `${schema}.${name}`;
+    if (!tables.has(key)) {
+      const tableType = get(row, 'table_type');
+      tables.set(key, {
+        schema,
+        name,
+        type: tableType == null ? null : /view/i.test(tableType) ? 'view' : 'table',
+        columns: [],
+      });
+    }
+    const nullable = get(row, 'is_nullable');
+    tables.get(key).columns.push({
+      name: String(get(row, 'column_name')).trim(),
+      position: Number(get(row, 'position')),
+      dataType: formatColumnType(get(row, 'data_type'), {
+        length: get(row, 'char_length'),
+        precision: get(row, 'numeric_precision'),
+        scale: get(row, 'numeric_scale'),
+      }),
+      nullable: nullable == null ? null : /^(y|yes|1|true)$/i.test(String(nullable).trim()),
+    });
+  }
+  return [...tables.values()];
+}
+
+/**
+ * Read the tables and columns of a connection without saving them
+ */
+async function readSchemaSnapshot(connection) {
+  const config = connection.config || {};
+  if (config.password === PASSWORD_PLACEHOLDER || config.passwordMissing) {
+    throw new Error(`Saved password for '${connection.name}' is masked. Remove and re-add the connection to capture its schema.`);
+  }
+
+  const dialect = await getPreviewDialect(connection);
+  if (!dialect || !SCHEMA_SNAPSHOT_QUERIES[dialect]) {
+    throw new Error(`Schema snapshots for database type '${connection.type}' are not supported yet`);
+  }
+
+  const result = await runConnectionQuery(connection, SCHEMA_SNAPSHOT_QUERIES[dialect], {
+    maxRows: Infinity,
+    allowWrites: false,
+    onCancel: () => {},
+  });
+  if (!result.success) {
+    throw new Error(result.error || 'Failed to read the schema catalog');
+  }
+
+  return {
+    connectionId: connection.id,
+    connectionName: connection.name,
+    dialect,
+    capturedAt: new Date().toISOString(),
+    tables: buildSnapshotTables(result),
+  };
+}
+
+/**
+ * Capture the tables, columns and types of a saved connection and store the snapshot locally
+ *
+ * @param {string} connectionId - Connection ID
+ * @returns {Promise<Object>} { success, snapshot: { id, connectionId, connectionName, dialect,
+ *   capturedAt, tableCount, columnCount }, error }
+ */
+async function captureSchemaSnapshot(connectionId) {
+  try {
+    await loadSavedConnections();
+    const connection = savedConnections.find(conn => conn.id === connectionId);
+    if (!connection) {
+      return { success: false, error: 'Connection not found' };
+    }
+
+    const snapshot = await schemaSnapshots.saveSchemaSnapshot(await readSchemaSnapshot(connection));
+    return { success: true, snapshot: schemaSnapshots.summarizeSnapshot(snapshot) };
+  } catch (error) {
+    console.error('Error capturing schema snapshot:', error.message);
+    return {
+      success: false,
+      error: error.message || 'Failed to capture schema snapshot',
+    };
+  }
+}
+
+/**
+ * List stored schema snapshots, newest first
+ *
+ * @returns {Promise<Object>} { success, snapshots: [{ id, connectionId, connectionName, dialect,
+ *   capturedAt, tableCount, columnCount }], error }
+ */
+async function listSchemaSnapshots() {
+  try {
+    return { success: true, snapshots: await schemaSnapshots.listSchemaSnapshots() };
+  } catch (error) {
+    console.error('Error listing schema snapshots:', error.message);
+    return {
+      success: false,
+      snapshots: [],
+      error: error.message || 'Failed to list schema snapshots',
+    };
+  }
+}
+
+/**
+ * Delete a stored schema snapshot
+ *
+ * @param {string} snapshotId - Snapshot ID
+ * @returns {Promise<Object>} { success, error }
+ */
+async function deleteSchemaSnapshot(snapshotId) {
+  try {
+    if (!(await schemaSnapshots.deleteSchemaSnapshot(snapshotId))) {
+      return { success: false, error: 'Snapshot not found' };
+    }
+    return { success: true };
+  } catch (error) {
+    console.error('Error deleting schema snapshot:', error.message);
+    return {
+      success: false,
+      error: error.message || 'Failed to delete schema snapshot',
+    };
+  }
+}
+
+/**
+ * Resolve one side of a schema diff: a stored snapshot or a live read of a connection
+ */
+async function resolveSchemaSide(side) {
+  if (side && side.snapshotId) {
+    const snapshot = await schemaSnapshots.getSchemaSnapshot(side.snapshotId);
+    if (!snapshot) throw new Error('Snapshot not found');
+    return snapshot;
+  }
+  if (side && side.connectionId) {
+    const connection = savedConnections.find(conn => conn.id === side.connectionId);
+    if (!connection) throw new Error('Connection not found');
+    return readSchemaSnapshot(connection);
+  }
+  throw new Error('Choose a snapshot or connection to compare');
+}
+
+/**
+ * Diff two schemas: added and removed tables, and added, removed and changed
+ * (type or nullability) columns. Each side is a stored snapshot or a saved
+ * connection read live (not stored), so a snapshot can be compared with the
+ * current schema or with another practice's database. Changes to tables and
+ * columns used by the built-in Dentrix / Open Dental queries are flagged with usedBy.
+ *
+ * @param {Object} base - { snapshotId } or { connectionId }
+ * @param {Object} target - { snapshotId } or { connectionId }
+ * @returns {Promise<Object>} { success, diff: { base, target, addedTables, removedTables,
+ *   changedTables, brokenReferences, summary }, error } - see schemaSnapshots.diffSchemaSnapshots
+ */
+async function diffSchemas(base, target) {
+  try {
+    await loadSavedConnections();
+    const baseSnapshot = await resolveSchemaSide(base);
+    const targetSnapshot = await resolveSchemaSide(target);
+    return { success: true, diff: schemaSnapshots.diffSchemaSnapshots(baseSnapshot, targetSnapshot) };
+  } catch (error) {
+    console.error('Error diffing schemas:', error.message);
+    return {
+      success: false,
+      error: error.message || 'Failed to diff schemas',
+    };
+  }
+}
+
+/**
+ * Get MSSQL/MySQL connection pool statistics, with saved connection names
+ * @returns {Promise<Object>} { success, limits, pools: [{ key, connectionId, connectionName, driver,
+ *   target, healthy, active, size, idle, pending, acquireCount, errorCount, lastError, ... }], error }
+ */
+async function getPoolStats() {
+  try {
+    await loadSavedConnections();
+    const { limits, pools } = connectionPools.getPoolStats();
+    return {
+      success: true,
+      limits,
+      pools: pools.map((stats) => {
+        const connection = savedConnections.find(conn => conn.id === stats.key);
+        return {
+          ...stats,
+          connectionId: connection ? connection.id : null,
+          connectionName: connection ? connection.name : null,
+        };
+      }),
+    };
+  } catch (error) {
+    console.error('Error getting pool stats:', error.message);
+    return {
+      success: false,
+      error: error.message || 'Failed to get pool stats',
+    };
+  }
+}
+
+/**
+ * Get uptime, latency and failure-streak statistics for saved connections over
+ * the last 24 hours, 7 days and 30 days, from the health history
+ *
+ * @param {string[]} [connectionIds] - Only these connections (default: all saved)
+ * @returns {Promise<Object>} { success, stats: { [connectionId]: see healthHistory.getHealthStats }, error }
+ */
+async function getConnectionHealthStats(connectionIds = null) {
+  try {
+    await loadSavedConnections();
+    const ids = Array.isArray(connectionIds) ? connectionIds : savedConnections.map(conn => conn.id);
+    return { success: true, stats: await healthHistory.getHealthStats(ids) };
+  } catch (error) {
+    console.error('Error getting connection health stats:', error.message);
+    return {
+      success: false,
+      error: error.message || 'Failed to get connection health stats',
+    };
+  }
+}
+
+/** SELECT 1 round trips timed by runConnectionDiagnostics unless the caller asks otherwise */
+const DIAGNOSTIC_DEFAULT_ITERATIONS = 10;
+const DIAGNOSTIC_MAX_ITERATIONS = 100;
+/** Rows fetched from the sample table to measure throughput */
+const DIAGNOSTIC_DEFAULT_SAMPLE_ROWS = 1000;
+const DIAGNOSTIC_MAX_SAMPLE_ROWS = 10000;
+
+/** Round-trip statement per dialect where plain SELECT 1 is not valid */
+const PING_QUERIES = {
+  oracle: 'SELECT 1 FROM DUAL',
+  // FairCom c-treeSQL needs a FROM; syscalctable always has exactly one row
+  [ODBC_CATALOGS.DENTRIX]: 'SELECT 1 FROM admin.syscalctable',
+};
+
+const roundMs = ms => Math.round(ms * 10) / 10;
+
+/**
+ * min / p50 / p95 / max / mean of round-trip samples (nearest-rank percentiles)
+ */
+function summarizeLatencies(samples) {
+  const sorted = [...samples].sort((a, b) => a - b);
+  const percentile = p => sorted[Math.max(Math.ceil((p / 100) * sorted.length) - 1, 0)];
+  return {
+    iterations: sorted.length,
+    minMs: roundMs(sorted[0]),
+    p50Ms: roundMs(percentile(50)),
+    p95Ms: roundMs(percentile(95)),
+    maxMs: roundMs(sorted[sorted.length - 1]),
+    meanMs: roundMs(sorted.reduce((sum, n) => sum + n, 0) / sorted.length),
+    samplesMs: samples.map(roundMs),
+  };
+}
+
+function summarizeThroughput(query, table, rows, bytes, ms) {
+  const seconds = Math.max(ms, 0.001) / 1000;
+  return {
+    query,
+    table,
+    rows,
+    bytes,
+    ms: roundMs(ms),
+    rowsPerSecond: Math.round(rows / seconds),
+    bytesPerSecond: Math.round(bytes / seconds),
+  };
+}
+
+/**
+ * Text length of the fetched values, the same measure the ODBC bridge reports
+ */
+function getRowsTextLength(rows) {
+  let length = 0;
+  for (const row of rows) {
+    for (const value of Array.isArray(row) ? row : Object.values(row)) {
+      if (value != null) length += Buffer.isBuffer(value) ? value.length : String(value).length;
+    }
+  }
+  return length;
+}
+
+/**
+ * Open a dedicated, unpooled connection so diagnostics time a real connect and
+ * the round trips do not queue behind other work on the connection's pool
+ *
+ * @returns {Promise<Object>} { query(text) -> rows, close() }
+ */
+async function openDiagnosticSession(connection) {
+  const config = connection.config || {};
+  switch (connection.type) {
+    case DB_TYPES.MSSQL: {
+      const pool = new sql.ConnectionPool({ ...getMssqlConnectionConfig(config), pool: { min: 0, max: 1 } });
+      await pool.connect();
+      return {
+        query: async text => (await pool.request().query(text)).recordset || [],
+        close: () => pool.close(),
+      };
+    }
+    case DB_TYPES.MYSQL: {
+      const mysql = require('mysql2/promise');
+      const mysqlConnection = await mysql.createConnection(getMysqlConnectionConfig(config));
+      return {
+        query: async text => (await mysqlConnection.query(text))[0],
+        close: () => mysqlConnection.end(),
+      };
+    }
+    case DB_TYPES.POSTGRES: {
+      const pg = require('pg');
+      const client = new pg.Client(getPostgresClientConfig(config));
+      await client.connect();
+      return {
+        query: async text => (await client.query(text)).rows,
+        close: () => client.end(),
+      };
+    }
+    case DB_TYPES.ORACLE: {
+      const oracledb = require('oracledb');
+      const oracleConnection = await getOracleConnection(config);
+      return {
+        query: async text => (await oracleConnection.execute(text, [], { outFormat: oracledb.OUT_FORMAT_ARRAY })).rows || [],
+        close: () => oracleConnection.close(),
+      };
+    }
+    case DB_TYPES.SQLITE: {
+      const validation = await validateSqliteFile(config);
+      if (!validation.valid) throw new Error(validation.error);
+      const sqlite = await openSqliteDatabase(config);
+      return {
+        query: text => sqlite.all(text),
+        close: () => sqlite.close(),
+      };
     }
+    default:
+      throw new Error(`Diagnostics for database type '${connection.type}' are not supported yet`);
   }
 }
 
 /**
- * Dentrix (FairCom c-tree) specific query - INFORMATION_SCHEMA.TABLES does not exist.
- * Uses admin.systabauth to list tables the current user has select permission on.
+ * Connect, round trips and sample fetch through the connection's own driver
  */
-const DENTRIX_LIST_TABLES_QUERY = `
-  SELECT DISTINCT tbl
-  FROM admin.systabauth
-  WHERE sel IN ('g','y')
-  AND grantee=(SELECT SUSER_NAME() FROM admin.syscalctable)
-  ORDER BY tbl
-`.trim();
+async function measureDriverDiagnostics(connection, report, { pingQuery, sampleQuery, table, operation }) {
+  let startedAt = performance.now();
+  const session = await openDiagnosticSession(connection);
+  report.connect = { ms: roundMs(performance.now() - startedAt) };
+  // Closing the session fails the statement in flight
+  operation.onCancel(() => session.close());
+
+  try {
+    const samples = [];
+    for (let i = 0; i < report.iterations && !operation.cancelled; i += 1) {
+      startedAt = performance.now();
+      await session.query(pingQuery);
+      samples.push(performance.now() - startedAt);
+    }
+    if (operation.cancelled) return;
+    report.roundTrip = summarizeLatencies(samples);
+
+    if (sampleQuery) {
+      startedAt = performance.now();
+      const rows = await session.query(sampleQuery);
+      const ms = performance.now() - startedAt;
+      report.throughput = summarizeThroughput(sampleQuery, table, rows.length, getRowsTextLength(rows), ms);
+    }
+  } finally {
+    try {
+      await session.close();
+    } catch (err) {
+      console.error('Error closing diagnostics connection:', err);
+    }
+  }
+}
 
 /**
- * Eaglesoft (SAP SQL Anywhere) specific query - lists ALL tables from SYS.SYSTAB.
- * No creator filter; Eaglesoft tables may use various creator IDs.
+ * The same measurements over the PowerShell ODBC bridge, plus the bridge's own
+ * overhead: starting PowerShell alone, and the process time not spent in the script
  */
-const EAGLESOFT_SQL_ANYWHERE_LIST_TABLES_QUERY = `
-  SELECT table_name
-  FROM SYS.SYSTAB
-  ORDER BY table_name
-`.trim();
+async function measureOdbcDiagnostics(connection, report, { pingQuery, sampleQuery, table, operation }) {
+  const dentrixOdbcBridge = require('./dentrixOdbcBridge');
+  const startup = await dentrixOdbcBridge.measurePowerShellStartup({ signal: operation.signal });
+  if (!startup.success) throw new Error(startup.error || 'Failed to start PowerShell');
+
+  const result = await dentrixOdbcBridge.runOdbcDiagnostics(getOdbcConnectionString(connection.config), {
+    pingQuery,
+    sampleQuery,
+    iterations: report.iterations,
+    signal: operation.signal,
+  });
+  if (!result.success) throw new Error(result.error || 'ODBC diagnostics failed');
+
+  report.bridge = {
+    powershell: result.powershell,
+    startupMs: roundMs(startup.elapsedMs),
+    processMs: roundMs(result.elapsedMs),
+    overheadMs: roundMs(result.elapsedMs - result.scriptMs),
+  };
+  report.connect = { ms: roundMs(result.connectMs) };
+  report.roundTrip = summarizeLatencies(result.pingsMs);
+  if (result.sample) {
+    const { rows, bytes, ms } = result.sample;
+    report.throughput = summarizeThroughput(sampleQuery, table, rows, bytes, ms);
+  }
+}
 
 /**
- * List user-defined tables for ODBC connection (Eaglesoft, Dentrix, etc.)
- * Eaglesoft uses SAP SQL Anywhere; Dentrix uses FairCom c-tree.
+ * Run a latency and throughput diagnostic on a saved connection: connect time on
+ * a fresh connection, SELECT 1 round trips (p50 / p95) and the fetch of a sample
+ * of table rows. ODBC connections also report PowerShell bridge startup overhead.
+ * The report is stored in the connection's health history as a check with source
+ * 'diagnostics' (successful when the connect succeeded).
+ *
+ * @param {string} connectionId - Connection ID
+ * @param {Object} [options]
+ * @param {number} [options.iterations=10] - Round trips to time (1-100)
+ * @param {number} [options.sampleRows=1000] - Rows to fetch for throughput (1-10000)
+ * @param {Object} [options.table] - Table to sample, as returned by listTables (default: the first listed)
+ * @param {string} [options.operationId] - Caller-chosen ID, used to cancel the run with cancelOperation();
+ *   a cancelled run is not stored
+ * @returns {Promise<Object>} { success, cancelled, report: { connectionId, connectionName, type, dialect, startedAt,
+ *   finishedAt, iterations, success, error, connect: { ms }, roundTrip: { iterations, minMs, p50Ms, p95Ms,
+ *   maxMs, meanMs, samplesMs }, throughput: { query, table, rows, bytes, ms, rowsPerSecond, bytesPerSecond },
+ *   bridge: { powershell, startupMs, processMs, overheadMs }, warnings }, error }
  */
-async function listOdbcTables(config) {
-  try {
-    const dentrixOdbcBridge = require('./dentrixOdbcBridge');
-    const connectionString =
-      config.odbcConnectionString ||
-      [
-        config.DBN ? `DBN=${config.DBN}` : null,
-        config.DSN ? `DSN=${config.DSN}` : null,
-        config.username ? `UID=${config.username}` : null,
-        config.password ? `PWD=${config.password}` : null,
-      ]
-        .filter(Boolean)
-        .join(';');
+async function runConnectionDiagnostics(connectionId, options = {}) {
+  const operation = operations.beginOperation(options.operationId, { kind: 'diagnostics', connectionId });
+  if (!operation) {
+    return { success: false, error: `Diagnostics ${options.operationId} are already running` };
+  }
 
-    if (!connectionString) {
-      return {
-        success: false,
-        tables: [],
-        error: 'Missing ODBC connection string',
-      };
+  try {
+    await loadSavedConnections();
+    const connection = savedConnections.find(conn => conn.id === connectionId);
+    if (!connection) {
+      return { success: false, error: 'Connection not found' };
     }
-
-    if (config.password === PASSWORD_PLACEHOLDER) {
+    const config = connection.config || {};
+    if (config.password === PASSWORD_PLACEHOLDER || config.passwordMissing) {
       return {
         success: false,
-        tables: [],
-        error: 'Saved password is masked. Remove and re-add the connection to list tables.',
+        error: `Saved password for '${connection.name}' is masked. Remove and re-add the connection to run diagnostics.`,
       };
     }
 
-    // Try standard INFORMATION_SCHEMA first (works for SQL Server, MySQL, Sybase ODBC)
-    const standardQuery =
-      `SELECT TABLE_SCHEMA, TABLE_NAME
-       FROM INFORMATION_SCHEMA.TABLES
-       WHERE TABLE_TYPE = 'BASE TABLE'
-       ORDER BY TABLE_SCHEMA, TABLE_NAME`;
-
-    let result = await dentrixOdbcBridge.executeOdbcQuery(connectionString, standardQuery, []);
-
-    // Dentrix uses FairCom c-tree - INFORMATION_SCHEMA.TABLES does not exist.
-    const isDentrixFairComError =
-      !result.success &&
-      result.error &&
-      /tables not found|Table\/View\/Synonym|FairCom|ctreeSQL|22506/i.test(result.error);
-
-    if (isDentrixFairComError) {
-      result = await dentrixOdbcBridge.executeOdbcQuery(connectionString, DENTRIX_LIST_TABLES_QUERY, []);
-      if (!result.success) {
-        return {
-          success: false,
-          tables: [],
-          error: result.error || 'Failed to list tables',
-        };
-      }
-      const tables = (result.rows || []).map(r => ({
-        schema: 'admin',
-        name: r.tbl || r.TBL || r.Table || '',
-      })).filter(t => t.name);
-      return { success: true, tables };
-    }
+    const clamp = (value, fallback, max) => Math.min(Math.max(parseInt(value, 10) || fallback, 1), max);
+    const sampleRows = clamp(options.sampleRows, DIAGNOSTIC_DEFAULT_SAMPLE_ROWS, DIAGNOSTIC_MAX_SAMPLE_ROWS);
+    const report = {
+      connectionId: connection.id,
+      connectionName: connection.name,
+      type: connection.type,
+      dialect: null,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      iterations: clamp(options.iterations, DIAGNOSTIC_DEFAULT_ITERATIONS, DIAGNOSTIC_MAX_ITERATIONS),
+      success: false,
+      error: null,
+      connect: null,
+      roundTrip: null,
+      throughput: null,
+      bridge: null,
+      warnings: [],
+    };
 
-    // Eaglesoft uses SAP SQL Anywhere - fallback when INFORMATION_SCHEMA fails (e.g. 42S02).
-    const isSapSqlAnywhereError =
-      !result.success &&
-      result.error &&
-      /SAP|SQL Anywhere|42S02|sqlite_master not found/i.test(result.error);
+    try {
+      report.dialect = await getPreviewDialect(connection);
 
-    if (isSapSqlAnywhereError) {
-      result = await dentrixOdbcBridge.executeOdbcQuery(connectionString, EAGLESOFT_SQL_ANYWHERE_LIST_TABLES_QUERY, []);
-      if (!result.success) {
-        return {
-          success: false,
-          tables: [],
-          error: result.error || 'Failed to list tables',
-        };
+      let table = options.table && options.table.name ? options.table : null;
+      if (!table) {
+        const listed = await listTables(connection.id);
+        if (listed.success && listed.tables.length > 0) table = listed.tables[0];
+        else report.warnings.push(`Throughput was not measured: ${listed.error || 'the connection has no tables'}`);
       }
-      const tables = (result.rows || []).map(r => ({
-        schema: '',
-        name: r.table_name || r.TABLE_NAME || '',
-      })).filter(t => t.name);
-      return { success: true, tables };
+      if (table) table = { schema: table.schema || '', name: table.name };
+      const sampleQuery = table && report.dialect
+        ? buildPreviewQuery(report.dialect, table, { offset: 0, limit: sampleRows }).query
+        : null;
+
+      const measure = config.useOdbc && config.odbcConnectionString ? measureOdbcDiagnostics : measureDriverDiagnostics;
+      await measure(connection, report, {
+        pingQuery: PING_QUERIES[report.dialect] || 'SELECT 1',
+        sampleQuery,
+        table,
+        operation,
+      });
+      report.success = true;
+    } catch (error) {
+      report.error = error.message || 'Diagnostics failed';
     }
-
-    if (!result.success) {
-      return {
-        success: false,
-        tables: [],
-        error: result.error || 'Failed to list tables',
-      };
+    if (operation.cancelled) {
+      return { success: false, cancelled: true, error: 'Diagnostics cancelled' };
     }
+    report.finishedAt = new Date().toISOString();
+
+    await healthHistory.recordHealthCheck({
+      connectionId: connection.id,
+      success: report.connect !== null,
+      latencyMs: report.connect ? report.connect.ms : null,
+      error: report.connect ? null : report.error,
+      source: 'diagnostics',
+      at: report.finishedAt,
+      diagnostics: report,
+    });
 
-    const tables = (result.rows || []).map(r => ({
-      schema: r.TABLE_SCHEMA || r.table_schema,
-      name: r.TABLE_NAME || r.table_name,
-    }));
-
-    return { success: true, tables };
+    return {
+      success: report.success,
+      report,
+      ...(report.error && { error: report.error }),
+    };
   } catch (error) {
+    console.error('Error running connection diagnostics:', error);
     return {
       success: false,
-      tables: [],
-      error: error.message || 'Failed to list tables',
+      error: error.message || 'Failed to run connection diagnostics',
     };
+  } finally {
+    operations.endOperation(operation);
   }
 }
 
 /**
- * List all user-defined table names for a database connection
+ * List stored diagnostic reports for a connection, newest first
+ *
  * @param {string} connectionId - Connection ID
- * @returns {Promise<Object>} { success, tables: [{ schema, name }], error }
+ * @param {Object} [options]
+ * @param {number} [options.limit=10]
+ * @returns {Promise<Object>} { success, reports: see runConnectionDiagnostics, error }
  */
-async function listTables(connectionId) {
+async function listConnectionDiagnostics(connectionId, { limit = 10 } = {}) {
   try {
-    await loadSavedConnections();
-    const connection = savedConnections.find(conn => conn.id === connectionId);
-
-    if (!connection) {
-      return {
-        success: false,
-        tables: [],
-        error: 'Connection not found',
-      };
-    }
-
-    if (connection.config && connection.config.useOdbc && connection.config.odbcConnectionString) {
-      return await listOdbcTables(connection.config);
-    }
-
-    switch (connection.type) {
-      case DB_TYPES.MSSQL:
-        return await listMssqlTables(connection.config);
-      case DB_TYPES.MYSQL:
-        return await listMysqlTables(connection.config);
-      default:
-        return {
-          success: false,
-          tables: [],
-          error: `Listing tables for database type '${connection.type}' is not supported yet`,
-        };
-    }
+    return { success: true, reports: await healthHistory.getDiagnosticReports(connectionId, limit) };
   } catch (error) {
-    console.error('Error listing tables:', error);
+    console.error('Error listing connection diagnostics:', error.message);
     return {
       success: false,
-      tables: [],
-      error: error.message || 'Failed to list tables',
+      reports: [],
+      error: error.message || 'Failed to list connection diagnostics',
     };
   }
 }
@@ -1354,11 +5642,17 @@ function getSupportedDatabaseTypes() {
         supportsWindowsAuth: false,
         installed: isPackageInstalled('mysql2'),
       },
+      [DB_TYPES.POSTGRES]: {
+        name: 'PostgreSQL',
+        defaultPort: 5432,
+        supportsWindowsAuth: false,
+        installed: isPackageInstalled('pg'),
+      },
       [DB_TYPES.ORACLE]: {
         name: 'Oracle Database',
         defaultPort: 1521,
         supportsWindowsAuth: false,
-        installed: false,
+        installed: isPackageInstalled('oracledb'),
       },
       [DB_TYPES.SQLITE]: {
         name: 'SQLite',
@@ -1497,10 +5791,21 @@ async function testDentrixInitialization(userName, password, dentrixServicePath)
  *
  * @param {Array<Object>} documents - DocumentInfo: { filePath, id, referenceId, category, description, date, note, userName, password }
  * @param {string} [dentrixServicePath] - Path to Dentrix Service executable
+ * @param {Object} [options]
+ * @param {string} [options.operationId] - Caller-chosen ID, used to cancel the upload with cancelOperation()
+ * @param {number} [options.timeoutMs=300000] - Stop the Dentrix Service after this long
  */
-async function uploadDentrixDocuments(documents, dentrixServicePath) {
+async function uploadDentrixDocuments(documents, dentrixServicePath, options = {}) {
+  const operation = operations.beginOperation(options.operationId, { kind: 'dentrix-service' });
+  if (!operation) {
+    return { success: false, results: {}, error: `Upload ${options.operationId} is already running` };
+  }
+
   try {
-    return await dentrixCoreCredentials.uploadDentrixDocuments(documents, dentrixServicePath);
+    return await dentrixCoreCredentials.uploadDentrixDocuments(documents, dentrixServicePath, {
+      timeoutMs: parseInt(options.timeoutMs, 10) > 0 ? parseInt(options.timeoutMs, 10) : undefined,
+      signal: operation.signal,
+    });
   } catch (error) {
     console.error('Error uploading Dentrix documents:', error);
     return {
@@ -1508,6 +5813,8 @@ async function uploadDentrixDocuments(documents, dentrixServicePath) {
       results: {},
       error: error.message,
     };
+  } finally {
+    operations.endOperation(operation);
   }
 }
 
@@ -1550,16 +5857,53 @@ async function fetchDentrixCredentialsWithPracticeInfo(dentrixServicePath) {
   }
 }
 
+/**
+ * Run a practice data query (Dentrix or Open Dental practice info and appointments)
+ * as a cancellable operation limited by the connection's requestTimeout. run gets
+ * { signal, timeoutMs } for the data service.
+ */
+function runPracticeDataQuery(operationId, { connectionId, config, what, failure }, run) {
+  const timeoutMs = getQueryTimeoutMs(config || {});
+  return runAsOperation(operationId, { kind: 'practice-data', connectionId, timeoutMs, what, failure },
+    ({ signal }) => run({ signal, timeoutMs }));
+}
+
+/**
+ * Saved ODBC connection with this connection string. The Dentrix queries take a
+ * connection string, so this is where their timeout and connection ID come from.
+ */
+async function findOdbcConnection(connectionString) {
+  await loadSavedConnections();
+  return savedConnections.find(conn => conn.config && conn.config.useOdbc
+    && getOdbcConnectionString(conn.config) === connectionString) || null;
+}
+
+/**
+ * Run a Dentrix practice data query against connectionString (see runPracticeDataQuery)
+ */
+async function runDentrixQuery(connectionString, operationId, { what, failure }, run) {
+  const connection = await findOdbcConnection(connectionString);
+  return runPracticeDataQuery(operationId, {
+    connectionId: connection ? connection.id : null,
+    config: connection ? connection.config : null,
+    what,
+    failure,
+  }, run);
+}
+
 /**
  * Get Dentrix practice info from an existing connection string.
  * Mirrors DentrixFacade.GetDentrixPracticeInfo
  *
  * @param {string} connectionString - ODBC connection string
- * @returns {Promise<Object>} { success, siteId, sourceId }
+ * @param {Object} [options]
+ * @param {string} [options.operationId] - Caller-chosen ID, used to cancel the query with cancelOperation()
+ * @returns {Promise<Object>} { success, siteId, sourceId, cancelled, timedOut, error }
  */
-async function getDentrixPracticeInfo(connectionString) {
+async function getDentrixPracticeInfo(connectionString, { operationId } = {}) {
   try {
-    return await dentrixCoreDataService.getDentrixPracticeInfo(connectionString);
+    return await runDentrixQuery(connectionString, operationId, { what: 'Practice info query' },
+      odbcOptions => dentrixCoreDataService.getDentrixPracticeInfo(connectionString, odbcOptions));
   } catch (error) {
     console.error('Error getting Dentrix practice info:', error);
     return { success: false, error: error.message };
@@ -1573,11 +5917,14 @@ async function getDentrixPracticeInfo(connectionString) {
  * @param {string} connectionString - ODBC connection string
  * @param {Date} startDate - Start date
  * @param {Date} endDate - End date
- * @returns {Promise<Object>} { success, appointments }
+ * @param {Object} [options]
+ * @param {string} [options.operationId] - Caller-chosen ID, used to cancel the query with cancelOperation()
+ * @returns {Promise<Object>} { success, appointments, cancelled, timedOut, error }
  */
-async function getDentrixAppointments(connectionString, startDate, endDate) {
+async function getDentrixAppointments(connectionString, startDate, endDate, { operationId } = {}) {
   try {
-    return await dentrixCoreDataService.getDentrixAppointments(connectionString, startDate, endDate);
+    return await runDentrixQuery(connectionString, operationId, { what: 'Appointment query', failure: { appointments: [] } },
+      odbcOptions => dentrixCoreDataService.getDentrixAppointments(connectionString, startDate, endDate, odbcOptions));
   } catch (error) {
     console.error('Error getting Dentrix appointments:', error);
     return { success: false, appointments: [], error: error.message };
@@ -1591,11 +5938,14 @@ async function getDentrixAppointments(connectionString, startDate, endDate) {
  * @param {string} connectionString - ODBC connection string
  * @param {Date} startDate - Start date
  * @param {Date} endDate - End date
- * @returns {Promise<Object>} { success, appointmentIds }
+ * @param {Object} [options]
+ * @param {string} [options.operationId] - Caller-chosen ID, used to cancel the query with cancelOperation()
+ * @returns {Promise<Object>} { success, appointmentIds, cancelled, timedOut, error }
  */
-async function getDentrixAppointmentIds(connectionString, startDate, endDate) {
+async function getDentrixAppointmentIds(connectionString, startDate, endDate, { operationId } = {}) {
   try {
-    return await dentrixCoreDataService.getDentrixAppointmentIds(connectionString, startDate, endDate);
+    return await runDentrixQuery(connectionString, operationId, { what: 'Appointment ID query', failure: { appointmentIds: [] } },
+      odbcOptions => dentrixCoreDataService.getDentrixAppointmentIds(connectionString, startDate, endDate, odbcOptions));
   } catch (error) {
     console.error('Error getting Dentrix appointment IDs:', error);
     return { success: false, appointmentIds: [], error: error.message };
@@ -1651,6 +6001,8 @@ async function addDentrixConnection(connectionName = 'Dentrix Database', dentrix
         DBN: config?.DBN || config?.database,
         siteId: result.siteId,
         sourceId: result.sourceId,
+        // Live practice database - block data-modifying queries
+        readOnly: true,
       },
     };
 
@@ -1706,8 +6058,12 @@ async function addEaglesoftConnection(connectionName = 'Eaglesoft Database', use
       return result;
     }
     
-    // Add the connection to our saved connections
-    const addResult = await addConnection(result.connectionData);
+    // Add the connection to our saved connections.
+    // Live practice database - block data-modifying queries
+    const addResult = await addConnection({
+      ...result.connectionData,
+      config: { ...result.connectionData.config, readOnly: true },
+    });
     
     if (addResult.success) {
       return {
@@ -1728,22 +6084,226 @@ async function addEaglesoftConnection(connectionName = 'Eaglesoft Database', use
   }
 }
 
+/**
+ * Check if Open Dental is installed on the system (FreeDentalConfig.xml present)
+ *
+ * @param {string} [openDentalPath] - Open Dental folder or config file
+ */
+async function isOpenDentalInstalled(openDentalPath) {
+  try {
+    return await openDentalCredentials.isOpenDentalInstalled(openDentalPath);
+  } catch (error) {
+    console.error('Error checking Open Dental installation:', error);
+    return {
+      installed: false,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Fetch Open Dental database credentials from FreeDentalConfig.xml.
+ * When the password is readable, practice info is fetched too so the UI can show
+ * which practice the database belongs to.
+ *
+ * @param {string} [openDentalPath] - Open Dental folder or config file
+ * @returns {Promise<Object>} { success, config, source, siteId, practiceInfo, practiceInfoError, hint, error }
+ */
+async function fetchOpenDentalCredentials(openDentalPath) {
+  try {
+    const result = await openDentalCredentials.getOpenDentalConnectionConfig(openDentalPath);
+    if (!result.success || result.config.passwordEncrypted) {
+      return result;
+    }
+
+    const practiceResult = await openDentalDataService.getOpenDentalPracticeInfo(result.config);
+    if (!practiceResult.success) {
+      return { ...result, siteId: null, practiceInfoError: practiceResult.error };
+    }
+    return {
+      ...result,
+      siteId: practiceResult.siteId,
+      practiceInfo: practiceResult.practiceInfo,
+    };
+  } catch (error) {
+    console.error('Error fetching Open Dental credentials:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to fetch Open Dental credentials',
+    };
+  }
+}
+
+/**
+ * Add an Open Dental connection using credentials from FreeDentalConfig.xml
+ *
+ * @param {string} [connectionName='Open Dental Database']
+ * @param {string} [openDentalPath] - Open Dental folder or config file
+ */
+async function addOpenDentalConnection(connectionName = 'Open Dental Database', openDentalPath) {
+  try {
+    const installCheck = await isOpenDentalInstalled(openDentalPath);
+    if (!installCheck.installed) {
+      return {
+        success: false,
+        error: 'Open Dental is not installed on this system',
+        hint: installCheck.hint,
+      };
+    }
+
+    const result = await openDentalCredentials.createOpenDentalConnection(connectionName, openDentalPath);
+    if (!result.success) {
+      return result;
+    }
+
+    // Live practice database - block data-modifying queries
+    const addResult = await addConnection({
+      ...result.connectionData,
+      config: { ...result.connectionData.config, readOnly: true },
+    });
+    if (addResult.success) {
+      return {
+        ...addResult,
+        source: result.source,
+        hint: result.hint,
+        message: 'Open Dental connection added successfully',
+      };
+    }
+
+    return addResult;
+  } catch (error) {
+    console.error('Error adding Open Dental connection:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to add Open Dental connection',
+    };
+  }
+}
+
+/**
+ * Resolve the MySQL config of a saved Open Dental connection.
+ * Unlike the Dentrix queries, which take an ODBC connection string, Open Dental
+ * queries take a connection ID so the password never has to leave the main process.
+ */
+async function getOpenDentalQueryConfig(connectionId) {
+  await loadSavedConnections();
+  const connection = savedConnections.find(conn => conn.id === connectionId);
+  if (!connection) {
+    throw new Error('Connection not found');
+  }
+  if (connection.type !== DB_TYPES.MYSQL) {
+    throw new Error('Open Dental queries require a MySQL connection');
+  }
+  if (connection.config.passwordMissing) {
+    throw new Error('Saved password is missing. Remove and re-add the connection with the real password.');
+  }
+  return connection.config;
+}
+
+/**
+ * Get Open Dental practice info (practice name, address, database version)
+ *
+ * @param {string} connectionId - Saved Open Dental connection
+ * @param {Object} [options]
+ * @param {string} [options.operationId] - Caller-chosen ID, used to cancel the query with cancelOperation()
+ * @returns {Promise<Object>} { success, siteId, sourceId, practiceInfo, cancelled, timedOut, error }
+ */
+async function getOpenDentalPracticeInfo(connectionId, { operationId } = {}) {
+  try {
+    const config = await getOpenDentalQueryConfig(connectionId);
+    return await runPracticeDataQuery(operationId, { connectionId, config, what: 'Practice info query' },
+      queryOptions => openDentalDataService.getOpenDentalPracticeInfo(config, queryOptions));
+  } catch (error) {
+    console.error('Error getting Open Dental practice info:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Get Open Dental appointments for a date range.
+ * Rows use the same column names as getDentrixAppointments.
+ *
+ * @param {string} connectionId - Saved Open Dental connection
+ * @param {Date} startDate - Start date
+ * @param {Date} endDate - End date
+ * @param {Object} [options]
+ * @param {string} [options.operationId] - Caller-chosen ID, used to cancel the query with cancelOperation()
+ * @returns {Promise<Object>} { success, appointments, cancelled, timedOut, error }
+ */
+async function getOpenDentalAppointments(connectionId, startDate, endDate, { operationId } = {}) {
+  try {
+    const config = await getOpenDentalQueryConfig(connectionId);
+    return await runPracticeDataQuery(operationId, {
+      connectionId,
+      config,
+      what: 'Appointment query',
+      failure: { appointments: [] },
+    }, queryOptions => openDentalDataService.getOpenDentalAppointments(config, startDate, endDate, queryOptions));
+  } catch (error) {
+    console.error('Error getting Open Dental appointments:', error);
+    return { success: false, appointments: [], error: error.message };
+  }
+}
+
+/**
+ * Get Open Dental appointment IDs for a date range
+ *
+ * @param {string} connectionId - Saved Open Dental connection
+ * @param {Date} startDate - Start date
+ * @param {Date} endDate - End date
+ * @param {Object} [options]
+ * @param {string} [options.operationId] - Caller-chosen ID, used to cancel the query with cancelOperation()
+ * @returns {Promise<Object>} { success, appointmentIds, cancelled, timedOut, error }
+ */
+async function getOpenDentalAppointmentIds(connectionId, startDate, endDate, { operationId } = {}) {
+  try {
+    const config = await getOpenDentalQueryConfig(connectionId);
+    return await runPracticeDataQuery(operationId, {
+      connectionId,
+      config,
+      what: 'Appointment ID query',
+      failure: { appointmentIds: [] },
+    }, queryOptions => openDentalDataService.getOpenDentalAppointmentIds(config, startDate, endDate, queryOptions));
+  } catch (error) {
+    console.error('Error getting Open Dental appointment IDs:', error);
+    return { success: false, appointmentIds: [], error: error.message };
+  }
+}
+
 module.exports = {
   DB_TYPES,
   addConnection,
   removeConnection,
   updateConnection,
   getAllConnections,
+  getLoadedConnections,
   testConnection,
   testAllConnections,
   listTables,
+  describeTable,
+  previewTable,
+  executeQuery,
+  exportResults,
+  captureSchemaSnapshot,
+  listSchemaSnapshots,
+  deleteSchemaSnapshot,
+  diffSchemas,
+  getPoolStats,
+  getConnectionHealthStats,
+  runConnectionDiagnostics,
+  listConnectionDiagnostics,
   getConnectionStatus,
   getAllConnectionStatuses,
   getSupportedDatabaseTypes,
   loadSavedConnections,
+  listConnectionBackups,
+  restoreConnectionBackup,
+  exportConnections,
+  importConnections,
   discoverAllDatabases,
   discoverSqlServerInstances,
   discoverMySqlInstances,
+  discoverPostgresInstances,
   discoverRegistryPaths,
   readRegistryConfig,
   fetchCredentialsFromRegistry,
@@ -1761,4 +6321,10 @@ module.exports = {
   getDentrixPracticeInfo,
   getDentrixAppointments,
   getDentrixAppointmentIds,
+  isOpenDentalInstalled,
+  fetchOpenDentalCredentials,
+  addOpenDentalConnection,
+  getOpenDentalPracticeInfo,
+  getOpenDentalAppointments,
+  getOpenDentalAppointmentIds,
 };
@@ -10,6 +10,10 @@ const DEFAULT_DENTRIX_SERVICE_PATH =
   process.env.DENTRIX_SERVICE_PATH ||
   'C:\\Program Files (x86)\\DentalXChange\\Eligibility AI\\Eligibility AI Configuration\\Dxc.Sync.Client.DentrixService.exe';
 
+/** Default Dentrix Service operation timeout; uploads get longer (both overridable per call) */
+const DEFAULT_DENTRIX_SERVICE_TIMEOUT_MS = 120000;
+const DEFAULT_UPLOAD_TIMEOUT_MS = 300000;
+
 /**
  * Common Dentrix installation paths (Dentrix dental software).
  * Dentrix typically installs to C:\Program Files (x86)\Dentrix
@@ -204,10 +208,21 @@ async function checkDentrixAndGetConnectionString(dentrixServicePath = DEFAULT_D
  * @param {string} op - Operation name: getConnectionInfo | testinitialization | uploadfiles
  * @param {Object} payload - JSON payload (e.g. {} for getConnectionInfo, { userName, password } for testinitialization)
  * @param {string} [dentrixServicePath] - Path to Dxc.Sync.Client.DentrixService.exe
- * @param {number} [timeoutMs] - Timeout in ms (default 120000)
+ * @param {Object|number} [options] - { timeoutMs, signal }, or the timeout in ms
+ * @param {number} [options.timeoutMs=120000] - Kill the process after this long
+ * @param {AbortSignal} [options.signal] - Aborting kills the process (errorCode 'Cancelled')
  * @returns {Promise<Object>} { dentrixServiceSuccess, data, errorCode, message }
  */
-async function runDentrixServiceOp(op, payload = {}, dentrixServicePath = DEFAULT_DENTRIX_SERVICE_PATH, timeoutMs = 120000) {
+async function runDentrixServiceOp(op, payload = {}, dentrixServicePath = DEFAULT_DENTRIX_SERVICE_PATH, options = {}) {
+  const { timeoutMs = DEFAULT_DENTRIX_SERVICE_TIMEOUT_MS, signal } = typeof options === 'number' ? { timeoutMs: options } : options;
+  const cancelledResponse = {
+    dentrixServiceSuccess: false,
+    data: null,
+    errorCode: 'Cancelled',
+    message: 'Dentrix Service operation cancelled',
+  };
+  if (signal && signal.aborted) return cancelledResponse;
+
   if (process.platform !== 'win32') {
     return {
       dentrixServiceSuccess: false,
@@ -261,9 +276,18 @@ async function runDentrixServiceOp(op, payload = {}, dentrixServicePath = DEFAUL
     let stderr = '';
     let resolved = false;
 
+    const onAbort = () => {
+      clearTimeout(timeout);
+      try {
+        proc.kill('SIGTERM');
+      } catch (_) {}
+      finish(cancelledResponse);
+    };
+
     const finish = (resp) => {
       if (resolved) return;
       resolved = true;
+      if (signal) signal.removeEventListener('abort', onAbort);
       resolve(resp);
     };
 
@@ -278,6 +302,7 @@ async function runDentrixServiceOp(op, payload = {}, dentrixServicePath = DEFAUL
         message: `Dentrix Service timed out after ${timeoutMs}ms`,
       });
     }, timeoutMs);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
 
     proc.stdout.on('data', (chunk) => {
       stdout += chunk.toString();
@@ -422,9 +447,10 @@ async function testDentrixInitialization(userName, password, dentrixServicePath
  *
  * @param {Array<Object>} documents - Array of DocumentInfo objects
  * @param {string} [dentrixServicePath] - Path to Dentrix Service executable
- * @returns {Promise<Object>} { success, results: { [referenceId]: message }, error }
+ * @param {Object} [options] - { timeoutMs = 300000, signal } (see runDentrixServiceOp)
+ * @returns {Promise<Object>} { success, results: { [referenceId]: message }, error, cancelled }
  */
-async function uploadDentrixDocuments(documents, dentrixServicePath = DEFAULT_DENTRIX_SERVICE_PATH) {
+async function uploadDentrixDocuments(documents, dentrixServicePath = DEFAULT_DENTRIX_SERVICE_PATH, options = {}) {
   if (!Array.isArray(documents) || documents.length === 0) {
     return {
       success: false,
@@ -445,13 +471,17 @@ async function uploadDentrixDocuments(documents, dentrixServicePath = DEFAULT_DE
     password: doc.password || '',
   }));
 
-  const resp = await runDentrixServiceOp('uploadfiles', payload, dentrixServicePath, 300000);
+  const resp = await runDentrixServiceOp('uploadfiles', payload, dentrixServicePath, {
+    timeoutMs: options.timeoutMs || DEFAULT_UPLOAD_TIMEOUT_MS,
+    signal: options.signal,
+  });
 
   if (!resp.dentrixServiceSuccess) {
     return {
       success: false,
       results: {},
       error: resp.message || resp.errorCode || 'Upload failed',
+      ...(resp.errorCode === 'Cancelled' && { cancelled: true }),
     };
   }
 
@@ -12,6 +12,97 @@
 const dentrixCoreCredentials = require('./dentrixCoreCredentials');
 const dentrixOdbcBridge = require('./dentrixOdbcBridge');
 
+// Practice info: try TOP 1 (SQL Server/Sybase) first; fallback to LIMIT 1 (MySQL)
+const PRACTICE_INFO_QUERIES = [
+  'SELECT TOP 1 id1, practicename FROM admin.rsc WHERE rsctype=0',
+  'SELECT id1, practicename FROM admin.rsc WHERE rsctype=0 LIMIT 1',
+];
+
+const APPOINTMENT_IDS_QUERY = `
+  SELECT appt.appointment_id
+  FROM admin.v_appt appt
+  WHERE appt.modified_time_stamp BETWEEN ? AND ?
+  AND appt.broken = 0
+`.trim();
+
+const APPOINTMENTS_QUERY = `
+  SELECT DISTINCT
+    a.appointment_id,
+    TIMESTAMPADD(MINUTE, a.start_minute, TIMESTAMPADD(HOUR, a.start_hour, a.appointment_date)) as appointment_date,
+    a.start_hour, a.reason, a.status_id, a.operatory_id, a.amount,
+    pt.patient_id, pt.patient_guid, pt.first_name, pt.last_name, pt.home_phone, pt.birth_date,
+    pt.city, pt.state, pt.zipcode, pt.address_line2, pt.address_line1, pt.gender,
+    ip.ins_co_name, ip.group_name,
+    p_sub.social_sec_num AS Prim_Subscriber_SSN,
+    p_sub.first_name AS Prim_Subscriber_FirstName, p_sub.last_name AS Prim_Subscriber_LastName,
+    p_sub.salutation AS Prim_Subscriber_Title, p_sub.birth_date AS Prim_Subscriber_BirthDate,
+    p_sub.gender AS Prim_Subscriber_Gender,
+    p_sub.address_line1 AS Prim_Subscriber_Street1, p_sub.address_line2 AS Prim_Subscriber_Street2,
+    p_sub.city AS Prim_Subscriber_City, p_sub.state AS Prim_Subscriber_State, p_sub.zipcode AS Prim_Subscriber_Zipcode,
+    pat.priminsrel AS Prim_Relationship_To_Patient,
+    p_e.employer_name AS Prim_Employer_Name, p_e.address_line1 AS Prim_Employer_Street1,
+    p_e.address_line2 AS Prim_Employer_Street2, p_e.city AS Prim_Employer_City,
+    p_e.state AS Prim_Employer_State, p_e.zip_code AS Prim_Employer_Zipcode, p_e.phone AS Prim_Employer_Phone,
+    ip.ins_co_name as Prim_InsuranceCompany_Name,
+    ip.address_line1 as Prim_InsuranceCompany_Street1, ip.address_line2 as Prim_InsuranceCompany_Street2,
+    ip.city as Prim_InsuranceCompany_City, ip.state as Prim_InsuranceCompany_State, ip.zipcode as Prim_InsuranceCompany_Zipcode,
+    ip.payor_id as Prim_InsuranceCompany_PayerId,
+    ins.id_num, ip.group_number,
+    sec_ins.id_num as Sec_MemberId,
+    sec_ip.ins_co_name as Sec_InsuranceCompany_Name,
+    sec_ip.address_line1 as Sec_InsuranceCompany_Street1, sec_ip.address_line2 as Sec_InsuranceCompany_Street2,
+    sec_ip.city as Sec_InsuranceCompany_City, sec_ip.state as Sec_InsuranceCompany_State, sec_ip.zipcode as Sec_InsuranceCompany_Zipcode,
+    sec_ip.payor_id as Sec_InsuranceCompany_PayerId, sec_ip.group_number as Sec_Insurance_GroupNumber,
+    s_sub.social_sec_num AS Sec_Subscriber_SSN, s_sub.first_name AS Sec_Subscriber_FirstName, s_sub.last_name AS Sec_Subscriber_LastName,
+    s_sub.salutation AS Sec_Subscriber_Title, s_sub.birth_date AS Sec_Subscriber_BirthDate, s_sub.gender AS Sec_Subscriber_Gender,
+    s_sub.address_line1 AS Sec_Subscriber_Street1, s_sub.address_line2 AS Sec_Subscriber_Street2,
+    s_sub.city AS Sec_Subscriber_City, s_sub.state AS Sec_Subscriber_State, s_sub.zipcode AS Sec_Subscriber_Zipcode
+  FROM admin.v_appt a
+  INNER JOIN admin.v_patient pt ON a.patient_id = pt.patient_id
+  INNER JOIN admin.patient pat ON pat.patid = pt.patient_id
+  LEFT JOIN admin.v_patient_insurance vp ON vp.patient_id = pt.patient_id
+  LEFT JOIN admin.v_insurance_plans ip ON vp.primary_insurance_carrier_id = ip.ins_id
+  LEFT JOIN admin.v_insured ins ON ins.insured_id = vp.primary_insured_id AND ip.ins_id = ins.ins_plan_id AND ins.ins_type = 0
+  LEFT JOIN admin.v_patient p_sub ON p_sub.patient_id = ins.ins_party_id
+  LEFT JOIN admin.v_insurance_plans sec_ip ON vp.secondary_insurance_carrier_id = sec_ip.ins_id
+  LEFT JOIN admin.v_insured sec_ins ON vp.secondary_insured_id IS NOT NULL AND sec_ins.insured_id = vp.secondary_insured_id AND sec_ip.ins_id = sec_ins.ins_plan_id AND sec_ins.ins_type = 0
+  LEFT JOIN admin.v_patient s_sub ON s_sub.patient_id = sec_ins.ins_party_id
+  LEFT JOIN admin.v_employers p_e ON p_e.employer_id = pt.employer_id
+  WHERE a.modified_time_stamp BETWEEN ? AND ?
+  AND a.broken = 0
+`.trim();
+
+/**
+ * Providers query with one placeholder per appointment ID
+ */
+function buildProvidersQuery(appointmentCount) {
+  const placeholders = Array(appointmentCount).fill('?').join(', ');
+  return `
+    SELECT a.appointment_id, pt.patient_id, pr.provider_id,
+      pr.first_name AS provider_first_name, pr.last_name AS provider_last_name,
+      pr.npi, pr.tin, pr.ssn AS provider_ssn,
+      pr.address_line1 AS provider_address1, pr.address_line2 AS provider_address2,
+      pr.city AS provider_city, pr.state AS provider_state, pr.work_phone AS provider_work_phone,
+      pr.suffix AS provider_suffix, pr.zip_code AS provider_zipcode, pr.issecondaryprovider
+    FROM admin.v_appt a
+    INNER JOIN admin.v_provider pr ON (a.provider_id = pr.provider_id OR a.addtnl_provider_id = pr.provider_id)
+    INNER JOIN admin.v_patient pt ON a.patient_id = pt.patient_id
+    WHERE pr.inactive = 0 AND a.appointment_id IN (${placeholders})
+  `.trim();
+}
+
+/**
+ * SQL run by this service, by function name. Schema diffs flag the columns these
+ * reference, so a Dentrix upgrade that changes admin.v_appt and friends shows up
+ * before the queries fail.
+ */
+const BUILT_IN_QUERIES = {
+  getDentrixPracticeInfo: PRACTICE_INFO_QUERIES[0],
+  getDentrixAppointmentIds: APPOINTMENT_IDS_QUERY,
+  getDentrixAppointments: APPOINTMENTS_QUERY,
+  getDentrixProviders: buildProvidersQuery(1),
+};
+
 /**
  * Get Dentrix practice info (siteId, sourceId).
  * Mirrors DentrixFacade.GetDentrixPracticeInfo and DentrixCoreConfig.GetDentrixPracticeInfo
@@ -19,22 +110,21 @@ const dentrixOdbcBridge = require('./dentrixOdbcBridge');
  * Query: SELECT TOP 1 id1, practicename FROM admin.rsc WHERE rsctype=0
  *
  * @param {string} connectionString - ODBC connection string
- * @returns {Promise<Object>} { success, siteId, sourceId, error }
+ * @param {Object} [options] - Bridge options for each query: { signal, timeoutMs }
+ * @returns {Promise<Object>} { success, siteId, sourceId, error, cancelled, timedOut }
  */
-async function getDentrixPracticeInfo(connectionString) {
+async function getDentrixPracticeInfo(connectionString, { signal, timeoutMs } = {}) {
   if (!connectionString) {
     return { success: false, error: 'Connection string is required' };
   }
 
-  // Try TOP 1 (SQL Server/Sybase) first; fallback to LIMIT 1 (MySQL)
-  const queries = [
-    'SELECT TOP 1 id1, practicename FROM admin.rsc WHERE rsctype=0',
-    'SELECT id1, practicename FROM admin.rsc WHERE rsctype=0 LIMIT 1',
-  ];
-
-  for (const query of queries) {
-    const result = await dentrixOdbcBridge.executeOdbcQuery(connectionString, query, []);
+  for (const query of PRACTICE_INFO_QUERIES) {
+    const result = await dentrixOdbcBridge.executeOdbcQuery(connectionString, query, [], { signal, timeoutMs });
 
+    // A cancelled or timed out query is not a reason to try the other syntax
+    if (result.cancelled || result.timedOut) {
+      return { success: false, error: result.error, cancelled: result.cancelled, timedOut: result.timedOut };
+    }
     if (!result.success) continue;
     if (!result.rows || result.rows.length === 0) continue;
 
@@ -66,27 +156,24 @@ async function getDentrixPracticeInfo(connectionString) {
  * @param {string} connectionString - ODBC connection string
  * @param {Date} startDate - Start date
  * @param {Date} endDate - End date
- * @returns {Promise<Object>} { success, appointmentIds: string[], error }
+ * @param {Object} [options] - Bridge options: { signal, timeoutMs } (timeoutMs defaults to the bridge's 60 s)
+ * @returns {Promise<Object>} { success, appointmentIds: string[], error, cancelled, timedOut }
  */
-async function getDentrixAppointmentIds(connectionString, startDate, endDate) {
+async function getDentrixAppointmentIds(connectionString, startDate, endDate, { signal, timeoutMs } = {}) {
   if (!connectionString) {
     return { success: false, appointmentIds: [], error: 'Connection string is required' };
   }
 
-  const query = `
-    SELECT appt.appointment_id
-    FROM admin.v_appt appt
-    WHERE appt.modified_time_stamp BETWEEN ? AND ?
-    AND appt.broken = 0
-  `.trim();
-
   const start = startDate instanceof Date ? startDate : new Date(startDate);
   const end = endDate instanceof Date ? endDate : new Date(endDate);
 
-  const result = await dentrixOdbcBridge.executeOdbcQuery(connectionString, query, [start, end]);
+  const result = await dentrixOdbcBridge.executeOdbcQuery(connectionString, APPOINTMENT_IDS_QUERY, [start, end], {
+    signal,
+    timeoutMs,
+  });
 
   if (!result.success) {
-    return { success: false, appointmentIds: [], error: result.error };
+    return { success: false, appointmentIds: [], error: result.error, cancelled: result.cancelled, timedOut: result.timedOut };
   }
 
   const appointmentIds = (result.rows || [])
@@ -98,77 +185,74 @@ async function getDentrixAppointmentIds(connectionString, startDate, endDate) {
 
 /**
  * Get appointments with patient and insurance details.
- * Mirrors AppointmentADO.GetAppointments (simplified - returns raw rows for flexibility)
+ * Mirrors AppointmentADO.GetAppointments (simplified - returns raw rows for flexibility).
+ * Values are typed by the bridge: ids and amounts are numbers (BigInt for 64-bit
+ * columns, decimal text for DECIMAL), appointment and birth dates are Dates.
  *
  * @param {string} connectionString - ODBC connection string
  * @param {Date} startDate - Start date
  * @param {Date} endDate - End date
- * @returns {Promise<Object>} { success, appointments: Object[], error }
+ * @param {Object} [options] - Bridge options: { signal, timeoutMs } (timeoutMs defaults to the bridge's 60 s)
+ * @returns {Promise<Object>} { success, appointments: Object[], columns: Object[], error, cancelled, timedOut } -
+ *   columns is the bridge's column metadata
  */
-async function getDentrixAppointments(connectionString, startDate, endDate) {
+async function getDentrixAppointments(connectionString, startDate, endDate, { signal, timeoutMs } = {}) {
   if (!connectionString) {
     return { success: false, appointments: [], error: 'Connection string is required' };
   }
 
-  const query = `
-    SELECT DISTINCT
-      a.appointment_id,
-      TIMESTAMPADD(MINUTE, a.start_minute, TIMESTAMPADD(HOUR, a.start_hour, a.appointment_date)) as appointment_date,
-      a.start_hour, a.reason, a.status_id, a.operatory_id, a.amount,
-      pt.patient_id, pt.patient_guid, pt.first_name, pt.last_name, pt.home_phone, pt.birth_date,
-      pt.city, pt.state, pt.zipcode, pt.address_line2, pt.address_line1, pt.gender,
-      ip.ins_co_name, ip.group_name,
-      p_sub.social_sec_num AS Prim_Subscriber_SSN,
-      p_sub.first_name AS Prim_Subscriber_FirstName, p_sub.last_name AS Prim_Subscriber_LastName,
-      p_sub.salutation AS Prim_Subscriber_Title, p_sub.birth_date AS Prim_Subscriber_BirthDate,
-      p_sub.gender AS Prim_Subscriber_Gender,
-      p_sub.address_line1 AS Prim_Subscriber_Street1, p_sub.address_line2 AS Prim_Subscriber_Street2,
-      p_sub.city AS Prim_Subscriber_City, p_sub.state AS Prim_Subscriber_State, p_sub.zipcode AS Prim_Subscriber_Zipcode,
-      pat.priminsrel AS Prim_Relationship_To_Patient,
-      p_e.employer_name AS Prim_Employer_Name, p_e.address_line1 AS Prim_Employer_Street1,
-      p_e.address_line2 AS Prim_Employer_Street2, p_e.city AS Prim_Employer_City,
-      p_e.state AS Prim_Employer_State, p_e.zip_code AS Prim_Employer_Zipcode, p_e.phone AS Prim_Employer_Phone,
-      ip.ins_co_name as Prim_InsuranceCompany_Name,
-      ip.address_line1 as Prim_InsuranceCompany_Street1, ip.address_line2 as Prim_InsuranceCompany_Street2,
-      ip.city as Prim_InsuranceCompany_City, ip.state as Prim_InsuranceCompany_State, ip.zipcode as Prim_InsuranceCompany_Zipcode,
-      ip.payor_id as Prim_InsuranceCompany_PayerId,
-      ins.id_num, ip.group_number,
-      sec_ins.id_num as Sec_MemberId,
-      sec_ip.ins_co_name as Sec_InsuranceCompany_Name,
-      sec_ip.address_line1 as Sec_InsuranceCompany_Street1, sec_ip.address_line2 as Sec_InsuranceCompany_Street2,
-      sec_ip.city as Sec_InsuranceCompany_City, sec_ip.state as Sec_InsuranceCompany_State, sec_ip.zipcode as Sec_InsuranceCompany_Zipcode,
-      sec_ip.payor_id as Sec_InsuranceCompany_PayerId, sec_ip.group_number as Sec_Insurance_GroupNumber,
-      s_sub.social_sec_num AS Sec_Subscriber_SSN, s_sub.first_name AS Sec_Subscriber_FirstName, s_sub.last_name AS Sec_Subscriber_LastName,
-      s_sub.salutation AS Sec_Subscriber_Title, s_sub.birth_date AS Sec_Subscriber_BirthDate, s_sub.gender AS Sec_Subscriber_Gender,
-      s_sub.address_line1 AS Sec_Subscriber_Street1, s_sub.address_line2 AS Sec_Subscriber_Street2,
-      s_sub.city AS Sec_Subscriber_City, s_sub.state AS Sec_Subscriber_State, s_sub.zipcode AS Sec_Subscriber_Zipcode
-    FROM admin.v_appt a
-    INNER JOIN admin.v_patient pt ON a.patient_id = pt.patient_id
-    INNER JOIN admin.patient pat ON pat.patid = pt.patient_id
-    LEFT JOIN admin.v_patient_insurance vp ON vp.patient_id = pt.patient_id
-    LEFT JOIN admin.v_insurance_plans ip ON vp.primary_insurance_carrier_id = ip.ins_id
-    LEFT JOIN admin.v_insured ins ON ins.insured_id = vp.primary_insured_id AND ip.ins_id = ins.ins_plan_id AND ins.ins_type = 0
-    LEFT JOIN admin.v_patient p_sub ON p_sub.patient_id = ins.ins_party_id
-    LEFT JOIN admin.v_insurance_plans sec_ip ON vp.secondary_insurance_carrier_id = sec_ip.ins_id
-    LEFT JOIN admin.v_insured sec_ins ON vp.secondary_insured_id IS NOT NULL AND sec_ins.insured_id = vp.secondary_insured_id AND sec_ip.ins_id = sec_ins.ins_plan_id AND sec_ins.ins_type = 0
-    LEFT JOIN admin.v_patient s_sub ON s_sub.patient_id = sec_ins.ins_party_id
-    LEFT JOIN admin.v_employers p_e ON p_e.employer_id = pt.employer_id
-    WHERE a.modified_time_stamp BETWEEN ? AND ?
-    AND a.broken = 0
-  `.trim();
-
   const start = startDate instanceof Date ? startDate : new Date(startDate);
   const end = endDate instanceof Date ? endDate : new Date(endDate);
   const startDateOnly = new Date(start.getFullYear(), start.getMonth(), start.getDate());
   const endDateOnly = new Date(end.getFullYear(), end.getMonth(), end.getDate());
 
-  const result = await dentrixOdbcBridge.executeOdbcQuery(connectionString, query, [startDateOnly, endDateOnly]);
+  const result = await dentrixOdbcBridge.executeOdbcQuery(connectionString, APPOINTMENTS_QUERY, [startDateOnly, endDateOnly], {
+    signal,
+    timeoutMs,
+  });
 
   if (!result.success) {
-    return { success: false, appointments: [], error: result.error };
+    return {
+      success: false,
+      appointments: [],
+      columns: [],
+      error: result.error,
+      cancelled: result.cancelled,
+      timedOut: result.timedOut,
+    };
   }
 
-  return { success: true, appointments: result.rows || [] };
+  return { success: true, appointments: result.rows || [], columns: result.columns || [] };
+}
+
+/**
+ * Stream appointments for a date range in batches, for ranges too large to fetch at
+ * once (a month of appointments with their insurance joins). Same rows and date
+ * handling as getDentrixAppointments, read through a bridge cursor.
+ *
+ * @param {string} connectionString - ODBC connection string
+ * @param {Date} startDate - Start date
+ * @param {Date} endDate - End date
+ * @param {Object} [options] - { signal, batchSize }
+ * @returns {AsyncIterable<Object>} { columns, appointments: Object[] } batches; throws on failure
+ */
+async function* streamDentrixAppointments(connectionString, startDate, endDate, { signal, batchSize } = {}) {
+  if (!connectionString) {
+    throw new Error('Connection string is required');
+  }
+
+  const start = startDate instanceof Date ? startDate : new Date(startDate);
+  const end = endDate instanceof Date ? endDate : new Date(endDate);
+  const startDateOnly = new Date(start.getFullYear(), start.getMonth(), start.getDate());
+  const endDateOnly = new Date(end.getFullYear(), end.getMonth(), end.getDate());
+
+  const batches = dentrixOdbcBridge.streamOdbcQuery(connectionString, APPOINTMENTS_QUERY, [startDateOnly, endDateOnly], {
+    signal,
+    batchSize,
+  });
+  for await (const batch of batches) {
+    yield { columns: batch.columns, appointments: batch.rows };
+  }
 }
 
 /**
@@ -184,21 +268,11 @@ async function getDentrixProviders(connectionString, appointmentIds) {
     return { success: true, providersByAppointmentId: {} };
   }
 
-  const placeholders = appointmentIds.map(() => '?').join(', ');
-  const query = `
-    SELECT a.appointment_id, pt.patient_id, pr.provider_id,
-      pr.first_name AS provider_first_name, pr.last_name AS provider_last_name,
-      pr.npi, pr.tin, pr.ssn AS provider_ssn,
-      pr.address_line1 AS provider_address1, pr.address_line2 AS provider_address2,
-      pr.city AS provider_city, pr.state AS provider_state, pr.work_phone AS provider_work_phone,
-      pr.suffix AS provider_suffix, pr.zip_code AS provider_zipcode, pr.issecondaryprovider
-    FROM admin.v_appt a
-    INNER JOIN admin.v_provider pr ON (a.provider_id = pr.provider_id OR a.addtnl_provider_id = pr.provider_id)
-    INNER JOIN admin.v_patient pt ON a.patient_id = pt.patient_id
-    WHERE pr.inactive = 0 AND a.appointment_id IN (${placeholders})
-  `.trim();
-
-  const result = await dentrixOdbcBridge.executeOdbcQuery(connectionString, query, appointmentIds);
+  const result = await dentrixOdbcBridge.executeOdbcQuery(
+    connectionString,
+    buildProvidersQuery(appointmentIds.length),
+    appointmentIds
+  );
 
   if (!result.success) {
     return { success: false, providersByAppointmentId: {}, error: result.error };
@@ -223,7 +297,8 @@ async function getDentrixProviders(connectionString, appointmentIds) {
         state: row.provider_state,
         zip: row.provider_zipcode,
       },
-      isSecondaryProvider: row.issecondaryprovider === '1' || row.issecondaryprovider === 1,
+      // BIT columns arrive as booleans, SMALLINT flags as numbers
+      isSecondaryProvider: row.issecondaryprovider === true || Number(row.issecondaryprovider) === 1,
     };
 
     if (!providersByAppointmentId[apptId]) providersByAppointmentId[apptId] = [];
@@ -275,9 +350,11 @@ async function getDentrixConnectionAndPracticeInfo(dentrixServicePath) {
 }
 
 module.exports = {
+  BUILT_IN_QUERIES,
   getDentrixPracticeInfo,
   getDentrixAppointmentIds,
   getDentrixAppointments,
+  streamDentrixAppointments,
   getDentrixProviders,
   getDentrixConnectionAndPracticeInfo,
 };
@@ -1,7 +1,8 @@
 /**
  * Dentrix ODBC Bridge
  *
- * Executes ODBC queries against the Dentrix database using PowerShell.
+ * Executes ODBC queries against the Dentrix database through the PowerShell
+ * bridge worker (see odbcWorker), which keeps its ODBC connections open between queries.
  * Mirrors the .NET AppointmentADO and DentrixFacade which use System.Data.Odbc.
  *
  * Dentrix uses ODBC connection strings (UID=...;PWD=...;Server=...;DBN=...).
@@ -10,6 +11,12 @@
 
 const { exec } = require('child_process');
 const { promisify } = require('util');
+const { performance } = require('perf_hooks');
+const { classifySql, getReadOnlyViolation, tokenize } = require('./sqlClassifier');
+const { recordBlockedQuery } = require('./queryAudit');
+const retryPolicy = require('./retryPolicy');
+const odbcWorker = require('./odbcWorker');
+const { decodeOdbcRows, toOdbcParam } = require('./odbcTypes');
 const execPromise = promisify(exec);
 
 const POWERSHELL_32BIT_PATH = '%SystemRoot%\\SysWOW64\\WindowsPowerShell\\v1.0\\powershell.exe';
@@ -19,127 +26,341 @@ const POWERSHELL_64BIT_PATH = 'powershell.exe';
  * Execute an ODBC query and return results as array of objects.
  * Mirrors .NET OdbcConnection + OdbcCommand + OdbcDataReader.
  *
+ * Values keep their column types (see odbcTypes): numbers, BigInt for 64-bit
+ * integers, exact decimals as strings, Dates, Buffers for binary columns.
+ *
  * @param {string} connectionString - Full ODBC connection string (e.g., UID=pdba;PWD=...;Server=...;DBN=...)
  * @param {string} query - SQL query with ? placeholders for parameters
- * @param {Array} params - Query parameters (in order)
- * @returns {Promise<Object>} { success, rows, error }
+ * @param {Array} params - Query parameters in placeholder order: plain values or { type, value } (see toOdbcParam)
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Aborting retires the worker running the query (query cancel)
+ * @param {number} [options.timeoutMs=60000] - Per-attempt timeout; a query still running retires its worker
+ * @param {boolean} [options.allowWrites=false] - Practice databases are read-only by default;
+ *   data-modifying and DDL statements are rejected (and audited) unless this is true
+ * @param {Object} [options.retry] - Retry policy override (see retryPolicy); transient errors such
+ *   as 08S01 communication link failures are retried
+ * @param {string} [options.timezone='local'] - 'local' or 'utc': the zone DATE/TIMESTAMP values
+ *   (which carry none) are read in, and Date params are written in
+ * @param {string} [options.rowMode='object'] - 'array' returns rows as arrays in column order,
+ *   which keeps duplicate column names
+ * @returns {Promise<Object>} { success, columns: [{ name, sqlType, dataType, precision, scale, size, nullable }],
+ *   rows, error, cancelled, blocked, attempts }
+ */
+async function executeOdbcQuery(connectionString, query, params = [], options = {}) {
+  const prepared = await prepareOdbcQuery(connectionString, query, params, options);
+  if (prepared.failure) return prepared.failure;
+  const { paramValues, typeOptions } = prepared;
+
+  const runQuery = async () => {
+    const result = await odbcWorker.runWorkerQuery(connectionString, query, paramValues, {
+      signal: options.signal,
+      timeoutMs: options.timeoutMs,
+    });
+    if (!result.success) return result;
+    return { ...result, rows: decodeRows(result.columns, result.rows, typeOptions, options.rowMode) };
+  };
+
+  return retryPolicy.withRetry(runQuery, getRetryOptions(query, options));
+}
+
+/**
+ * Checks shared by queries and cursors: connection string, read-only policy and
+ * placeholder count. Returns { failure } with the result to return, or the params
+ * formatted for the worker.
  */
-async function executeOdbcQuery(connectionString, query, params = []) {
+async function prepareOdbcQuery(connectionString, query, params, options) {
   if (!connectionString || typeof connectionString !== 'string') {
-    return { success: false, rows: [], error: 'Connection string is required' };
+    return { failure: { success: false, rows: [], error: 'Connection string is required' } };
   }
 
-  // Escape for PowerShell: single quotes in connection string, and escape params
-  const escapedConnStr = connectionString.replace(/'/g, "''");
-  const escapedQuery = query.replace(/'/g, "''").replace(/\r?\n/g, ' ');
+  if (options.allowWrites !== true) {
+    const classification = classifySql(query, { dialect: 'generic' });
+    if (!classification.readOnly) {
+      await recordBlockedQuery({ source: 'odbc-bridge', dialect: 'generic', blocked: classification.blocked, query });
+      return { failure: { ...getReadOnlyViolation(classification), rows: [] } };
+    }
+  }
 
-  // Build params array for PowerShell - handle dates, nulls, etc.
-  const paramValues = params.map((p) => {
-    if (p == null) return 'NULL';
-    if (p instanceof Date) return p.toISOString().slice(0, 19).replace('T', ' ');
-    return String(p);
-  });
+  // Parameters travel to the worker as data, { type, value }, and are bound with their declared type
+  const typeOptions = { timezone: options.timezone === 'utc' ? 'utc' : 'local' };
+  let paramValues;
+  try {
+    paramValues = params.map(p => toOdbcParam(p, typeOptions));
+  } catch (error) {
+    return { failure: { success: false, rows: [], error: error.message } };
+  }
 
-  const paramsJson = JSON.stringify(paramValues);
+  let paramCount;
+  try {
+    paramCount = countPlaceholders(query);
+  } catch (error) {
+    return { failure: { success: false, rows: [], error: error.message } };
+  }
+  if (paramCount !== paramValues.length) {
+    return {
+      failure: { success: false, rows: [], error: `Query has ${paramCount} placeholders but ${paramValues.length} params provided` },
+    };
+  }
+  return { paramValues, typeOptions };
+}
 
-  const script = `
-$ErrorActionPreference = "Stop"
-$result = @()
-try {
-  Add-Type -AssemblyName System.Data
-  $connStr = '${escapedConnStr}'
-  $query = '${escapedQuery}'
-  $paramsJson = '${paramsJson}'.Replace("'", "''")
-  $paramValues = $paramsJson | ConvertFrom-Json
+/**
+ * Number of ? placeholders, not counting a ? inside a string literal, quoted
+ * identifier or comment
+ *
+ * @throws {Error} On an unterminated string, identifier or comment
+ */
+function countPlaceholders(query) {
+  const tokens = tokenize(query, { bracketIdentifiers: true, backtickIdentifiers: true });
+  return tokens.filter(token => token.type === 'punct' && token.value === '?').length;
+}
 
-  $conn = New-Object System.Data.Odbc.OdbcConnection($connStr)
-  $conn.Open()
+function getRetryOptions(query, options) {
+  // Reads can always be retried; writes only on errors that mean the statement did not run
+  const idempotent = options.allowWrites !== true || classifySql(query, { dialect: 'generic' }).readOnly;
+  return {
+    driver: 'odbc',
+    policy: options.retry,
+    idempotent,
+    shouldStop: () => Boolean(options.signal && options.signal.aborted),
+  };
+}
 
-  $cmd = $conn.CreateCommand()
-  $cmd.CommandText = $query
+/**
+ * Typed rows as objects keyed by column name, or arrays in column order with rowMode 'array'
+ */
+function decodeRows(columns, rows, typeOptions, rowMode) {
+  const decoded = decodeOdbcRows(columns, rows, typeOptions);
+  if (rowMode === 'array') return decoded;
+  return decoded.map(row => Object.fromEntries(columns.map((column, i) => [column.name, row[i]])));
+}
 
-  foreach ($pv in $paramValues) {
-    if ($pv -eq "NULL") { $cmd.Parameters.AddWithValue("@p", [DBNull]::Value) | Out-Null }
-    else { $cmd.Parameters.AddWithValue("@p", $pv) | Out-Null }
-  }
+/**
+ * Open a cursor over a query's result and read it a page at a time, so results
+ * of any size are processed with bounded memory. The cursor holds its own ODBC
+ * connection on a bridge worker until the last page is read or close() is called;
+ * always close a cursor that is abandoned early.
+ *
+ *   const { success, cursor, error } = await openOdbcCursor(connStr, query, params, { pageSize: 5000 });
+ *   for await (const rows of cursor) { ... }          // or: await cursor.nextPage() until done
+ *
+ * Opening is retried like executeOdbcQuery; a failed page ends the cursor.
+ *
+ * @param {string} connectionString - Full ODBC connection string
+ * @param {string} query - SQL query with ? placeholders for parameters
+ * @param {Array} params - Query parameters in placeholder order (see executeOdbcQuery)
+ * @param {Object} [options] - executeOdbcQuery options, and:
+ * @param {number} [options.pageSize=1000] - Rows per page
+ * @param {number} [options.timeoutMs] - Timeout for opening and for each page (not the whole read)
+ * @returns {Promise<Object>} { success, cursor, columns, error, cancelled, blocked, attempts } where cursor is
+ *   { columns, rowsRead, done, nextPage() -> Promise<{ success, rows, done, error }>, close(), [Symbol.asyncIterator] }
+ */
+async function openOdbcCursor(connectionString, query, params = [], options = {}) {
+  const prepared = await prepareOdbcQuery(connectionString, query, params, options);
+  if (prepared.failure) return prepared.failure;
+  const { paramValues, typeOptions } = prepared;
 
-  $reader = $cmd.ExecuteReader()
-  $columns = @()
-  for ($i = 0; $i -lt $reader.FieldCount; $i++) {
-    $columns += $reader.GetName($i)
-  }
+  const workerOptions = { signal: options.signal, timeoutMs: options.timeoutMs, batchSize: options.pageSize };
+  const opened = await retryPolicy.withRetry(
+    () => odbcWorker.openWorkerCursor(connectionString, query, paramValues, workerOptions),
+    getRetryOptions(query, options)
+  );
+  if (!opened.success) return { ...opened, rows: [] };
 
-  while ($reader.Read()) {
-    $row = @{}
-    for ($i = 0; $i -lt $reader.FieldCount; $i++) {
-      $val = $reader.GetValue($i)
-      if ($val -is [DateTime]) { $row[$columns[$i]] = $val.ToString("yyyy-MM-dd HH:mm:ss") }
-      elseif ($val -eq [DBNull]::Value) { $row[$columns[$i]] = $null }
-      else { $row[$columns[$i]] = $val.ToString().Trim() }
-    }
-    $result += [PSCustomObject]$row
+  const { columns } = opened;
+  // The first page arrives with the columns
+  let firstPage = opened.rows;
+  let exhausted = false;
+
+  const cursor = {
+    columns,
+    rowsRead: 0,
+    done: false,
+
+    async nextPage() {
+      // Aborting closes the cursor; report it rather than ending as if all rows were read
+      if (options.signal && options.signal.aborted && !exhausted) {
+        cursor.done = true;
+        return { success: false, rows: [], done: true, error: 'Query cancelled', cancelled: true };
+      }
+      if (cursor.done) return { success: true, rows: [], done: true };
+      let page;
+      if (firstPage) {
+        page = { success: true, rows: firstPage, done: opened.done };
+        firstPage = null;
+      } else {
+        page = await opened.fetch();
+      }
+      if (!page.success) {
+        cursor.done = true;
+        return { ...page, rows: [] };
+      }
+      const rows = decodeRows(columns, page.rows, typeOptions, options.rowMode);
+      cursor.rowsRead += rows.length;
+      cursor.done = page.done;
+      exhausted = page.done;
+      return { success: true, rows, done: page.done };
+    },
+
+    async close() {
+      cursor.done = true;
+      firstPage = null;
+      await opened.close();
+    },
+
+    async* [Symbol.asyncIterator]() {
+      try {
+        let page;
+        do {
+          page = await cursor.nextPage();
+          if (!page.success) throw toQueryError(page);
+          if (page.rows.length > 0) yield page.rows;
+        } while (!page.done);
+      } finally {
+        await cursor.close();
+      }
+    },
+  };
+
+  return { success: true, cursor, columns, attempts: opened.attempts };
+}
+
+/**
+ * Stream a query's rows in batches: an async iterator over openOdbcCursor pages.
+ * Breaking out of the loop closes the cursor. Failures are thrown as Errors
+ * carrying cancelled, blocked, state and code from the result.
+ *
+ * @param {string} connectionString - Full ODBC connection string
+ * @param {string} query - SQL query with ? placeholders for parameters
+ * @param {Array} params - Query parameters in placeholder order (see executeOdbcQuery)
+ * @param {Object} [options] - openOdbcCursor options (batchSize is an alias for pageSize)
+ * @returns {AsyncIterable<Object>} { columns, rows } batches; a query without rows yields one empty batch
+ */
+async function* streamOdbcQuery(connectionString, query, params = [], options = {}) {
+  const result = await openOdbcCursor(connectionString, query, params, {
+    ...options,
+    pageSize: options.pageSize || options.batchSize,
+  });
+  if (!result.success) throw toQueryError(result);
+
+  let yielded = false;
+  for await (const rows of result.cursor) {
+    yielded = true;
+    yield { columns: result.columns, rows };
   }
-  $reader.Close()
-  $conn.Close()
+  if (!yielded) yield { columns: result.columns, rows: [] };
+}
 
-  $result | ConvertTo-Json -Compress -Depth 10
-  exit 0
-} catch {
-  Write-Error "ERROR: $($_.Exception.Message)"
-  exit 1
+function toQueryError(result) {
+  const error = new Error(result.error || 'ODBC query failed');
+  for (const key of ['cancelled', 'blocked', 'timedOut', 'state', 'code']) {
+    if (result[key]) error[key] = result[key];
+  }
+  return error;
 }
-`.trim();
 
-  // ODBC uses positional ? - Parameters.AddWithValue adds in order, but we use @p for all
-  // Actually ODBC doesn't use named params - it uses ? and AddWithValue adds by position.
-  // Let me fix the script - we need to add one param per ? in the query.
-  const paramCount = (query.match(/\?/g) || []).length;
-  if (paramCount !== paramValues.length) {
-    return { success: false, rows: [], error: `Query has ${paramCount} placeholders but ${paramValues.length} params provided` };
+/**
+ * Run a PowerShell script, preferring 32-bit PowerShell and falling back to 64-bit
+ * when it cannot be started. Scripts report failures as "ERROR: <message>".
+ * Aborting signal kills the PowerShell process. Values the script needs are
+ * passed as input, written to its stdin as JSON, never spliced into the script.
+ *
+ * @returns {Promise<Object>} { success, output, elapsedMs, powershell: '32-bit' | '64-bit', error, cancelled }
+ */
+async function runPowerShellScript(script, { timeout = 60000, signal, input } = {}) {
+  const encodedScript = Buffer.from(script, 'utf16le').toString('base64');
+
+  for (const psPath of [POWERSHELL_32BIT_PATH, POWERSHELL_64BIT_PATH]) {
+    const startedAt = performance.now();
+    try {
+      const running = execPromise(
+        `${psPath} -NoProfile -NonInteractive -EncodedCommand ${encodedScript}`,
+        { timeout, signal, maxBuffer: 10 * 1024 * 1024 }
+      );
+      if (input !== undefined) {
+        // The process may fail to start; its error comes from the promise
+        running.child.stdin.on('error', () => {});
+        running.child.stdin.end(JSON.stringify(input), 'utf8');
+      }
+      const { stdout } = await running;
+      return {
+        success: true,
+        output: stdout.trim(),
+        elapsedMs: performance.now() - startedAt,
+        powershell: psPath === POWERSHELL_32BIT_PATH ? '32-bit' : '64-bit',
+      };
+    } catch (err) {
+      if (signal && signal.aborted) {
+        return { success: false, error: 'Query cancelled', cancelled: true };
+      }
+      const combined = [err.stdout, err.stderr].filter(Boolean).join('\n').trim();
+      if (combined.includes('ERROR:')) {
+        const match = combined.match(/ERROR:\s*(.+)/);
+        return { success: false, error: match ? match[1].trim() : combined };
+      }
+      if (err.killed) {
+        return { success: false, error: 'PowerShell timed out' };
+      }
+    }
   }
 
-  const paramAddLines = paramValues
-    .map((p, i) => (p === 'NULL' ? `$cmd.Parameters.AddWithValue("?", [DBNull]::Value) | Out-Null` : `$cmd.Parameters.AddWithValue("?", $paramValues[${i}]) | Out-Null`))
-    .join('\n  ');
+  return { success: false, error: 'Failed to start PowerShell' };
+}
 
-  const paramValuesStr = paramValues
-    .map((p) => (p === 'NULL' ? '[DBNull]::Value' : `'${String(p).replace(/'/g, "''")}'`))
-    .join(', ');
+/**
+ * Time starting PowerShell and loading System.Data without touching the database:
+ * the fixed overhead every bridge query pays before it can connect
+ *
+ * @returns {Promise<Object>} { success, elapsedMs, powershell, error }
+ */
+async function measurePowerShellStartup({ signal } = {}) {
+  const result = await runPowerShellScript('Add-Type -AssemblyName System.Data; "ok"', { signal });
+  return result.success ? { success: true, elapsedMs: result.elapsedMs, powershell: result.powershell } : result;
+}
 
-  const finalScript = `
+// Reads { connectionString, pingQuery, iterations, sampleQuery } from stdin (see runOdbcDiagnostics)
+const DIAGNOSTICS_SCRIPT = `
 $ErrorActionPreference = "Stop"
-$result = @()
 try {
   Add-Type -AssemblyName System.Data
-  $connStr = '${escapedConnStr}'
-  $query = '${escapedQuery}'
-  $paramValues = @(${paramValuesStr})
-
-  $conn = New-Object System.Data.Odbc.OdbcConnection($connStr)
+  [Console]::InputEncoding = New-Object System.Text.UTF8Encoding($false)
+  $req = [Console]::In.ReadToEnd() | ConvertFrom-Json
+  $total = [System.Diagnostics.Stopwatch]::StartNew()
+  $sw = [System.Diagnostics.Stopwatch]::StartNew()
+  $conn = New-Object System.Data.Odbc.OdbcConnection([string]$req.connectionString)
   $conn.Open()
+  $connectMs = $sw.Elapsed.TotalMilliseconds
 
   $cmd = $conn.CreateCommand()
-  $cmd.CommandText = $query
-  ${paramAddLines}
-
-  $reader = $cmd.ExecuteReader()
-  $columns = @()
-  for ($i = 0; $i -lt $reader.FieldCount; $i++) { $columns += $reader.GetName($i) }
-
-  while ($reader.Read()) {
-    $row = @{}
-    for ($j = 0; $j -lt $reader.FieldCount; $j++) {
-      $val = $reader.GetValue($j)
-      if ($val -is [DateTime]) { $row[$columns[$j]] = $val.ToString("yyyy-MM-dd HH:mm:ss") }
-      elseif ($val -eq [DBNull]::Value) { $row[$columns[$j]] = $null }
-      else { $row[$columns[$j]] = $val.ToString().Trim() }
+  $cmd.CommandText = [string]$req.pingQuery
+  $pings = @()
+  for ($n = 0; $n -lt [int]$req.iterations; $n++) {
+    $sw.Restart()
+    $cmd.ExecuteScalar() | Out-Null
+    $pings += $sw.Elapsed.TotalMilliseconds
+  }
+
+  $sample = $null
+  $sampleQuery = [string]$req.sampleQuery
+  if ($sampleQuery -ne '') {
+    $cmd.CommandText = $sampleQuery
+    $sw.Restart()
+    $reader = $cmd.ExecuteReader()
+    $rows = 0
+    $chars = 0
+    while ($reader.Read()) {
+      $rows++
+      for ($j = 0; $j -lt $reader.FieldCount; $j++) {
+        $val = $reader.GetValue($j)
+        if ($val -ne [DBNull]::Value) { $chars += $val.ToString().Length }
+      }
     }
-    $result += [PSCustomObject]$row
+    $reader.Close()
+    $sample = @{ rows = $rows; bytes = $chars; ms = $sw.Elapsed.TotalMilliseconds }
   }
-  $reader.Close()
   $conn.Close()
 
-  $result | ConvertTo-Json -Compress -Depth 10
+  @{ connectMs = $connectMs; pingsMs = $pings; sample = $sample; scriptMs = $total.Elapsed.TotalMilliseconds } | ConvertTo-Json -Compress -Depth 5
   exit 0
 } catch {
   Write-Error "ERROR: $($_.Exception.Message)"
@@ -147,44 +368,64 @@ try {
 }
 `.trim();
 
-  const encodedScript = Buffer.from(finalScript, 'utf16le').toString('base64');
-
-  const powershellPaths = [POWERSHELL_32BIT_PATH, POWERSHELL_64BIT_PATH];
-
-  for (const psPath of powershellPaths) {
-    try {
-      const { stdout, stderr } = await execPromise(
-        `${psPath} -NoProfile -NonInteractive -EncodedCommand ${encodedScript}`,
-        { timeout: 60000, maxBuffer: 10 * 1024 * 1024 }
-      );
-
-      const output = stdout.trim();
-      if (output.startsWith('ERROR:')) {
-        return { success: false, rows: [], error: output.replace('ERROR:', '').trim() };
-      }
-
-      if (!output) {
-        return { success: true, rows: [] };
-      }
-
-      const rows = JSON.parse(output);
-      return { success: true, rows: Array.isArray(rows) ? rows : [rows] };
-    } catch (err) {
-      const combined = [err.stdout, err.stderr].filter(Boolean).join('\n').trim();
-      if (combined.includes('ERROR:')) {
-        const match = combined.match(/ERROR:\s*(.+)/);
-        return { success: false, rows: [], error: match ? match[1].trim() : combined };
-      }
-      if (err.message && err.message.includes('timeout')) {
-        return { success: false, rows: [], error: 'Query timed out' };
-      }
-      continue;
+/**
+ * Measure an ODBC connection from inside one PowerShell process: connect time,
+ * pingQuery round trips and the fetch of sampleQuery. Times are taken with a
+ * Stopwatch in the script, so they exclude PowerShell startup; scriptMs against
+ * elapsedMs gives the process overhead.
+ *
+ * @param {string} connectionString - Full ODBC connection string
+ * @param {Object} options
+ * @param {string} options.pingQuery - Cheapest statement for the database (e.g. SELECT 1)
+ * @param {number} options.iterations - Round trips to time
+ * @param {string} [options.sampleQuery] - Query whose rows are fetched to measure throughput
+ * @param {AbortSignal} [options.signal] - Aborting kills the diagnostic process
+ * @returns {Promise<Object>} { success, connectMs, pingsMs: number[], sample: { rows, bytes, ms } | null,
+ *   scriptMs, elapsedMs, powershell, error } - bytes is the text length of the fetched values
+ */
+async function runOdbcDiagnostics(connectionString, { pingQuery, iterations, sampleQuery = null, signal }) {
+  if (!connectionString || typeof connectionString !== 'string') {
+    return { success: false, error: 'Connection string is required' };
+  }
+  for (const query of [pingQuery, sampleQuery].filter(Boolean)) {
+    if (!classifySql(query, { dialect: 'generic' }).readOnly) {
+      return { success: false, error: 'Diagnostic queries must be read-only' };
     }
   }
 
-  return { success: false, rows: [], error: 'Failed to execute ODBC query via PowerShell' };
+  const result = await runPowerShellScript(DIAGNOSTICS_SCRIPT, {
+    timeout: 120000,
+    signal,
+    input: {
+      connectionString,
+      pingQuery,
+      iterations: Math.max(parseInt(iterations, 10) || 1, 1),
+      sampleQuery: sampleQuery || '',
+    },
+  });
+  if (!result.success) return result;
+
+  try {
+    const measured = JSON.parse(result.output);
+    return {
+      success: true,
+      connectMs: measured.connectMs,
+      // Windows PowerShell can serialize a one-element array as a bare value
+      pingsMs: [].concat(measured.pingsMs || []),
+      sample: measured.sample || null,
+      scriptMs: measured.scriptMs,
+      elapsedMs: result.elapsedMs,
+      powershell: result.powershell,
+    };
+  } catch (err) {
+    return { success: false, error: `Unexpected diagnostics output: ${result.output.slice(0, 200)}` };
+  }
 }
 
 module.exports = {
   executeOdbcQuery,
+  openOdbcCursor,
+  streamOdbcQuery,
+  measurePowerShellStartup,
+  runOdbcDiagnostics,
 };
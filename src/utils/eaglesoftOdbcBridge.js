@@ -20,9 +20,11 @@ const POWERSHELL_32BIT_PATH = '%SystemRoot%\\SysWOW64\\WindowsPowerShell\\v1.0\\
 /**
  * Test an ODBC connection using 32-bit PowerShell
  * @param {Object} config - Connection configuration with DSN, DBN, username, password
- * @returns {Promise<Object>} Result object with success, message, error, etc.
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Aborting kills the PowerShell process
+ * @returns {Promise<Object>} Result object with success, message, error, cancelled, etc.
  */
-async function testOdbcConnection32Bit(config) {
+async function testOdbcConnection32Bit(config, { signal } = {}) {
   // Build ODBC connection string
   const connectionString =
     config.odbcConnectionString ||
@@ -46,21 +48,19 @@ async function testOdbcConnection32Bit(config) {
   // Using 32-bit PowerShell ensures we can access 32-bit ODBC drivers.
   //
   // IMPORTANT:
-  // - We wrap the connection string in SINGLE quotes in PowerShell:
-  //     $connectionString = '...'
-  // - In single-quoted strings, PowerShell treats characters literally,
-  //   including the backtick (`), so the password VwnAKYX` is preserved.
-  // - The ONLY thing we must escape is a single quote itself, by doubling it.
-  const escapedConnectionString = connectionString.replace(/'/g, "''");
-
+  // - The connection string is written to the script's stdin as JSON, never
+  //   spliced into the script, so passwords with quotes, backticks or $( ) reach
+  //   the driver unchanged.
   const powershellScript = `
 $ErrorActionPreference = "Stop"
 try {
   # Load .NET ODBC classes
   Add-Type -AssemblyName System.Data
 
-  # Connection string (using single quotes to avoid most escaping issues)
-  $connectionString = '${escapedConnectionString}'
+  # Connection string, from stdin
+  [Console]::InputEncoding = New-Object System.Text.UTF8Encoding($false)
+  $request = [Console]::In.ReadToEnd() | ConvertFrom-Json
+  $connectionString = [string]$request.connectionString
   
   # Create ODBC connection
   $connection = New-Object System.Data.Odbc.OdbcConnection($connectionString)
@@ -107,10 +107,13 @@ try {
 
   try {
     // Execute using 32-bit PowerShell
-    const { stdout, stderr } = await execPromise(
+    const running = execPromise(
       `${POWERSHELL_32BIT_PATH} -NoProfile -NonInteractive -EncodedCommand ${encodedScript}`,
-      { timeout: 30000 }
+      { timeout: 30000, signal }
     );
+    running.child.stdin.on('error', () => {});
+    running.child.stdin.end(JSON.stringify({ connectionString }), 'utf8');
+    const { stdout, stderr } = await running;
 
     const output = stdout.trim();
     const lines = output.split('\n').map(line => line.trim());
@@ -158,6 +161,10 @@ try {
       output: output,
     };
   } catch (error) {
+    if (signal && signal.aborted) {
+      return { success: false, cancelled: true, error: 'Connection test cancelled' };
+    }
+
     // PowerShell process returned a non-zero exit code.
     // However, stdout/stderr may still contain our SUCCESS/ERROR/HINT markers.
     const stdout = (error && error.stdout ? String(error.stdout) : '').trim();
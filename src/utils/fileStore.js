@@ -0,0 +1,197 @@
+/**
+ * File Store helpers
+ *
+ * Crash-safe file writes and rolling backup generations for small JSON stores
+ * (saved connections + secret vault).
+ *
+ * - writeFileAtomic: write to a temp file in the same directory, fsync, then
+ *   rename over the target. A crash or full disk leaves either the old or the
+ *   new file intact, never a truncated one.
+ * - Backup generations: a set of files copied together into
+ *   <backupDir>/<generationId>/ so related files (connections + secrets) can be
+ *   rolled back as a unit. Only the newest N generations are kept.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+const RENAME_RETRIES = 5;
+const RENAME_RETRY_DELAY_MS = 100;
+
+/**
+ * Write a file atomically (temp file + fsync + rename).
+ *
+ * @param {string} filePath - Target path
+ * @param {string|Buffer} data - File contents
+ * @param {Object} [options]
+ * @param {string} [options.encoding='utf-8']
+ * @param {number} [options.mode] - File mode for the new file
+ */
+async function writeFileAtomic(filePath, data, { encoding = 'utf-8', mode } = {}) {
+  const dir = path.dirname(filePath);
+  const tempPath = path.join(
+    dir,
+    `.${path.basename(filePath)}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`
+  );
+
+  let handle;
+  try {
+    handle = await fs.open(tempPath, 'w', mode);
+    await handle.writeFile(data, { encoding });
+    await handle.sync();
+    await handle.close();
+    handle = null;
+
+    // Antivirus/indexers on Windows can briefly lock the target - retry the rename.
+    for (let attempt = 0; ; attempt++) {
+      try {
+        await fs.rename(tempPath, filePath);
+        break;
+      } catch (error) {
+        const retryable = error.code === 'EPERM' || error.code === 'EACCES' || error.code === 'EBUSY';
+        if (!retryable || attempt >= RENAME_RETRIES) throw error;
+        await new Promise((resolve) => setTimeout(resolve, RENAME_RETRY_DELAY_MS * (attempt + 1)));
+      }
+    }
+  } catch (error) {
+    if (handle) {
+      try {
+        await handle.close();
+      } catch (_) {}
+    }
+    try {
+      await fs.unlink(tempPath);
+    } catch (_) {}
+    throw error;
+  }
+
+  // Persist the rename itself where the platform allows fsync on directories.
+  if (process.platform !== 'win32') {
+    try {
+      const dirHandle = await fs.open(dir, 'r');
+      await dirHandle.sync();
+      await dirHandle.close();
+    } catch (_) {}
+  }
+}
+
+/**
+ * Check whether a path exists
+ */
+async function pathExists(p) {
+  try {
+    await fs.access(p);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Copy the given files into a new backup generation and prune old generations.
+ * Files that do not exist are skipped; nothing is created if none exist.
+ *
+ * @param {string} backupDir - Directory holding generation folders
+ * @param {string[]} filePaths - Files to back up together
+ * @param {number} maxGenerations - Number of generations to keep
+ * @returns {Promise<string|null>} Generation ID, or null if there was nothing to back up
+ */
+async function createBackupGeneration(backupDir, filePaths, maxGenerations) {
+  const existing = [];
+  for (const filePath of filePaths) {
+    if (await pathExists(filePath)) existing.push(filePath);
+  }
+  if (existing.length === 0) return null;
+
+  const baseId = new Date().toISOString().replace(/[:.]/g, '-');
+  let generationId = baseId;
+  for (let i = 1; await pathExists(path.join(backupDir, generationId)); i++) {
+    generationId = `${baseId}-${i}`;
+  }
+
+  const generationDir = path.join(backupDir, generationId);
+  await fs.mkdir(generationDir, { recursive: true });
+  for (const filePath of existing) {
+    await fs.copyFile(filePath, path.join(generationDir, path.basename(filePath)));
+  }
+
+  await pruneBackupGenerations(backupDir, maxGenerations);
+  return generationId;
+}
+
+/**
+ * List backup generation IDs, newest first
+ */
+async function listBackupGenerationIds(backupDir) {
+  try {
+    const entries = await fs.readdir(backupDir, { withFileTypes: true });
+    return entries
+      .filter((entry) => entry.isDirectory())
+      .map((entry) => entry.name)
+      .sort()
+      .reverse();
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+/**
+ * Remove generations beyond the newest `maxGenerations`
+ */
+async function pruneBackupGenerations(backupDir, maxGenerations) {
+  const ids = await listBackupGenerationIds(backupDir);
+  for (const id of ids.slice(maxGenerations)) {
+    try {
+      await fs.rm(path.join(backupDir, id), { recursive: true, force: true });
+    } catch (error) {
+      console.error(`Error removing backup generation ${id}:`, error);
+    }
+  }
+}
+
+/**
+ * Resolve a generation directory, rejecting IDs that would escape backupDir
+ */
+function getBackupGenerationDir(backupDir, generationId) {
+  if (!generationId || typeof generationId !== 'string' || generationId !== path.basename(generationId)) {
+    throw new Error(`Invalid backup generation ID: ${generationId}`);
+  }
+  return path.join(backupDir, generationId);
+}
+
+/**
+ * Read the files of a backup generation into memory.
+ * Reading before writing anything lets callers back up the current state
+ * (which may prune old generations) before restoring.
+ *
+ * @param {string} backupDir - Directory holding generation folders
+ * @param {string} generationId - Generation to read
+ * @param {string[]} targetPaths - Files to read (matched by base name)
+ * @returns {Promise<Map<string, Buffer>>} targetPath -> contents, for files present in the generation
+ */
+async function readBackupGeneration(backupDir, generationId, targetPaths) {
+  const generationDir = getBackupGenerationDir(backupDir, generationId);
+  if (!(await pathExists(generationDir))) {
+    throw new Error(`Backup generation not found: ${generationId}`);
+  }
+
+  const contents = new Map();
+  for (const targetPath of targetPaths) {
+    const sourcePath = path.join(generationDir, path.basename(targetPath));
+    if (!(await pathExists(sourcePath))) continue;
+    contents.set(targetPath, await fs.readFile(sourcePath));
+  }
+  return contents;
+}
+
+module.exports = {
+  writeFileAtomic,
+  pathExists,
+  createBackupGeneration,
+  listBackupGenerationIds,
+  pruneBackupGenerations,
+  getBackupGenerationDir,
+  readBackupGeneration,
+};
@@ -0,0 +1,14 @@
+/**
+ * Display text for a query result cell (values arrive from the main process via structured clone).
+ * Returns null for SQL NULL so callers can render it distinctly.
+ */
+export const formatCellValue = (value) => {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof Uint8Array) {
+    const hex = Array.from(value.slice(0, 32), b => b.toString(16).padStart(2, '0')).join('');
+    return `0x${hex}${value.length > 32 ? `… (${value.length} bytes)` : ''}`;
+  }
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
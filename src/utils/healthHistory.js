@@ -0,0 +1,251 @@
+/**
+ * Connection Health History
+ *
+ * Every connection test result is appended as a JSON line to a per-day file in
+ * <appData>/health-history/ (YYYY-MM-DD.jsonl, UTC days):
+ *
+ *   { at, connectionId, success, latencyMs, code, error, source, diagnostics }
+ *
+ * diagnostics is only present on entries written by a diagnostic run and holds
+ * its full report (see databaseConnections.runConnectionDiagnostics).
+ *
+ * Files older than HISTORY_RETENTION_DAYS are deleted, so the longest stats
+ * window (30 days) is always covered and nothing older is kept.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { getAppDataDirectory } = require('./appPaths');
+
+const HISTORY_DIRECTORY_NAME = 'health-history';
+const HISTORY_RETENTION_DAYS = 31;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAY_FILE_PATTERN = /^(\d{4}-\d{2}-\d{2})\.jsonl$/;
+/** Longest error text stored per entry */
+const MAX_ERROR_LENGTH = 500;
+/** Checks returned per connection for sparklines */
+const RECENT_CHECKS = 48;
+
+const STATS_WINDOWS = {
+  '24h': DAY_MS,
+  '7d': 7 * DAY_MS,
+  '30d': 30 * DAY_MS,
+};
+
+// Appends are chained so concurrent tests never interleave or race a prune
+let writeQueue = Promise.resolve();
+let lastPrunedDay = null;
+
+function getHistoryDirectory() {
+  return path.join(getAppDataDirectory(), HISTORY_DIRECTORY_NAME);
+}
+
+function getDayKey(time) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+/**
+ * Delete day files that fell out of the retention period (once per day)
+ */
+async function pruneHistory(now) {
+  const today = getDayKey(now);
+  if (lastPrunedDay === today) return;
+  lastPrunedDay = today;
+
+  const oldestKept = getDayKey(now - (HISTORY_RETENTION_DAYS - 1) * DAY_MS);
+  const names = await fs.readdir(getHistoryDirectory());
+  for (const name of names) {
+    const match = name.match(DAY_FILE_PATTERN);
+    if (match && match[1] < oldestKept) {
+      await fs.unlink(path.join(getHistoryDirectory(), name)).catch(() => {});
+    }
+  }
+}
+
+/**
+ * Append a connection test result to the history. Never throws - a failing
+ * history write is logged but must not fail the test itself.
+ *
+ * @param {Object} entry
+ * @param {string} entry.connectionId
+ * @param {boolean} entry.success
+ * @param {number} [entry.latencyMs] - Time the test took
+ * @param {string} [entry.code] - Driver error code
+ * @param {string} [entry.error] - Error message
+ * @param {string} [entry.source] - What ran the test ('manual', 'test-all', ...)
+ * @param {string} [entry.at] - ISO timestamp (default now)
+ * @param {Object} [entry.diagnostics] - Diagnostic report stored with the check
+ * @returns {Promise<void>}
+ */
+function recordHealthCheck({ connectionId, success, latencyMs, code, error, source, at, diagnostics }) {
+  const time = at ? Date.parse(at) : Date.now();
+  const errorText = error ? String(error) : null;
+  const line = JSON.stringify({
+    at: new Date(time).toISOString(),
+    connectionId,
+    success: success === true,
+    latencyMs: Number.isFinite(latencyMs) ? Math.round(latencyMs) : null,
+    code: code || null,
+    error: errorText && errorText.length > MAX_ERROR_LENGTH ? `${errorText.slice(0, MAX_ERROR_LENGTH)}…` : errorText,
+    source: source || null,
+    ...(diagnostics && { diagnostics }),
+  });
+
+  writeQueue = writeQueue
+    .then(async () => {
+      await fs.mkdir(getHistoryDirectory(), { recursive: true });
+      await fs.appendFile(path.join(getHistoryDirectory(), `${getDayKey(time)}.jsonl`), `${line}\n`, 'utf-8');
+      await pruneHistory(Date.now());
+    })
+    .catch((err) => {
+      console.error('Error writing connection health history:', err);
+    });
+  return writeQueue;
+}
+
+/**
+ * Read history entries in time order
+ *
+ * @param {Object} [options]
+ * @param {number} [options.since] - Epoch ms; older entries are skipped
+ * @param {string[]} [options.connectionIds] - Only these connections
+ * @returns {Promise<Object[]>} Entries with at parsed to epoch ms in atMs
+ */
+async function readHealthHistory({ since = 0, connectionIds = null } = {}) {
+  await writeQueue;
+  const wanted = connectionIds ? new Set(connectionIds) : null;
+  const firstDay = getDayKey(since);
+
+  let names;
+  try {
+    names = await fs.readdir(getHistoryDirectory());
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const entries = [];
+  const dayFiles = names.filter(name => DAY_FILE_PATTERN.test(name) && name.slice(0, 10) >= firstDay).sort();
+  for (const name of dayFiles) {
+    const data = await fs.readFile(path.join(getHistoryDirectory(), name), 'utf-8');
+    for (const line of data.split('\n')) {
+      if (!line) continue;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        // Partially written line (crash mid-append) - skip it
+        continue;
+      }
+      const atMs = Date.parse(entry.at);
+      if (atMs >= since && (!wanted || wanted.has(entry.connectionId))) {
+        entries.push({ ...entry, atMs });
+      }
+    }
+  }
+  // Concurrent tests can finish out of order within a file
+  return entries.sort((a, b) => a.atMs - b.atMs);
+}
+
+/**
+ * Uptime, latency and failure streaks for one connection's checks (time order)
+ */
+function summarizeChecks(checks) {
+  const successes = checks.filter(check => check.success);
+  const latencies = successes.map(check => check.latencyMs).filter(Number.isFinite);
+
+  let longestFailureStreak = null;
+  let streak = null;
+  for (const check of checks) {
+    if (check.success) {
+      streak = null;
+      continue;
+    }
+    if (!streak) streak = { count: 0, startedAt: check.at, endedAt: null };
+    streak.count += 1;
+    streak.endedAt = check.at;
+    if (!longestFailureStreak || streak.count > longestFailureStreak.count) {
+      longestFailureStreak = { ...streak };
+    }
+  }
+
+  return {
+    checks: checks.length,
+    failures: checks.length - successes.length,
+    uptimePercent: checks.length > 0 ? Math.round((successes.length / checks.length) * 10000) / 100 : null,
+    meanLatencyMs: latencies.length > 0 ? Math.round(latencies.reduce((sum, n) => sum + n, 0) / latencies.length) : null,
+    longestFailureStreak,
+    // Failures since the last success, still ongoing
+    currentFailureStreak: streak,
+  };
+}
+
+/**
+ * Health statistics per connection over the last 24 hours, 7 days and 30 days
+ *
+ * @param {string[]} [connectionIds] - Only these connections (default: all in the history)
+ * @param {number} [now] - Epoch ms the windows end at
+ * @returns {Promise<Object>} { [connectionId]: { windows: { '24h' | '7d' | '30d': { checks, failures,
+ *   uptimePercent, meanLatencyMs, longestFailureStreak: { count, startedAt, endedAt } | null,
+ *   currentFailureStreak } }, lastCheck, recent: [{ at, success, latencyMs, code }] } }
+ */
+async function getHealthStats(connectionIds = null, now = Date.now()) {
+  const longest = Math.max(...Object.values(STATS_WINDOWS));
+  const entries = await readHealthHistory({ since: now - longest, connectionIds });
+
+  const byConnection = new Map();
+  for (const entry of entries) {
+    if (entry.atMs > now) continue;
+    if (!byConnection.has(entry.connectionId)) byConnection.set(entry.connectionId, []);
+    byConnection.get(entry.connectionId).push(entry);
+  }
+
+  const stats = {};
+  for (const id of connectionIds || byConnection.keys()) {
+    const checks = byConnection.get(id) || [];
+    const windows = {};
+    for (const [name, length] of Object.entries(STATS_WINDOWS)) {
+      windows[name] = summarizeChecks(checks.filter(check => check.atMs > now - length));
+    }
+    const last = checks[checks.length - 1];
+    stats[id] = {
+      windows,
+      lastCheck: last ? { at: last.at, success: last.success, latencyMs: last.latencyMs, code: last.code, error: last.error } : null,
+      recent: checks.slice(-RECENT_CHECKS).map(check => ({
+        at: check.at,
+        success: check.success,
+        latencyMs: check.latencyMs,
+        code: check.code,
+      })),
+    };
+  }
+  return stats;
+}
+
+/**
+ * Diagnostic reports stored in a connection's history, newest first
+ *
+ * @param {string} connectionId
+ * @param {number} [limit=10]
+ * @returns {Promise<Object[]>} Reports as passed to recordHealthCheck
+ */
+async function getDiagnosticReports(connectionId, limit = 10) {
+  const entries = await readHealthHistory({
+    since: Date.now() - HISTORY_RETENTION_DAYS * DAY_MS,
+    connectionIds: [connectionId],
+  });
+  return entries
+    .filter(entry => entry.diagnostics)
+    .slice(-limit)
+    .reverse()
+    .map(entry => entry.diagnostics);
+}
+
+module.exports = {
+  HISTORY_DIRECTORY_NAME,
+  STATS_WINDOWS,
+  recordHealthCheck,
+  readHealthHistory,
+  getHealthStats,
+  getDiagnosticReports,
+};
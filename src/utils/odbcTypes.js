@@ -0,0 +1,205 @@
+/**
+ * ODBC Value Types
+ *
+ * Rebuilds JS values from the bridge worker's typed result format. The worker
+ * reports column metadata from OdbcDataReader.GetSchemaTable and sends each
+ * value as text (booleans as JSON booleans), so nothing is lost in JSON:
+ *
+ *   columns: [{ name, sqlType, dataType, precision, scale, size, nullable }]
+ *     sqlType  - System.Data.Odbc.OdbcType name (BigInt, Decimal, Char, Date, ...)
+ *     dataType - .NET type name of the values (Int64, Decimal, String, DateTime, ...)
+ *   rows: [[value, ...], ...]
+ *
+ * Values are rebuilt from dataType:
+ *   Byte, Int16, Int32, UInt16, UInt32, Single, Double -> number
+ *   Int64, UInt64                                      -> BigInt
+ *   Decimal                                            -> string, padded to the column scale
+ *   DateTime                                           -> Date (wall clock read in the timezone option)
+ *   DateTimeOffset                                     -> Date
+ *   TimeSpan                                           -> string (hh:mm:ss[.fffffff])
+ *   Byte[]                                             -> Buffer
+ *   Boolean                                            -> boolean
+ *   String, Guid and anything else                     -> string, unchanged except that fixed-width
+ *                                                         CHAR/NCHAR values lose their trailing pad
+ *
+ * Unlike the per-query bridge, which trimmed every value, VARCHAR text keeps its
+ * leading and trailing whitespace, so a value comes back exactly as it was stored.
+ *
+ * Query parameters go the other way as { type, value } (see toOdbcParam).
+ */
+
+const NUMBER_TYPES = new Set(['Byte', 'SByte', 'Int16', 'Int32', 'UInt16', 'UInt32', 'Single', 'Double']);
+const BIGINT_TYPES = new Set(['Int64', 'UInt64']);
+// Fixed-width character types come back padded to the column width
+const PADDED_SQL_TYPES = new Set(['Char', 'NChar']);
+
+// yyyy-MM-ddTHH:mm:ss[.fffffff], as the worker formats DateTime values
+const DATE_TIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2}):(\d{2})(?:\.(\d+))?)?$/;
+
+/**
+ * Parse a zone-less date/time. ODBC DATE and TIMESTAMP values carry no zone, so
+ * they are read as local time (practice databases store the office's wall clock)
+ * or, with timezone 'utc', as UTC.
+ */
+function parseDateTime(text, timezone) {
+  const match = DATE_TIME_PATTERN.exec(text);
+  if (!match) return new Date(NaN);
+  const [, year, month, day, hour = 0, minute = 0, second = 0, fraction = ''] = match;
+  const parts = [Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute), Number(second),
+    Number(fraction.slice(0, 3).padEnd(3, '0'))];
+  const date = timezone === 'utc' ? new Date(Date.UTC(...parts)) : new Date(...parts);
+  // new Date() maps years 0-99 to 1900-1999
+  if (Number(year) < 100) {
+    if (timezone === 'utc') date.setUTCFullYear(Number(year));
+    else date.setFullYear(Number(year));
+  }
+  return date;
+}
+
+/**
+ * Exact decimal text with at least the column's scale in fraction digits (5.1 in a
+ * DECIMAL(9,2) column is "5.10"), so money and quantity columns keep their precision
+ */
+function formatDecimal(text, scale) {
+  if (!(scale > 0) || !/^-?\d+(\.\d*)?$/.test(text)) return text;
+  const [whole, fraction = ''] = text.split('.');
+  return fraction.length >= scale ? text : `${whole}.${fraction.padEnd(scale, '0')}`;
+}
+
+/**
+ * Rebuild one value from the worker's wire format
+ *
+ * @param {Object} column - Column metadata from the worker
+ * @param {string|boolean|null} value - Wire value
+ * @param {Object} [options] - { timezone: 'local' | 'utc' }
+ * @returns {*} JS value
+ */
+function decodeOdbcValue(column, value, { timezone = 'local' } = {}) {
+  if (value === null || value === undefined) return null;
+  if (typeof value !== 'string') return value;
+
+  const dataType = column.dataType;
+  if (NUMBER_TYPES.has(dataType)) return Number(value);
+  if (BIGINT_TYPES.has(dataType)) return BigInt(value);
+  if (dataType === 'Decimal') return formatDecimal(value, column.scale);
+  if (dataType === 'DateTime') return parseDateTime(value, timezone);
+  if (dataType === 'DateTimeOffset') return new Date(value.replace(/(\.\d{3})\d+/, '$1'));
+  if (dataType === 'Byte[]') return Buffer.from(value, 'base64');
+  if (dataType === 'Boolean') return value === 'True' || value === 'true' || value === '1';
+  if (PADDED_SQL_TYPES.has(column.sqlType)) return value.replace(/ +$/, '');
+  return value;
+}
+
+/**
+ * Rebuild all rows of a typed result
+ *
+ * @param {Object[]} columns - Column metadata from the worker
+ * @param {Array[]} rows - Wire rows, one array of values per row
+ * @param {Object} [options] - { timezone }
+ * @returns {Array[]} Rows of JS values in column order
+ */
+function decodeOdbcRows(columns, rows, options = {}) {
+  return rows.map(row => columns.map((column, i) => decodeOdbcValue(column, row[i], options)));
+}
+
+// Parameter types the worker binds, with the OdbcType each is bound as:
+//   string -> NVarChar, int -> BigInt, decimal -> Decimal, date -> DateTime,
+//   binary -> VarBinary, null -> NULL
+const ODBC_PARAM_TYPES = new Set(['string', 'int', 'decimal', 'date', 'binary', 'null']);
+const INT_PATTERN = /^-?\d+$/;
+const DECIMAL_PATTERN = /^-?\d+(\.\d+)?$/;
+const PARAM_DATE_PATTERN = /^(\d{4}-\d{2}-\d{2})(?: (\d{2}:\d{2}:\d{2})(?:\.(\d{1,3}))?)?$/;
+const BASE64_PATTERN = /^[A-Za-z0-9+/]*={0,2}$/;
+
+/**
+ * Date as yyyy-MM-dd HH:mm:ss.fff, the wall clock in the given timezone
+ */
+function formatParamDate(value, timezone) {
+  const [year, month, day, hour, minute, second, millisecond] = timezone === 'utc'
+    ? [value.getUTCFullYear(), value.getUTCMonth(), value.getUTCDate(), value.getUTCHours(), value.getUTCMinutes(), value.getUTCSeconds(), value.getUTCMilliseconds()]
+    : [value.getFullYear(), value.getMonth(), value.getDate(), value.getHours(), value.getMinutes(), value.getSeconds(), value.getMilliseconds()];
+  const pad = n => String(n).padStart(2, '0');
+  return `${String(year).padStart(4, '0')}-${pad(month + 1)}-${pad(day)} ${pad(hour)}:${pad(minute)}:${pad(second)}.${String(millisecond).padStart(3, '0')}`;
+}
+
+/**
+ * Plain decimal text for a finite number (no exponent, no grouping)
+ */
+function formatParamNumber(value) {
+  return value.toLocaleString('en-US', { useGrouping: false, maximumFractionDigits: 20 });
+}
+
+/**
+ * Type of a parameter given as a plain JS value
+ */
+function inferParamType(value) {
+  if (value === null || value === undefined) return 'null';
+  if (value instanceof Date) return 'date';
+  if (Buffer.isBuffer(value)) return 'binary';
+  if (typeof value === 'bigint' || typeof value === 'boolean') return 'int';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'int' : 'decimal';
+  return 'string';
+}
+
+/**
+ * Build a query parameter for the worker. Every parameter travels as
+ * { type, value } with the value as text (null for 'null'), so the worker binds it
+ * with a declared OdbcType and its text is never part of a script.
+ *
+ * A parameter is either a plain value, whose type is inferred (strings -> string,
+ * integers, BigInts and booleans -> int, other numbers -> decimal, Dates -> date,
+ * Buffers -> binary, null -> null), or an explicit { type, value }, e.g.
+ * { type: 'decimal', value: '12.50' }. Dates are written as yyyy-MM-dd HH:mm:ss.fff
+ * in the same timezone values are read in, and binary values as base64, so a value
+ * read from a row can be passed back unchanged.
+ *
+ * @param {*} param - Plain value or { type, value }
+ * @param {Object} [options] - { timezone: 'local' | 'utc' }
+ * @returns {Object} { type, value: string | null }
+ * @throws {Error} For an unknown type or a value that does not fit its type
+ */
+function toOdbcParam(param, { timezone = 'local' } = {}) {
+  const explicit = param !== null && typeof param === 'object' && !(param instanceof Date) && !Buffer.isBuffer(param);
+  if (explicit && !ODBC_PARAM_TYPES.has(param.type)) {
+    throw new Error(`Unknown parameter type '${param.type}'`);
+  }
+  const value = explicit ? param.value : param;
+  const type = explicit ? param.type : inferParamType(value);
+  if (type === 'null' || value === null || value === undefined) return { type: 'null', value: null };
+
+  let text;
+  if (value instanceof Date) {
+    if (Number.isNaN(value.getTime())) throw new Error('Invalid date parameter');
+    text = formatParamDate(value, timezone);
+  } else if (Buffer.isBuffer(value)) {
+    text = value.toString('base64');
+  } else if (typeof value === 'boolean') {
+    text = value ? '1' : '0';
+  } else if (typeof value === 'number') {
+    if (!Number.isFinite(value)) throw new Error(`Parameter ${value} is not a finite number`);
+    text = formatParamNumber(value);
+  } else {
+    text = String(value);
+  }
+
+  if (type === 'int' && !INT_PATTERN.test(text)) throw new Error(`Parameter '${text}' is not an integer`);
+  if (type === 'decimal' && !DECIMAL_PATTERN.test(text)) throw new Error(`Parameter '${text}' is not a decimal`);
+  if (type === 'binary' && (text.length % 4 !== 0 || !BASE64_PATTERN.test(text))) {
+    throw new Error('Binary parameter is not a Buffer or base64 text');
+  }
+  if (type === 'date') {
+    const match = PARAM_DATE_PATTERN.exec(text);
+    if (!match) throw new Error(`Parameter '${text}' is not a date (yyyy-MM-dd[ HH:mm:ss[.fff]])`);
+    // The worker parses dates with one format
+    const [, date, time = '00:00:00', fraction = ''] = match;
+    text = `${date} ${time}.${fraction.padEnd(3, '0')}`;
+  }
+  return { type, value: text };
+}
+
+module.exports = {
+  ODBC_PARAM_TYPES,
+  decodeOdbcValue,
+  decodeOdbcRows,
+  toOdbcParam,
+};
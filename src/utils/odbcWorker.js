@@ -0,0 +1,710 @@
+/**
+ * ODBC Bridge Worker
+ *
+ * Runs ODBC queries in long-lived worker processes instead of starting
+ * PowerShell for every query. Each worker keeps its ODBC connections open
+ * (one per connection string) and talks a line-delimited JSON protocol over
+ * stdin/stdout:
+ *
+ *   -> { id, type: 'query', connectionString, query, params, timeoutSeconds }
+ *        params: [{ type: 'string' | 'int' | 'decimal' | 'date' | 'binary' | 'null', value: 'text' | null }]
+ *   <- { id, success: true, columns: [{ name, sqlType, dataType, precision, scale, size, nullable }],
+ *        rows: [['text' | true | false | null, ...]] }        (see odbcTypes for the value encoding)
+ *   <- { id, success: false, error, state }        (state: ODBC SQLSTATE when known)
+ *   -> { id, type: 'ping' }                         <- { id, success: true }
+ *
+ * Large results are read through cursors, which keep the reader open on a
+ * connection of their own and return batchSize rows per request:
+ *
+ *   -> { id, type: 'open', connectionString, query, params, timeoutSeconds, batchSize }
+ *   <- { id, success: true, cursorId, columns, rows, done }
+ *   -> { id, type: 'fetch', cursorId, batchSize }   <- { id, success: true, rows, done }
+ *   -> { id, type: 'close', cursorId }              <- { id, success: true }
+ *
+ * A cursor closes itself once done is true or a fetch fails.
+ *
+ * A worker prints { type: 'ready' } once it can take requests. Requests are
+ * matched to responses by id, so several can be in flight at once; a worker runs
+ * them in order and up to MAX_WORKERS workers run in parallel.
+ *
+ * - The default worker is the PowerShell script below (32-bit PowerShell for
+ *   32-bit practice ODBC drivers, 64-bit when 32-bit cannot start).
+ * - Connection strings, queries and parameters only ever travel as request data;
+ *   the worker binds each parameter as an OdbcParameter of its declared type, so
+ *   no value is part of a script or of the SQL text.
+ * - A crashed worker fails its in-flight requests with code EWORKEREXIT (a
+ *   transient error for retryPolicy) and is replaced on the next request.
+ * - A running ODBC call cannot be interrupted from the protocol, so cancelling or
+ *   timing out a request retires its worker: it takes no new requests and is
+ *   stopped once its other requests and cursors are done (at once if it has none).
+ *   Retiring workers do not count towards MAX_WORKERS.
+ * - Workers idle for WORKER_IDLE_TIMEOUT_MS exit, closing their connections; a
+ *   worker with open cursors is not idle, and cursors not fetched from for
+ *   CURSOR_IDLE_TIMEOUT_MS are closed.
+ * - setOdbcWorkerCommand (or the ODBC_WORKER_SCRIPT environment variable) swaps
+ *   in a Node script speaking the same protocol, e.g. odbcWorkerStandIn.js, so
+ *   the bridge runs on machines without PowerShell.
+ */
+
+const { spawn } = require('child_process');
+const path = require('path');
+const readline = require('readline');
+
+const MAX_WORKERS = 2;
+const WORKER_START_TIMEOUT_MS = 30000;
+const WORKER_IDLE_TIMEOUT_MS = 5 * 60 * 1000;
+const DEFAULT_REQUEST_TIMEOUT_MS = 60000;
+const CURSOR_IDLE_TIMEOUT_MS = 5 * 60 * 1000;
+const DEFAULT_BATCH_SIZE = 1000;
+const WORKER_EXIT_CODE = 'EWORKEREXIT';
+
+const WORKER_SCRIPT = `
+$ErrorActionPreference = "Stop"
+Add-Type -AssemblyName System.Data
+[Console]::InputEncoding = New-Object System.Text.UTF8Encoding($false)
+[Console]::OutputEncoding = New-Object System.Text.UTF8Encoding($false)
+$connections = @{}
+
+function Get-BridgeConnection($connStr) {
+  $conn = $connections[$connStr]
+  if ($conn -ne $null -and $conn.State -ne [System.Data.ConnectionState]::Open) {
+    $conn.Dispose()
+    $connections.Remove($connStr)
+    $conn = $null
+  }
+  if ($conn -eq $null) {
+    $conn = New-Object System.Data.Odbc.OdbcConnection($connStr)
+    $conn.Open()
+    $connections[$connStr] = $conn
+  }
+  return $conn
+}
+
+# Values travel as invariant-culture text (see odbcTypes), except booleans and NULL
+function ConvertTo-WireValue($val) {
+  $inv = [System.Globalization.CultureInfo]::InvariantCulture
+  if ($val -eq $null -or $val -is [DBNull]) { return $null }
+  if ($val -is [bool]) { return $val }
+  if ($val -is [DateTime]) { return $val.ToString("yyyy-MM-ddTHH:mm:ss.fffffff", $inv) }
+  if ($val -is [DateTimeOffset]) { return $val.ToString("o", $inv) }
+  if ($val -is [TimeSpan]) { return $val.ToString("c", $inv) }
+  if ($val -is [byte[]]) { return [Convert]::ToBase64String($val) }
+  if ($val -is [double] -or $val -is [single]) { return $val.ToString("R", $inv) }
+  if ($val -is [IFormattable]) { return $val.ToString($null, $inv) }
+  return $val.ToString()
+}
+
+function New-BridgeCommand($conn, $req) {
+  $cmd = $conn.CreateCommand()
+  $cmd.CommandText = $req.query
+  if ($req.timeoutSeconds) { $cmd.CommandTimeout = [int]$req.timeoutSeconds }
+  $inv = [System.Globalization.CultureInfo]::InvariantCulture
+  foreach ($p in @($req.params)) {
+    if ($p -eq $null) { continue }
+    $param = $cmd.CreateParameter()
+    switch -exact ([string]$p.type) {
+      "null" { $param.Value = [DBNull]::Value }
+      "string" { $param.OdbcType = [System.Data.Odbc.OdbcType]::NVarChar; $param.Value = [string]$p.value }
+      "int" { $param.OdbcType = [System.Data.Odbc.OdbcType]::BigInt; $param.Value = [long]::Parse([string]$p.value, $inv) }
+      "decimal" { $param.OdbcType = [System.Data.Odbc.OdbcType]::Decimal; $param.Value = [decimal]::Parse([string]$p.value, [System.Globalization.NumberStyles]::Number, $inv) }
+      "date" { $param.OdbcType = [System.Data.Odbc.OdbcType]::DateTime; $param.Value = [DateTime]::ParseExact([string]$p.value, "yyyy-MM-dd HH:mm:ss.fff", $inv) }
+      "binary" { $param.OdbcType = [System.Data.Odbc.OdbcType]::VarBinary; $param.Value = [Convert]::FromBase64String([string]$p.value) }
+      default { throw "Unknown parameter type '$($p.type)'" }
+    }
+    [void]$cmd.Parameters.Add($param)
+  }
+  return $cmd
+}
+
+function Get-BridgeColumns($reader) {
+  $columns = New-Object System.Collections.ArrayList
+  $schema = $reader.GetSchemaTable()
+  for ($i = 0; $i -lt $reader.FieldCount; $i++) {
+    $info = $null
+    if ($schema -ne $null) { $info = $schema.Rows[$i] }
+    $column = [ordered]@{ name = $reader.GetName($i); dataType = $reader.GetFieldType($i).Name }
+    if ($info -ne $null) {
+      $column.sqlType = ([System.Data.Odbc.OdbcType][int]$info["ProviderType"]).ToString()
+      foreach ($key in @(@("precision", "NumericPrecision"), @("scale", "NumericScale"), @("size", "ColumnSize"), @("nullable", "AllowDBNull"))) {
+        $value = $info[$key[1]]
+        if ($value -ne [DBNull]::Value) { $column[$key[0]] = $value }
+      }
+    }
+    [void]$columns.Add($column)
+  }
+  return ,$columns
+}
+
+# Read up to $max rows (0 = all); done is true once the reader is exhausted
+function Read-BridgeRows($reader, $max) {
+  $rows = New-Object System.Collections.ArrayList
+  $values = New-Object object[] $reader.FieldCount
+  $done = $true
+  while ($max -le 0 -or $rows.Count -lt $max) {
+    if (-not $reader.Read()) { $done = $true; break }
+    $done = $false
+    [void]$reader.GetValues($values)
+    $row = New-Object object[] $reader.FieldCount
+    for ($j = 0; $j -lt $values.Length; $j++) { $row[$j] = ConvertTo-WireValue $values[$j] }
+    [void]$rows.Add($row)
+  }
+  return @{ rows = $rows; done = $done }
+}
+
+function Invoke-BridgeQuery($req) {
+  $conn = Get-BridgeConnection $req.connectionString
+  $cmd = New-BridgeCommand $conn $req
+  $reader = $cmd.ExecuteReader()
+  try {
+    $columns = Get-BridgeColumns $reader
+    $batch = Read-BridgeRows $reader 0
+  } finally {
+    $reader.Close()
+    $cmd.Dispose()
+  }
+  return @{ columns = $columns; rows = $batch.rows }
+}
+
+# Cursors keep a reader open between fetches, on their own connection so queries
+# on the cached connection can run while a cursor is open
+$cursors = @{}
+$nextCursorId = 1
+
+function Close-BridgeCursor($cursorId) {
+  $cursor = $cursors[$cursorId]
+  if ($cursor -eq $null) { return }
+  $cursors.Remove($cursorId)
+  if ($cursor.reader -ne $null) { $cursor.reader.Close() }
+  if ($cursor.command -ne $null) { $cursor.command.Dispose() }
+  $cursor.connection.Dispose()
+}
+
+function Open-BridgeCursor($req) {
+  $cursorId = [string]$script:nextCursorId
+  $script:nextCursorId++
+  $cursor = @{ connection = (New-Object System.Data.Odbc.OdbcConnection($req.connectionString)) }
+  $cursors[$cursorId] = $cursor
+  try {
+    $cursor.connection.Open()
+    $cursor.command = New-BridgeCommand $cursor.connection $req
+    $cursor.reader = $cursor.command.ExecuteReader()
+    $columns = Get-BridgeColumns $cursor.reader
+    $batch = Read-BridgeRows $cursor.reader ([int]$req.batchSize)
+  } catch {
+    Close-BridgeCursor $cursorId
+    throw
+  }
+  if ($batch.done) { Close-BridgeCursor $cursorId }
+  return @{ cursorId = $cursorId; columns = $columns; rows = $batch.rows; done = $batch.done }
+}
+
+function Read-BridgeCursor($req) {
+  $cursor = $cursors[[string]$req.cursorId]
+  if ($cursor -eq $null) { throw "Cursor $($req.cursorId) is not open" }
+  try {
+    $batch = Read-BridgeRows $cursor.reader ([int]$req.batchSize)
+  } catch {
+    Close-BridgeCursor ([string]$req.cursorId)
+    throw
+  }
+  if ($batch.done) { Close-BridgeCursor ([string]$req.cursorId) }
+  return $batch
+}
+
+[Console]::Out.WriteLine('{"type":"ready"}')
+[Console]::Out.Flush()
+
+while ($true) {
+  $line = [Console]::In.ReadLine()
+  if ($line -eq $null) { break }
+  if ($line.Trim() -eq '') { continue }
+
+  $req = $null
+  try {
+    $req = $line | ConvertFrom-Json
+    if ($req.type -eq 'query') {
+      $result = Invoke-BridgeQuery $req
+      $response = @{ id = $req.id; success = $true; columns = $result.columns; rows = $result.rows }
+    } elseif ($req.type -eq 'open') {
+      $result = Open-BridgeCursor $req
+      $response = @{ id = $req.id; success = $true; cursorId = $result.cursorId; columns = $result.columns; rows = $result.rows; done = $result.done }
+    } elseif ($req.type -eq 'fetch') {
+      $result = Read-BridgeCursor $req
+      $response = @{ id = $req.id; success = $true; rows = $result.rows; done = $result.done }
+    } elseif ($req.type -eq 'close') {
+      Close-BridgeCursor ([string]$req.cursorId)
+      $response = @{ id = $req.id; success = $true }
+    } elseif ($req.type -eq 'ping') {
+      $response = @{ id = $req.id; success = $true }
+    } else {
+      $response = @{ id = $req.id; success = $false; error = "Unknown request type '$($req.type)'" }
+    }
+  } catch {
+    $ex = $_.Exception
+    while ($ex.InnerException -ne $null -and -not ($ex -is [System.Data.Odbc.OdbcException])) { $ex = $ex.InnerException }
+    $state = $null
+    if ($ex -is [System.Data.Odbc.OdbcException] -and $ex.Errors.Count -gt 0) { $state = $ex.Errors[0].SQLState }
+    # Connection-level failure: drop the cached connection so the next request reconnects
+    if ($state -like '08*' -and $req -ne $null -and $req.connectionString -and $connections.ContainsKey($req.connectionString)) {
+      $connections[$req.connectionString].Dispose()
+      $connections.Remove($req.connectionString)
+    }
+    $id = $null
+    if ($req -ne $null) { $id = $req.id }
+    $response = @{ id = $id; success = $false; error = $ex.Message; state = $state }
+  }
+
+  [Console]::Out.WriteLine(($response | ConvertTo-Json -Compress -Depth 10))
+  [Console]::Out.Flush()
+}
+
+foreach ($cursorId in @($cursors.Keys)) { Close-BridgeCursor $cursorId }
+foreach ($conn in $connections.Values) { $conn.Dispose() }
+`.trim();
+
+let workerCommandOverride = null;
+// Index of the PowerShell candidate that last started, so a missing 32-bit PowerShell is tried once
+let preferredCandidate = 0;
+const workers = [];
+let nextRequestId = 1;
+
+/**
+ * PowerShell commands that run WORKER_SCRIPT, 32-bit first. The script is the same
+ * for every worker; requests only ever reach it on stdin.
+ */
+function getPowerShellCandidates() {
+  const systemRoot = process.env.SystemRoot || 'C:\\Windows';
+  const args = ['-NoProfile', '-NonInteractive', '-EncodedCommand', Buffer.from(WORKER_SCRIPT, 'utf16le').toString('base64')];
+  return [
+    { label: 'powershell-32', command: path.join(systemRoot, 'SysWOW64', 'WindowsPowerShell', 'v1.0', 'powershell.exe'), args },
+    { label: 'powershell-64', command: 'powershell.exe', args },
+  ];
+}
+
+/**
+ * Commands to start a worker with, in order of preference
+ */
+function getWorkerCandidates() {
+  if (workerCommandOverride) return [workerCommandOverride];
+  if (process.env.ODBC_WORKER_SCRIPT) {
+    return [{
+      label: 'node',
+      command: process.execPath,
+      args: [process.env.ODBC_WORKER_SCRIPT],
+      env: { ELECTRON_RUN_AS_NODE: '1' },
+    }];
+  }
+  const candidates = getPowerShellCandidates();
+  return [...candidates.slice(preferredCandidate), ...candidates.slice(0, preferredCandidate)];
+}
+
+/**
+ * Start one worker process and wait for its ready line
+ */
+function startWorkerProcess(candidate) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(candidate.command, candidate.args || [], {
+      env: { ...process.env, ...(candidate.env || {}) },
+      stdio: ['pipe', 'pipe', 'pipe'],
+      windowsHide: true,
+    });
+    const worker = {
+      label: candidate.label,
+      process: child,
+      pending: new Map(),
+      requestCount: 0,
+      cursors: new Set(),
+      startedAt: Date.now(),
+      idleTimer: null,
+      stopping: false,
+      retiring: false,
+    };
+
+    let ready = false;
+    const startTimer = setTimeout(() => {
+      child.kill();
+      reject(new Error(`ODBC bridge worker (${candidate.label}) did not start within ${WORKER_START_TIMEOUT_MS / 1000} seconds`));
+    }, WORKER_START_TIMEOUT_MS);
+
+    const lines = readline.createInterface({ input: child.stdout, crlfDelay: Infinity });
+    lines.on('line', (line) => {
+      let message;
+      try {
+        message = JSON.parse(line);
+      } catch {
+        // Not a protocol line (e.g. a PowerShell banner)
+        return;
+      }
+      if (!ready && message.type === 'ready') {
+        ready = true;
+        clearTimeout(startTimer);
+        resolve(worker);
+        return;
+      }
+      settleRequest(worker, message.id, message);
+    });
+
+    child.stderr.on('data', (data) => {
+      console.error(`[ODBC worker ${child.pid}] ${data.toString().trim()}`);
+    });
+    // Writes to a worker that just died fail here; the exit handler settles its requests
+    child.stdin.on('error', () => {});
+
+    child.on('error', (error) => {
+      if (!ready) {
+        clearTimeout(startTimer);
+        reject(error);
+      }
+    });
+    child.on('exit', (code, signal) => {
+      clearTimeout(startTimer);
+      clearTimeout(worker.idleTimer);
+      worker.cursors.clear();
+      const index = workers.indexOf(worker);
+      if (index !== -1) workers.splice(index, 1);
+      if (!ready) {
+        reject(new Error(`ODBC bridge worker (${candidate.label}) exited during startup (code ${code})`));
+        return;
+      }
+      if (!worker.stopping) {
+        console.error(`[ODBC worker ${child.pid}] Exited unexpectedly (code ${code}, signal ${signal}); it will be restarted on the next query`);
+      }
+      for (const id of [...worker.pending.keys()]) {
+        settleRequest(worker, id, {
+          success: false,
+          error: 'ODBC bridge worker exited before the query finished',
+          code: WORKER_EXIT_CODE,
+        });
+      }
+    });
+  });
+}
+
+async function startWorker() {
+  const candidates = getWorkerCandidates();
+  let lastError;
+  for (const candidate of candidates) {
+    try {
+      const worker = await startWorkerProcess(candidate);
+      if (!workerCommandOverride && !process.env.ODBC_WORKER_SCRIPT) {
+        preferredCandidate = getPowerShellCandidates().findIndex(c => c.label === candidate.label);
+      }
+      return worker;
+    } catch (error) {
+      lastError = error;
+    }
+  }
+  throw new Error(`Failed to start the ODBC bridge worker: ${lastError ? lastError.message : 'no worker command'}`);
+}
+
+// Workers still starting, so concurrent requests do not start more than MAX_WORKERS
+let starting = [];
+
+/**
+ * Pick the least busy worker, starting another while all are busy and the limit allows
+ */
+async function acquireWorker() {
+  const live = workers.filter(worker => !worker.stopping && !worker.retiring);
+  const idle = live.find(worker => worker.pending.size === 0);
+  if (idle) return idle;
+
+  if (live.length + starting.length < MAX_WORKERS) {
+    const start = startWorker();
+    starting.push(start);
+    try {
+      const worker = await start;
+      workers.push(worker);
+      return worker;
+    } finally {
+      starting = starting.filter(s => s !== start);
+    }
+  }
+  if (live.length === 0) {
+    // Every slot is still starting; share the first one
+    return starting[0];
+  }
+  return live.reduce((best, worker) => (worker.pending.size < best.pending.size ? worker : best));
+}
+
+function settleRequest(worker, id, response) {
+  const request = worker.pending.get(id);
+  if (!request) return;
+  worker.pending.delete(id);
+  clearTimeout(request.timer);
+  if (request.removeAbortListener) request.removeAbortListener();
+  request.resolve(response);
+  scheduleIdleStop(worker);
+}
+
+/**
+ * Start the idle timer once a worker has no requests in flight and no open cursors.
+ * A retiring worker is stopped then instead; it may still be running the abandoned call.
+ */
+function scheduleIdleStop(worker) {
+  clearTimeout(worker.idleTimer);
+  if (worker.pending.size > 0 || worker.cursors.size > 0) return;
+  if (worker.retiring) {
+    stopWorker(worker, { force: true });
+    return;
+  }
+  worker.idleTimer = setTimeout(() => stopWorker(worker), WORKER_IDLE_TIMEOUT_MS);
+  if (typeof worker.idleTimer.unref === 'function') worker.idleTimer.unref();
+}
+
+/**
+ * Stop a worker: close its stdin so it disposes its connections, kill it if it does not exit
+ */
+function stopWorker(worker, { force = false } = {}) {
+  if (worker.process.exitCode !== null || worker.process.signalCode !== null) return;
+  worker.stopping = true;
+  clearTimeout(worker.idleTimer);
+  if (force) {
+    worker.process.kill();
+    return;
+  }
+  worker.process.stdin.end();
+  const killTimer = setTimeout(() => worker.process.kill(), 2000);
+  if (typeof killTimer.unref === 'function') killTimer.unref();
+  worker.process.once('exit', () => clearTimeout(killTimer));
+}
+
+/**
+ * Give up on a request the worker is stuck in: settle it, and stop the worker once
+ * the requests and cursors it is serving for other callers are done
+ */
+function abandonRequest(worker, id, response) {
+  worker.retiring = true;
+  settleRequest(worker, id, response);
+}
+
+/**
+ * Send a request to a worker and wait for its response
+ *
+ * @param {Object} request - Protocol request without id
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Aborting retires the worker running the request
+ * @param {number} [options.timeoutMs=60000]
+ * @returns {Promise<Object>} Protocol response, or { success: false, error, code | cancelled | timedOut }
+ */
+async function sendRequest(request, options = {}) {
+  if (options.signal && options.signal.aborted) {
+    return { success: false, error: 'Query cancelled', cancelled: true };
+  }
+
+  let worker;
+  try {
+    worker = await acquireWorker();
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+  return sendToWorker(worker, request, options);
+}
+
+/**
+ * Send a request to a given worker (cursor fetches must go to the worker holding the cursor)
+ */
+function sendToWorker(worker, request, { signal, timeoutMs = DEFAULT_REQUEST_TIMEOUT_MS } = {}) {
+  if (signal && signal.aborted) {
+    return Promise.resolve({ success: false, error: 'Query cancelled', cancelled: true });
+  }
+  if (worker.stopping || worker.process.exitCode !== null || worker.process.signalCode !== null) {
+    return Promise.resolve({
+      success: false,
+      error: 'ODBC bridge worker exited before the query finished',
+      code: WORKER_EXIT_CODE,
+    });
+  }
+
+  const id = nextRequestId++;
+  return new Promise((resolve) => {
+    const pending = { resolve };
+    worker.pending.set(id, pending);
+    worker.requestCount += 1;
+    clearTimeout(worker.idleTimer);
+
+    pending.timer = setTimeout(() => {
+      abandonRequest(worker, id, { success: false, error: 'Query timed out', timedOut: true });
+    }, timeoutMs);
+
+    if (signal) {
+      const onAbort = () => {
+        abandonRequest(worker, id, { success: false, error: 'Query cancelled', cancelled: true });
+      };
+      signal.addEventListener('abort', onAbort, { once: true });
+      pending.removeAbortListener = () => signal.removeEventListener('abort', onAbort);
+    }
+
+    worker.process.stdin.write(`${JSON.stringify({ id, ...request })}\n`);
+  });
+}
+
+/**
+ * Run a query on a worker. Rows come back in the wire format: arrays of values in
+ * column order, to be rebuilt with odbcTypes.decodeOdbcRows.
+ *
+ * @param {string} connectionString - ODBC connection string; the worker keeps one connection open per string
+ * @param {string} query - SQL with ? placeholders
+ * @param {Object[]} params - { type, value } in placeholder order (see odbcTypes.toOdbcParam)
+ * @param {Object} [options] - { signal, timeoutMs }
+ * @returns {Promise<Object>} { success, columns, rows, error, state, code, cancelled, timedOut }
+ */
+async function runWorkerQuery(connectionString, query, params = [], options = {}) {
+  const timeoutMs = options.timeoutMs || DEFAULT_REQUEST_TIMEOUT_MS;
+  const response = await sendRequest({
+    type: 'query',
+    connectionString,
+    query,
+    params,
+    timeoutSeconds: Math.ceil(timeoutMs / 1000),
+  }, { ...options, timeoutMs });
+
+  const { id, ...result } = response;
+  if (!result.success) return { ...result, columns: [], rows: [] };
+  return { ...result, columns: [].concat(result.columns || []), rows: [].concat(result.rows || []) };
+}
+
+/**
+ * Open a cursor: run the query on a worker and read its rows batchSize at a time,
+ * so a large result is never held in memory (or on one protocol line) at once.
+ * The first batch comes back with the columns. Rows are in the wire format.
+ *
+ * The timeout applies to each request, not the whole read. Aborting the signal
+ * while a batch is being read retires the worker; between batches it closes the cursor.
+ *
+ * @param {string} connectionString - ODBC connection string; the cursor opens its own connection
+ * @param {string} query - SQL with ? placeholders
+ * @param {Object[]} params - { type, value } in placeholder order (see odbcTypes.toOdbcParam)
+ * @param {Object} [options] - { signal, timeoutMs, batchSize }
+ * @returns {Promise<Object>} { success, columns, rows, done, fetch() -> Promise<{ success, rows, done, error }>,
+ *   close() -> Promise<void>, error, state, code, cancelled, timedOut }
+ */
+async function openWorkerCursor(connectionString, query, params = [], options = {}) {
+  const { signal } = options;
+  const timeoutMs = options.timeoutMs || DEFAULT_REQUEST_TIMEOUT_MS;
+  const batchSize = Math.max(parseInt(options.batchSize, 10) || DEFAULT_BATCH_SIZE, 1);
+  if (signal && signal.aborted) {
+    return { success: false, error: 'Query cancelled', cancelled: true, columns: [], rows: [] };
+  }
+
+  let worker;
+  try {
+    worker = await acquireWorker();
+  } catch (error) {
+    return { success: false, error: error.message, columns: [], rows: [] };
+  }
+
+  // Count the cursor before it opens, so the worker is not stopped as idle in between
+  const placeholder = Symbol('opening');
+  worker.cursors.add(placeholder);
+  const response = await sendToWorker(worker, {
+    type: 'open',
+    connectionString,
+    query,
+    params,
+    timeoutSeconds: Math.ceil(timeoutMs / 1000),
+    batchSize,
+  }, { signal, timeoutMs });
+  worker.cursors.delete(placeholder);
+
+  const { id, ...result } = response;
+  if (!result.success) {
+    scheduleIdleStop(worker);
+    return { ...result, columns: [], rows: [] };
+  }
+
+  const { cursorId } = result;
+  let done = Boolean(result.done);
+  let idleTimer = null;
+
+  const onAbort = () => close();
+  const release = () => {
+    done = true;
+    clearTimeout(idleTimer);
+    if (signal) signal.removeEventListener('abort', onAbort);
+    worker.cursors.delete(cursorId);
+    scheduleIdleStop(worker);
+  };
+  const touch = () => {
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(close, CURSOR_IDLE_TIMEOUT_MS);
+    if (typeof idleTimer.unref === 'function') idleTimer.unref();
+  };
+
+  async function fetch() {
+    if (done) return { success: true, rows: [], done: true };
+    clearTimeout(idleTimer);
+    const { id: fetchId, ...batch } = await sendToWorker(worker, { type: 'fetch', cursorId, batchSize }, { signal, timeoutMs });
+    // The worker closes the cursor itself once it is exhausted or a fetch fails
+    if (!batch.success || batch.done) release();
+    else touch();
+    return { ...batch, rows: [].concat(batch.rows || []), done };
+  }
+
+  async function close() {
+    if (done) return;
+    release();
+    await sendToWorker(worker, { type: 'close', cursorId }, { timeoutMs });
+  }
+
+  if (!done) {
+    worker.cursors.add(cursorId);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    touch();
+  }
+  return {
+    success: true,
+    columns: [].concat(result.columns || []),
+    rows: [].concat(result.rows || []),
+    done,
+    fetch,
+    close,
+  };
+}
+
+/**
+ * Replace the worker command, e.g. with the Node stand-in. null restores PowerShell.
+ *
+ * @param {Object|null} command - { command, args, env, label }
+ * @returns {Promise<void>} Resolves once running workers have been stopped
+ */
+async function setOdbcWorkerCommand(command) {
+  workerCommandOverride = command;
+  await closeOdbcWorkers();
+}
+
+/**
+ * Stop all workers (app quit). Their connections are closed.
+ */
+function closeOdbcWorkers() {
+  return Promise.all(workers.slice().map(worker => new Promise((resolve) => {
+    worker.process.once('exit', resolve);
+    stopWorker(worker);
+  })));
+}
+
+/**
+ * Running workers, for diagnostics
+ *
+ * @returns {Object[]} [{ pid, label, pending, requestCount, cursors, retiring, startedAt }]
+ */
+function getOdbcWorkerStats() {
+  return workers.map(worker => ({
+    pid: worker.process.pid,
+    label: worker.label,
+    pending: worker.pending.size,
+    requestCount: worker.requestCount,
+    cursors: worker.cursors.size,
+    retiring: worker.retiring,
+    startedAt: new Date(worker.startedAt).toISOString(),
+  }));
+}
+
+module.exports = {
+  WORKER_EXIT_CODE,
+  runWorkerQuery,
+  openWorkerCursor,
+  setOdbcWorkerCommand,
+  closeOdbcWorkers,
+  getOdbcWorkerStats,
+  getPowerShellCandidates,
+};
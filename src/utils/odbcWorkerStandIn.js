@@ -0,0 +1,249 @@
+/**
+ * ODBC Bridge Worker stand-in
+ *
+ * A Node script speaking the odbcWorker line-delimited JSON protocol, for running
+ * the ODBC bridge where PowerShell and the practice ODBC drivers are not available
+ * (Linux, CI). Queries run against SQLite: the connection string names the file
+ * with Database=<path> (or DBQ=<path>). Like the PowerShell worker it keeps one
+ * connection open per connection string and answers in the typed result format
+ * (see odbcTypes). node-sqlite3 has no column metadata, so column types are
+ * inferred: a column whose values are all bound parameters of one declared type
+ * (SELECT ? AS name) has that type; otherwise integers are Int64, other numbers
+ * Double, blobs Byte[], and text that is entirely yyyy-MM-dd[ HH:mm:ss] DateTime.
+ *
+ * Use it with:
+ *   ODBC_WORKER_SCRIPT=/path/to/odbcWorkerStandIn.js
+ * or odbcWorker.setOdbcWorkerCommand({ label: 'node', command: process.execPath,
+ *   args: [require.resolve('./odbcWorkerStandIn')] })
+ */
+
+const readline = require('readline');
+const sqlite3 = require('sqlite3');
+
+// connection string -> Promise<sqlite3.Database>
+const connections = new Map();
+
+function getDatabasePath(connectionString) {
+  const match = /(?:^|;)\s*(?:Database|DBQ)\s*=\s*([^;]+)/i.exec(connectionString || '');
+  if (!match) throw new Error('Connection string has no Database=<path>');
+  return match[1].trim();
+}
+
+function getConnection(connectionString) {
+  if (!connections.has(connectionString)) {
+    const opening = new Promise((resolve, reject) => {
+      const db = new sqlite3.Database(getDatabasePath(connectionString), sqlite3.OPEN_READWRITE, (err) => {
+        if (err) reject(err);
+        else resolve(db);
+      });
+    });
+    opening.catch(() => connections.delete(connectionString));
+    connections.set(connectionString, opening);
+  }
+  return connections.get(connectionString);
+}
+
+const DATE_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}( \d{2}:\d{2}:\d{2}(\.\d+)?)?$/;
+
+// Column types for values that are bound parameters, by declared parameter type
+const PARAM_COLUMN_TYPES = {
+  string: ['NVarChar', 'String'],
+  int: ['BigInt', 'Int64'],
+  decimal: ['Decimal', 'Decimal'],
+  date: ['DateTime', 'DateTime'],
+  binary: ['VarBinary', 'Byte[]'],
+};
+
+/**
+ * Declared type of the bound parameter a value came from, if any
+ *
+ * @param {*} value - SQLite value
+ * @param {Object[]} bound - [{ type, value }] with value as bound to SQLite
+ */
+function getParamType(value, bound) {
+  const param = bound.find(p => (Buffer.isBuffer(value) && Buffer.isBuffer(p.value) ? value.equals(p.value) : value === p.value));
+  return param ? param.type : null;
+}
+
+/**
+ * Column metadata in the worker format, from the values of one column
+ */
+function inferColumn(name, values, bound) {
+  const present = values.filter(value => value !== null && value !== undefined);
+  const column = (sqlType, dataType) => ({ name, sqlType, dataType, nullable: true });
+  if (present.length === 0) return column('NVarChar', 'String');
+  const paramTypes = present.map(value => getParamType(value, bound));
+  if (paramTypes[0] && paramTypes.every(type => type === paramTypes[0])) {
+    return column(...PARAM_COLUMN_TYPES[paramTypes[0]]);
+  }
+  if (present.every(Buffer.isBuffer)) return column('VarBinary', 'Byte[]');
+  if (present.every(value => typeof value === 'number')) {
+    return present.every(Number.isInteger) ? column('BigInt', 'Int64') : column('Double', 'Double');
+  }
+  if (present.every(value => typeof value === 'string' && DATE_TIME_PATTERN.test(value))) {
+    return present.some(value => value.length > 10) ? column('DateTime', 'DateTime') : column('Date', 'DateTime');
+  }
+  return column('NVarChar', 'String');
+}
+
+function formatValue(column, value) {
+  if (value === null || value === undefined) return null;
+  if (Buffer.isBuffer(value)) return value.toString('base64');
+  if (column.dataType === 'DateTime') {
+    return `${value.slice(0, 10)}T${(value.slice(11) || '00:00:00').padEnd(8, '0')}`;
+  }
+  return String(value);
+}
+
+/**
+ * SQLite values for typed request params ({ type, value }, see odbcTypes.toOdbcParam).
+ * Dates stay yyyy-MM-dd HH:mm:ss[.fff] text, the way SQLite stores them (without
+ * the fraction when it is zero).
+ *
+ * @returns {Object[]} [{ type, value }] with value as bound to SQLite
+ */
+function bindParams(params) {
+  return (params || []).map((param) => {
+    switch (param.type) {
+      case 'null':
+        return { type: 'null', value: null };
+      case 'string':
+        return { type: 'string', value: String(param.value) };
+      case 'date':
+        return { type: 'date', value: String(param.value).replace(/\.000$/, '') };
+      case 'binary':
+        return { type: 'binary', value: Buffer.from(String(param.value), 'base64') };
+      case 'int':
+      case 'decimal':
+        return { type: param.type, value: Number(param.value) };
+      default:
+        throw new Error(`Unknown parameter type '${param.type}'`);
+    }
+  });
+}
+
+async function runQuery({ connectionString, query, params }) {
+  const db = await getConnection(connectionString);
+  const bound = bindParams(params);
+  const rows = await new Promise((resolve, reject) => {
+    db.all(query, bound.map(param => param.value), (err, result) => (err ? reject(err) : resolve(result)));
+  });
+  const names = rows.length > 0 ? Object.keys(rows[0]) : [];
+  const columns = names.map(name => inferColumn(name, rows.map(row => row[name]), bound));
+  return {
+    columns,
+    rows: rows.map(row => columns.map(column => formatValue(column, row[column.name]))),
+  };
+}
+
+// cursorId -> { statement, bound, columns }; column types come from the first batch
+const cursors = new Map();
+let nextCursorId = 1;
+
+async function readBatch(cursor, batchSize) {
+  const rows = [];
+  let done = false;
+  while (rows.length < batchSize) {
+    const row = await new Promise((resolve, reject) => {
+      cursor.statement.get((err, result) => (err ? reject(err) : resolve(result)));
+    });
+    if (!row) {
+      done = true;
+      break;
+    }
+    rows.push(row);
+  }
+  if (!cursor.columns) {
+    const names = rows.length > 0 ? Object.keys(rows[0]) : [];
+    cursor.columns = names.map(name => inferColumn(name, rows.map(row => row[name]), cursor.bound));
+  }
+  return { rows: rows.map(row => cursor.columns.map(column => formatValue(column, row[column.name]))), done };
+}
+
+function closeCursor(cursorId) {
+  const cursor = cursors.get(cursorId);
+  if (!cursor) return;
+  cursors.delete(cursorId);
+  cursor.statement.finalize();
+}
+
+async function openCursor({ connectionString, query, params, batchSize }) {
+  const db = await getConnection(connectionString);
+  const bound = bindParams(params);
+  const statement = await new Promise((resolve, reject) => {
+    const prepared = db.prepare(query, bound.map(param => param.value), err => (err ? reject(err) : resolve(prepared)));
+  });
+  const cursorId = String(nextCursorId++);
+  const cursor = { statement, bound, columns: null };
+  cursors.set(cursorId, cursor);
+  try {
+    const batch = await readBatch(cursor, batchSize || 1000);
+    if (batch.done) closeCursor(cursorId);
+    return { cursorId, columns: cursor.columns, ...batch };
+  } catch (error) {
+    closeCursor(cursorId);
+    throw error;
+  }
+}
+
+async function fetchCursor({ cursorId, batchSize }) {
+  const cursor = cursors.get(String(cursorId));
+  if (!cursor) throw new Error(`Cursor ${cursorId} is not open`);
+  try {
+    const batch = await readBatch(cursor, batchSize || 1000);
+    if (batch.done) closeCursor(String(cursorId));
+    return batch;
+  } catch (error) {
+    closeCursor(String(cursorId));
+    throw error;
+  }
+}
+
+async function handleRequest(request) {
+  switch (request.type) {
+    case 'query':
+      return { id: request.id, success: true, ...(await runQuery(request)) };
+    case 'open':
+      return { id: request.id, success: true, ...(await openCursor(request)) };
+    case 'fetch':
+      return { id: request.id, success: true, ...(await fetchCursor(request)) };
+    case 'close':
+      closeCursor(String(request.cursorId));
+      return { id: request.id, success: true };
+    case 'ping':
+      return { id: request.id, success: true };
+    default:
+      return { id: request.id, success: false, error: `Unknown request type '${request.type}'` };
+  }
+}
+
+// Requests run one at a time, in order, like the PowerShell worker
+let queue = Promise.resolve();
+
+const lines = readline.createInterface({ input: process.stdin, crlfDelay: Infinity });
+lines.on('line', (line) => {
+  if (!line.trim()) return;
+  queue = queue.then(async () => {
+    let request = {};
+    let response;
+    try {
+      request = JSON.parse(line);
+      response = await handleRequest(request);
+    } catch (error) {
+      response = { id: request.id == null ? null : request.id, success: false, error: error.message, state: null };
+    }
+    process.stdout.write(`${JSON.stringify(response)}\n`);
+  });
+});
+
+lines.on('close', () => {
+  queue.then(async () => {
+    for (const cursorId of [...cursors.keys()]) closeCursor(cursorId);
+    for (const opening of connections.values()) {
+      const db = await opening.catch(() => null);
+      if (db) db.close();
+    }
+  });
+});
+
+process.stdout.write(`${JSON.stringify({ type: 'ready' })}\n`);
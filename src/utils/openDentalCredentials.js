@@ -0,0 +1,266 @@
+/**
+ * Open Dental Credentials
+ *
+ * Open Dental is MySQL-based. Each workstation stores its database connection in
+ * FreeDentalConfig.xml in the Open Dental program folder:
+ *
+ *   <ConnectionSettings>
+ *     <DatabaseConnection>
+ *       <ComputerName>localhost</ComputerName>
+ *       <Database>opendental</Database>
+ *       <User>root</User>
+ *       <Password></Password>
+ *       <MySQLPassHash>...</MySQLPassHash>
+ *     </DatabaseConnection>
+ *     <DatabaseType>MySql</DatabaseType>
+ *   </ConnectionSettings>
+ *
+ * When Open Dental is set to store the password encrypted, <Password> is empty and
+ * only <MySQLPassHash> is present. That value cannot be decrypted outside Open
+ * Dental, so the connection is created with passwordMissing and the user enters it.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const CONFIG_FILE_NAME = 'FreeDentalConfig.xml';
+const DEFAULT_MYSQL_PORT = 3306;
+
+/**
+ * Folders Open Dental installs to by default
+ */
+function getDefaultInstallDirectories() {
+  const dirs = [];
+  for (const base of [process.env.ProgramFiles, process.env['ProgramFiles(x86)'], 'C:\\Program Files', 'C:\\Program Files (x86)']) {
+    if (!base) continue;
+    const dir = path.join(base, 'Open Dental');
+    if (!dirs.includes(dir)) dirs.push(dir);
+  }
+  return dirs;
+}
+
+/**
+ * Locate FreeDentalConfig.xml
+ *
+ * @param {string} [openDentalPath] - Open Dental folder or the config file itself (overrides the defaults)
+ * @returns {Promise<string|null>} Path to the config file, or null if not found
+ */
+async function findOpenDentalConfigPath(openDentalPath) {
+  const candidates = [];
+  if (openDentalPath) {
+    candidates.push(
+      path.basename(openDentalPath).toLowerCase() === CONFIG_FILE_NAME.toLowerCase()
+        ? openDentalPath
+        : path.join(openDentalPath, CONFIG_FILE_NAME)
+    );
+  } else if (process.env.OPENDENTAL_PATH) {
+    candidates.push(path.join(process.env.OPENDENTAL_PATH, CONFIG_FILE_NAME));
+  } else if (process.platform === 'win32') {
+    candidates.push(...getDefaultInstallDirectories().map(dir => path.join(dir, CONFIG_FILE_NAME)));
+  }
+
+  for (const candidate of candidates) {
+    try {
+      const stats = await fs.stat(candidate);
+      if (stats.isFile()) return candidate;
+    } catch {
+      // Not here, try the next location
+    }
+  }
+  return null;
+}
+
+/**
+ * Decode the five predefined XML entities and numeric character references
+ */
+function decodeXmlText(value) {
+  return value
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Read the text of the first <tag> element in an XML fragment.
+ * FreeDentalConfig.xml is flat and attribute-free, so a full XML parser is not needed.
+ */
+function getXmlElementText(xml, tag) {
+  const match = xml.match(new RegExp(`<${tag}(?:\\s[^>]*)?(?:/>|>([\\s\\S]*?)</${tag}>)`, 'i'));
+  if (!match) return undefined;
+  return decodeXmlText((match[1] || '').trim());
+}
+
+/**
+ * Parse FreeDentalConfig.xml contents into a MySQL connection config
+ *
+ * @param {string} xml - File contents
+ * @returns {Object} { host, port, database, username, password, passwordEncrypted, databaseType, middleTierUri }
+ */
+function parseOpenDentalConfig(xml) {
+  if (typeof xml !== 'string' || !/<ConnectionSettings[\s>]/i.test(xml)) {
+    throw new Error(`${CONFIG_FILE_NAME} does not contain ConnectionSettings`);
+  }
+
+  const connectionBlock = xml.match(/<DatabaseConnection[\s>][\s\S]*?<\/DatabaseConnection>/i);
+  const connectionXml = connectionBlock ? connectionBlock[0] : xml;
+
+  // ComputerName may carry a port ("server:3307")
+  const computerName = getXmlElementText(connectionXml, 'ComputerName') || 'localhost';
+  const portMatch = computerName.match(/^(.*):(\d+)$/);
+  const host = portMatch ? portMatch[1] : computerName;
+  const port = portMatch ? parseInt(portMatch[2], 10) : DEFAULT_MYSQL_PORT;
+
+  const password = getXmlElementText(connectionXml, 'Password') || '';
+  const passHash = getXmlElementText(connectionXml, 'MySQLPassHash') || '';
+
+  return {
+    host,
+    port,
+    database: getXmlElementText(connectionXml, 'Database') || 'opendental',
+    username: getXmlElementText(connectionXml, 'User') || 'root',
+    password,
+    passwordEncrypted: !password && !!passHash,
+    databaseType: getXmlElementText(xml, 'DatabaseType') || 'MySql',
+    middleTierUri: getXmlElementText(xml, 'URI') || undefined,
+  };
+}
+
+/**
+ * Check if Open Dental is installed (FreeDentalConfig.xml can be found)
+ *
+ * @param {string} [openDentalPath] - Open Dental folder or config file
+ * @returns {Promise<Object>} { installed, configPath, error }
+ */
+async function isOpenDentalInstalled(openDentalPath) {
+  if (!openDentalPath && !process.env.OPENDENTAL_PATH && process.platform !== 'win32') {
+    return {
+      installed: false,
+      error: 'Not a Windows system',
+    };
+  }
+
+  const configPath = await findOpenDentalConfigPath(openDentalPath);
+  if (!configPath) {
+    return {
+      installed: false,
+      error: `${CONFIG_FILE_NAME} not found`,
+      hint: [
+        'Open Dental does not appear to be installed on this machine.',
+        `Looked in: ${openDentalPath || getDefaultInstallDirectories().join(', ')}`,
+      ],
+    };
+  }
+
+  return {
+    installed: true,
+    configPath,
+    message: 'Open Dental configuration found',
+  };
+}
+
+/**
+ * Read the Open Dental database connection from FreeDentalConfig.xml
+ *
+ * @param {string} [openDentalPath] - Open Dental folder or config file
+ * @returns {Promise<Object>} { success, config, source, error, hint }
+ */
+async function getOpenDentalConnectionConfig(openDentalPath) {
+  try {
+    const configPath = await findOpenDentalConfigPath(openDentalPath);
+    if (!configPath) {
+      return {
+        success: false,
+        error: `${CONFIG_FILE_NAME} not found`,
+        config: null,
+      };
+    }
+
+    const config = parseOpenDentalConfig(await fs.readFile(configPath, 'utf-8'));
+
+    if (config.middleTierUri) {
+      return {
+        success: false,
+        error: 'This workstation connects to Open Dental through the Middle Tier web service',
+        config: null,
+        hint: [
+          'Direct database credentials are only stored on the Middle Tier server.',
+          'Run this application on the database server, or enter the MySQL details manually.',
+        ],
+      };
+    }
+    if (config.databaseType && config.databaseType.toLowerCase() !== 'mysql') {
+      return {
+        success: false,
+        error: `Unsupported Open Dental database type '${config.databaseType}'`,
+        config: null,
+      };
+    }
+
+    return {
+      success: true,
+      config,
+      source: configPath,
+      ...(config.passwordEncrypted && {
+        hint: ['The MySQL password is stored encrypted by Open Dental. Enter it manually before testing the connection.'],
+      }),
+    };
+  } catch (error) {
+    console.error('Error reading Open Dental configuration:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to read Open Dental configuration',
+      config: null,
+    };
+  }
+}
+
+/**
+ * Create a database connection object for use with the databaseConnections module
+ *
+ * @param {string} connectionName - Name for this connection
+ * @param {string} [openDentalPath] - Open Dental folder or config file
+ * @returns {Promise<Object>} Result object with connection data ready to be added
+ */
+async function createOpenDentalConnection(connectionName = 'Open Dental Database', openDentalPath) {
+  const result = await getOpenDentalConnectionConfig(openDentalPath);
+  if (!result.success) {
+    return {
+      success: false,
+      error: result.error,
+      hint: result.hint,
+    };
+  }
+
+  const { config } = result;
+  return {
+    success: true,
+    connectionData: {
+      name: connectionName,
+      type: 'mysql',
+      config: {
+        host: config.host,
+        port: config.port,
+        database: config.database,
+        username: config.username,
+        ...(config.passwordEncrypted ? { passwordMissing: true } : { password: config.password }),
+        // Flag so Open Dental queries (practice info, appointments) are offered for this connection
+        openDental: true,
+      },
+    },
+    source: result.source,
+    hint: result.hint,
+  };
+}
+
+module.exports = {
+  CONFIG_FILE_NAME,
+  findOpenDentalConfigPath,
+  parseOpenDentalConfig,
+  isOpenDentalInstalled,
+  getOpenDentalConnectionConfig,
+  createOpenDentalConnection,
+};
@@ -0,0 +1,261 @@
+/**
+ * Open Dental Data Service
+ *
+ * Practice info and appointment queries against an Open Dental MySQL database,
+ * returning the same shapes as dentrixCoreDataService so callers can treat both
+ * practice-management systems alike. Appointment rows use the Dentrix column
+ * aliases (appointment_id, Prim_Subscriber_FirstName, ...).
+ *
+ * Open Dental tables used: preference, appointment, patient, patplan, inssub,
+ * insplan, carrier, employer.
+ */
+
+const connectionPools = require('./connectionPools');
+
+/** appointment.AptStatus values that are real, kept appointments (1 = Scheduled, 2 = Complete) */
+const KEPT_APPOINTMENT_STATUSES = [1, 2];
+
+/** preference.PrefName -> practiceInfo key */
+const PRACTICE_PREFERENCES = {
+  PracticeTitle: 'practiceName',
+  PracticePhone: 'phone',
+  PracticeAddress: 'address1',
+  PracticeAddress2: 'address2',
+  PracticeCity: 'city',
+  PracticeST: 'state',
+  PracticeZip: 'zip',
+  DataBaseVersion: 'databaseVersion',
+};
+
+/**
+ * Preference lookup with one placeholder per PrefName
+ */
+function buildPracticeInfoQuery(nameCount) {
+  return `SELECT PrefName, ValueString FROM preference WHERE PrefName IN (${Array(nameCount).fill('?').join(', ')})`;
+}
+
+const APPOINTMENT_IDS_QUERY = `
+  SELECT a.AptNum AS appointment_id
+  FROM appointment a
+  WHERE a.AptDateTime >= ? AND a.AptDateTime < ?
+  AND a.AptStatus IN (${KEPT_APPOINTMENT_STATUSES.join(', ')})
+`.trim();
+
+const APPOINTMENTS_QUERY = `
+  SELECT DISTINCT
+    a.AptNum AS appointment_id,
+    a.AptDateTime AS appointment_date,
+    HOUR(a.AptDateTime) AS start_hour, a.ProcDescript AS reason, a.AptStatus AS status_id, a.Op AS operatory_id,
+    pt.PatNum AS patient_id, pt.FName AS first_name, pt.LName AS last_name, pt.HmPhone AS home_phone, pt.Birthdate AS birth_date,
+    pt.City AS city, pt.State AS state, pt.Zip AS zipcode, pt.Address2 AS address_line2, pt.Address AS address_line1, pt.Gender AS gender,
+    c1.CarrierName AS ins_co_name, ip1.GroupName AS group_name,
+    p_sub.SSN AS Prim_Subscriber_SSN,
+    p_sub.FName AS Prim_Subscriber_FirstName, p_sub.LName AS Prim_Subscriber_LastName,
+    p_sub.Title AS Prim_Subscriber_Title, p_sub.Birthdate AS Prim_Subscriber_BirthDate,
+    p_sub.Gender AS Prim_Subscriber_Gender,
+    p_sub.Address AS Prim_Subscriber_Street1, p_sub.Address2 AS Prim_Subscriber_Street2,
+    p_sub.City AS Prim_Subscriber_City, p_sub.State AS Prim_Subscriber_State, p_sub.Zip AS Prim_Subscriber_Zipcode,
+    pp1.Relationship AS Prim_Relationship_To_Patient,
+    p_e.EmpName AS Prim_Employer_Name, p_e.Address AS Prim_Employer_Street1,
+    p_e.Address2 AS Prim_Employer_Street2, p_e.City AS Prim_Employer_City,
+    p_e.State AS Prim_Employer_State, p_e.Zip AS Prim_Employer_Zipcode, p_e.Phone AS Prim_Employer_Phone,
+    c1.CarrierName AS Prim_InsuranceCompany_Name,
+    c1.Address AS Prim_InsuranceCompany_Street1, c1.Address2 AS Prim_InsuranceCompany_Street2,
+    c1.City AS Prim_InsuranceCompany_City, c1.State AS Prim_InsuranceCompany_State, c1.Zip AS Prim_InsuranceCompany_Zipcode,
+    c1.ElectID AS Prim_InsuranceCompany_PayerId,
+    is1.SubscriberID AS id_num, ip1.GroupNum AS group_number,
+    is2.SubscriberID AS Sec_MemberId,
+    c2.CarrierName AS Sec_InsuranceCompany_Name,
+    c2.Address AS Sec_InsuranceCompany_Street1, c2.Address2 AS Sec_InsuranceCompany_Street2,
+    c2.City AS Sec_InsuranceCompany_City, c2.State AS Sec_InsuranceCompany_State, c2.Zip AS Sec_InsuranceCompany_Zipcode,
+    c2.ElectID AS Sec_InsuranceCompany_PayerId, ip2.GroupNum AS Sec_Insurance_GroupNumber,
+    s_sub.SSN AS Sec_Subscriber_SSN, s_sub.FName AS Sec_Subscriber_FirstName, s_sub.LName AS Sec_Subscriber_LastName,
+    s_sub.Title AS Sec_Subscriber_Title, s_sub.Birthdate AS Sec_Subscriber_BirthDate, s_sub.Gender AS Sec_Subscriber_Gender,
+    s_sub.Address AS Sec_Subscriber_Street1, s_sub.Address2 AS Sec_Subscriber_Street2,
+    s_sub.City AS Sec_Subscriber_City, s_sub.State AS Sec_Subscriber_State, s_sub.Zip AS Sec_Subscriber_Zipcode
+  FROM appointment a
+  INNER JOIN patient pt ON pt.PatNum = a.PatNum
+  LEFT JOIN patplan pp1 ON pp1.PatNum = pt.PatNum AND pp1.Ordinal = 1
+  LEFT JOIN inssub is1 ON is1.InsSubNum = pp1.InsSubNum
+  LEFT JOIN insplan ip1 ON ip1.PlanNum = is1.PlanNum
+  LEFT JOIN carrier c1 ON c1.CarrierNum = ip1.CarrierNum
+  LEFT JOIN patient p_sub ON p_sub.PatNum = is1.Subscriber
+  LEFT JOIN patplan pp2 ON pp2.PatNum = pt.PatNum AND pp2.Ordinal = 2
+  LEFT JOIN inssub is2 ON is2.InsSubNum = pp2.InsSubNum
+  LEFT JOIN insplan ip2 ON ip2.PlanNum = is2.PlanNum
+  LEFT JOIN carrier c2 ON c2.CarrierNum = ip2.CarrierNum
+  LEFT JOIN patient s_sub ON s_sub.PatNum = is2.Subscriber
+  LEFT JOIN employer p_e ON p_e.EmployerNum = pt.EmployerNum
+  WHERE a.AptDateTime >= ? AND a.AptDateTime < ?
+  AND a.AptStatus IN (${KEPT_APPOINTMENT_STATUSES.join(', ')})
+  ORDER BY a.AptDateTime
+`.trim();
+
+/**
+ * SQL run by this service, by function name. Schema diffs flag the columns these reference.
+ */
+const BUILT_IN_QUERIES = {
+  getOpenDentalPracticeInfo: buildPracticeInfoQuery(Object.keys(PRACTICE_PREFERENCES).length),
+  getOpenDentalAppointmentIds: APPOINTMENT_IDS_QUERY,
+  getOpenDentalAppointments: APPOINTMENTS_QUERY,
+};
+
+/**
+ * Run a callback with a pooled MySQL connection built from a saved connection config.
+ * The pool is keyed by the server and login, so configs read from the Open Dental
+ * install (no saved connection yet) are pooled too. Aborting the signal drops the
+ * connection, which ends the running statement client-side; so does a statement
+ * timeout, so neither connection goes back to the pool.
+ */
+async function withOpenDentalConnection(config, fn, { signal } = {}) {
+  if (signal && signal.aborted) {
+    throw Object.assign(new Error('Query cancelled'), { cancelled: true });
+  }
+  const host = (config.host || 'localhost').trim();
+  const lease = await connectionPools.acquireMysqlConnection(null, {
+    host: host.toLowerCase() === 'localhost' ? '127.0.0.1' : host,
+    port: parseInt(config.port, 10) || 3306,
+    user: (config.username || config.user || 'root').trim(),
+    password: config.password != null ? String(config.password) : '',
+    database: (config.database || '').trim() || 'opendental',
+    connectTimeout: config.connectionTimeout || 15000,
+  });
+  const onAbort = () => lease.destroy();
+  if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+  try {
+    return await fn(lease.connection);
+  } catch (error) {
+    if (signal && signal.aborted) throw Object.assign(new Error('Query cancelled'), { cancelled: true });
+    if (error.code === 'PROTOCOL_SEQUENCE_TIMEOUT') lease.destroy();
+    throw error;
+  } finally {
+    if (signal) signal.removeEventListener('abort', onAbort);
+    lease.release();
+  }
+}
+
+/**
+ * Failure result for a query that threw, keeping cancelled and timedOut
+ * (mysql2 reports its statement timeout as PROTOCOL_SEQUENCE_TIMEOUT)
+ */
+function getFailureResult(error, fallback, extra) {
+  return {
+    success: false,
+    ...extra,
+    error: error.message || fallback,
+    ...(error.cancelled && { cancelled: true }),
+    ...(error.code === 'PROTOCOL_SEQUENCE_TIMEOUT' && { timedOut: true }),
+  };
+}
+
+/**
+ * Normalize the date range arguments: whole days, end date inclusive
+ */
+function getDateRange(startDate, endDate) {
+  const start = startDate instanceof Date ? startDate : new Date(startDate);
+  const end = endDate instanceof Date ? endDate : new Date(endDate);
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+    throw new Error('Invalid start or end date');
+  }
+  return {
+    start: new Date(start.getFullYear(), start.getMonth(), start.getDate()),
+    endExclusive: new Date(end.getFullYear(), end.getMonth(), end.getDate() + 1),
+  };
+}
+
+/**
+ * Get Open Dental practice info from the preference table.
+ * siteId mirrors the Dentrix practice name; Open Dental has no source ID.
+ *
+ * @param {Object} config - MySQL connection config
+ * @param {Object} [options] - { signal, timeoutMs } (timeoutMs: statement timeout)
+ * @returns {Promise<Object>} { success, siteId, sourceId, practiceInfo, error, cancelled, timedOut }
+ */
+async function getOpenDentalPracticeInfo(config, { signal, timeoutMs } = {}) {
+  try {
+    const names = Object.keys(PRACTICE_PREFERENCES);
+    const rows = await withOpenDentalConnection(config, async (connection) => {
+      const [result] = await connection.query({ sql: buildPracticeInfoQuery(names.length), timeout: timeoutMs }, names);
+      return result;
+    }, { signal });
+
+    const practiceInfo = {};
+    for (const row of rows || []) {
+      const key = PRACTICE_PREFERENCES[row.PrefName];
+      if (key) practiceInfo[key] = row.ValueString != null ? String(row.ValueString).trim() : '';
+    }
+
+    if (!practiceInfo.practiceName && !practiceInfo.databaseVersion) {
+      return { success: false, error: 'Could not read practice info from the preference table' };
+    }
+
+    return {
+      success: true,
+      siteId: practiceInfo.practiceName || '',
+      sourceId: null,
+      practiceInfo,
+    };
+  } catch (error) {
+    return getFailureResult(error, 'Failed to read Open Dental practice info');
+  }
+}
+
+/**
+ * Get appointment IDs (AptNum) for a date range
+ *
+ * @param {Object} config - MySQL connection config
+ * @param {Date} startDate - Start date
+ * @param {Date} endDate - End date (inclusive)
+ * @param {Object} [options] - { signal, timeoutMs } (timeoutMs: statement timeout)
+ * @returns {Promise<Object>} { success, appointmentIds: string[], error, cancelled, timedOut }
+ */
+async function getOpenDentalAppointmentIds(config, startDate, endDate, { signal, timeoutMs } = {}) {
+  try {
+    const { start, endExclusive } = getDateRange(startDate, endDate);
+    const rows = await withOpenDentalConnection(config, async (connection) => {
+      const [result] = await connection.execute({ sql: APPOINTMENT_IDS_QUERY, timeout: timeoutMs }, [start, endExclusive]);
+      return result;
+    }, { signal });
+
+    const appointmentIds = (rows || [])
+      .map((r) => (r.appointment_id != null ? String(r.appointment_id) : null))
+      .filter(Boolean);
+
+    return { success: true, appointmentIds };
+  } catch (error) {
+    return getFailureResult(error, 'Failed to read Open Dental appointment IDs', { appointmentIds: [] });
+  }
+}
+
+/**
+ * Get appointments with patient and primary/secondary insurance details.
+ * Equivalent to dentrixCoreDataService.getDentrixAppointments; broken, unscheduled
+ * and planned appointments are excluded.
+ *
+ * @param {Object} config - MySQL connection config
+ * @param {Date} startDate - Start date
+ * @param {Date} endDate - End date (inclusive)
+ * @param {Object} [options] - { signal, timeoutMs } (timeoutMs: statement timeout)
+ * @returns {Promise<Object>} { success, appointments: Object[], error, cancelled, timedOut }
+ */
+async function getOpenDentalAppointments(config, startDate, endDate, { signal, timeoutMs } = {}) {
+  try {
+    const { start, endExclusive } = getDateRange(startDate, endDate);
+    const rows = await withOpenDentalConnection(config, async (connection) => {
+      const [result] = await connection.execute({ sql: APPOINTMENTS_QUERY, timeout: timeoutMs }, [start, endExclusive]);
+      return result;
+    }, { signal });
+
+    return { success: true, appointments: rows || [] };
+  } catch (error) {
+    return getFailureResult(error, 'Failed to read Open Dental appointments', { appointments: [] });
+  }
+}
+
+module.exports = {
+  BUILT_IN_QUERIES,
+  getOpenDentalPracticeInfo,
+  getOpenDentalAppointmentIds,
+  getOpenDentalAppointments,
+};
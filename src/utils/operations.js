@@ -0,0 +1,146 @@
+/**
+ * Cancellable Operations
+ *
+ * Long-running database calls (queries, table previews, table lists and
+ * describes, connection tests, practice data queries, exports, diagnostics,
+ * Dentrix Service operations) run as operations keyed by a caller-chosen
+ * operation ID, so the renderer can cancel any of them with cancelOperation
+ * (IPC db:cancel) while it waits for the result.
+ *
+ * A call begins an operation, hands operation.onCancel to the driver and ends it
+ * when done. Cancelling aborts operation.signal and runs the driver's own cancel:
+ *
+ *   ODBC bridge      retire the worker running the statement (see odbcWorker)
+ *   MSSQL            request.cancel()
+ *   MySQL            KILL QUERY <thread id> on a second connection
+ *   PostgreSQL       pg_cancel_backend(); Oracle: connection.break(); SQLite: interrupt()
+ *   Dentrix Service  kill the service process
+ *
+ * Calls that only take operation.signal stop their driver through it (the ODBC
+ * bridge, the Open Dental MySQL lease, the 32-bit ODBC test); a call with no way
+ * to stop returns at once and its result is discarded.
+ *
+ * An operation given a timeout (operation.setTimeout, e.g. the connection's
+ * requestTimeout) is cancelled the same way when it runs longer, with timedOut
+ * set so the caller can report a timeout instead.
+ */
+
+// operationId -> operation, for operations begun with an ID
+const operations = new Map();
+
+/**
+ * Begin an operation
+ *
+ * @param {string} [operationId] - Caller-chosen ID; without one the operation cannot be cancelled
+ *   from outside but still gets a signal and its timeout
+ * @param {Object} [options]
+ * @param {string} [options.kind] - What runs: 'query', 'preview', 'list-tables', 'describe-table', 'test',
+ *   'practice-data', 'export', 'diagnostics', 'dentrix-service'
+ * @param {string} [options.connectionId] - Saved connection the operation runs on
+ * @returns {Object|null} The operation, or null when operationId is already in use:
+ *   { id, kind, connectionId, startedAt, cancelled, timedOut, timeoutMs, signal,
+ *     onCancel(cancel), setTimeout(ms), cancel() }
+ */
+function beginOperation(operationId, { kind = null, connectionId = null } = {}) {
+  if (operationId && operations.has(operationId)) return null;
+
+  const controller = new AbortController();
+  let driverCancel = null;
+  const operation = {
+    id: operationId || null,
+    kind,
+    connectionId,
+    startedAt: Date.now(),
+    cancelled: false,
+    timedOut: false,
+    timeoutMs: null,
+    signal: controller.signal,
+    timer: null,
+
+    /**
+     * Register the driver-specific cancel for the current statement. A later
+     * registration (e.g. a retry's new statement) replaces the earlier one.
+     */
+    onCancel(cancel) {
+      driverCancel = cancel;
+      // Cancel arrived while the driver was still connecting
+      if (operation.cancelled) Promise.resolve().then(cancel).catch(() => {});
+    },
+
+    /**
+     * Cancel the operation if it is still running after ms (ignored when not positive)
+     */
+    setTimeout(ms) {
+      clearTimeout(operation.timer);
+      if (!(ms > 0)) return;
+      operation.timeoutMs = ms;
+      operation.timer = setTimeout(() => {
+        operation.timedOut = true;
+        operation.cancel().catch(error => console.error(`Error cancelling timed out ${kind || 'operation'}:`, error));
+      }, ms);
+    },
+
+    async cancel() {
+      if (operation.cancelled) return;
+      operation.cancelled = true;
+      controller.abort();
+      if (driverCancel) await driverCancel();
+    },
+  };
+
+  if (operationId) operations.set(operationId, operation);
+  return operation;
+}
+
+/**
+ * End an operation once its call has returned
+ */
+function endOperation(operation) {
+  if (!operation) return;
+  clearTimeout(operation.timer);
+  if (operation.id && operations.get(operation.id) === operation) operations.delete(operation.id);
+}
+
+/**
+ * Cancel a running operation
+ *
+ * @param {string} operationId - The ID the operation was begun with
+ * @returns {Promise<Object>} { success, error }
+ */
+async function cancelOperation(operationId) {
+  const operation = operations.get(operationId);
+  if (!operation) {
+    return { success: false, error: 'Operation is not running' };
+  }
+
+  try {
+    await operation.cancel();
+  } catch (error) {
+    console.error('Error cancelling operation:', error);
+    return { success: false, error: error.message || 'Failed to cancel operation' };
+  }
+  return { success: true };
+}
+
+/**
+ * Operations currently running
+ *
+ * @returns {Object[]} [{ operationId, kind, connectionId, startedAt, timeoutMs, cancelled }]
+ */
+function listOperations() {
+  return [...operations.values()].map(operation => ({
+    operationId: operation.id,
+    kind: operation.kind,
+    connectionId: operation.connectionId,
+    startedAt: new Date(operation.startedAt).toISOString(),
+    timeoutMs: operation.timeoutMs,
+    cancelled: operation.cancelled,
+  }));
+}
+
+module.exports = {
+  beginOperation,
+  endOperation,
+  cancelOperation,
+  listOperations,
+};
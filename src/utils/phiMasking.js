@@ -0,0 +1,78 @@
+/**
+ * PHI Masking
+ *
+ * Column-name heuristics for protected health information in practice databases
+ * (Dentrix, Eaglesoft and Open Dental patient, guarantor and subscriber tables).
+ * Column names are compared with case, underscores and spaces removed, so
+ * first_name, FirstName and FName all match.
+ *
+ * Matching columns are masked in table previews unless the user explicitly
+ * reveals them. Dates other than birth dates are left visible so appointment
+ * and claim rows stay readable.
+ */
+
+const PHI_COLUMN_PATTERNS = [
+  // Identifiers
+  /ssn/, /socialsec/, /subscriberid/, /memberid/, /insuredid/, /medicaid/, /medicare/,
+  /chartnum/, /driverslicense/, /driverlicense/, /^idnum$/,
+  // Names
+  /firstname/, /^fname$/, /lastname/, /^lname$/, /middlename/, /^mname$/, /middleinit/,
+  /preferredname/, /nickname/, /patientname/, /fullname/, /subscribername/, /guarantorname/,
+  /emergencycontact/,
+  // Birth dates
+  /birth/, /^dob$/,
+  // Contact details and geography below state level
+  /address/, /^addr/, /street/, /city/, /county/, /zip/, /postal/,
+  /phone/, /^fax/, /email/, /mobile/, /cellular/,
+];
+
+/** Shown instead of a masked value; fixed width so the original length is not revealed */
+const MASKED_VALUE = '••••••';
+
+function normalizeColumnName(name) {
+  return String(name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Whether a column name looks like it holds PHI
+ *
+ * @param {string} columnName
+ * @returns {boolean}
+ */
+function isPhiColumn(columnName) {
+  const normalized = normalizeColumnName(columnName);
+  return PHI_COLUMN_PATTERNS.some(pattern => pattern.test(normalized));
+}
+
+/**
+ * Mask PHI columns in array rows. NULLs stay NULL so empty fields remain visible.
+ *
+ * @param {Object[]} columns - [{ name }]
+ * @param {any[][]} rows - Rows as arrays in column order
+ * @returns {Object} { rows, maskedColumns: string[] }
+ */
+function maskPhiRows(columns, rows) {
+  const maskedIndexes = columns
+    .map((col, i) => (isPhiColumn(col.name) ? i : -1))
+    .filter(i => i >= 0);
+  if (maskedIndexes.length === 0) {
+    return { rows, maskedColumns: [] };
+  }
+
+  return {
+    rows: rows.map((row) => {
+      const masked = [...row];
+      for (const i of maskedIndexes) {
+        if (masked[i] != null) masked[i] = MASKED_VALUE;
+      }
+      return masked;
+    }),
+    maskedColumns: maskedIndexes.map(i => columns[i].name),
+  };
+}
+
+module.exports = {
+  MASKED_VALUE,
+  isPhiColumn,
+  maskPhiRows,
+};
@@ -0,0 +1,124 @@
+/**
+ * Query Audit Log
+ *
+ * Records queries blocked by the read-only policy. Entries are appended as JSON
+ * lines to query-audit.log in the app data directory:
+ *
+ *   { at, source, connectionId, connectionName, dialect, statement, keyword, reason, query }
+ *
+ * When the log grows past MAX_AUDIT_LOG_BYTES it is rotated to query-audit.log.1
+ * (the previous rotation is replaced), so at most two files are kept.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { getAppDataDirectory } = require('./appPaths');
+
+const AUDIT_LOG_FILE_NAME = 'query-audit.log';
+const MAX_AUDIT_LOG_BYTES = 5 * 1024 * 1024;
+/** Longest query text stored per entry */
+const MAX_AUDITED_QUERY_LENGTH = 4000;
+
+// Appends are chained so concurrent blocked queries never interleave or race a rotation
+let writeQueue = Promise.resolve();
+
+function getAuditLogPath() {
+  return path.join(getAppDataDirectory(), AUDIT_LOG_FILE_NAME);
+}
+
+async function rotateIfNeeded(filePath) {
+  try {
+    const stats = await fs.stat(filePath);
+    if (stats.size >= MAX_AUDIT_LOG_BYTES) {
+      await fs.rename(filePath, `${filePath}.1`);
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+}
+
+/**
+ * Append a blocked query to the audit log. Never throws - a failing audit write
+ * is logged but must not turn a blocked query into an unhandled error.
+ *
+ * @param {Object} entry
+ * @param {string} entry.source - Query path that blocked it ('db-connections:execute', 'sql:execute-query', 'odbc-bridge')
+ * @param {string} [entry.connectionId]
+ * @param {string} [entry.connectionName]
+ * @param {string} [entry.dialect]
+ * @param {Object} [entry.blocked] - Blocked statement from sqlClassifier.classifySql
+ * @param {string} entry.query - Full query text
+ * @returns {Promise<void>}
+ */
+function recordBlockedQuery({ source, connectionId, connectionName, dialect, blocked, query }) {
+  const text = String(query == null ? '' : query);
+  const line = JSON.stringify({
+    at: new Date().toISOString(),
+    source,
+    connectionId: connectionId || null,
+    connectionName: connectionName || null,
+    dialect: dialect || null,
+    statement: blocked ? blocked.kind : null,
+    keyword: blocked ? blocked.keyword : null,
+    reason: blocked ? blocked.reason : null,
+    query: text.length > MAX_AUDITED_QUERY_LENGTH ? `${text.slice(0, MAX_AUDITED_QUERY_LENGTH)}…` : text,
+  });
+
+  writeQueue = writeQueue
+    .then(async () => {
+      const filePath = getAuditLogPath();
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await rotateIfNeeded(filePath);
+      await fs.appendFile(filePath, `${line}\n`, 'utf-8');
+    })
+    .catch((error) => {
+      console.error('Error writing query audit log:', error);
+    });
+
+  console.warn(`[QueryAudit] Blocked ${blocked ? blocked.keyword || blocked.kind : 'query'} from ${source}`
+    + `${connectionName ? ` on '${connectionName}'` : ''}`);
+  return writeQueue;
+}
+
+/**
+ * Read the most recent audit entries, newest first
+ *
+ * @param {Object} [options]
+ * @param {number} [options.limit=200]
+ * @returns {Promise<Object>} { success, entries, error }
+ */
+async function readQueryAudit({ limit = 200 } = {}) {
+  try {
+    await writeQueue;
+    const filePath = getAuditLogPath();
+    let lines = [];
+    for (const candidate of [filePath, `${filePath}.1`]) {
+      if (lines.length >= limit) break;
+      try {
+        const data = await fs.readFile(candidate, 'utf-8');
+        lines = lines.concat(data.split('\n').filter(Boolean).reverse());
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+
+    const entries = [];
+    for (const line of lines.slice(0, limit)) {
+      try {
+        entries.push(JSON.parse(line));
+      } catch {
+        // Partially written line (crash mid-append) - skip it
+      }
+    }
+    return { success: true, entries };
+  } catch (error) {
+    console.error('Error reading query audit log:', error);
+    return { success: false, entries: [], error: error.message || 'Failed to read query audit log' };
+  }
+}
+
+module.exports = {
+  AUDIT_LOG_FILE_NAME,
+  recordBlockedQuery,
+  readQueryAudit,
+};
@@ -0,0 +1,214 @@
+/**
+ * Result Export
+ *
+ * Writes query results to CSV, JSON Lines or XLSX files batch by batch, so an
+ * export never holds more than one batch of rows in memory. Sources are async
+ * iterables of { columns, rows } batches (see exportResults in databaseConnections).
+ */
+
+const fs = require('fs');
+const { once } = require('events');
+const { createXlsxWriter, XLSX_MAX_DATA_ROWS } = require('./xlsxStreamWriter');
+
+const EXPORT_FORMATS = {
+  csv: { name: 'CSV', extensions: ['csv'] },
+  jsonl: { name: 'JSON Lines', extensions: ['jsonl'] },
+  xlsx: { name: 'Excel Workbook', extensions: ['xlsx'] },
+};
+
+/** Minimum time between progress callbacks */
+const PROGRESS_INTERVAL_MS = 250;
+
+/**
+ * Convert a driver value to something every format can write: dates become
+ * ISO 8601 text, binaries hex, bigints text and other objects JSON.
+ */
+function toExportValue(value) {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value.toISOString();
+  if (Buffer.isBuffer(value)) return `0x${value.toString('hex')}`;
+  if (typeof value === 'bigint') return value.toString();
+  if (typeof value === 'object') return JSON.stringify(value);
+  return value;
+}
+
+/**
+ * CSV field per RFC 4180. Text starting with a formula character is prefixed with
+ * a quote so spreadsheet apps do not evaluate it (CSV injection).
+ */
+function formatCsvField(value) {
+  if (value === null) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text) && !/^[+-]?\d+(\.\d+)?$/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * JSON Lines object keys; repeated column names get a _2, _3... suffix so no value is lost
+ */
+function getUniqueColumnKeys(columns) {
+  const seen = new Map();
+  return columns.map((col) => {
+    const count = (seen.get(col.name) || 0) + 1;
+    seen.set(col.name, count);
+    return count === 1 ? col.name : `${col.name}_${count}`;
+  });
+}
+
+/**
+ * Text file writer that honours stream backpressure
+ */
+function createTextWriter(filePath) {
+  const output = fs.createWriteStream(filePath, { encoding: 'utf-8' });
+  let outputError = null;
+  output.on('error', (err) => {
+    outputError = err;
+  });
+
+  return {
+    async write(text) {
+      if (outputError) throw outputError;
+      if (!output.write(text)) await once(output, 'drain');
+    },
+    async close() {
+      if (outputError) throw outputError;
+      await new Promise((resolve, reject) => output.end(err => (err ? reject(err) : resolve())));
+    },
+    async abort() {
+      if (output.closed) return;
+      await new Promise((resolve) => {
+        output.once('close', resolve);
+        output.destroy();
+      });
+    },
+  };
+}
+
+/**
+ * Create a writer for an export format
+ *
+ * @param {string} format - csv, jsonl or xlsx
+ * @param {string} filePath - Destination file
+ * @returns {Object} { writeHeader(columns), writeRows(rows), close(), abort(), maxRows }
+ */
+function createExportWriter(format, filePath) {
+  if (format === 'xlsx') {
+    const xlsx = createXlsxWriter(filePath);
+    return {
+      maxRows: XLSX_MAX_DATA_ROWS,
+      writeHeader: columns => xlsx.writeRows([columns.map(col => col.name)]),
+      writeRows: rows => xlsx.writeRows(rows.map(row => row.map(toExportValue))),
+      close: () => xlsx.close(),
+      abort: () => xlsx.abort(),
+    };
+  }
+
+  const text = createTextWriter(filePath);
+  if (format === 'jsonl') {
+    let keys = [];
+    return {
+      maxRows: Infinity,
+      writeHeader: async (columns) => {
+        keys = getUniqueColumnKeys(columns);
+      },
+      writeRows: rows => text.write(rows.map((row) => {
+        const record = {};
+        keys.forEach((key, i) => {
+          record[key] = toExportValue(row[i]);
+        });
+        return `${JSON.stringify(record)}\n`;
+      }).join('')),
+      close: () => text.close(),
+      abort: () => text.abort(),
+    };
+  }
+
+  return {
+    maxRows: Infinity,
+    // BOM so Excel opens UTF-8 CSVs with the right encoding
+    writeHeader: columns => text.write(`\ufeff${columns.map(col => formatCsvField(col.name)).join(',')}\r\n`),
+    writeRows: rows => text.write(rows.map(row => `${row.map(value => formatCsvField(toExportValue(value))).join(',')}\r\n`).join('')),
+    close: () => text.close(),
+    abort: () => text.abort(),
+  };
+}
+
+/**
+ * Write batches of rows to a file. The file is removed if the export fails or is cancelled.
+ *
+ * @param {Object} options
+ * @param {string} options.filePath - Destination file
+ * @param {string} options.format - csv, jsonl or xlsx
+ * @param {AsyncIterable<Object>} options.batches - { columns: [{ name }], rows: any[][] } batches
+ * @param {number} [options.maxRows] - Stop after this many rows and report truncated
+ * @param {Function} [options.isCancelled] - Checked between batches; true stops the export
+ * @param {Function} [options.onProgress] - Called with { rowsWritten } at most every 250 ms
+ * @returns {Promise<Object>} { success, filePath, rowsWritten, truncated, cancelled, error }
+ */
+async function writeExport({ filePath, format, batches, maxRows, isCancelled = () => false, onProgress = () => {} }) {
+  if (!EXPORT_FORMATS[format]) {
+    return { success: false, error: `Unsupported export format '${format}'` };
+  }
+
+  const writer = createExportWriter(format, filePath);
+  const rowLimit = Math.min(maxRows > 0 ? maxRows : Infinity, writer.maxRows);
+  let rowsWritten = 0;
+  let truncated = false;
+  let headerWritten = false;
+  let lastProgressAt = 0;
+
+  const iterator = batches[Symbol.asyncIterator]();
+  try {
+    while (true) {
+      if (isCancelled()) {
+        throw Object.assign(new Error('Export cancelled'), { cancelled: true });
+      }
+      const { value: batch, done } = await iterator.next();
+      if (done) break;
+      if (!headerWritten) {
+        await writer.writeHeader(batch.columns);
+        headerWritten = true;
+      }
+      if (batch.rows.length === 0) continue;
+      if (rowsWritten >= rowLimit) {
+        truncated = true;
+        break;
+      }
+
+      const rows = batch.rows.length > rowLimit - rowsWritten ? batch.rows.slice(0, rowLimit - rowsWritten) : batch.rows;
+      await writer.writeRows(rows);
+      rowsWritten += rows.length;
+      if (rows.length < batch.rows.length) {
+        truncated = true;
+        break;
+      }
+
+      if (Date.now() - lastProgressAt >= PROGRESS_INTERVAL_MS) {
+        lastProgressAt = Date.now();
+        onProgress({ rowsWritten });
+      }
+    }
+  } catch (error) {
+    await writer.abort().catch(() => {});
+    await fs.promises.unlink(filePath).catch(() => {});
+    if (typeof iterator.return === 'function') await iterator.return().catch(() => {});
+    if (error.cancelled || isCancelled()) {
+      return { success: false, cancelled: true, error: 'Export cancelled', rowsWritten };
+    }
+    throw error;
+  }
+
+  // Stops the source query when the row limit ended the export early
+  if (typeof iterator.return === 'function') await iterator.return();
+  if (!headerWritten) await writer.writeHeader([]);
+  await writer.close();
+  onProgress({ rowsWritten });
+  return { success: true, filePath, rowsWritten, truncated, cancelled: false };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  writeExport,
+};
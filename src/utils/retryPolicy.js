@@ -0,0 +1,230 @@
+/**
+ * Retry Policy
+ *
+ * Shared retry for connection tests and queries. Errors are classified per
+ * driver; only transient ones (dropped sockets, timeouts, deadlock victims,
+ * busy or throttled servers) are retried, with capped exponential backoff and
+ * full jitter between attempts:
+ *
+ *   delay = random(0, min(maxDelayMs, baseDelayMs * 2 ^ (attempt - 1)))
+ *
+ * The defaults can be overridden per connection with config.retry:
+ *
+ *   { maxAttempts, baseDelayMs, maxDelayMs }   (maxAttempts: 1 disables retries)
+ */
+
+const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 3,
+  baseDelayMs: 250,
+  maxDelayMs: 4000,
+};
+const MAX_ATTEMPTS_LIMIT = 10;
+const MAX_DELAY_LIMIT_MS = 60000;
+
+/**
+ * Transient error kinds. A statement that failed with 'network' or 'timeout' may
+ * still have run on the server, so those are only retried for idempotent work.
+ * The others mean the statement did not run or was rolled back.
+ */
+const TRANSIENT_KINDS = {
+  NETWORK: 'network',
+  TIMEOUT: 'timeout',
+  DEADLOCK: 'deadlock',
+  BUSY: 'busy',
+  THROTTLED: 'throttled',
+};
+const UNSAFE_FOR_WRITES = new Set([TRANSIENT_KINDS.NETWORK, TRANSIENT_KINDS.TIMEOUT]);
+
+/** Socket-level codes shared by every Node driver */
+const NETWORK_CODES = {
+  ECONNRESET: TRANSIENT_KINDS.NETWORK,
+  EPIPE: TRANSIENT_KINDS.NETWORK,
+  ECONNABORTED: TRANSIENT_KINDS.NETWORK,
+  EHOSTUNREACH: TRANSIENT_KINDS.NETWORK,
+  ENETUNREACH: TRANSIENT_KINDS.NETWORK,
+  EAI_AGAIN: TRANSIENT_KINDS.NETWORK,
+  ETIMEDOUT: TRANSIENT_KINDS.TIMEOUT,
+  ETIMEOUT: TRANSIENT_KINDS.TIMEOUT,
+};
+
+/**
+ * Per-driver classification: error codes (code), server error numbers (number /
+ * errno / errorNum) and SQLSTATEs (state) that mark an error as transient
+ */
+const DRIVER_RULES = {
+  mssql: {
+    codes: { ESOCKET: TRANSIENT_KINDS.NETWORK, ECONNCLOSED: TRANSIENT_KINDS.NETWORK },
+    numbers: {
+      1205: TRANSIENT_KINDS.DEADLOCK, // chosen as deadlock victim
+      1222: TRANSIENT_KINDS.BUSY, // lock request timeout
+      10928: TRANSIENT_KINDS.THROTTLED, // Azure SQL resource limits
+      10929: TRANSIENT_KINDS.THROTTLED,
+      40197: TRANSIENT_KINDS.THROTTLED, // Azure SQL service errors during failover
+      40501: TRANSIENT_KINDS.THROTTLED,
+      40613: TRANSIENT_KINDS.THROTTLED,
+    },
+  },
+  mysql: {
+    codes: {
+      PROTOCOL_CONNECTION_LOST: TRANSIENT_KINDS.NETWORK,
+      PROTOCOL_SEQUENCE_TIMEOUT: TRANSIENT_KINDS.TIMEOUT,
+      ER_LOCK_DEADLOCK: TRANSIENT_KINDS.DEADLOCK,
+      ER_LOCK_WAIT_TIMEOUT: TRANSIENT_KINDS.BUSY,
+      ER_CON_COUNT_ERROR: TRANSIENT_KINDS.THROTTLED,
+    },
+    numbers: { 1040: TRANSIENT_KINDS.THROTTLED, 1205: TRANSIENT_KINDS.BUSY, 1213: TRANSIENT_KINDS.DEADLOCK },
+  },
+  postgres: {
+    codes: {
+      '40001': TRANSIENT_KINDS.DEADLOCK, // serialization_failure
+      '40P01': TRANSIENT_KINDS.DEADLOCK, // deadlock_detected
+      '53300': TRANSIENT_KINDS.THROTTLED, // too_many_connections
+      '57P01': TRANSIENT_KINDS.NETWORK, // admin_shutdown
+      '08006': TRANSIENT_KINDS.NETWORK, // connection_failure
+      '08003': TRANSIENT_KINDS.NETWORK,
+    },
+  },
+  oracle: {
+    numbers: {
+      60: TRANSIENT_KINDS.DEADLOCK, // ORA-00060
+      3113: TRANSIENT_KINDS.NETWORK, // end-of-file on communication channel
+      3135: TRANSIENT_KINDS.NETWORK, // connection lost contact
+      12170: TRANSIENT_KINDS.TIMEOUT, // connect timeout
+    },
+  },
+  sqlite: {
+    codes: { SQLITE_BUSY: TRANSIENT_KINDS.BUSY, SQLITE_LOCKED: TRANSIENT_KINDS.BUSY },
+  },
+  odbc: {
+    // The bridge worker died mid-query (see odbcWorker); the next attempt starts a new one
+    codes: { EWORKEREXIT: TRANSIENT_KINDS.NETWORK },
+    states: {
+      '08S01': TRANSIENT_KINDS.NETWORK, // communication link failure
+      '40001': TRANSIENT_KINDS.DEADLOCK, // serialization failure / deadlock victim
+      HYT00: TRANSIENT_KINDS.TIMEOUT, // timeout expired
+      HYT01: TRANSIENT_KINDS.TIMEOUT, // connection timeout expired
+    },
+    // The PowerShell bridge only returns message text; SQLSTATEs appear in it as "[08S01]" or "ERROR [08S01]"
+    messages: [
+      [/\b08S01\b|communication link failure/i, TRANSIENT_KINDS.NETWORK],
+      [/\b40001\b|deadlock/i, TRANSIENT_KINDS.DEADLOCK],
+      [/\bHYT0[01]\b|timeout expired/i, TRANSIENT_KINDS.TIMEOUT],
+    ],
+  },
+};
+
+/**
+ * Classify a driver error (or failed result object) as transient
+ *
+ * @param {string} driver - 'mssql' | 'mysql' | 'postgres' | 'oracle' | 'sqlite' | 'odbc'
+ * @param {Object} error - Error or result with any of code, number, errno, errorNum, state, error/message
+ * @returns {string|null} Transient kind (see TRANSIENT_KINDS), or null when it should not be retried
+ */
+function classifyError(driver, error) {
+  if (!error || error.cancelled || error.blocked) return null;
+  const rules = DRIVER_RULES[driver] || {};
+  const original = error.originalError || {};
+
+  const code = error.code || original.code;
+  if (code && rules.codes && rules.codes[code]) return rules.codes[code];
+  if (code && NETWORK_CODES[code]) return NETWORK_CODES[code];
+
+  const number = error.number || original.number || error.errno || error.errorNum;
+  if (number && rules.numbers && rules.numbers[number]) return rules.numbers[number];
+
+  const state = error.state || original.state || (error.odbcErrors && error.odbcErrors[0] && error.odbcErrors[0].state);
+  if (state && rules.states && rules.states[state]) return rules.states[state];
+
+  const message = typeof error.error === 'string' ? error.error : error.message;
+  if (message && rules.messages) {
+    const match = rules.messages.find(([pattern]) => pattern.test(message));
+    if (match) return match[1];
+  }
+  return null;
+}
+
+/**
+ * Merge a per-connection override into the defaults and clamp the values
+ *
+ * @param {Object} [override] - config.retry of a saved connection
+ * @returns {Object} { maxAttempts, baseDelayMs, maxDelayMs }
+ */
+function resolveRetryPolicy(override) {
+  const value = (key) => {
+    const number = override && override[key] != null ? parseInt(override[key], 10) : NaN;
+    return Number.isFinite(number) ? number : DEFAULT_RETRY_POLICY[key];
+  };
+  const baseDelayMs = Math.min(Math.max(value('baseDelayMs'), 0), MAX_DELAY_LIMIT_MS);
+  return {
+    maxAttempts: Math.min(Math.max(value('maxAttempts'), 1), MAX_ATTEMPTS_LIMIT),
+    baseDelayMs,
+    maxDelayMs: Math.min(Math.max(value('maxDelayMs'), baseDelayMs), MAX_DELAY_LIMIT_MS),
+  };
+}
+
+/**
+ * Delay before the next attempt (attempt is the one that just failed, 1-based)
+ */
+function getRetryDelayMs(policy, attempt) {
+  const cap = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** (attempt - 1));
+  return Math.round(Math.random() * cap);
+}
+
+/**
+ * Run an operation with retries. The operation may throw, or return a result
+ * object with success: false; either is classified with classifyError and retried
+ * while it is transient and attempts remain. The final result (or thrown error)
+ * carries attempts: the number of times the operation ran.
+ *
+ * @param {Function} operation - (attempt) => Promise<result>
+ * @param {Object} options
+ * @param {string} options.driver - Driver name for classifyError
+ * @param {Object} [options.policy] - Per-connection override (see resolveRetryPolicy)
+ * @param {boolean} [options.idempotent=true] - False for writes: network errors and timeouts are not retried
+ * @param {Function} [options.shouldStop] - Return true to stop retrying (e.g. the caller cancelled)
+ * @param {Function} [options.onRetry] - Called with { attempt, kind, delayMs, error } before waiting
+ * @returns {Promise<Object>} The operation's result with attempts added
+ */
+async function withRetry(operation, { driver, policy, idempotent = true, shouldStop = () => false, onRetry } = {}) {
+  const { maxAttempts, ...delays } = resolveRetryPolicy(policy);
+
+  for (let attempt = 1; ; attempt += 1) {
+    let result;
+    let thrown = null;
+    try {
+      result = await operation(attempt);
+    } catch (error) {
+      thrown = error;
+    }
+
+    const failure = thrown || (result && result.success === false ? result : null);
+    const kind = failure ? classifyError(driver, failure) : null;
+    const retry = kind
+      && attempt < maxAttempts
+      && (idempotent || !UNSAFE_FOR_WRITES.has(kind))
+      && !shouldStop();
+
+    if (!retry) {
+      if (thrown) {
+        thrown.attempts = attempt;
+        throw thrown;
+      }
+      return result && typeof result === 'object' ? { ...result, attempts: attempt } : result;
+    }
+
+    const delayMs = getRetryDelayMs({ maxAttempts, ...delays }, attempt);
+    const message = thrown ? thrown.message : failure.error;
+    console.warn(`[Retry] ${driver} attempt ${attempt}/${maxAttempts} failed (${kind}): ${message}. Retrying in ${delayMs} ms`);
+    if (onRetry) onRetry({ attempt, kind, delayMs, error: message });
+    await new Promise(resolve => setTimeout(resolve, delayMs));
+  }
+}
+
+module.exports = {
+  DEFAULT_RETRY_POLICY,
+  TRANSIENT_KINDS,
+  classifyError,
+  resolveRetryPolicy,
+  getRetryDelayMs,
+  withRetry,
+};
@@ -0,0 +1,422 @@
+/**
+ * Schema Snapshots
+ *
+ * Stores the tables and columns of a saved connection at a point in time and
+ * diffs two snapshots, so a practice-management upgrade that renames or drops a
+ * column (e.g. in Dentrix admin.v_appt) is caught before the built-in queries in
+ * dentrixCoreDataService / openDentalDataService start failing.
+ *
+ * Snapshots are JSON files in <appData>/schema-snapshots/<id>.json:
+ *
+ *   { id, connectionId, connectionName, dialect, capturedAt,
+ *     tables: [{ schema, name, type, columns: [{ name, position, dataType, nullable }] }] }
+ *
+ * Table and column names are compared case-insensitively; the catalogs of the
+ * supported databases do not distinguish names by case alone.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { getAppDataDirectory } = require('./appPaths');
+const { writeFileAtomic } = require('./fileStore');
+const { tokenize } = require('./sqlClassifier');
+
+const SNAPSHOTS_DIRECTORY_NAME = 'schema-snapshots';
+const SNAPSHOT_ID_PATTERN = /^[0-9]{8}T[0-9]{6}-[0-9a-f]{8}$/;
+
+/** Words that end a FROM/JOIN table reference instead of naming its alias */
+const TABLE_REFERENCE_TERMINATORS = new Set([
+  'ON', 'USING', 'WHERE', 'INNER', 'LEFT', 'RIGHT', 'FULL', 'OUTER', 'CROSS', 'JOIN', 'NATURAL',
+  'GROUP', 'ORDER', 'HAVING', 'LIMIT', 'UNION', 'EXCEPT', 'INTERSECT', 'WITH', 'FOR',
+]);
+
+/** Words of single-table queries that are never column names */
+const NON_COLUMN_WORDS = new Set([
+  'SELECT', 'DISTINCT', 'TOP', 'FROM', 'WHERE', 'AND', 'OR', 'NOT', 'NULL', 'IS', 'IN', 'BETWEEN',
+  'LIKE', 'AS', 'ORDER', 'GROUP', 'BY', 'ASC', 'DESC', 'LIMIT', 'OFFSET', 'CASE', 'WHEN', 'THEN',
+  'ELSE', 'END', 'HAVING', 'TRUE', 'FALSE',
+]);
+
+function getSnapshotsDirectory() {
+  return path.join(getAppDataDirectory(), SNAPSHOTS_DIRECTORY_NAME);
+}
+
+function getSnapshotFilePath(snapshotId) {
+  if (typeof snapshotId !== 'string' || !SNAPSHOT_ID_PATTERN.test(snapshotId)) {
+    throw new Error('Invalid snapshot ID');
+  }
+  return path.join(getSnapshotsDirectory(), `${snapshotId}.json`);
+}
+
+/**
+ * Snapshot IDs sort by capture time: 20260118T143005-1a2b3c4d
+ */
+function generateSnapshotId(capturedAt) {
+  const stamp = capturedAt.replace(/[-:]/g, '').slice(0, 15);
+  return `${stamp}-${crypto.randomBytes(4).toString('hex')}`;
+}
+
+/**
+ * Snapshot fields shown in lists and diff headers (everything but the tables)
+ */
+function summarizeSnapshot(snapshot) {
+  return {
+    id: snapshot.id || null,
+    connectionId: snapshot.connectionId || null,
+    connectionName: snapshot.connectionName || null,
+    dialect: snapshot.dialect || null,
+    capturedAt: snapshot.capturedAt,
+    tableCount: snapshot.tables.length,
+    columnCount: snapshot.tables.reduce((sum, table) => sum + table.columns.length, 0),
+  };
+}
+
+/**
+ * Save a captured snapshot and assign its ID
+ *
+ * @param {Object} snapshot - { connectionId, connectionName, dialect, capturedAt, tables }
+ * @returns {Promise<Object>} The saved snapshot, with id
+ */
+async function saveSchemaSnapshot(snapshot) {
+  const saved = { id: generateSnapshotId(snapshot.capturedAt), ...snapshot };
+  await fs.mkdir(getSnapshotsDirectory(), { recursive: true });
+  await writeFileAtomic(getSnapshotFilePath(saved.id), JSON.stringify(saved), { mode: 0o600 });
+  return saved;
+}
+
+/**
+ * Load a saved snapshot
+ *
+ * @param {string} snapshotId - Snapshot ID
+ * @returns {Promise<Object|null>} The snapshot, or null if it does not exist
+ */
+async function getSchemaSnapshot(snapshotId) {
+  try {
+    const data = await fs.readFile(getSnapshotFilePath(snapshotId), 'utf-8');
+    return JSON.parse(data);
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * List saved snapshots, newest first. Unreadable files are skipped.
+ *
+ * @returns {Promise<Object[]>} [{ id, connectionId, connectionName, dialect, capturedAt, tableCount, columnCount }]
+ */
+async function listSchemaSnapshots() {
+  let files;
+  try {
+    files = await fs.readdir(getSnapshotsDirectory());
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const snapshots = [];
+  for (const file of files) {
+    const id = path.basename(file, '.json');
+    if (!file.endsWith('.json') || !SNAPSHOT_ID_PATTERN.test(id)) continue;
+    try {
+      const snapshot = await getSchemaSnapshot(id);
+      if (snapshot) snapshots.push(summarizeSnapshot(snapshot));
+    } catch (error) {
+      console.error(`Error reading schema snapshot ${file}:`, error.message);
+    }
+  }
+  return snapshots.sort((a, b) => b.id.localeCompare(a.id));
+}
+
+/**
+ * Delete a saved snapshot
+ *
+ * @param {string} snapshotId - Snapshot ID
+ * @returns {Promise<boolean>} false if the snapshot did not exist
+ */
+async function deleteSchemaSnapshot(snapshotId) {
+  try {
+    await fs.unlink(getSnapshotFilePath(snapshotId));
+    return true;
+  } catch (error) {
+    if (error.code === 'ENOENT') return false;
+    throw error;
+  }
+}
+
+function getIdentifier(token) {
+  if (token.type === 'word') return token.value;
+  if (token.type === 'quoted') return token.value.slice(1, -1);
+  return null;
+}
+
+/**
+ * Tables and columns referenced by one query. Columns are found as alias.column
+ * (or table.column); in single-table queries bare words that are not keywords,
+ * function names or output aliases count as that table's columns too.
+ *
+ * @returns {Object} { tables: [{ schema, name }], columns: [{ schema, table, column }] }
+ */
+function extractQueryReferences(sql) {
+  const tokens = tokenize(sql, { bracketIdentifiers: true, backtickIdentifiers: true });
+  const tables = [];
+  const aliases = new Map(); // lower-case alias or table name -> table
+  const tableTokenIndexes = new Set();
+  const aliasTokenIndexes = new Set();
+
+  for (let i = 0; i < tokens.length; i++) {
+    if (tokens[i].type !== 'word' || (tokens[i].upper !== 'FROM' && tokens[i].upper !== 'JOIN')) continue;
+
+    let j = i + 1;
+    do {
+      if (tokens[j] && tokens[j].value === ',') j++;
+      const parts = [];
+      while (tokens[j] && getIdentifier(tokens[j]) !== null) {
+        parts.push(getIdentifier(tokens[j]));
+        tableTokenIndexes.add(j);
+        if (!tokens[j + 1] || tokens[j + 1].value !== '.') break;
+        j += 2;
+      }
+      if (parts.length === 0) break; // subquery or table function
+      j++;
+
+      const schema = parts.length > 1 ? parts[parts.length - 2] : '';
+      const name = parts[parts.length - 1];
+      // The same table joined under several aliases (patient as pt, p_sub, s_sub) is listed once
+      let table = tables.find(t => t.schema === schema && t.name === name);
+      if (!table) {
+        table = { schema, name };
+        tables.push(table);
+      }
+      aliases.set(table.name.toLowerCase(), table);
+
+      if (tokens[j] && tokens[j].upper === 'AS') j++;
+      if (tokens[j] && getIdentifier(tokens[j]) !== null && !TABLE_REFERENCE_TERMINATORS.has(tokens[j].upper)) {
+        aliases.set(getIdentifier(tokens[j]).toLowerCase(), table);
+        aliasTokenIndexes.add(j);
+        j++;
+      }
+    } while (tokens[j] && tokens[j].value === ',' && tokens[i].upper === 'FROM');
+  }
+
+  const columns = [];
+  const addColumn = (table, column) => {
+    if (!columns.some(c => c.table === table.name && c.column.toLowerCase() === column.toLowerCase())) {
+      columns.push({ schema: table.schema, table: table.name, column });
+    }
+  };
+
+  for (let i = 0; i < tokens.length; i++) {
+    if (tableTokenIndexes.has(i) || aliasTokenIndexes.has(i)) continue;
+    const name = getIdentifier(tokens[i]);
+    if (name === null) continue;
+    const next = tokens[i + 1];
+    const prev = tokens[i - 1];
+
+    if (next && next.value === '.' && tokens[i + 2] && aliases.has(name.toLowerCase())) {
+      const column = getIdentifier(tokens[i + 2]);
+      if (column !== null) addColumn(aliases.get(name.toLowerCase()), column);
+      i += 2;
+      continue;
+    }
+
+    if (tables.length !== 1 || tokens[i].type !== 'word' || NON_COLUMN_WORDS.has(tokens[i].upper)) continue;
+    if ((prev && prev.upper === 'AS') || (next && next.value === '(') || (prev && prev.value === '.')) continue;
+    addColumn(tables[0], name);
+  }
+
+  return { tables, columns };
+}
+
+/**
+ * Table and column references of the built-in practice-management queries
+ *
+ * @returns {Object[]} [{ product, query, schema, table, column }] - column is null for the table itself
+ */
+function getBuiltInQueryReferences() {
+  // Required lazily: the data services pull in the ODBC bridge and credential helpers
+  const sources = {
+    dentrix: require('./dentrixCoreDataService').BUILT_IN_QUERIES,
+    opendental: require('./openDentalDataService').BUILT_IN_QUERIES,
+  };
+
+  const references = [];
+  for (const [product, queries] of Object.entries(sources)) {
+    for (const [query, sql] of Object.entries(queries)) {
+      const { tables, columns } = extractQueryReferences(sql);
+      for (const table of tables) {
+        references.push({ product, query, schema: table.schema, table: table.name, column: null });
+      }
+      for (const column of columns) {
+        references.push({ product, query, ...column });
+      }
+    }
+  }
+  return references;
+}
+
+function getTableKey(schema, name) {
+  return `${String(schema || '').toLowerCase()}.${String(name).toLowerCase()}`;
+}
+
+/**
+ * Find a snapshot table for a reference; references without a schema match any schema
+ */
+function findReferencedTable(tablesByKey, tablesByName, reference) {
+  if (reference.schema) return tablesByKey.get(getTableKey(reference.schema, reference.table)) || null;
+  const matches = tablesByName.get(reference.table.toLowerCase()) || [];
+  return matches[0] || null;
+}
+
+function indexTables(snapshot) {
+  const byKey = new Map();
+  const byName = new Map();
+  for (const table of snapshot.tables) {
+    byKey.set(getTableKey(table.schema, table.name), table);
+    const name = table.name.toLowerCase();
+    if (!byName.has(name)) byName.set(name, []);
+    byName.get(name).push(table);
+  }
+  return { byKey, byName };
+}
+
+/**
+ * Built-in queries that use a table (column null) or one of its columns
+ */
+function getUsedBy(references, table, column) {
+  const queries = references
+    .filter(ref => ref.table.toLowerCase() === table.name.toLowerCase()
+      && (!ref.schema || ref.schema.toLowerCase() === String(table.schema || '').toLowerCase())
+      && (column === null || (ref.column !== null && ref.column.toLowerCase() === column.toLowerCase())))
+    .map(ref => ref.query);
+  return [...new Set(queries)];
+}
+
+/**
+ * Diff two snapshots. Changed columns compare data type and nullability; position
+ * changes are ignored. Columns and tables used by built-in queries carry usedBy.
+ * brokenReferences lists built-in query references missing from the target, for
+ * each product whose tables appear in the target (so an Open Dental database is
+ * not reported as missing every Dentrix view).
+ *
+ * @param {Object} base - Older (or reference practice's) snapshot
+ * @param {Object} target - Newer (or other practice's) snapshot
+ * @param {Object[]} [references] - Query references (default: getBuiltInQueryReferences())
+ * @returns {Object} { base, target, addedTables, removedTables, changedTables, brokenReferences, summary }
+ */
+function diffSchemaSnapshots(base, target, references = getBuiltInQueryReferences()) {
+  const baseIndex = indexTables(base);
+  const targetIndex = indexTables(target);
+
+  const addedTables = [];
+  const removedTables = [];
+  const changedTables = [];
+
+  for (const [key, table] of targetIndex.byKey) {
+    if (!baseIndex.byKey.has(key)) {
+      addedTables.push({ schema: table.schema, name: table.name, type: table.type, columnCount: table.columns.length });
+    }
+  }
+
+  for (const [key, baseTable] of baseIndex.byKey) {
+    const targetTable = targetIndex.byKey.get(key);
+    if (!targetTable) {
+      removedTables.push({
+        schema: baseTable.schema,
+        name: baseTable.name,
+        type: baseTable.type,
+        columnCount: baseTable.columns.length,
+        usedBy: getUsedBy(references, baseTable, null),
+      });
+      continue;
+    }
+
+    const targetColumns = new Map(targetTable.columns.map(col => [col.name.toLowerCase(), col]));
+    const baseColumnNames = new Set(baseTable.columns.map(col => col.name.toLowerCase()));
+    const addedColumns = targetTable.columns
+      .filter(col => !baseColumnNames.has(col.name.toLowerCase()))
+      .map(col => ({ ...col, usedBy: getUsedBy(references, baseTable, col.name) }));
+    const removedColumns = [];
+    const changedColumns = [];
+
+    for (const baseColumn of baseTable.columns) {
+      const targetColumn = targetColumns.get(baseColumn.name.toLowerCase());
+      const usedBy = getUsedBy(references, baseTable, baseColumn.name);
+      if (!targetColumn) {
+        removedColumns.push({ ...baseColumn, usedBy });
+        continue;
+      }
+      const changes = [];
+      if ((baseColumn.dataType || null) !== (targetColumn.dataType || null)) {
+        changes.push({ field: 'dataType', from: baseColumn.dataType, to: targetColumn.dataType });
+      }
+      if (baseColumn.nullable !== targetColumn.nullable) {
+        changes.push({ field: 'nullable', from: baseColumn.nullable, to: targetColumn.nullable });
+      }
+      if (changes.length > 0) {
+        changedColumns.push({ name: targetColumn.name, changes, usedBy });
+      }
+    }
+
+    if (addedColumns.length > 0 || removedColumns.length > 0 || changedColumns.length > 0) {
+      changedTables.push({
+        schema: targetTable.schema,
+        name: targetTable.name,
+        addedColumns,
+        removedColumns,
+        changedColumns,
+      });
+    }
+  }
+
+  const brokenReferences = [];
+  const products = [...new Set(references.map(ref => ref.product))];
+  for (const product of products) {
+    const productReferences = references.filter(ref => ref.product === product);
+    const present = productReferences.some(ref => findReferencedTable(targetIndex.byKey, targetIndex.byName, ref));
+    if (!present) continue;
+
+    for (const ref of productReferences) {
+      const table = findReferencedTable(targetIndex.byKey, targetIndex.byName, ref);
+      if (!table && ref.column === null) {
+        brokenReferences.push({ ...ref, reason: 'table missing' });
+      } else if (table && ref.column !== null
+        && !table.columns.some(col => col.name.toLowerCase() === ref.column.toLowerCase())) {
+        brokenReferences.push({ ...ref, reason: 'column missing' });
+      }
+    }
+  }
+
+  const flagged = items => items.filter(item => item.usedBy && item.usedBy.length > 0).length;
+  return {
+    base: summarizeSnapshot(base),
+    target: summarizeSnapshot(target),
+    addedTables,
+    removedTables,
+    changedTables,
+    brokenReferences,
+    summary: {
+      addedTables: addedTables.length,
+      removedTables: removedTables.length,
+      changedTables: changedTables.length,
+      addedColumns: changedTables.reduce((sum, t) => sum + t.addedColumns.length, 0),
+      removedColumns: changedTables.reduce((sum, t) => sum + t.removedColumns.length, 0),
+      changedColumns: changedTables.reduce((sum, t) => sum + t.changedColumns.length, 0),
+      flaggedChanges: flagged(removedTables)
+        + changedTables.reduce((sum, t) => sum + flagged(t.removedColumns) + flagged(t.changedColumns), 0),
+      brokenReferences: brokenReferences.length,
+    },
+  };
+}
+
+module.exports = {
+  summarizeSnapshot,
+  saveSchemaSnapshot,
+  getSchemaSnapshot,
+  listSchemaSnapshots,
+  deleteSchemaSnapshot,
+  extractQueryReferences,
+  getBuiltInQueryReferences,
+  diffSchemaSnapshots,
+};
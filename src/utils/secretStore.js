@@ -0,0 +1,267 @@
+/**
+ * Secret Store
+ *
+ * Keeps connection secrets (passwords, ODBC connection strings with PWD=) out of
+ * db-connections.json. Secrets are encrypted with AES-256-GCM under a random
+ * machine-local key and written to a separate vault file next to the connections
+ * file. The connections file only carries opaque { secretRef } placeholders.
+ *
+ * Files (in the app data directory):
+ * - secret-store.key  - 32 random bytes, created on first use. Wrapped with Electron
+ *                       safeStorage (DPAPI on Windows, Keychain on macOS, the Secret
+ *                       Service keyring on Linux) as "safeStorage:<base64>" when the
+ *                       OS offers it, else plain base64
+ * - db-secrets.json   - { version, algorithm, secrets: { [ref]: { iv, tag, data } } }
+ *
+ * Limits: the key lives in the same directory as the vault. A wrapped key can only
+ * be unwrapped by the same OS user on the same machine, so a copied folder does
+ * not expose the secrets. A plain key (no keyring, e.g. Linux without a Secret
+ * Service, or outside Electron) is only protected by file permissions: anyone who
+ * can copy the folder can read the secrets. An existing plain key is wrapped the
+ * next time it is read with safeStorage available.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { writeFileAtomic } = require('./fileStore');
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const VAULT_VERSION = 1;
+const KEY_FILE_NAME = 'secret-store.key';
+const WRAPPED_KEY_PREFIX = 'safeStorage:';
+
+/**
+ * Electron safeStorage when it can protect data with an OS keyring, else null
+ * (plain Node, app not ready, or Linux falling back to its built-in password)
+ */
+function getSafeStorage() {
+  let safeStorage;
+  try {
+    ({ safeStorage } = require('electron'));
+  } catch {
+    return null;
+  }
+  if (!safeStorage || typeof safeStorage.isEncryptionAvailable !== 'function') return null;
+  try {
+    if (!safeStorage.isEncryptionAvailable()) return null;
+    if (typeof safeStorage.getSelectedStorageBackend === 'function'
+      && safeStorage.getSelectedStorageBackend() === 'basic_text') {
+      return null;
+    }
+  } catch {
+    return null;
+  }
+  return safeStorage;
+}
+
+/**
+ * Key file contents for a key, wrapped with safeStorage when available
+ */
+function encodeKey(key) {
+  const safeStorage = getSafeStorage();
+  if (!safeStorage) return key.toString('base64');
+  return `${WRAPPED_KEY_PREFIX}${safeStorage.encryptString(key.toString('base64')).toString('base64')}`;
+}
+
+/**
+ * Key from key file contents
+ *
+ * @throws {Error} When the key is wrapped and safeStorage cannot unwrap it
+ */
+function decodeKey(encoded) {
+  if (!encoded.startsWith(WRAPPED_KEY_PREFIX)) return Buffer.from(encoded, 'base64');
+  const safeStorage = getSafeStorage();
+  if (!safeStorage) {
+    throw new Error(`Secret store key ${KEY_FILE_NAME} is protected by the OS keyring, which is not available`);
+  }
+  const wrapped = Buffer.from(encoded.slice(WRAPPED_KEY_PREFIX.length), 'base64');
+  return Buffer.from(safeStorage.decryptString(wrapped), 'base64');
+}
+const VAULT_FILE_NAME = 'db-secrets.json';
+
+/**
+ * Build the reference under which a connection's secret field is stored.
+ * The reference identifies the slot only - it never contains the secret itself.
+ *
+ * @param {string} connectionId - Connection ID
+ * @param {string} field - Config field name (e.g. 'password')
+ * @returns {string} Secret reference
+ */
+function createSecretRef(connectionId, field) {
+  return `${connectionId}/${field}`;
+}
+
+/**
+ * Check whether a persisted config value is a secret reference placeholder
+ */
+function isSecretRef(value) {
+  return value != null && typeof value === 'object' && typeof value.secretRef === 'string';
+}
+
+/**
+ * Read the machine-local encryption key, creating it on first use.
+ * A plain key is wrapped with safeStorage once that is available.
+ *
+ * @param {string} dir - App data directory
+ * @returns {Promise<Buffer>} 32-byte key
+ */
+async function getOrCreateKey(dir) {
+  const keyPath = path.join(dir, KEY_FILE_NAME);
+  try {
+    const encoded = (await fs.readFile(keyPath, 'utf-8')).trim();
+    const key = decodeKey(encoded);
+    if (key.length !== KEY_LENGTH) {
+      throw new Error(`Secret store key at ${keyPath} is invalid`);
+    }
+    if (!encoded.startsWith(WRAPPED_KEY_PREFIX) && getSafeStorage()) {
+      await writeFileAtomic(keyPath, encodeKey(key), { mode: 0o600 });
+    }
+    return key;
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+
+  const key = crypto.randomBytes(KEY_LENGTH);
+  await fs.mkdir(dir, { recursive: true });
+  // 'wx' fails if another caller created the key in the meantime - re-read theirs.
+  try {
+    await fs.writeFile(keyPath, encodeKey(key), { encoding: 'utf-8', mode: 0o600, flag: 'wx' });
+    return key;
+  } catch (error) {
+    if (error.code === 'EEXIST') {
+      return getOrCreateKey(dir);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Encrypt a single secret value
+ */
+function encryptValue(key, plaintext) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const data = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+  return {
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64'),
+  };
+}
+
+/**
+ * Decrypt a single secret value
+ */
+function decryptValue(key, entry) {
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(entry.iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(entry.tag, 'base64'));
+  return Buffer.concat([
+    decipher.update(Buffer.from(entry.data, 'base64')),
+    decipher.final(),
+  ]).toString('utf8');
+}
+
+/**
+ * Read the encryption key without creating one
+ *
+ * @returns {Promise<Buffer|null>} The key, or null when the key file does not exist
+ */
+async function readKey(dir) {
+  try {
+    await fs.access(path.join(dir, KEY_FILE_NAME));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+  return getOrCreateKey(dir);
+}
+
+/**
+ * Load and decrypt all secrets from the vault.
+ * Entries that cannot be read (key file missing, wrong key, tampered data) are
+ * logged and returned still encrypted in unreadable, so saveSecrets can write
+ * them back unchanged instead of dropping them.
+ *
+ * @param {string} dir - App data directory
+ * @returns {Promise<Object>} { secrets: Map<ref, plaintext>, unreadable: Map<ref, encrypted entry> }
+ */
+async function loadSecrets(dir) {
+  const secrets = new Map();
+  const unreadable = new Map();
+  let vault;
+  try {
+    vault = JSON.parse(await fs.readFile(path.join(dir, VAULT_FILE_NAME), 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return { secrets, unreadable };
+    }
+    throw error;
+  }
+
+  // A vault without its key must not get a new key: the entries could never be read again
+  const key = await readKey(dir);
+  if (!key && Object.keys(vault.secrets || {}).length > 0) {
+    console.error(`Secret store key ${KEY_FILE_NAME} is missing; saved credentials cannot be read`);
+  }
+  for (const [ref, entry] of Object.entries(vault.secrets || {})) {
+    if (!key) {
+      unreadable.set(ref, entry);
+      continue;
+    }
+    try {
+      secrets.set(ref, decryptValue(key, entry));
+    } catch (err) {
+      console.error(`Failed to decrypt secret '${ref}':`, err.message);
+      unreadable.set(ref, entry);
+    }
+  }
+  return { secrets, unreadable };
+}
+
+/**
+ * Encrypt and write the full set of secrets, replacing the previous vault.
+ * Secrets no longer referenced by any connection are dropped this way; entries
+ * that could not be read are written back as they were (see loadSecrets).
+ *
+ * @param {string} dir - App data directory
+ * @param {Map<string, string>} secrets - ref -> plaintext
+ * @param {Object} [options]
+ * @param {Map<string, Object>} [options.unreadable] - ref -> encrypted entry to keep unchanged
+ */
+async function saveSecrets(dir, secrets, { unreadable = new Map() } = {}) {
+  const kept = [...unreadable].filter(([ref]) => !secrets.has(ref));
+  if (kept.length > 0 && !(await readKey(dir))) {
+    // New entries would be encrypted under a new key, next to entries only the lost key can read
+    throw new Error(`Secret store key ${KEY_FILE_NAME} is missing; restore it before saving credentials`);
+  }
+
+  const key = await getOrCreateKey(dir);
+  const entries = {};
+  for (const [ref, entry] of kept) {
+    entries[ref] = entry;
+  }
+  for (const [ref, plaintext] of secrets) {
+    entries[ref] = encryptValue(key, plaintext);
+  }
+
+  const vault = {
+    version: VAULT_VERSION,
+    algorithm: ALGORITHM,
+    secrets: entries,
+  };
+  await writeFileAtomic(path.join(dir, VAULT_FILE_NAME), JSON.stringify(vault, null, 2), { mode: 0o600 });
+}
+
+module.exports = {
+  createSecretRef,
+  isSecretRef,
+  loadSecrets,
+  saveSecrets,
+  KEY_FILE_NAME,
+  VAULT_FILE_NAME,
+};
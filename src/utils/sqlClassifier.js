@@ -0,0 +1,465 @@
+/**
+ * SQL Statement Classifier
+ *
+ * Decides whether SQL text is safe to run on a read-only connection. The text is
+ * tokenized (comments, string literals, quoted identifiers and dialect-specific
+ * quoting are understood, so keywords inside them are ignored), split into
+ * statements, and each statement is classified:
+ *
+ *   read    - SELECT / WITH / SHOW / DESCRIBE / EXPLAIN / VALUES / TABLE, read-only
+ *             PRAGMAs and session-only SET/USE/DECLARE
+ *   write   - contains a data-modifying, DDL, privilege or procedure-call keyword,
+ *             or a function with known side effects
+ *   unknown - anything not recognized as a read (blocked, fail closed)
+ *
+ * The classifier fails closed: text that cannot be tokenized (unterminated string
+ * or comment) is "unknown", and where a dialect's quoting rules depend on server
+ * settings (MySQL backslash escapes, nested comments over ODBC) the text must be
+ * read-only under every interpretation.
+ */
+
+const DIALECTS = ['mssql', 'mysql', 'postgres', 'oracle', 'sqlite', 'generic'];
+
+/** Error code of results rejected by the read-only policy */
+const READ_ONLY_VIOLATION = 'READ_ONLY_VIOLATION';
+
+/**
+ * Keywords that make a statement a write wherever they appear as a bare word.
+ * INTO covers SELECT ... INTO (new table / outfile).
+ */
+const WRITE_KEYWORDS = new Set([
+  'INSERT', 'UPDATE', 'DELETE', 'MERGE', 'UPSERT', 'TRUNCATE', 'DROP', 'CREATE', 'ALTER',
+  'GRANT', 'REVOKE', 'INTO', 'EXEC', 'EXECUTE', 'CALL',
+]);
+
+/**
+ * T-SQL does not require ';' between statements, so reserved statement keywords can
+ * start a new statement mid-text ("SELECT 1 KILL 55"). These are reserved words in
+ * T-SQL and cannot appear as bare identifiers.
+ */
+const MSSQL_WRITE_KEYWORDS = new Set([
+  'DBCC', 'KILL', 'BACKUP', 'RESTORE', 'SHUTDOWN', 'RECONFIGURE', 'BULK', 'DENY', 'CHECKPOINT',
+  'WRITETEXT', 'UPDATETEXT',
+]);
+
+/** Functions that modify data or server state even inside a SELECT */
+const SIDE_EFFECT_FUNCTIONS = new Set([
+  // PostgreSQL
+  'NEXTVAL', 'SETVAL', 'SET_CONFIG', 'PG_TERMINATE_BACKEND', 'PG_CANCEL_BACKEND', 'PG_RELOAD_CONF',
+  'PG_ROTATE_LOGFILE', 'PG_SWITCH_WAL', 'PG_PROMOTE', 'PG_CREATE_RESTORE_POINT',
+  'PG_CREATE_PHYSICAL_REPLICATION_SLOT', 'PG_CREATE_LOGICAL_REPLICATION_SLOT', 'PG_DROP_REPLICATION_SLOT',
+  'LO_IMPORT', 'LO_EXPORT', 'LO_UNLINK', 'LO_CREATE', 'LO_FROM_BYTEA', 'LO_PUT',
+  'PG_FILE_WRITE', 'PG_FILE_RENAME', 'PG_FILE_UNLINK', 'DBLINK', 'DBLINK_EXEC',
+  // SQL Server - pass-through queries run arbitrary SQL on a linked server
+  'OPENQUERY', 'OPENROWSET', 'OPENDATASOURCE',
+]);
+
+/** MySQL string functions that share a name with a write keyword */
+const FUNCTION_NAMED_KEYWORDS = new Set(['INSERT', 'REPLACE']);
+
+/** Statement types that only read */
+const READ_LEADING_KEYWORDS = new Set(['SELECT', 'WITH', 'SHOW', 'DESCRIBE', 'DESC', 'EXPLAIN', 'VALUES', 'TABLE']);
+
+/** SQLite PRAGMAs that only report (and only when not given "= value") */
+const READ_PRAGMAS = new Set([
+  'TABLE_INFO', 'TABLE_XINFO', 'TABLE_LIST', 'INDEX_LIST', 'INDEX_INFO', 'INDEX_XINFO', 'FOREIGN_KEY_LIST',
+  'FOREIGN_KEY_CHECK', 'DATABASE_LIST', 'COLLATION_LIST', 'FUNCTION_LIST', 'MODULE_LIST', 'PRAGMA_LIST',
+  'COMPILE_OPTIONS', 'PAGE_COUNT', 'PAGE_SIZE', 'FREELIST_COUNT', 'JOURNAL_MODE', 'ENCODING',
+  'USER_VERSION', 'SCHEMA_VERSION', 'DATA_VERSION', 'INTEGRITY_CHECK', 'QUICK_CHECK',
+]);
+
+/** SET options that only affect the current session */
+const SESSION_SET_OPTIONS = new Set([
+  'NOCOUNT', 'TRANSACTION', 'DATEFORMAT', 'DATEFIRST', 'LANGUAGE', 'LOCK_TIMEOUT', 'ROWCOUNT', 'TEXTSIZE',
+  'STATISTICS', 'ARITHABORT', 'QUOTED_IDENTIFIER', 'CONCAT_NULL_YIELDS_NULL', 'DEADLOCK_PRIORITY',
+  'FMTONLY', 'NOEXEC', 'NAMES', 'CHARACTER', 'SEARCH_PATH', 'STATEMENT_TIMEOUT', 'TIMEZONE', 'TIME',
+]);
+
+/** SET scopes that change settings for every session (MySQL) */
+const SERVER_SET_SCOPES = new Set(['GLOBAL', 'PERSIST', 'PERSIST_ONLY']);
+
+/**
+ * Tokenizer variants per dialect. When a dialect has more than one, SQL must be
+ * read-only under each of them.
+ */
+const DIALECT_VARIANTS = {
+  mssql: [{ nestedComments: true, bracketIdentifiers: true }],
+  mysql: [
+    { backslashEscapes: true, hashComments: true, backtickIdentifiers: true, mysqlComments: true },
+    // Server running with NO_BACKSLASH_ESCAPES
+    { backslashEscapes: false, hashComments: true, backtickIdentifiers: true, mysqlComments: true },
+  ],
+  postgres: [{ nestedComments: true, dollarQuotes: true, escapeStrings: true }],
+  oracle: [{ qQuotes: true }],
+  sqlite: [{ bracketIdentifiers: true, backtickIdentifiers: true }],
+  // ODBC sources (SQL Anywhere, FairCom c-tree, ...) - quoting rules vary by driver
+  generic: [
+    { nestedComments: false, bracketIdentifiers: true, backtickIdentifiers: true },
+    { nestedComments: true, bracketIdentifiers: true, backtickIdentifiers: true },
+  ],
+};
+
+const Q_QUOTE_CLOSERS = { '[': ']', '{': '}', '(': ')', '<': '>' };
+
+function isWordStart(ch) {
+  return /[A-Za-z_@#\u0080-\uffff]/.test(ch);
+}
+
+function isWordPart(ch) {
+  return /[A-Za-z0-9_@#$\u0080-\uffff]/.test(ch);
+}
+
+/**
+ * Find the end of a quoted run starting at `start` (the opening quote).
+ * A doubled quote is an escaped quote; with backslashEscapes, "\x" is skipped too.
+ *
+ * @returns {number} Index just past the closing quote, or -1 if unterminated
+ */
+function scanQuoted(sql, start, quote, backslashEscapes) {
+  let i = start + 1;
+  while (i < sql.length) {
+    const ch = sql[i];
+    if (backslashEscapes && ch === '\\') {
+      i += 2;
+      continue;
+    }
+    if (ch === quote) {
+      if (sql[i + 1] === quote) {
+        i += 2;
+        continue;
+      }
+      return i + 1;
+    }
+    i++;
+  }
+  return -1;
+}
+
+/**
+ * Split SQL into tokens: { type: 'word'|'quoted'|'string'|'number'|'punct', value }.
+ * Comments and whitespace are dropped.
+ *
+ * @throws {Error} On an unterminated string, identifier or comment
+ */
+function tokenize(sql, variant) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < sql.length) {
+    const ch = sql[i];
+    const next = sql[i + 1];
+
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    // Line comments. MySQL needs whitespace after "--" ("1--1" is arithmetic).
+    if ((ch === '-' && next === '-' && (!variant.mysqlComments || i + 2 >= sql.length || /\s/.test(sql[i + 2])))
+      || (ch === '#' && variant.hashComments)) {
+      const end = sql.indexOf('\n', i);
+      i = end === -1 ? sql.length : end + 1;
+      continue;
+    }
+
+    if (ch === '/' && next === '*') {
+      // MySQL executes the body of /*! ... */ comments - tokenize it as SQL
+      if (variant.mysqlComments && sql[i + 2] === '!') {
+        i += 3;
+        while (/\d/.test(sql[i] || '')) i++;
+        continue;
+      }
+      let depth = 1;
+      let j = i + 2;
+      while (j < sql.length && depth > 0) {
+        if (sql[j] === '*' && sql[j + 1] === '/') {
+          depth--;
+          j += 2;
+        } else if (variant.nestedComments && sql[j] === '/' && sql[j + 1] === '*') {
+          depth++;
+          j += 2;
+        } else {
+          j++;
+        }
+      }
+      if (depth > 0) throw new Error('Unterminated comment');
+      i = j;
+      continue;
+    }
+    if (variant.mysqlComments && ch === '*' && next === '/') {
+      // Closing marker of a /*! ... */ executable comment
+      i += 2;
+      continue;
+    }
+
+    if (ch === "'") {
+      const end = scanQuoted(sql, i, "'", variant.backslashEscapes);
+      if (end === -1) throw new Error('Unterminated string literal');
+      tokens.push({ type: 'string', value: sql.slice(i, end) });
+      i = end;
+      continue;
+    }
+
+    if (ch === '"' || (ch === '`' && variant.backtickIdentifiers)) {
+      const end = scanQuoted(sql, i, ch, variant.backslashEscapes && ch === '"');
+      if (end === -1) throw new Error('Unterminated quoted identifier');
+      tokens.push({ type: 'quoted', value: sql.slice(i, end) });
+      i = end;
+      continue;
+    }
+
+    if (ch === '[' && variant.bracketIdentifiers) {
+      const end = scanQuoted(sql, i, ']', false);
+      if (end === -1) throw new Error('Unterminated bracketed identifier');
+      tokens.push({ type: 'quoted', value: sql.slice(i, end) });
+      i = end;
+      continue;
+    }
+
+    if (ch === '$' && variant.dollarQuotes) {
+      const tag = sql.slice(i).match(/^\$([A-Za-z_][A-Za-z0-9_]*)?\$/);
+      if (tag) {
+        const end = sql.indexOf(tag[0], i + tag[0].length);
+        if (end === -1) throw new Error('Unterminated dollar-quoted string');
+        tokens.push({ type: 'string', value: sql.slice(i, end + tag[0].length) });
+        i = end + tag[0].length;
+        continue;
+      }
+    }
+
+    if (isWordStart(ch)) {
+      let j = i + 1;
+      while (j < sql.length && isWordPart(sql[j])) j++;
+      const word = sql.slice(i, j);
+      const upper = word.toUpperCase();
+
+      // Prefixed string literals: E'...' (PostgreSQL escapes), q'[...]' (Oracle)
+      if (sql[j] === "'") {
+        if (variant.escapeStrings && upper === 'E') {
+          const end = scanQuoted(sql, j, "'", true);
+          if (end === -1) throw new Error('Unterminated string literal');
+          tokens.push({ type: 'string', value: sql.slice(i, end) });
+          i = end;
+          continue;
+        }
+        if (variant.qQuotes && (upper === 'Q' || upper === 'NQ')) {
+          const open = sql[j + 1];
+          const close = Q_QUOTE_CLOSERS[open] || open;
+          const end = open ? sql.indexOf(`${close}'`, j + 2) : -1;
+          if (end === -1) throw new Error('Unterminated string literal');
+          tokens.push({ type: 'string', value: sql.slice(i, end + 2) });
+          i = end + 2;
+          continue;
+        }
+      }
+
+      tokens.push({ type: 'word', value: word, upper });
+      i = j;
+      continue;
+    }
+
+    if (/\d/.test(ch)) {
+      let j = i + 1;
+      while (j < sql.length && /[\d.eE]/.test(sql[j])) j++;
+      tokens.push({ type: 'number', value: sql.slice(i, j) });
+      i = j;
+      continue;
+    }
+
+    tokens.push({ type: 'punct', value: ch });
+    i++;
+  }
+
+  return tokens;
+}
+
+/**
+ * Split tokens into statements on top-level ';'
+ */
+function splitStatements(tokens) {
+  const statements = [];
+  let current = [];
+  for (const token of tokens) {
+    if (token.type === 'punct' && token.value === ';') {
+      if (current.length > 0) statements.push(current);
+      current = [];
+    } else {
+      current.push(token);
+    }
+  }
+  if (current.length > 0) statements.push(current);
+  return statements;
+}
+
+/**
+ * Find the first write keyword or side-effect function call in a statement
+ *
+ * @returns {Object|null} { keyword, reason }
+ */
+function findWriteToken(tokens, dialect) {
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (token.type !== 'word') continue;
+    // schema.name / alias.column - an identifier, not a keyword
+    if (i > 0 && tokens[i - 1].type === 'punct' && tokens[i - 1].value === '.') continue;
+
+    const isCall = tokens[i + 1] && tokens[i + 1].type === 'punct' && tokens[i + 1].value === '(';
+    if (isCall && SIDE_EFFECT_FUNCTIONS.has(token.upper)) {
+      return { keyword: token.upper, reason: `${token.value}() modifies data or server state` };
+    }
+    if (isCall && FUNCTION_NAMED_KEYWORDS.has(token.upper)) continue;
+    if (WRITE_KEYWORDS.has(token.upper) || (dialect === 'mssql' && MSSQL_WRITE_KEYWORDS.has(token.upper))) {
+      return { keyword: token.upper, reason: `${token.upper} is not allowed on a read-only connection` };
+    }
+  }
+  return null;
+}
+
+/**
+ * Classify a single statement's tokens
+ *
+ * @returns {Object} { kind: 'read'|'write'|'unknown', keyword, reason }
+ */
+function classifyStatement(tokens, dialect) {
+  const write = findWriteToken(tokens, dialect);
+  if (write) return { kind: 'write', ...write };
+
+  // "(SELECT ...) UNION (SELECT ...)" - classify by the first keyword inside the parentheses
+  let index = 0;
+  while (tokens[index] && tokens[index].type === 'punct' && tokens[index].value === '(') index++;
+  const first = tokens[index];
+  if (!first || first.type !== 'word') {
+    return { kind: 'unknown', keyword: null, reason: 'Statement does not start with a keyword' };
+  }
+
+  const keyword = first.upper;
+  if (READ_LEADING_KEYWORDS.has(keyword)) {
+    return { kind: 'read', keyword, reason: null };
+  }
+  if (index > 0) {
+    return { kind: 'unknown', keyword, reason: `${keyword} is not a read-only statement` };
+  }
+
+  if (keyword === 'PRAGMA') {
+    // PRAGMA [schema.]name [(arg)] - setters use "= value"
+    const nameToken = tokens[2] && tokens[2].value === '.' ? tokens[3] : tokens[1];
+    const name = nameToken && nameToken.type === 'word' ? nameToken.upper : '';
+    const assigns = tokens.some(t => t.type === 'punct' && t.value === '=');
+    if (READ_PRAGMAS.has(name) && !assigns) return { kind: 'read', keyword, reason: null };
+    return { kind: 'write', keyword, reason: `PRAGMA ${name || '(unnamed)'} can change the database` };
+  }
+
+  if (keyword === 'SET') {
+    // MySQL server-wide settings: SET GLOBAL x = ..., SET @@GLOBAL.x = ..., SET PERSIST ...
+    const serverWide = tokens.find(t => t.type === 'word'
+      && (SERVER_SET_SCOPES.has(t.upper) || SERVER_SET_SCOPES.has(t.upper.replace(/^@@/, ''))));
+    if (serverWide) {
+      return { kind: 'write', keyword, reason: `SET ${serverWide.value} changes server-wide settings` };
+    }
+    const option = tokens[1] && tokens[1].type === 'word' ? tokens[1].upper : '';
+    const scoped = option === 'SESSION' || option === 'LOCAL';
+    const setting = scoped && tokens[2] && tokens[2].type === 'word' ? tokens[2].upper : option;
+    if (setting.startsWith('@') || SESSION_SET_OPTIONS.has(setting)
+      || setting.startsWith('ANSI_') || setting.startsWith('SHOWPLAN_')) {
+      return { kind: 'read', keyword, reason: null };
+    }
+    return { kind: 'write', keyword, reason: `SET ${setting} is not a session-only setting` };
+  }
+
+  if (keyword === 'USE' && (dialect === 'mssql' || dialect === 'mysql' || dialect === 'generic')) {
+    return { kind: 'read', keyword, reason: null };
+  }
+  // T-SQL local variables; in PL/SQL DECLARE opens a block that can call procedures
+  if (keyword === 'DECLARE' && dialect === 'mssql') {
+    return { kind: 'read', keyword, reason: null };
+  }
+
+  return { kind: 'unknown', keyword, reason: `${keyword} is not a read-only statement` };
+}
+
+/**
+ * Classify SQL text for one tokenizer variant
+ */
+function classifyWithVariant(sql, dialect, variant) {
+  let tokens;
+  try {
+    tokens = tokenize(sql, variant);
+  } catch (error) {
+    return {
+      readOnly: false,
+      statements: [{ text: sql, kind: 'unknown', keyword: null, reason: error.message }],
+      error: error.message,
+    };
+  }
+
+  const statements = splitStatements(tokens).map((statementTokens) => ({
+    text: statementTokens.map(t => t.value).join(' '),
+    ...classifyStatement(statementTokens, dialect),
+  }));
+
+  return {
+    readOnly: statements.every(s => s.kind === 'read'),
+    statements,
+    error: null,
+  };
+}
+
+/**
+ * Classify SQL text as read-only or not
+ *
+ * @param {string} sql - SQL text (one or more statements)
+ * @param {Object} [options]
+ * @param {string} [options.dialect='generic'] - mssql, mysql, postgres, oracle, sqlite or generic (ODBC)
+ * @returns {Object} { readOnly, statements: [{ text, kind, keyword, reason }], blocked, error }
+ *   blocked is the first non-read statement, or null
+ */
+function classifySql(sql, { dialect = 'generic' } = {}) {
+  const variants = DIALECT_VARIANTS[dialect] || DIALECT_VARIANTS.generic;
+  let result = null;
+
+  for (const variant of variants) {
+    result = classifyWithVariant(String(sql == null ? '' : sql), dialect, variant);
+    if (!result.readOnly) break;
+  }
+
+  return {
+    ...result,
+    blocked: result.statements.find(s => s.kind !== 'read') || null,
+  };
+}
+
+/**
+ * SQL dialect to classify a saved connection's queries with
+ *
+ * @param {Object} connection - Saved connection { type, config }
+ * @returns {string} Dialect name
+ */
+function getConnectionDialect(connection) {
+  if (connection.config && connection.config.useOdbc) return 'generic';
+  return DIALECTS.includes(connection.type) ? connection.type : 'generic';
+}
+
+/**
+ * Failure result for a query rejected by the read-only policy
+ *
+ * @param {Object} classification - Result of classifySql
+ * @returns {Object} { success: false, error, code, blocked: true }
+ */
+function getReadOnlyViolation(classification) {
+  const { blocked } = classification;
+  return {
+    success: false,
+    error: `Blocked by read-only policy: ${blocked && blocked.reason ? blocked.reason : 'query is not read-only'}`,
+    code: READ_ONLY_VIOLATION,
+    blocked: true,
+  };
+}
+
+module.exports = {
+  DIALECTS,
+  READ_ONLY_VIOLATION,
+  tokenize,
+  classifySql,
+  getConnectionDialect,
+  getReadOnlyViolation,
+};
@@ -1,5 +1,7 @@
-const sql = require('mssql');
 const Registry = require('winreg');
+const { classifySql, getReadOnlyViolation } = require('./sqlClassifier');
+const { recordBlockedQuery } = require('./queryAudit');
+const { acquireMssqlPool } = require('./connectionPools');
 
 /**
  * Default registry path for SQL Server connection strings
@@ -62,6 +64,8 @@ async function getSqlCredentialsFromRegistry(registryPath = DEFAULT_REGISTRY_PAT
           // Connection timeout (in milliseconds)
           connectionTimeout: parseInt(config.connectionTimeout || config.ConnectionTimeout || '15000', 10),
           requestTimeout: parseInt(config.requestTimeout || config.RequestTimeout || '15000', 10),
+          // Queries are read-only unless the registry sets readOnly to 'false'
+          readOnly: String(config.readOnly || config.ReadOnly || 'true').toLowerCase() !== 'false',
         };
 
         resolve(sqlConfig);
@@ -74,11 +78,12 @@ async function getSqlCredentialsFromRegistry(registryPath = DEFAULT_REGISTRY_PAT
 }
 
 /**
- * Connect to SQL Server using Windows Authentication
+ * Connect to SQL Server using Windows Authentication. The pool is shared by every
+ * caller with the same configuration; call release() when done instead of closing it.
  * @param {Object} config - SQL Server configuration (if not provided, reads from registry)
  * @param {string} registryPath - Optional registry path to read credentials from
  * @param {string} hive - Registry hive: 'HKCU' or 'HKLM'
- * @returns {Promise<sql.ConnectionPool>} SQL Server connection pool
+ * @returns {Promise<Object>} { pool: sql.ConnectionPool, release() }
  */
 async function connectToSqlServer(config = null, registryPath = DEFAULT_REGISTRY_PATH, hive = 'HKCU') {
   if (process.platform !== 'win32') {
@@ -95,11 +100,12 @@ async function connectToSqlServer(config = null, registryPath = DEFAULT_REGISTRY
       }
     }
 
-    // Create connection pool
-    const pool = await sql.connect(sqlConfig);
+    // readOnly is our query policy, not a driver option
+    const { readOnly, ...poolConfig } = sqlConfig;
+    const lease = await acquireMssqlPool(null, poolConfig);
 
     console.log('Successfully connected to SQL Server');
-    return pool;
+    return lease;
   } catch (error) {
     console.error('Error connecting to SQL Server:', error);
     throw error;
@@ -114,12 +120,12 @@ async function connectToSqlServer(config = null, registryPath = DEFAULT_REGISTRY
  * @returns {Promise<Object>} Connection test result
  */
 async function testSqlConnection(config = null, registryPath = DEFAULT_REGISTRY_PATH, hive = 'HKCU') {
-  let pool = null;
+  let lease = null;
   try {
-    pool = await connectToSqlServer(config, registryPath, hive);
+    lease = await connectToSqlServer(config, registryPath, hive);
     
     // Test query
-    const result = await pool.request().query('SELECT @@VERSION AS Version, SYSTEM_USER AS CurrentUser, DB_NAME() AS CurrentDatabase');
+    const result = await lease.pool.request().query('SELECT @@VERSION AS Version, SYSTEM_USER AS CurrentUser, DB_NAME() AS CurrentDatabase');
     
     return {
       success: true,
@@ -137,14 +143,30 @@ async function testSqlConnection(config = null, registryPath = DEFAULT_REGISTRY_
       code: error.code,
     };
   } finally {
-    if (pool) {
-      await pool.close();
+    if (lease) {
+      lease.release();
     }
   }
 }
 
 /**
- * Execute a SQL query
+ * Whether queries must be read-only. The policy is read from the registry only,
+ * never from a config passed in by the caller (e.g. the renderer), and is
+ * read-only when the registry has no configuration or cannot be read.
+ */
+async function isReadOnlyPolicy(registryPath, hive) {
+  try {
+    const registryConfig = await getSqlCredentialsFromRegistry(registryPath, hive);
+    return !registryConfig || registryConfig.readOnly !== false;
+  } catch (error) {
+    return true;
+  }
+}
+
+/**
+ * Execute a SQL query. The server is treated as a live practice database:
+ * data-modifying and DDL statements are rejected (and audited) unless the
+ * registry sets readOnly to 'false'; a readOnly value in config is ignored.
  * @param {string} query - SQL query to execute
  * @param {Object} config - Optional SQL Server configuration
  * @param {string} registryPath - Optional registry path
@@ -152,10 +174,30 @@ async function testSqlConnection(config = null, registryPath = DEFAULT_REGISTRY_
  * @returns {Promise<Object>} Query result
  */
 async function executeQuery(query, config = null, registryPath = DEFAULT_REGISTRY_PATH, hive = 'HKCU') {
-  let pool = null;
+  let lease = null;
   try {
-    pool = await connectToSqlServer(config, registryPath, hive);
-    const result = await pool.request().query(query);
+    const sqlConfig = config || await getSqlCredentialsFromRegistry(registryPath, hive);
+    if (!sqlConfig) {
+      throw new Error('SQL Server configuration not found in registry. Please configure the registry first.');
+    }
+
+    const readOnly = config ? await isReadOnlyPolicy(registryPath, hive) : sqlConfig.readOnly !== false;
+    if (readOnly) {
+      const classification = classifySql(query, { dialect: 'mssql' });
+      if (!classification.readOnly) {
+        await recordBlockedQuery({
+          source: 'sql:execute-query',
+          connectionName: sqlConfig.server,
+          dialect: 'mssql',
+          blocked: classification.blocked,
+          query,
+        });
+        return getReadOnlyViolation(classification);
+      }
+    }
+
+    lease = await connectToSqlServer(sqlConfig, registryPath, hive);
+    const result = await lease.pool.request().query(query);
     
     return {
       success: true,
@@ -169,8 +211,8 @@ async function executeQuery(query, config = null, registryPath = DEFAULT_REGISTR
       code: error.code,
     };
   } finally {
-    if (pool) {
-      await pool.close();
+    if (lease) {
+      lease.release();
     }
   }
 }
@@ -190,6 +232,7 @@ function getRegistryPathInfo() {
       trustServerCertificate: 'false',
       connectionTimeout: '15000',
       requestTimeout: '15000',
+      readOnly: 'true',
     },
   };
 }
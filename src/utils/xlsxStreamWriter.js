@@ -0,0 +1,288 @@
+/**
+ * XLSX Stream Writer
+ *
+ * Writes a single-sheet .xlsx workbook row by row without holding the sheet in
+ * memory. The sheet XML is deflated straight into a ZIP entry that uses a data
+ * descriptor, so sizes and CRC are written after the data instead of up front.
+ *
+ * Cells use inline strings (no shared string table) and the workbook has no
+ * styles; dates are written as ISO 8601 text. ZIP64 is not supported, so each
+ * part must stay under 4 GB - far beyond the row limits exports apply.
+ */
+
+const fs = require('fs');
+const zlib = require('zlib');
+
+/** Excel's sheet limit is 1,048,576 rows including the header */
+const XLSX_MAX_DATA_ROWS = 1048575;
+/** Excel's per-cell text limit */
+const XLSX_MAX_CELL_LENGTH = 32767;
+
+const STATIC_PARTS = {
+  '[Content_Types].xml':
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+    + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+    + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+    + '<Default Extension="xml" ContentType="application/xml"/>'
+    + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+    + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+    + '</Types>',
+  '_rels/.rels':
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+    + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+    + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+    + '</Relationships>',
+  'xl/_rels/workbook.xml.rels':
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+    + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+    + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+    + '</Relationships>',
+};
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function updateCrc32(crc, buffer) {
+  let c = crc ^ 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) c = CRC_TABLE[(c ^ buffer[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * MS-DOS date and time fields used in ZIP headers
+ */
+function getDosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+function escapeXml(text) {
+  return text
+    // Characters not allowed in XML 1.0 would make Excel reject the file
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f\ufffe\uffff]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Column letters for a 0-based index: 0 -> A, 25 -> Z, 26 -> AA
+ */
+function getColumnLetters(index) {
+  let letters = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+  }
+  return letters;
+}
+
+function buildCell(value, ref) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return `<c r="${ref}"><v>${value}</v></c>`;
+  }
+  if (typeof value === 'boolean') {
+    return `<c r="${ref}" t="b"><v>${value ? 1 : 0}</v></c>`;
+  }
+  let text = String(value);
+  if (text.length > XLSX_MAX_CELL_LENGTH) text = text.slice(0, XLSX_MAX_CELL_LENGTH);
+  return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(text)}</t></is></c>`;
+}
+
+/**
+ * Create a streaming XLSX writer
+ *
+ * @param {string} filePath - Destination .xlsx file
+ * @param {Object} [options]
+ * @param {string} [options.sheetName='Export'] - Worksheet name
+ * @returns {Object} { writeRows(rows): Promise, close(): Promise, abort(): Promise }
+ *   rows are arrays of cell values (string, number, boolean, null); convert dates and binaries first
+ */
+function createXlsxWriter(filePath, { sheetName = 'Export' } = {}) {
+  const output = fs.createWriteStream(filePath);
+  const entries = [];
+  const modified = getDosDateTime(new Date());
+  let offset = 0;
+  let rowNumber = 0;
+  let outputError = null;
+  output.on('error', (err) => {
+    outputError = err;
+  });
+
+  const writeOutput = buffer => new Promise((resolve, reject) => {
+    if (outputError) {
+      reject(outputError);
+      return;
+    }
+    offset += buffer.length;
+    if (output.write(buffer)) resolve();
+    else output.once('drain', resolve);
+  });
+
+  const writeLocalHeader = async (name) => {
+    const nameBuffer = Buffer.from(name, 'utf-8');
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4); // version needed
+    header.writeUInt16LE(0x0808, 6); // data descriptor + UTF-8 names
+    header.writeUInt16LE(8, 8); // deflate
+    header.writeUInt16LE(modified.time, 10);
+    header.writeUInt16LE(modified.date, 12);
+    // CRC and sizes (14-25) are zero; they follow the data in the descriptor
+    header.writeUInt16LE(nameBuffer.length, 26);
+    const entry = { name: nameBuffer, offset, crc: 0, compressedSize: 0, size: 0 };
+    await writeOutput(Buffer.concat([header, nameBuffer]));
+    return entry;
+  };
+
+  const writeDataDescriptor = async (entry) => {
+    if (entry.size > 0xffffffff || offset > 0xffffffff) {
+      throw new Error('Export is too large for an XLSX file');
+    }
+    const descriptor = Buffer.alloc(16);
+    descriptor.writeUInt32LE(0x08074b50, 0);
+    descriptor.writeUInt32LE(entry.crc, 4);
+    descriptor.writeUInt32LE(entry.compressedSize, 8);
+    descriptor.writeUInt32LE(entry.size, 12);
+    await writeOutput(descriptor);
+    entries.push(entry);
+  };
+
+  /**
+   * Start a deflated entry; returns { write(text), end() }
+   */
+  const openEntry = async (name) => {
+    const entry = await writeLocalHeader(name);
+    const deflate = zlib.createDeflateRaw();
+    let pending = Promise.resolve();
+    deflate.on('data', (chunk) => {
+      entry.compressedSize += chunk.length;
+      pending = pending.then(() => writeOutput(chunk));
+    });
+    const ended = new Promise((resolve, reject) => {
+      deflate.on('end', resolve);
+      deflate.on('error', reject);
+    });
+
+    return {
+      write: (text) => {
+        const buffer = Buffer.from(text, 'utf-8');
+        entry.crc = updateCrc32(entry.crc, buffer);
+        entry.size += buffer.length;
+        return new Promise((resolve, reject) => {
+          deflate.write(buffer, err => (err ? reject(err) : pending.then(resolve, reject)));
+        });
+      },
+      end: async () => {
+        deflate.end();
+        await ended;
+        await pending;
+        await writeDataDescriptor(entry);
+      },
+    };
+  };
+
+  const writeStaticEntry = async (name, text) => {
+    const part = await openEntry(name);
+    await part.write(text);
+    await part.end();
+  };
+
+  let sheet = null;
+  const ready = (async () => {
+    for (const [name, text] of Object.entries(STATIC_PARTS)) {
+      await writeStaticEntry(name, text);
+    }
+    await writeStaticEntry(
+      'xl/workbook.xml',
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+      + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" '
+      + 'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+      + `<sheets><sheet name="${escapeXml(sheetName.slice(0, 31))}" sheetId="1" r:id="rId1"/></sheets>`
+      + '</workbook>'
+    );
+    sheet = await openEntry('xl/worksheets/sheet1.xml');
+    await sheet.write(
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+      + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>'
+    );
+  })();
+
+  const writeCentralDirectory = async () => {
+    const start = offset;
+    for (const entry of entries) {
+      const header = Buffer.alloc(46);
+      header.writeUInt32LE(0x02014b50, 0);
+      header.writeUInt16LE(20, 4); // version made by
+      header.writeUInt16LE(20, 6); // version needed
+      header.writeUInt16LE(0x0808, 8);
+      header.writeUInt16LE(8, 10);
+      header.writeUInt16LE(modified.time, 12);
+      header.writeUInt16LE(modified.date, 14);
+      header.writeUInt32LE(entry.crc, 16);
+      header.writeUInt32LE(entry.compressedSize, 20);
+      header.writeUInt32LE(entry.size, 24);
+      header.writeUInt16LE(entry.name.length, 28);
+      header.writeUInt32LE(entry.offset, 42);
+      await writeOutput(Buffer.concat([header, entry.name]));
+    }
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(offset - start, 12);
+    end.writeUInt32LE(start, 16);
+    await writeOutput(end);
+  };
+
+  return {
+    async writeRows(rows) {
+      await ready;
+      if (rowNumber + rows.length > XLSX_MAX_DATA_ROWS + 1) {
+        throw new Error('XLSX sheets are limited to 1,048,576 rows');
+      }
+      const xml = rows.map((values) => {
+        rowNumber += 1;
+        const cells = values.map((value, i) => buildCell(value, `${getColumnLetters(i)}${rowNumber}`)).join('');
+        return `<row r="${rowNumber}">${cells}</row>`;
+      }).join('');
+      await sheet.write(xml);
+    },
+    async close() {
+      await ready;
+      await sheet.write('</sheetData></worksheet>');
+      await sheet.end();
+      await writeCentralDirectory();
+      await new Promise((resolve, reject) => {
+        if (outputError) {
+          reject(outputError);
+          return;
+        }
+        output.end(err => (err ? reject(err) : resolve()));
+      });
+    },
+    async abort() {
+      await ready.catch(() => {});
+      if (output.closed) return;
+      await new Promise((resolve) => {
+        output.once('close', resolve);
+        output.destroy();
+      });
+    },
+  };
+}
+
+module.exports = {
+  XLSX_MAX_DATA_ROWS,
+  createXlsxWriter,
+};
@@ -0,0 +1,82 @@
+/**
+ * connectionBundle tests: exporting connections with secrets excluded or
+ * encrypted under a passphrase, and reading bundles back
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createConnectionBundle, readConnectionBundle } = require('../src/utils/connectionBundle');
+
+const SECRET_FIELDS = ['password', 'odbcConnectionString'];
+const KNOWN_TYPES = ['mssql', 'mysql', 'postgres', 'oracle', 'sqlite'];
+
+const connections = [
+  { id: 'a', name: 'Front office', type: 'mssql', createdAt: '2024-01-01T00:00:00.000Z', config: { server: 'fo', user: 'sa', password: 'hunter2' } },
+  { id: 'b', name: 'Reports', type: 'sqlite', config: { filePath: 'C:\\data\\reports.db' } },
+];
+
+test('encrypts secrets under the passphrase and restores them with it', () => {
+  const bundle = createConnectionBundle(connections, { secretFields: SECRET_FIELDS, passphrase: 'correct horse' });
+  assert.strictEqual(bundle.secrets.mode, 'encrypted');
+  assert.ok(!JSON.stringify(bundle).includes('hunter2'));
+  assert.deepStrictEqual(bundle.connections[0], { name: 'Front office', type: 'mssql', config: { server: 'fo', user: 'sa' } });
+
+  const { connections: imported, invalid, secretsMode } = readConnectionBundle(JSON.parse(JSON.stringify(bundle)), {
+    knownTypes: KNOWN_TYPES,
+    passphrase: 'correct horse',
+  });
+  assert.strictEqual(secretsMode, 'encrypted');
+  assert.deepStrictEqual(invalid, []);
+  assert.deepStrictEqual(imported[0].config, { server: 'fo', user: 'sa', password: 'hunter2' });
+  assert.deepStrictEqual(imported[1].config, { filePath: 'C:\\data\\reports.db' });
+});
+
+test('rejects a wrong or missing passphrase', () => {
+  const bundle = createConnectionBundle(connections, { secretFields: SECRET_FIELDS, passphrase: 'correct horse' });
+  assert.throws(
+    () => readConnectionBundle(bundle, { knownTypes: KNOWN_TYPES, passphrase: 'wrong horse' }),
+    error => error.code === 'BAD_PASSPHRASE'
+  );
+  assert.throws(
+    () => readConnectionBundle(bundle, { knownTypes: KNOWN_TYPES }),
+    error => error.code === 'PASSPHRASE_REQUIRED'
+  );
+});
+
+test('detects a modified bundle', () => {
+  const bundle = createConnectionBundle(connections, { secretFields: SECRET_FIELDS, passphrase: 'correct horse' });
+  const data = Buffer.from(bundle.secrets.data, 'base64');
+  data[0] ^= 1;
+  bundle.secrets.data = data.toString('base64');
+  assert.throws(
+    () => readConnectionBundle(bundle, { knownTypes: KNOWN_TYPES, passphrase: 'correct horse' }),
+    error => error.code === 'BAD_PASSPHRASE'
+  );
+});
+
+test('leaves secrets out without a passphrase and flags the connection', () => {
+  const bundle = createConnectionBundle(connections, { secretFields: SECRET_FIELDS });
+  assert.deepStrictEqual(bundle.secrets, { mode: 'excluded' });
+  assert.ok(!JSON.stringify(bundle).includes('hunter2'));
+
+  const { connections: imported } = readConnectionBundle(bundle, { knownTypes: KNOWN_TYPES });
+  assert.strictEqual(imported[0].config.passwordMissing, true);
+  assert.strictEqual(imported[0].config.password, undefined);
+});
+
+test('refuses short passphrases and files that are not bundles', () => {
+  assert.throws(() => createConnectionBundle(connections, { secretFields: SECRET_FIELDS, passphrase: 'short' }), /at least 8/);
+  assert.throws(() => readConnectionBundle([], { knownTypes: KNOWN_TYPES }), /not a connection export bundle/);
+  assert.throws(
+    () => readConnectionBundle({ format: 'electronpoc-connections', version: 99, connections: [] }, { knownTypes: KNOWN_TYPES }),
+    /version 99 is not supported/
+  );
+});
+
+test('reports invalid entries instead of importing them', () => {
+  const bundle = createConnectionBundle(connections, { secretFields: SECRET_FIELDS });
+  bundle.connections.push({ name: 'Broken', type: 'db2', config: {} });
+  const { connections: imported, invalid } = readConnectionBundle(bundle, { knownTypes: KNOWN_TYPES });
+  assert.strictEqual(imported.length, 2);
+  assert.deepStrictEqual(invalid, [{ name: 'Broken', problems: ["unsupported type 'db2'"] }]);
+});
@@ -0,0 +1,78 @@
+/**
+ * connectionsSchema tests: upgrading older connections files and quarantining
+ * entries that do not validate
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+  CURRENT_SCHEMA_VERSION,
+  upgradeConnectionsDocument,
+  createConnectionsDocument,
+} = require('../src/utils/connectionsSchema');
+
+const KNOWN_TYPES = ['mssql', 'mysql', 'postgres', 'oracle', 'sqlite'];
+
+test('upgrades a bare array file through every migration', () => {
+  const { connections, quarantined, fromVersion, migrated } = upgradeConnectionsDocument([
+    { id: 'a', name: 'Saved password', type: 'mssql', config: { server: 'x', password: '***SAVED***' } },
+    { id: 'b', name: 'Dentrix', type: 'mssql', config: { useOdbc: true, odbcConnectionString: 'DSN=Dentrix' } },
+    { id: 'c', name: 'Reports', type: 'sqlite', config: { filePath: 'r.db' } },
+  ], { knownTypes: KNOWN_TYPES });
+
+  assert.strictEqual(fromVersion, 1);
+  assert.strictEqual(migrated, true);
+  assert.deepStrictEqual(quarantined, []);
+  // v2: the placeholder was never a password
+  assert.deepStrictEqual(connections[0].config, { server: 'x', passwordMissing: true });
+  // v3: practice databases default to read-only, others are left alone
+  assert.strictEqual(connections[1].config.readOnly, true);
+  assert.strictEqual(connections[2].config.readOnly, undefined);
+  assert.strictEqual(connections[2].createdAt, null);
+});
+
+test('keeps an explicit readOnly choice when upgrading', () => {
+  const { connections } = upgradeConnectionsDocument({
+    schemaVersion: 2,
+    connections: [{ id: 'a', name: 'Dentrix', type: 'mssql', config: { useOdbc: true, readOnly: false } }],
+  }, { knownTypes: KNOWN_TYPES });
+  assert.strictEqual(connections[0].config.readOnly, false);
+});
+
+test('leaves a current file as it is', () => {
+  const document = createConnectionsDocument([{ id: 'a', name: 'A', type: 'mysql', config: {}, createdAt: null, lastTested: null }]);
+  const { connections, fromVersion, migrated } = upgradeConnectionsDocument(document, { knownTypes: KNOWN_TYPES });
+  assert.strictEqual(fromVersion, CURRENT_SCHEMA_VERSION);
+  assert.strictEqual(migrated, false);
+  assert.deepStrictEqual(connections, document.connections);
+});
+
+test('quarantines malformed and duplicate entries and keeps the rest', () => {
+  const { connections, quarantined } = upgradeConnectionsDocument({
+    schemaVersion: CURRENT_SCHEMA_VERSION,
+    connections: [
+      { id: 'a', name: 'Good', type: 'mysql', config: {} },
+      'not an object',
+      { id: 'b', name: '', type: 'db2', config: [] },
+      { id: 'a', name: 'Same id', type: 'mysql', config: {} },
+      { id: 'c', name: 'Bad date', type: 'mysql', config: {}, lastTested: 'yesterday' },
+    ],
+  }, { knownTypes: KNOWN_TYPES });
+
+  assert.deepStrictEqual(connections.map(conn => conn.name), ['Good']);
+  assert.deepStrictEqual(quarantined.map(entry => entry.problems), [
+    ['entry is not an object'],
+    ['missing name', "unsupported type 'db2'", 'missing config'],
+    ["duplicate id 'a'"],
+    ['invalid lastTested'],
+  ]);
+});
+
+test('refuses files from a newer version and unknown layouts', () => {
+  assert.throws(
+    () => upgradeConnectionsDocument({ schemaVersion: CURRENT_SCHEMA_VERSION + 1, connections: [] }, { knownTypes: KNOWN_TYPES }),
+    error => error.code === 'SCHEMA_TOO_NEW'
+  );
+  assert.throws(() => upgradeConnectionsDocument({ connections: [] }, { knownTypes: KNOWN_TYPES }), /Unrecognized connections file layout/);
+  assert.throws(() => upgradeConnectionsDocument({ schemaVersion: 2 }, { knownTypes: KNOWN_TYPES }), /missing the connections array/);
+});
@@ -0,0 +1,123 @@
+/**
+ * Saved connections store tests, against a temporary app data directory (APPDATA).
+ * ODBC connections run through the Node stand-in worker (ODBC_WORKER_SCRIPT).
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'db-connections-test-'));
+process.env.APPDATA = tempDir;
+const appDir = path.join(tempDir, 'ElectronPoC');
+const backupsDir = path.join(appDir, 'backups');
+process.env.ODBC_WORKER_SCRIPT = require.resolve('../src/utils/odbcWorkerStandIn');
+
+const databaseConnections = require('../src/utils/databaseConnections');
+const secretStore = require('../src/utils/secretStore');
+const operations = require('../src/utils/operations');
+const { closeOdbcWorkers, getOdbcWorkerStats } = require('../src/utils/odbcWorker');
+
+function writeJson(filePath, value) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(value, null, 2));
+}
+
+// Cancel once the query is on a worker, so no worker is left starting for nobody
+async function waitForOdbcRequest() {
+  while (!getOdbcWorkerStats().some(worker => worker.pending > 0)) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+}
+
+async function addOdbcConnection(config = {}) {
+  const { connection } = await databaseConnections.addConnection({
+    name: 'Dentrix',
+    type: 'mssql',
+    config: { useOdbc: true, odbcConnectionString: `Driver=SQLite;Database=${path.join(tempDir, 'practice.db')}`, ...config },
+  });
+  return connection;
+}
+
+function listFiles(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => (entry.isDirectory()
+    ? listFiles(path.join(dir, entry.name))
+    : [path.join(dir, entry.name)]));
+}
+
+const legacyConnection = {
+  id: 'conn-1',
+  name: 'Front office',
+  type: 'mssql',
+  config: { server: 'localhost', user: 'sa', password: 'hunter2' },
+};
+
+before(() => {
+  // A file from before the secret store, and a backup generation taken from it
+  writeJson(path.join(appDir, 'db-connections.json'), [legacyConnection]);
+  writeJson(path.join(backupsDir, '2024-01-01T00-00-00-000Z', 'db-connections.json'), [legacyConnection]);
+  writeJson(path.join(backupsDir, '2024-01-02T00-00-00-000Z', 'db-connections.json'), {
+    schemaVersion: 3,
+    connections: [{ ...legacyConnection, config: { ...legacyConnection.config, password: { secretRef: 'conn-1/password' } } }],
+  });
+});
+
+after(async () => {
+  await closeOdbcWorkers();
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+test('sealing plaintext passwords leaves no plaintext copy behind, backups included', async () => {
+  const result = await databaseConnections.getAllConnections();
+  assert.strictEqual(result.success, true, result.error);
+  assert.deepStrictEqual(result.connections.map(conn => conn.name), ['Front office']);
+
+  for (const file of listFiles(appDir)) {
+    assert.ok(!fs.readFileSync(file, 'utf-8').includes('hunter2'), `${path.relative(appDir, file)} holds the plaintext password`);
+  }
+  // The sealed backup is kept; the plaintext one is gone and none was added for the upgrade
+  assert.deepStrictEqual(fs.readdirSync(backupsDir), ['2024-01-02T00-00-00-000Z']);
+
+  const { secrets } = await secretStore.loadSecrets(appDir);
+  assert.strictEqual(secrets.get('conn-1/password'), 'hunter2');
+});
+
+test('runs table listings and describes as cancellable operations with the connection timeout', async () => {
+  const connection = await addOdbcConnection({ requestTimeout: 5000 });
+  const table = { schema: 'admin', name: 'appt' };
+  const runs = {
+    'list-tables': () => databaseConnections.listTables(connection.id, { operationId: 'op-1' }),
+    'describe-table': () => databaseConnections.describeTable(connection.id, table, { operationId: 'op-1' }),
+  };
+
+  for (const [kind, run] of Object.entries(runs)) {
+    const pending = run();
+    await waitForOdbcRequest();
+    assert.deepStrictEqual(
+      operations.listOperations().map(op => [op.operationId, op.kind, op.connectionId, op.timeoutMs]),
+      [['op-1', kind, connection.id, 5000]]
+    );
+    assert.deepStrictEqual(await operations.cancelOperation('op-1'), { success: true });
+    const result = await pending;
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(result.cancelled, true);
+    assert.deepStrictEqual(operations.listOperations(), []);
+  }
+});
+
+test('cancels a connection test without recording it', async () => {
+  const connection = await addOdbcConnection();
+  const pending = databaseConnections.testConnection(connection.id, { operationId: 'test-1' });
+  assert.deepStrictEqual(
+    await databaseConnections.testConnection(connection.id, { operationId: 'test-1' }),
+    { success: false, error: 'Connection test test-1 is already running' }
+  );
+  await operations.cancelOperation('test-1');
+
+  const result = await pending;
+  assert.strictEqual(result.cancelled, true);
+  const { connections } = await databaseConnections.getAllConnections();
+  assert.strictEqual(connections.find(conn => conn.id === connection.id).lastTested, null);
+});
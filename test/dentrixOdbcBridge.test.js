@@ -0,0 +1,297 @@
+/**
+ * executeOdbcQuery and cursor tests, run through the Node stand-in worker (ODBC_WORKER_SCRIPT)
+ * against a temporary SQLite database. Parameters travel as typed data, so text that
+ * means something to PowerShell or SQL must come back exactly as it was sent. Cursors
+ * must release their worker-side cursor however the read ends.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+
+process.env.ODBC_WORKER_SCRIPT = require.resolve('../src/utils/odbcWorkerStandIn');
+const { executeOdbcQuery, openOdbcCursor, streamOdbcQuery } = require('../src/utils/dentrixOdbcBridge');
+const { closeOdbcWorkers, getOdbcWorkerStats, setOdbcWorkerCommand } = require('../src/utils/odbcWorker');
+
+const HOSTILE_STRINGS = [
+  "O'Brien",
+  "'; DROP TABLE patients; --",
+  'say "hello"',
+  '`backtick` and `$(whoami)`',
+  '$(Remove-Item C:\\ -Recurse)',
+  '${env:PATH} $env:USERNAME $null',
+  "@'\nhere-string\n'@",
+  '@"\n$(Get-Process)\n"@',
+  'line one\r\nline two\ttabbed',
+  '  padded  ',
+  '\tleading tab',
+  'trailing newline\r\n',
+  ' ',
+  'semi;colon|pipe&amp>redirect<',
+  'a ? b ?? c',
+  'Zoë Ångström — 日本語 🦷',
+  '\\\\server\\share\\file',
+  '2024-01-02',
+  '2024-01-02 03:04:05',
+  '',
+];
+
+let tempDir;
+let connectionString;
+
+before(async () => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'odbc-bridge-test-'));
+  const dbPath = path.join(tempDir, 'test.db');
+  await new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(dbPath, (err) => {
+      if (err) return reject(err);
+      db.exec(`
+        CREATE TABLE patients (id INTEGER, last_name TEXT, birth_date TEXT);
+        INSERT INTO patients VALUES (1, 'O''Brien', '1980-05-06 00:00:00'), (2, 'Smith', '1975-01-02 00:00:00');
+      `, (execErr) => db.close(() => (execErr ? reject(execErr) : resolve())));
+    });
+  });
+  connectionString = `Driver=SQLite;Database=${dbPath}`;
+});
+
+after(async () => {
+  await closeOdbcWorkers();
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+test('round-trips hostile string params unchanged', async () => {
+  for (const value of HOSTILE_STRINGS) {
+    const result = await executeOdbcQuery(connectionString, 'SELECT ? AS v', [value]);
+    assert.strictEqual(result.success, true, result.error);
+    assert.strictEqual(result.rows[0].v, value);
+    assert.strictEqual(result.columns[0].dataType, 'String');
+  }
+});
+
+test('binds a hostile param as one value, not as SQL', async () => {
+  const result = await executeOdbcQuery(connectionString, 'SELECT id FROM patients WHERE last_name = ?', ["O'Brien"]);
+  assert.deepStrictEqual(result.rows, [{ id: 1n }]);
+
+  const injected = await executeOdbcQuery(connectionString, 'SELECT id FROM patients WHERE last_name = ?', ["x' OR '1'='1"]);
+  assert.strictEqual(injected.success, true);
+  assert.deepStrictEqual(injected.rows, []);
+});
+
+test('keeps hostile text in the query itself intact', async () => {
+  const result = await executeOdbcQuery(connectionString, "SELECT '$(whoami) `n \"q\" 🦷' AS lit, ? AS v", ['$null']);
+  assert.deepStrictEqual(result.rows, [{ lit: '$(whoami) `n "q" 🦷', v: '$null' }]);
+});
+
+test('round-trips typed params with their declared types', async () => {
+  const date = new Date(Date.UTC(2024, 0, 2, 3, 4, 5, 678));
+  const bytes = Buffer.from([0, 39, 96, 36, 255]);
+  const result = await executeOdbcQuery(
+    connectionString,
+    'SELECT ? AS i, ? AS d, ? AS dt, ? AS b, ? AS n, ? AS s',
+    [42, { type: 'decimal', value: '12.5' }, date, bytes, null, { type: 'string', value: '2024-01-02' }],
+    { timezone: 'utc' },
+  );
+  assert.strictEqual(result.success, true, result.error);
+  assert.deepStrictEqual(result.columns.map(column => column.dataType), ['Int64', 'Decimal', 'DateTime', 'Byte[]', 'String', 'String']);
+  const [row] = result.rows;
+  assert.strictEqual(row.i, 42n);
+  assert.strictEqual(row.d, '12.5');
+  assert.strictEqual(row.dt.toISOString(), date.toISOString());
+  assert.deepStrictEqual(row.b, bytes);
+  assert.strictEqual(row.n, null);
+  assert.strictEqual(row.s, '2024-01-02');
+});
+
+/**
+ * Run fn against a stand-in worker that also writes every request line it
+ * receives to a file, and return the requests
+ */
+async function recordWorkerRequests(fn) {
+  const logPath = path.join(tempDir, 'requests.log');
+  fs.rmSync(logPath, { force: true });
+  await setOdbcWorkerCommand({
+    label: 'recorder',
+    command: process.execPath,
+    args: ['-e', "process.stdin.on('data', chunk => require('fs').appendFileSync(process.env.REQUEST_LOG, chunk)); require(process.env.ODBC_WORKER_SCRIPT);"],
+    env: { REQUEST_LOG: logPath },
+  });
+  try {
+    await fn();
+  } finally {
+    // Back to ODBC_WORKER_SCRIPT
+    await setOdbcWorkerCommand(null);
+  }
+  return fs.readFileSync(logPath, 'utf-8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+test('sends each param to the worker as a typed value, apart from the query', async () => {
+  const date = new Date(Date.UTC(2024, 0, 2, 3, 4, 5, 678));
+  const query = 'SELECT ? AS s, ? AS i, ? AS big, ? AS d, ? AS dt, ? AS b, ? AS n, ? AS ds, ? AS t, ? AS f';
+  const requests = await recordWorkerRequests(async () => {
+    const result = await executeOdbcQuery(connectionString, query, [
+      "'; DROP TABLE patients; --",
+      42,
+      { type: 'int', value: '9007199254740993' },
+      { type: 'decimal', value: '-12.50' },
+      date,
+      Buffer.from([0, 39, 96, 36, 255]),
+      null,
+      '2024-01-02',
+      true,
+      1.5,
+    ], { timezone: 'utc' });
+    assert.strictEqual(result.success, true, result.error);
+  });
+
+  assert.strictEqual(requests.length, 1);
+  const [request] = requests;
+  assert.strictEqual(request.type, 'query');
+  assert.strictEqual(request.query, query);
+  assert.strictEqual(request.connectionString, connectionString);
+  assert.deepStrictEqual(request.params, [
+    { type: 'string', value: "'; DROP TABLE patients; --" },
+    { type: 'int', value: '42' },
+    { type: 'int', value: '9007199254740993' },
+    { type: 'decimal', value: '-12.50' },
+    { type: 'date', value: '2024-01-02 03:04:05.678' },
+    { type: 'binary', value: Buffer.from([0, 39, 96, 36, 255]).toString('base64') },
+    { type: 'null', value: null },
+    // Date-looking text stays text
+    { type: 'string', value: '2024-01-02' },
+    { type: 'int', value: '1' },
+    { type: 'decimal', value: '1.5' },
+  ]);
+});
+
+test('sends hostile strings to the worker unchanged', async () => {
+  const query = `SELECT ${HOSTILE_STRINGS.map(() => '?').join(', ')}`;
+  const requests = await recordWorkerRequests(async () => {
+    const result = await openOdbcCursor(connectionString, query, HOSTILE_STRINGS);
+    assert.strictEqual(result.success, true, result.error);
+    await result.cursor.close();
+  });
+  const open = requests.find(request => request.type === 'open');
+  assert.strictEqual(open.query, query);
+  assert.deepStrictEqual(open.params, HOSTILE_STRINGS.map(value => ({ type: 'string', value })));
+});
+
+test('reads dates stored in the table as dates', async () => {
+  const result = await executeOdbcQuery(connectionString, 'SELECT birth_date FROM patients WHERE id = ?', [1], { timezone: 'utc' });
+  assert.strictEqual(result.columns[0].dataType, 'DateTime');
+  assert.strictEqual(result.rows[0].birth_date.toISOString(), '1980-05-06T00:00:00.000Z');
+});
+
+test('rejects invalid params before they reach the worker', async () => {
+  const unknown = await executeOdbcQuery(connectionString, 'SELECT ? AS v', [{ type: 'money', value: '1' }]);
+  assert.strictEqual(unknown.success, false);
+  assert.match(unknown.error, /Unknown parameter type 'money'/);
+
+  const notInt = await executeOdbcQuery(connectionString, 'SELECT ? AS v', [{ type: 'int', value: '1; DROP TABLE patients' }]);
+  assert.strictEqual(notInt.success, false);
+  assert.match(notInt.error, /not an integer/);
+
+  const count = await executeOdbcQuery(connectionString, 'SELECT ? AS v', ['a', 'b']);
+  assert.strictEqual(count.success, false);
+  assert.match(count.error, /1 placeholders but 2 params/);
+});
+
+test('counts only placeholders outside literals, identifiers and comments', async () => {
+  const result = await executeOdbcQuery(
+    connectionString,
+    'SELECT \'why?\' AS "what?", ? AS v -- really?\n/* or? */ FROM patients WHERE id = ?',
+    ['yes', 2],
+  );
+  assert.strictEqual(result.success, true, result.error);
+  assert.deepStrictEqual(result.rows, [{ 'what?': 'why?', v: 'yes' }]);
+
+  const literalOnly = await executeOdbcQuery(connectionString, "SELECT 'why?' AS v");
+  assert.deepStrictEqual(literalOnly.rows, [{ v: 'why?' }]);
+
+  const unterminated = await executeOdbcQuery(connectionString, "SELECT 'why? AS v", [], { allowWrites: true });
+  assert.strictEqual(unterminated.success, false);
+  assert.match(unterminated.error, /Unterminated string literal/);
+});
+
+test('pages hostile params through a cursor', async () => {
+  const { success, cursor, error } = await openOdbcCursor(
+    connectionString,
+    'SELECT ? AS v FROM patients ORDER BY id',
+    ['`$(whoami)` 🦷'],
+    { pageSize: 1 },
+  );
+  assert.strictEqual(success, true, error);
+  const rows = [];
+  let page;
+  do {
+    page = await cursor.nextPage();
+    assert.strictEqual(page.success, true, page.error);
+    rows.push(...page.rows);
+  } while (!page.done);
+  assert.deepStrictEqual(rows, [{ v: '`$(whoami)` 🦷' }, { v: '`$(whoami)` 🦷' }]);
+});
+
+function openCursorCount() {
+  return getOdbcWorkerStats().reduce((total, worker) => total + worker.cursors, 0);
+}
+
+test('closing a cursor early releases it on the worker', async () => {
+  const { cursor } = await openOdbcCursor(connectionString, 'SELECT last_name FROM patients ORDER BY id', [], { pageSize: 1 });
+  const first = await cursor.nextPage();
+  assert.deepStrictEqual(first.rows, [{ last_name: "O'Brien" }]);
+  assert.strictEqual(openCursorCount(), 1);
+
+  await cursor.close();
+  assert.strictEqual(openCursorCount(), 0);
+  assert.strictEqual(cursor.done, true);
+  assert.deepStrictEqual(await cursor.nextPage(), { success: true, rows: [], done: true });
+  // Closing twice is harmless
+  await cursor.close();
+});
+
+test('breaking out of a cursor loop closes the cursor', async () => {
+  const { cursor } = await openOdbcCursor(connectionString, 'SELECT last_name FROM patients ORDER BY id', [], { pageSize: 1 });
+  for await (const rows of cursor) {
+    assert.deepStrictEqual(rows, [{ last_name: "O'Brien" }]);
+    break;
+  }
+  assert.strictEqual(cursor.done, true);
+  assert.strictEqual(openCursorCount(), 0);
+});
+
+test('breaking out of streamOdbcQuery closes its cursor', async () => {
+  const batches = [];
+  for await (const batch of streamOdbcQuery(connectionString, 'SELECT last_name FROM patients ORDER BY id', [], { batchSize: 1 })) {
+    batches.push(batch);
+    assert.strictEqual(openCursorCount(), 1);
+    break;
+  }
+  assert.deepStrictEqual(batches, [{ columns: batches[0].columns, rows: [{ last_name: "O'Brien" }] }]);
+  assert.strictEqual(openCursorCount(), 0);
+});
+
+test('aborting closes the cursor and ends the loop as cancelled', async () => {
+  const controller = new AbortController();
+  const { cursor } = await openOdbcCursor(connectionString, 'SELECT last_name FROM patients ORDER BY id', [], {
+    pageSize: 1,
+    signal: controller.signal,
+  });
+  assert.strictEqual(openCursorCount(), 1);
+  controller.abort();
+  assert.strictEqual(openCursorCount(), 0);
+
+  await assert.rejects(async () => {
+    for await (const rows of cursor) assert.fail(`read ${rows.length} rows after the abort`);
+  }, error => error.cancelled === true);
+});
+
+test('a cursor read to the end leaves nothing open', async () => {
+  const batches = [];
+  for await (const batch of streamOdbcQuery(connectionString, 'SELECT last_name FROM patients ORDER BY id', [], { batchSize: 1 })) {
+    batches.push(batch.rows);
+  }
+  assert.deepStrictEqual(batches, [[{ last_name: "O'Brien" }], [{ last_name: 'Smith' }]]);
+  assert.strictEqual(openCursorCount(), 0);
+});
@@ -0,0 +1,77 @@
+/**
+ * fileStore tests: atomic writes and rolling backup generations
+ */
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const fileStore = require('../src/utils/fileStore');
+
+let dir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'file-store-test-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('replaces a file atomically and leaves no temp files', async () => {
+  const filePath = path.join(dir, 'db-connections.json');
+  fs.writeFileSync(filePath, 'old');
+  await fileStore.writeFileAtomic(filePath, 'new');
+  assert.strictEqual(fs.readFileSync(filePath, 'utf-8'), 'new');
+  assert.deepStrictEqual(fs.readdirSync(dir), ['db-connections.json']);
+});
+
+test('keeps the old file when the write fails', async () => {
+  const filePath = path.join(dir, 'db-connections.json');
+  fs.writeFileSync(filePath, 'old');
+  // A directory in the way makes the rename fail after the temp file was written
+  const blocked = path.join(dir, 'blocked');
+  fs.mkdirSync(path.join(blocked, 'child'), { recursive: true });
+  await assert.rejects(fileStore.writeFileAtomic(blocked, 'new'));
+  assert.strictEqual(fs.readFileSync(filePath, 'utf-8'), 'old');
+  assert.deepStrictEqual(fs.readdirSync(dir).sort(), ['blocked', 'db-connections.json']);
+});
+
+test('writes binary data and file modes', { skip: process.platform === 'win32' }, async () => {
+  const filePath = path.join(dir, 'secret-store.key');
+  await fileStore.writeFileAtomic(filePath, Buffer.from([0, 255]), { encoding: null, mode: 0o600 });
+  assert.deepStrictEqual(fs.readFileSync(filePath), Buffer.from([0, 255]));
+  assert.strictEqual(fs.statSync(filePath).mode & 0o777, 0o600);
+});
+
+test('backs up files together and keeps only the newest generations', async () => {
+  const backupDir = path.join(dir, 'backups');
+  const files = [path.join(dir, 'db-connections.json'), path.join(dir, 'db-secrets.json'), path.join(dir, 'missing.json')];
+  const ids = [];
+  for (let i = 1; i <= 4; i++) {
+    fs.writeFileSync(files[0], `connections ${i}`);
+    fs.writeFileSync(files[1], `secrets ${i}`);
+    ids.push(await fileStore.createBackupGeneration(backupDir, files, 3));
+  }
+
+  assert.strictEqual(new Set(ids).size, 4);
+  const kept = await fileStore.listBackupGenerationIds(backupDir);
+  assert.deepStrictEqual(kept, ids.slice(1).reverse());
+
+  const contents = await fileStore.readBackupGeneration(backupDir, kept[0], files);
+  assert.deepStrictEqual([...contents.keys()], files.slice(0, 2));
+  assert.strictEqual(contents.get(files[0]).toString(), 'connections 4');
+  assert.strictEqual(contents.get(files[1]).toString(), 'secrets 4');
+});
+
+test('creates no generation when none of the files exist', async () => {
+  const backupDir = path.join(dir, 'backups');
+  assert.strictEqual(await fileStore.createBackupGeneration(backupDir, [path.join(dir, 'none.json')], 3), null);
+  assert.deepStrictEqual(await fileStore.listBackupGenerationIds(backupDir), []);
+});
+
+test('rejects generation ids that leave the backup directory', async () => {
+  await assert.rejects(fileStore.readBackupGeneration(dir, '../outside', []), /Invalid backup generation ID/);
+  await assert.rejects(fileStore.readBackupGeneration(dir, 'nope', []), /Backup generation not found/);
+});
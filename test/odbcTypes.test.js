@@ -0,0 +1,43 @@
+/**
+ * odbcTypes tests: wire values to JS values, and JS values to typed parameters
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { decodeOdbcValue, toOdbcParam } = require('../src/utils/odbcTypes');
+
+test('trims only the trailing pad of fixed-width CHAR text', () => {
+  assert.strictEqual(decodeOdbcValue({ sqlType: 'Char', dataType: 'String' }, 'Smith     '), 'Smith');
+  assert.strictEqual(decodeOdbcValue({ sqlType: 'NChar', dataType: 'String' }, '  Smith  '), '  Smith');
+  assert.strictEqual(decodeOdbcValue({ sqlType: 'VarChar', dataType: 'String' }, '  Smith  '), '  Smith  ');
+  assert.strictEqual(decodeOdbcValue({ sqlType: 'NVarChar', dataType: 'String' }, 'Suite 4\t\r\n'), 'Suite 4\t\r\n');
+});
+
+test('writes Date params with milliseconds', () => {
+  const date = new Date(Date.UTC(2024, 0, 2, 3, 4, 5, 67));
+  assert.deepStrictEqual(toOdbcParam(date, { timezone: 'utc' }), { type: 'date', value: '2024-01-02 03:04:05.067' });
+  const local = new Date(2024, 0, 2, 3, 4, 5, 67);
+  assert.deepStrictEqual(toOdbcParam(local), { type: 'date', value: '2024-01-02 03:04:05.067' });
+});
+
+test('normalizes date text to the one format the worker parses', () => {
+  assert.strictEqual(toOdbcParam({ type: 'date', value: '2024-01-02' }).value, '2024-01-02 00:00:00.000');
+  assert.strictEqual(toOdbcParam({ type: 'date', value: '2024-01-02 03:04:05' }).value, '2024-01-02 03:04:05.000');
+  assert.strictEqual(toOdbcParam({ type: 'date', value: '2024-01-02 03:04:05.5' }).value, '2024-01-02 03:04:05.500');
+  assert.throws(() => toOdbcParam({ type: 'date', value: '2024-01-02T03:04:05' }), /is not a date/);
+});
+
+test('sends Buffers as binary params in base64', () => {
+  const bytes = Buffer.from([0, 1, 254, 255]);
+  assert.deepStrictEqual(toOdbcParam(bytes), { type: 'binary', value: 'AAH+/w==' });
+  assert.deepStrictEqual(toOdbcParam({ type: 'binary', value: bytes }), { type: 'binary', value: 'AAH+/w==' });
+  assert.deepStrictEqual(toOdbcParam({ type: 'binary', value: 'AAH+/w==' }), { type: 'binary', value: 'AAH+/w==' });
+  assert.throws(() => toOdbcParam({ type: 'binary', value: 'not base64!' }), /base64/);
+});
+
+test('rejects unknown types and values that do not fit their type', () => {
+  assert.throws(() => toOdbcParam({ type: 'money', value: '1' }), /Unknown parameter type 'money'/);
+  assert.throws(() => toOdbcParam({ type: 'int', value: '1.5' }), /not an integer/);
+  assert.throws(() => toOdbcParam({ type: 'decimal', value: '1e5' }), /not a decimal/);
+  assert.throws(() => toOdbcParam(Number.NaN), /not a finite number/);
+});
@@ -0,0 +1,190 @@
+/**
+ * odbcWorker protocol tests, run against the Node stand-in worker (odbcWorkerStandIn.js)
+ * with a temporary SQLite database, and checks on the script PowerShell workers run.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const odbcWorker = require('../src/utils/odbcWorker');
+const { ODBC_PARAM_TYPES } = require('../src/utils/odbcTypes');
+
+const SLOW_QUERY = 'WITH RECURSIVE c(x) AS (SELECT 1 UNION ALL SELECT x + 1 FROM c WHERE x < 3000000) SELECT count(*) AS n FROM c';
+
+let tempDir;
+let connectionString;
+
+before(async () => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'odbc-worker-test-'));
+  const dbPath = path.join(tempDir, 'test.db');
+  await new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(dbPath, (err) => {
+      if (err) return reject(err);
+      db.exec(`
+        CREATE TABLE numbers (n INTEGER);
+        WITH RECURSIVE c(x) AS (SELECT 1 UNION ALL SELECT x + 1 FROM c WHERE x < 10)
+        INSERT INTO numbers SELECT x FROM c;
+      `, (execErr) => db.close(() => (execErr ? reject(execErr) : resolve())));
+    });
+  });
+  connectionString = `Driver=SQLite;Database=${dbPath}`;
+  await odbcWorker.setOdbcWorkerCommand({
+    label: 'node',
+    command: process.execPath,
+    args: [require.resolve('../src/utils/odbcWorkerStandIn')],
+  });
+});
+
+after(async () => {
+  await odbcWorker.setOdbcWorkerCommand(null);
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+test('matches concurrent responses to their requests by id', async () => {
+  const results = await Promise.all([1, 2, 3, 4, 5].map(n => odbcWorker.runWorkerQuery(
+    connectionString,
+    'SELECT n FROM numbers WHERE n = ?',
+    [{ type: 'int', value: String(n) }],
+  )));
+  assert.deepStrictEqual(results.map(result => result.rows), [[['1']], [['2']], [['3']], [['4']], [['5']]]);
+  assert.ok(odbcWorker.getOdbcWorkerStats().length <= 2);
+});
+
+test('returns worker errors as failed responses', async () => {
+  const result = await odbcWorker.runWorkerQuery(connectionString, 'SELECT * FROM missing_table');
+  assert.strictEqual(result.success, false);
+  assert.match(result.error, /missing_table/);
+  assert.deepStrictEqual(result.rows, []);
+});
+
+test('reads a cursor in batches and stops the worker from being idle until it closes', async () => {
+  const cursor = await odbcWorker.openWorkerCursor(connectionString, 'SELECT n FROM numbers ORDER BY n', [], { batchSize: 4 });
+  assert.strictEqual(cursor.success, true);
+  assert.deepStrictEqual(cursor.rows, [['1'], ['2'], ['3'], ['4']]);
+  assert.strictEqual(cursor.done, false);
+  assert.ok(odbcWorker.getOdbcWorkerStats().some(worker => worker.cursors === 1));
+
+  const rows = [...cursor.rows];
+  let batch;
+  do {
+    batch = await cursor.fetch();
+    assert.strictEqual(batch.success, true);
+    rows.push(...batch.rows);
+  } while (!batch.done);
+  assert.strictEqual(rows.length, 10);
+  assert.ok(odbcWorker.getOdbcWorkerStats().every(worker => worker.cursors === 0));
+});
+
+test('a timed-out request leaves the cursor sharing its worker open', async () => {
+  // One worker, so the query below runs next to the cursor
+  await odbcWorker.closeOdbcWorkers();
+  const cursor = await odbcWorker.openWorkerCursor(connectionString, 'SELECT n FROM numbers ORDER BY n', [], { batchSize: 5 });
+  assert.strictEqual(cursor.done, false);
+  const [{ pid }] = odbcWorker.getOdbcWorkerStats().filter(worker => worker.cursors === 1);
+
+  const slow = await odbcWorker.runWorkerQuery(connectionString, SLOW_QUERY, [], { timeoutMs: 100 });
+  assert.strictEqual(slow.timedOut, true);
+  const retiring = odbcWorker.getOdbcWorkerStats().find(worker => worker.pid === pid);
+  assert.ok(retiring, 'the worker holding the cursor is still running');
+  assert.strictEqual(retiring.retiring, true);
+
+  // The worker finishes the abandoned query, then serves the cursor
+  const batch = await cursor.fetch();
+  assert.strictEqual(batch.success, true);
+  assert.deepStrictEqual(batch.rows, [['6'], ['7'], ['8'], ['9'], ['10']]);
+
+  await cursor.close();
+  await waitFor(() => !odbcWorker.getOdbcWorkerStats().some(worker => worker.pid === pid));
+});
+
+test('an aborted request does not fail its sibling on the same worker', async () => {
+  await odbcWorker.closeOdbcWorkers();
+  const controller = new AbortController();
+  const cursor = await odbcWorker.openWorkerCursor(connectionString, 'SELECT n FROM numbers ORDER BY n', [], { batchSize: 5 });
+  const slow = odbcWorker.runWorkerQuery(connectionString, SLOW_QUERY, [], { signal: controller.signal });
+  await waitFor(() => odbcWorker.getOdbcWorkerStats().some(worker => worker.pending === 1));
+  const sibling = cursor.fetch();
+  controller.abort();
+
+  assert.strictEqual((await slow).cancelled, true);
+  const batch = await sibling;
+  assert.strictEqual(batch.success, true);
+  assert.strictEqual(batch.rows.length, 5);
+  await cursor.close();
+});
+
+test('a retiring worker takes no new requests', async () => {
+  await odbcWorker.closeOdbcWorkers();
+  const controller = new AbortController();
+  const cursor = await odbcWorker.openWorkerCursor(connectionString, 'SELECT n FROM numbers ORDER BY n', [], { batchSize: 5 });
+  const [{ pid }] = odbcWorker.getOdbcWorkerStats();
+  const slow = odbcWorker.runWorkerQuery(connectionString, SLOW_QUERY, [], { signal: controller.signal });
+  await waitFor(() => odbcWorker.getOdbcWorkerStats().some(worker => worker.pending === 1));
+  controller.abort();
+  await slow;
+
+  const result = await odbcWorker.runWorkerQuery(connectionString, 'SELECT 1 AS one');
+  assert.deepStrictEqual(result.rows, [['1']]);
+  const stats = odbcWorker.getOdbcWorkerStats();
+  assert.strictEqual(stats.length, 2);
+  assert.deepStrictEqual(stats.filter(worker => worker.retiring).map(worker => worker.pid), [pid]);
+
+  await cursor.close();
+  await waitFor(() => odbcWorker.getOdbcWorkerStats().every(worker => worker.pid !== pid));
+});
+
+async function waitFor(condition, timeoutMs = 5000) {
+  const started = Date.now();
+  while (!condition()) {
+    if (Date.now() - started > timeoutMs) throw new Error('Condition not met in time');
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+/**
+ * The script PowerShell workers run, decoded from their -EncodedCommand argument
+ */
+function getPowerShellScript() {
+  const candidates = odbcWorker.getPowerShellCandidates();
+  const scripts = candidates.map(({ args }) => {
+    assert.deepStrictEqual(args.slice(0, 3), ['-NoProfile', '-NonInteractive', '-EncodedCommand']);
+    assert.strictEqual(args.length, 4);
+    return Buffer.from(args[3], 'base64').toString('utf16le');
+  });
+  assert.strictEqual(new Set(scripts).size, 1);
+  return scripts[0];
+}
+
+test('the PowerShell worker binds every param type as an OdbcParameter', () => {
+  const script = getPowerShellScript();
+  const bindings = {
+    string: 'NVarChar',
+    int: 'BigInt',
+    decimal: 'Decimal',
+    date: 'DateTime',
+    binary: 'VarBinary',
+  };
+  assert.deepStrictEqual([...ODBC_PARAM_TYPES].sort(), [...Object.keys(bindings), 'null'].sort());
+  for (const [type, odbcType] of Object.entries(bindings)) {
+    assert.match(script, new RegExp(`"${type}" \\{ \\$param\\.OdbcType = \\[System\\.Data\\.Odbc\\.OdbcType\\]::${odbcType}; \\$param\\.Value = `));
+  }
+  assert.match(script, /"null" \{ \$param\.Value = \[DBNull\]::Value \}/);
+  // Dates are parsed in the format the bridge sends them in
+  assert.match(script, /\[DateTime\]::ParseExact\(\[string\]\$p\.value, "yyyy-MM-dd HH:mm:ss\.fff", \$inv\)/);
+  assert.match(script, /default \{ throw "Unknown parameter type/);
+  assert.match(script, /\$param = \$cmd\.CreateParameter\(\)/);
+  assert.match(script, /\[void\]\$cmd\.Parameters\.Add\(\$param\)/);
+});
+
+test('the PowerShell worker never builds SQL or script text from request data', () => {
+  const script = getPowerShellScript();
+  // The query is the command text as sent; params are only ever parameter values
+  assert.deepStrictEqual(script.match(/CommandText = .*/g), ['CommandText = $req.query']);
+  const paramUses = script.split('\n').filter(line => /\$p\.value/.test(line));
+  assert.ok(paramUses.length > 0);
+  for (const line of paramUses) assert.match(line, /\$param\.Value = /);
+  assert.doesNotMatch(script, /Invoke-Expression|\biex\b|ScriptBlock\]::Create|AddScript|-EncodedCommand/i);
+});
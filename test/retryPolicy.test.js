@@ -0,0 +1,118 @@
+/**
+ * retryPolicy tests: per-driver error classification, backoff limits and when
+ * withRetry gives up
+ */
+
+const { test, mock } = require('node:test');
+const assert = require('node:assert');
+const {
+  DEFAULT_RETRY_POLICY,
+  TRANSIENT_KINDS,
+  classifyError,
+  resolveRetryPolicy,
+  getRetryDelayMs,
+  withRetry,
+} = require('../src/utils/retryPolicy');
+
+// No waiting between attempts
+const NO_DELAY = { baseDelayMs: 0, maxDelayMs: 0 };
+
+test('classifies transient errors per driver', () => {
+  assert.strictEqual(classifyError('mssql', { number: 1205 }), TRANSIENT_KINDS.DEADLOCK);
+  assert.strictEqual(classifyError('mssql', { originalError: { code: 'ESOCKET' } }), TRANSIENT_KINDS.NETWORK);
+  assert.strictEqual(classifyError('mysql', { code: 'ER_LOCK_DEADLOCK' }), TRANSIENT_KINDS.DEADLOCK);
+  assert.strictEqual(classifyError('mysql', { errno: 1040 }), TRANSIENT_KINDS.THROTTLED);
+  assert.strictEqual(classifyError('postgres', { code: '40P01' }), TRANSIENT_KINDS.DEADLOCK);
+  assert.strictEqual(classifyError('oracle', { errorNum: 3113 }), TRANSIENT_KINDS.NETWORK);
+  assert.strictEqual(classifyError('sqlite', { code: 'SQLITE_BUSY' }), TRANSIENT_KINDS.BUSY);
+  assert.strictEqual(classifyError('postgres', { code: 'ETIMEDOUT' }), TRANSIENT_KINDS.TIMEOUT);
+});
+
+test('classifies ODBC bridge failures by code, SQLSTATE and message', () => {
+  assert.strictEqual(classifyError('odbc', { code: 'EWORKEREXIT' }), TRANSIENT_KINDS.NETWORK);
+  assert.strictEqual(classifyError('odbc', { odbcErrors: [{ state: '08S01' }] }), TRANSIENT_KINDS.NETWORK);
+  assert.strictEqual(classifyError('odbc', { success: false, error: 'ERROR [HYT00] Timeout expired' }), TRANSIENT_KINDS.TIMEOUT);
+  assert.strictEqual(classifyError('odbc', { success: false, error: 'ERROR [42S02] Invalid object name' }), null);
+});
+
+test('never retries permanent, cancelled or blocked failures', () => {
+  assert.strictEqual(classifyError('mssql', { number: 208, message: 'Invalid object name' }), null);
+  // The same number means something else on another driver
+  assert.strictEqual(classifyError('postgres', { number: 1205 }), null);
+  assert.strictEqual(classifyError('odbc', { code: 'EWORKEREXIT', cancelled: true }), null);
+  assert.strictEqual(classifyError('odbc', { error: 'deadlock', blocked: true }), null);
+  assert.strictEqual(classifyError('mssql', null), null);
+});
+
+test('clamps per-connection overrides', () => {
+  assert.deepStrictEqual(resolveRetryPolicy(undefined), DEFAULT_RETRY_POLICY);
+  assert.deepStrictEqual(resolveRetryPolicy({ maxAttempts: '5', baseDelayMs: 100 }), { maxAttempts: 5, baseDelayMs: 100, maxDelayMs: 4000 });
+  assert.deepStrictEqual(resolveRetryPolicy({ maxAttempts: 0, baseDelayMs: -5, maxDelayMs: 'x' }), { maxAttempts: 1, baseDelayMs: 0, maxDelayMs: 4000 });
+  assert.deepStrictEqual(resolveRetryPolicy({ maxAttempts: 99, baseDelayMs: 999999, maxDelayMs: 10 }), { maxAttempts: 10, baseDelayMs: 60000, maxDelayMs: 60000 });
+  // maxDelayMs is never below baseDelayMs
+  assert.strictEqual(resolveRetryPolicy({ baseDelayMs: 500, maxDelayMs: 100 }).maxDelayMs, 500);
+});
+
+test('backs off exponentially with full jitter up to the cap', (t) => {
+  const policy = { maxAttempts: 10, baseDelayMs: 250, maxDelayMs: 4000 };
+  t.mock.method(Math, 'random', () => 1);
+  assert.deepStrictEqual([1, 2, 3, 4, 5, 6, 9].map(attempt => getRetryDelayMs(policy, attempt)), [250, 500, 1000, 2000, 4000, 4000, 4000]);
+  Math.random.mock.mockImplementation(() => 0);
+  assert.strictEqual(getRetryDelayMs(policy, 5), 0);
+  Math.random.mock.mockImplementation(() => 0.5);
+  assert.strictEqual(getRetryDelayMs(policy, 3), 500);
+});
+
+test('retries transient failures until one succeeds', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const retries = [];
+  const result = await withRetry(async (attempt) => (attempt < 3
+    ? { success: false, error: 'ERROR [08S01] Communication link failure' }
+    : { success: true, rows: [] }), { driver: 'odbc', policy: NO_DELAY, onRetry: info => retries.push(info) });
+
+  assert.deepStrictEqual(result, { success: true, rows: [], attempts: 3 });
+  assert.deepStrictEqual(retries.map(r => [r.attempt, r.kind, r.delayMs]), [[1, 'network', 0], [2, 'network', 0]]);
+});
+
+test('stops at maxAttempts and reports how many attempts ran', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const operation = mock.fn(async () => {
+    throw Object.assign(new Error('deadlock victim'), { number: 1205 });
+  });
+  await assert.rejects(
+    withRetry(operation, { driver: 'mssql', policy: { ...NO_DELAY, maxAttempts: 4 } }),
+    error => error.attempts === 4
+  );
+  assert.strictEqual(operation.mock.callCount(), 4);
+
+  const single = await withRetry(async () => ({ success: false, number: 1205 }), { driver: 'mssql', policy: { maxAttempts: 1 } });
+  assert.strictEqual(single.attempts, 1);
+});
+
+test('does not retry permanent errors', async () => {
+  const operation = mock.fn(async () => ({ success: false, error: 'syntax error' }));
+  const result = await withRetry(operation, { driver: 'postgres', policy: NO_DELAY });
+  assert.strictEqual(result.attempts, 1);
+  assert.strictEqual(operation.mock.callCount(), 1);
+});
+
+test('retries only errors that prove a write did not run', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const timeout = mock.fn(async () => ({ success: false, code: 'ETIMEDOUT' }));
+  assert.strictEqual((await withRetry(timeout, { driver: 'mysql', policy: NO_DELAY, idempotent: false })).attempts, 1);
+
+  const deadlock = mock.fn(async () => ({ success: false, code: 'ER_LOCK_DEADLOCK' }));
+  assert.strictEqual((await withRetry(deadlock, { driver: 'mysql', policy: NO_DELAY, idempotent: false })).attempts, 3);
+});
+
+test('stops retrying once the caller gives up', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  let cancelled = false;
+  const operation = mock.fn(async () => {
+    cancelled = true;
+    return { success: false, code: 'ECONNRESET' };
+  });
+  const result = await withRetry(operation, { driver: 'postgres', policy: NO_DELAY, shouldStop: () => cancelled });
+  assert.strictEqual(result.attempts, 1);
+  assert.strictEqual(operation.mock.callCount(), 1);
+});
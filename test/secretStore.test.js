@@ -0,0 +1,139 @@
+/**
+ * secretStore tests: encrypted vault round trip, entries that cannot be read, and
+ * wrapping the key with Electron safeStorage (a stand-in object outside Electron)
+ */
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const secretStore = require('../src/utils/secretStore');
+
+const dirs = [];
+
+function makeDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'secret-store-test-'));
+  dirs.push(dir);
+  return dir;
+}
+
+function readVault(dir) {
+  return JSON.parse(fs.readFileSync(path.join(dir, secretStore.VAULT_FILE_NAME), 'utf-8'));
+}
+
+/**
+ * Make require('electron') return { safeStorage } for the duration of a test
+ */
+function withSafeStorage(safeStorage) {
+  const electronPath = require.resolve('electron');
+  const previous = require.cache[electronPath];
+  require.cache[electronPath] = { id: electronPath, filename: electronPath, loaded: true, exports: { safeStorage } };
+  return () => {
+    if (previous) require.cache[electronPath] = previous;
+    else delete require.cache[electronPath];
+  };
+}
+
+const fakeSafeStorage = {
+  isEncryptionAvailable: () => true,
+  getSelectedStorageBackend: () => 'gnome_libsecret',
+  encryptString: text => Buffer.from(`wrapped:${text}`),
+  decryptString: (data) => {
+    const text = data.toString();
+    if (!text.startsWith('wrapped:')) throw new Error('Error while decrypting the ciphertext provided to safeStorage.decryptString.');
+    return text.slice('wrapped:'.length);
+  },
+};
+
+afterEach(() => {
+  while (dirs.length > 0) fs.rmSync(dirs.pop(), { recursive: true, force: true });
+});
+
+test('encrypts secrets and reads them back', async () => {
+  const dir = makeDir();
+  await secretStore.saveSecrets(dir, new Map([['conn-1/password', 'hunter2'], ['conn-1/odbcConnectionString', 'DSN=x;PWD=p;']]));
+
+  const raw = fs.readFileSync(path.join(dir, secretStore.VAULT_FILE_NAME), 'utf-8');
+  assert.ok(!raw.includes('hunter2'));
+  assert.ok(!raw.includes('PWD=p'));
+
+  const { secrets, unreadable } = await secretStore.loadSecrets(dir);
+  assert.deepStrictEqual([...secrets], [['conn-1/password', 'hunter2'], ['conn-1/odbcConnectionString', 'DSN=x;PWD=p;']]);
+  assert.strictEqual(unreadable.size, 0);
+});
+
+test('keeps entries it cannot decrypt and writes them back unchanged', async () => {
+  const dir = makeDir();
+  await secretStore.saveSecrets(dir, new Map([['a/password', 'one'], ['b/password', 'two']]));
+  const vault = readVault(dir);
+  vault.secrets['b/password'].data = Buffer.from('tampered').toString('base64');
+  fs.writeFileSync(path.join(dir, secretStore.VAULT_FILE_NAME), JSON.stringify(vault));
+
+  const { secrets, unreadable } = await secretStore.loadSecrets(dir);
+  assert.deepStrictEqual([...secrets], [['a/password', 'one']]);
+  assert.deepStrictEqual([...unreadable.keys()], ['b/password']);
+
+  await secretStore.saveSecrets(dir, secrets, { unreadable });
+  assert.deepStrictEqual(readVault(dir).secrets['b/password'], vault.secrets['b/password']);
+});
+
+test('never replaces a missing key while unreadable entries remain', async () => {
+  const dir = makeDir();
+  await secretStore.saveSecrets(dir, new Map([['a/password', 'one']]));
+  fs.rmSync(path.join(dir, secretStore.KEY_FILE_NAME));
+  const before = fs.readFileSync(path.join(dir, secretStore.VAULT_FILE_NAME), 'utf-8');
+
+  const { secrets, unreadable } = await secretStore.loadSecrets(dir);
+  assert.strictEqual(secrets.size, 0);
+  assert.deepStrictEqual([...unreadable.keys()], ['a/password']);
+  assert.ok(!fs.existsSync(path.join(dir, secretStore.KEY_FILE_NAME)));
+
+  await assert.rejects(
+    secretStore.saveSecrets(dir, new Map([['b/password', 'two']]), { unreadable }),
+    /secret-store\.key is missing/
+  );
+  assert.strictEqual(fs.readFileSync(path.join(dir, secretStore.VAULT_FILE_NAME), 'utf-8'), before);
+});
+
+test('wraps the key with safeStorage when the OS offers it', async () => {
+  const dir = makeDir();
+  const restore = withSafeStorage(fakeSafeStorage);
+  try {
+    await secretStore.saveSecrets(dir, new Map([['a/password', 'one']]));
+    assert.match(fs.readFileSync(path.join(dir, secretStore.KEY_FILE_NAME), 'utf-8'), /^safeStorage:/);
+    const { secrets } = await secretStore.loadSecrets(dir);
+    assert.strictEqual(secrets.get('a/password'), 'one');
+  } finally {
+    restore();
+  }
+
+  // Without the keyring the wrapped key cannot be used
+  await assert.rejects(secretStore.loadSecrets(dir), /protected by the OS keyring/);
+});
+
+test('wraps an existing plain key once safeStorage is available', async () => {
+  const dir = makeDir();
+  await secretStore.saveSecrets(dir, new Map([['a/password', 'one']]));
+  assert.doesNotMatch(fs.readFileSync(path.join(dir, secretStore.KEY_FILE_NAME), 'utf-8'), /^safeStorage:/);
+
+  const restore = withSafeStorage(fakeSafeStorage);
+  try {
+    const { secrets } = await secretStore.loadSecrets(dir);
+    assert.strictEqual(secrets.get('a/password'), 'one');
+    assert.match(fs.readFileSync(path.join(dir, secretStore.KEY_FILE_NAME), 'utf-8'), /^safeStorage:/);
+  } finally {
+    restore();
+  }
+});
+
+test('leaves the key plain when safeStorage only has its built-in password', async () => {
+  const dir = makeDir();
+  const restore = withSafeStorage({ ...fakeSafeStorage, getSelectedStorageBackend: () => 'basic_text' });
+  try {
+    await secretStore.saveSecrets(dir, new Map([['a/password', 'one']]));
+  } finally {
+    restore();
+  }
+  assert.doesNotMatch(fs.readFileSync(path.join(dir, secretStore.KEY_FILE_NAME), 'utf-8'), /^safeStorage:/);
+});
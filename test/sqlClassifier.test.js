@@ -0,0 +1,99 @@
+/**
+ * sqlClassifier tests: what the read-only policy lets through, with writes hidden
+ * in comments, CTEs, later statements and dialect-specific quoting
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { classifySql, getConnectionDialect, getReadOnlyViolation, READ_ONLY_VIOLATION } = require('../src/utils/sqlClassifier');
+
+function assertRead(sql, dialect) {
+  const result = classifySql(sql, { dialect });
+  assert.strictEqual(result.readOnly, true, `${dialect}: ${sql} was blocked: ${result.blocked && result.blocked.reason}`);
+  assert.strictEqual(result.blocked, null);
+}
+
+function assertBlocked(sql, dialect, keyword) {
+  const result = classifySql(sql, { dialect });
+  assert.strictEqual(result.readOnly, false, `${dialect}: ${sql} was allowed`);
+  if (keyword !== undefined) assert.strictEqual(result.blocked.keyword, keyword, `${dialect}: ${sql}`);
+}
+
+test('allows plain reads', () => {
+  assertRead('SELECT * FROM patient WHERE id = 1', 'generic');
+  assertRead('  select 1;  ', 'mysql');
+  assertRead('(SELECT 1) UNION (SELECT 2)', 'postgres');
+  assertRead('SHOW TABLES', 'mysql');
+  assertRead('PRAGMA table_info(patient)', 'sqlite');
+  assertRead('SET NOCOUNT ON; SELECT 1', 'mssql');
+  assertRead('DECLARE @id INT = 5; SELECT @id', 'mssql');
+});
+
+test('ignores keywords inside comments, strings and quoted identifiers', () => {
+  assertRead('SELECT 1 -- DELETE FROM patient', 'generic');
+  assertRead('SELECT 1 /* DROP TABLE patient */', 'generic');
+  assertRead("SELECT 'DROP TABLE patient' AS note", 'generic');
+  assertRead('SELECT [update], "delete" FROM t', 'mssql');
+  assertRead('SELECT `insert` FROM t # DROP TABLE t', 'mysql');
+  assertRead('SELECT $$ DELETE FROM t $$', 'postgres');
+  assertRead("SELECT q'[DROP TABLE t]' FROM dual", 'oracle');
+  assertRead('SELECT p.update, s.delete FROM p JOIN s ON s.id = p.id', 'generic');
+});
+
+test('finds writes that comments or quoting do not hide', () => {
+  // A comment closes early when the server does not nest them
+  assertBlocked('SELECT 1 /* outer /* inner */ DELETE FROM t */', 'generic', 'DELETE');
+  // MySQL runs the body of executable comments
+  assertBlocked('SELECT 1 /*!50000 ; DROP TABLE t */', 'mysql', 'DROP');
+  // Without NO_BACKSLASH_ESCAPES the quote is escaped and the string continues
+  assertBlocked("SELECT '\\' ; DELETE FROM t; -- '", 'mysql', 'DELETE');
+  assertBlocked('SELECT 1 --\nDELETE FROM t', 'generic', 'DELETE');
+});
+
+test('blocks CTEs and SELECTs that write', () => {
+  assertBlocked('WITH gone AS (DELETE FROM t RETURNING *) SELECT * FROM gone', 'postgres', 'DELETE');
+  assertBlocked('WITH x AS (SELECT 1 AS id) DELETE FROM t WHERE id IN (SELECT id FROM x)', 'mssql', 'DELETE');
+  assertBlocked('SELECT * INTO backup_t FROM t', 'mssql', 'INTO');
+  assertBlocked("SELECT nextval('seq')", 'postgres', 'NEXTVAL');
+  assertBlocked("SELECT * FROM OPENQUERY(linked, 'DELETE FROM t')", 'mssql', 'OPENQUERY');
+  assertRead('WITH x AS (SELECT 1 AS id) SELECT * FROM x', 'generic');
+  // MySQL's INSERT() and REPLACE() string functions are not writes
+  assertRead("SELECT INSERT('abc', 1, 1, 'x'), REPLACE(name, 'a', 'b') FROM t", 'mysql');
+});
+
+test('checks every statement of multi-statement input', () => {
+  const result = classifySql('SELECT 1; DROP TABLE t; SELECT 2', { dialect: 'generic' });
+  assert.strictEqual(result.readOnly, false);
+  assert.deepStrictEqual(result.statements.map(s => s.kind), ['read', 'write', 'read']);
+  assert.strictEqual(result.blocked.keyword, 'DROP');
+
+  // T-SQL needs no ';' between statements
+  assertBlocked('SELECT 1 KILL 55', 'mssql', 'KILL');
+  assertBlocked('SELECT 1 EXEC sp_who', 'mssql', 'EXEC');
+});
+
+test('fails closed on unknown statements and text that cannot be tokenized', () => {
+  assertBlocked('VACUUM', 'sqlite', 'VACUUM');
+  assertBlocked('PRAGMA journal_mode = DELETE', 'sqlite');
+  assertBlocked('SET GLOBAL max_connections = 1', 'mysql', 'SET');
+  assertBlocked('BEGIN DELETE FROM t; END', 'oracle');
+  assertBlocked('; 1', 'generic', null);
+
+  const result = classifySql("SELECT 'unterminated", { dialect: 'generic' });
+  assert.strictEqual(result.readOnly, false);
+  assert.match(result.error, /Unterminated string literal/);
+});
+
+test('picks the dialect from the connection and reports violations', () => {
+  assert.strictEqual(getConnectionDialect({ type: 'mssql', config: { useOdbc: true } }), 'generic');
+  assert.strictEqual(getConnectionDialect({ type: 'postgres', config: {} }), 'postgres');
+  assert.strictEqual(getConnectionDialect({ type: 'db2', config: {} }), 'generic');
+
+  const violation = getReadOnlyViolation(classifySql('DELETE FROM t'));
+  assert.deepStrictEqual(violation, {
+    success: false,
+    error: 'Blocked by read-only policy: DELETE is not allowed on a read-only connection',
+    code: READ_ONLY_VIOLATION,
+    blocked: true,
+  });
+});